@@ -0,0 +1,167 @@
+/**
+ * Tableau de bord web - client de l'API de gestion
+ */
+
+const REFRESH_INTERVAL = 5000;
+
+const state = {
+    project: null,
+    logsService: null
+};
+
+const tokenInput = document.getElementById('token');
+tokenInput.value = sessionStorage.getItem('pm-token') || '';
+tokenInput.addEventListener('change', () => {
+    sessionStorage.setItem('pm-token', tokenInput.value);
+    refresh();
+});
+
+/**
+ * Appelle l'API et renvoie le corps JSON
+ */
+async function api(method, path) {
+    const headers = {};
+    if (tokenInput.value) {
+        headers.Authorization = `Bearer ${tokenInput.value}`;
+    }
+
+    const res = await fetch(path, { method, headers });
+    const body = res.status === 204 ? null : await res.json();
+
+    if (!res.ok) {
+        throw new Error(body?.error ? `${body.error.code}: ${body.error.message}` : `HTTP ${res.status}`);
+    }
+    return body;
+}
+
+function showError(error) {
+    document.getElementById('error').textContent = error ? error.message : '';
+}
+
+function el(tag, props = {}, children = []) {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children);
+    return node;
+}
+
+function formatUptime(startedAt) {
+    if (!startedAt) return '-';
+    const seconds = Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}min`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}j`;
+}
+
+function formatMemory(bytes) {
+    return bytes ? `${Math.round(bytes / 1024 / 1024)} MB` : '-';
+}
+
+async function loadProjects() {
+    const { projects } = await api('GET', '/projects');
+    const list = document.getElementById('projects');
+
+    list.replaceChildren(...projects.map(project => {
+        const ratio = project.erroredServices > 0
+            ? 'errored'
+            : project.totalServices > 0 && project.runningServices === project.totalServices
+                ? 'all'
+                : project.runningServices > 0 ? 'some' : '';
+        const item = el('li', { className: project.name === state.project ? 'active' : '' }, [
+            el('span', { textContent: project.name }),
+            el('span', { className: `badge ${ratio}`, textContent: `${project.runningServices}/${project.totalServices}` })
+        ]);
+        item.addEventListener('click', () => selectProject(project.name));
+        return item;
+    }));
+}
+
+async function loadServices() {
+    if (!state.project) return;
+
+    const { services } = await api('GET', `/projects/${encodeURIComponent(state.project)}/services`);
+    document.getElementById('project-title').textContent = state.project;
+
+    document.getElementById('services').replaceChildren(...services.map(svc => {
+        const actions = ['start', 'stop', 'restart'].map(action => {
+            const button = el('button', { textContent: action });
+            button.addEventListener('click', () => serviceAction(svc.name, action));
+            return button;
+        });
+        const logsButton = el('button', { textContent: 'logs' });
+        logsButton.addEventListener('click', () => {
+            state.logsService = svc.name;
+            loadLogs().catch(showError);
+        });
+
+        return el('tr', {}, [
+            el('td', { textContent: svc.name, title: svc.command || '' }),
+            el('td', {
+                className: svc.runtime.status,
+                // Arrêté par le watchdog: raison au survol (logs: route /logs du service)
+                title: svc.runtime.crash
+                    ? `Boucle de crash (${svc.runtime.crash.reason}) le ${new Date(svc.runtime.crash.detectedAt).toLocaleString('fr-FR')}`
+                    : '',
+                textContent: svc.runtime.instances > 1
+                    ? `${svc.runtime.status} (${svc.runtime.onlineInstances}/${svc.runtime.instances})`
+                    : svc.runtime.status
+            }),
+            el('td', { textContent: svc.runtime.pid ?? '-' }),
+            el('td', { textContent: svc.runtime.status === 'online' ? formatUptime(svc.runtime.startedAt) : '-' }),
+            el('td', { textContent: svc.runtime.restarts }),
+            el('td', { textContent: formatMemory(svc.runtime.memoryBytes) }),
+            el('td', { textContent: svc.runtime.cpuPercent !== null ? `${svc.runtime.cpuPercent}%` : '-' }),
+            el('td', {}, [...actions, logsButton])
+        ]);
+    }));
+}
+
+async function loadLogs() {
+    if (!state.project || !state.logsService) return;
+
+    const path = `/projects/${encodeURIComponent(state.project)}/services/${encodeURIComponent(state.logsService)}/logs?lines=200`;
+    const { logs } = await api('GET', path);
+    const pre = document.getElementById('logs');
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 10;
+
+    document.getElementById('logs-section').hidden = false;
+    document.getElementById('logs-title').textContent = `Logs: ${state.project}-${state.logsService}`;
+    pre.textContent = logs;
+    if (atBottom) {
+        pre.scrollTop = pre.scrollHeight;
+    }
+}
+
+async function serviceAction(serviceName, action) {
+    if (action !== 'start' && !confirm(`${action} ${state.project}/${serviceName} ?`)) return;
+
+    try {
+        await api('POST', `/projects/${encodeURIComponent(state.project)}/services/${encodeURIComponent(serviceName)}/${action}`);
+        showError(null);
+    } catch (error) {
+        showError(error);
+    }
+    await refresh();
+}
+
+function selectProject(projectName) {
+    state.project = projectName;
+    state.logsService = null;
+    document.getElementById('logs-section').hidden = true;
+    refresh();
+}
+
+async function refresh() {
+    try {
+        await loadProjects();
+        await loadServices();
+        await loadLogs();
+        showError(null);
+    } catch (error) {
+        showError(error);
+    }
+}
+
+document.getElementById('refresh').addEventListener('click', refresh);
+setInterval(refresh, REFRESH_INTERVAL);
+refresh();
@@ -0,0 +1,549 @@
+/**
+ * Routes de l'API de gestion
+ *
+ * Chaque route appelle directement les fonctions des modules projects,
+ * services, scripts et sftp, comme le menu interactif.
+ */
+
+import projects from '../modules/projects.js';
+import services from '../modules/services.js';
+import scripts from '../modules/scripts.js';
+import sftp from '../modules/sftp.js';
+import doctor from '../modules/doctor.js';
+import bulk from '../modules/bulk.js';
+import adopt from '../modules/adopt.js';
+import environment from '../modules/environment.js';
+import secrets from '../modules/secrets.js';
+import ports from '../modules/ports.js';
+import runtime from '../modules/runtime.js';
+import watchdog from '../modules/watchdog.js';
+import output from '../ui/output.js';
+import { validationError, notFoundError } from '../utils/errors.js';
+
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+/**
+ * Schémas de validation des corps de requête
+ */
+const SCHEMAS = {
+    createProject: {
+        name: { type: 'string', required: true, pattern: NAME_PATTERN },
+        password: { type: 'string', required: true, minLength: 8 }
+    },
+    adoptProject: {
+        name: { type: 'string', required: true, pattern: NAME_PATTERN },
+        password: { type: 'string', minLength: 8 }
+    },
+    renameProject: {
+        newName: { type: 'string', required: true, pattern: NAME_PATTERN }
+    },
+    changePassword: {
+        password: { type: 'string', required: true, minLength: 8 }
+    },
+    addService: {
+        name: { type: 'string', required: true, pattern: NAME_PATTERN },
+        directory: { type: 'string' },
+        command: { type: 'string' },
+        setupCommands: { type: 'array' },
+        description: { type: 'string' },
+        port: { type: ['number', 'null'] },
+        dataDirs: { type: 'array' },
+        pm2: { type: 'object' }
+    },
+    updateService: {
+        directory: { type: 'string' },
+        command: { type: 'string' },
+        setupCommands: { type: 'array' },
+        description: { type: 'string' },
+        port: { type: ['number', 'string', 'null'] },
+        dataDirs: { type: 'array' },
+        pm2: { type: 'object' }
+    },
+    startService: {
+        runSetup: { type: 'boolean' }
+    },
+    scaleService: {
+        instances: { type: ['number', 'string'], required: true }
+    },
+    tagProject: {
+        add: { type: 'array' },
+        remove: { type: 'array' }
+    },
+    bulk: {
+        tag: { type: 'string', required: true },
+        runSetup: { type: 'boolean' }
+    },
+    updateEnv: {
+        service: { type: 'string', pattern: NAME_PATTERN },
+        env: { type: 'object' },
+        secrets: { type: 'object' },
+        unset: { type: 'array' }
+    },
+    setSecret: {
+        value: { type: 'string', required: true }
+    }
+};
+
+/**
+ * Valide un corps de requête selon un schéma
+ * @param {object} body - Corps JSON
+ * @param {object} schema - Schéma
+ * @returns {object} - Corps limité aux champs connus
+ */
+function validate(body, schema) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw validationError('Le corps de la requête doit être un objet JSON');
+    }
+
+    const unknown = Object.keys(body).filter(key => !(key in schema));
+    if (unknown.length > 0) {
+        throw validationError(`Champ(s) inconnu(s): ${unknown.join(', ')}`, { fields: unknown });
+    }
+
+    const result = {};
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const value = body[field];
+
+        if (value === undefined) {
+            if (rules.required) {
+                throw validationError(`Champ requis: ${field}`, { field });
+            }
+            continue;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+        const types = [].concat(rules.type);
+        if (!types.includes(actualType)) {
+            throw validationError(`Le champ ${field} doit être de type ${types.join(' ou ')}`, { field });
+        }
+        if (rules.type === 'array' && value.some(v => typeof v !== 'string')) {
+            throw validationError(`Le champ ${field} doit être une liste de chaînes`, { field });
+        }
+        if (rules.pattern && !rules.pattern.test(value)) {
+            throw validationError(`Le champ ${field} doit commencer par une lettre et ne contenir que lettres, chiffres, tirets et underscores`, { field });
+        }
+        if (rules.minLength && value.length < rules.minLength) {
+            throw validationError(`Le champ ${field} doit contenir au moins ${rules.minLength} caractères`, { field });
+        }
+
+        result[field] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Vérifie qu'un projet existe
+ * @param {string} projectName - Nom du projet
+ */
+function requireProject(projectName) {
+    if (!projects.projectExists(projectName)) {
+        throw notFoundError(`Le projet ${projectName} n'existe pas`, { project: projectName });
+    }
+}
+
+/**
+ * Vérifie qu'un service existe
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ */
+function requireService(projectName, serviceName) {
+    requireProject(projectName);
+    if (!services.getService(projectName, serviceName)) {
+        throw notFoundError(`Le service ${serviceName} n'existe pas`, { project: projectName, service: serviceName });
+    }
+}
+
+/**
+ * Table des routes
+ * mutating: la route modifie l'état du serveur (exécutée en série)
+ */
+export const ROUTES = [
+    {
+        method: 'GET',
+        path: '/health',
+        handler: async () => ({ status: 200, body: { status: 'ok' } })
+    },
+    {
+        method: 'GET',
+        path: '/projects',
+        handler: async ({ query }) => ({
+            status: 200,
+            body: output.serializeProjectList(await projects.listProjectsWithStatus(query.get('tag')))
+        })
+    },
+    {
+        method: 'POST',
+        path: '/projects',
+        mutating: true,
+        handler: async ({ body }) => {
+            const { name, password } = validate(body, SCHEMAS.createProject);
+            await projects.createProject(name, password);
+            scripts.generateScripts(name);
+            return { status: 201, body: { project: name } };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/adopt',
+        mutating: true,
+        handler: async ({ body }) => {
+            const { name, password } = validate(body, SCHEMAS.adoptProject);
+            const result = await adopt.adoptProject(name, { password });
+            return { status: 201, body: result };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project',
+        handler: async ({ params }) => {
+            requireProject(params.project);
+            const projectConfig = projects.loadProjectConfig(params.project);
+            const sftpInfo = sftp.getSftpUserInfo(params.project);
+            const servicesStatus = await services.getAllServicesStatus(params.project);
+            return { status: 200, body: output.serializeProject(projectConfig, sftpInfo, servicesStatus) };
+        }
+    },
+    {
+        method: 'DELETE',
+        path: '/projects/:project',
+        mutating: true,
+        handler: async ({ params, query }) => {
+            await projects.deleteProject(params.project, query.get('deleteFiles') === 'true');
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/rename',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            const { newName } = validate(body, SCHEMAS.renameProject);
+            await projects.renameProject(params.project, newName);
+            return { status: 200, body: { project: newName } };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/suspend',
+        mutating: true,
+        handler: async ({ params }) => {
+            await projects.suspendProject(params.project);
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/resume',
+        mutating: true,
+        handler: async ({ params }) => {
+            const started = await projects.resumeProject(params.project);
+            return { status: 200, body: { project: params.project, started } };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/isolate',
+        mutating: true,
+        handler: async ({ params }) => {
+            const restarted = await runtime.isolateProject(params.project);
+            return { status: 200, body: { project: params.project, runUser: runtime.getRuntimeUser(params.project), restarted } };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/tags',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            const changes = validate(body, SCHEMAS.tagProject);
+            const tags = projects.tagProject(params.project, changes);
+            return { status: 200, body: { project: params.project, tags } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project/env',
+        mutating: false,
+        handler: async ({ params, query }) => {
+            requireProject(params.project);
+            const serviceName = query.get('service') || null;
+            const variables = environment.listEnv(params.project, serviceName);
+            return {
+                status: 200,
+                body: output.serializeEnvironment(params.project, serviceName, variables, query.get('showValues') === 'true')
+            };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/projects/:project/env',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            const { service, ...changes } = validate(body, SCHEMAS.updateEnv);
+            const variables = environment.updateEnv(params.project, service || null, changes);
+            return { status: 200, body: { project: params.project, service: service || null, variables } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project/secrets',
+        mutating: false,
+        handler: async ({ params }) => {
+            requireProject(params.project);
+            return { status: 200, body: output.serializeSecretList(params.project, secrets.listSecrets(params.project)) };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/projects/:project/secrets/:secret',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireProject(params.project);
+            const { value } = validate(body, SCHEMAS.setSecret);
+            secrets.setSecret(params.project, params.secret, value);
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'DELETE',
+        path: '/projects/:project/secrets/:secret',
+        mutating: true,
+        handler: async ({ params }) => {
+            requireProject(params.project);
+            secrets.removeSecret(params.project, params.secret);
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/bulk/:action',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            const { tag, runSetup } = validate(body, SCHEMAS.bulk);
+            const results = await bulk.runBulk(params.action, tag, { runSetup });
+            return { status: 200, body: output.serializeBulkResult(params.action, tag, results) };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/projects/:project/sftp/password',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireProject(params.project);
+            const { password } = validate(body, SCHEMAS.changePassword);
+            await sftp.changeSftpPassword(params.project, password);
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/scripts/regenerate',
+        mutating: true,
+        handler: async ({ params }) => {
+            requireProject(params.project);
+            scripts.generateScripts(params.project);
+            return { status: 200, body: scripts.getScriptsPaths(params.project) };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/scripts/regenerate',
+        mutating: true,
+        handler: async () => {
+            scripts.regenerateAllScripts();
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/doctor',
+        handler: async () => ({
+            status: 200,
+            body: output.serializeDoctorReport(await doctor.diagnose())
+        })
+    },
+    {
+        method: 'POST',
+        path: '/watchdog',
+        mutating: true,
+        handler: async () => ({
+            status: 200,
+            body: output.serializeWatchdogReport(watchdog.isScheduled(), await watchdog.runWatchdog())
+        })
+    },
+    {
+        method: 'GET',
+        path: '/ports',
+        handler: async () => ({
+            status: 200,
+            body: output.serializePortList(ports.getRange(), ports.listAllocations())
+        })
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project/services',
+        handler: async ({ params }) => {
+            requireProject(params.project);
+            const servicesStatus = await services.getAllServicesStatus(params.project);
+            return { status: 200, body: output.serializeServiceStatusList(params.project, servicesStatus) };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/services',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireProject(params.project);
+            const serviceConfig = validate(body, SCHEMAS.addService);
+            const service = services.addService(params.project, {
+                ...serviceConfig,
+                directory: serviceConfig.directory || serviceConfig.name
+            });
+            scripts.generateScripts(params.project);
+            return { status: 201, body: { service } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project/services/:service',
+        handler: async ({ params }) => {
+            requireService(params.project, params.service);
+            const servicesStatus = await services.getAllServicesStatus(params.project);
+            const status = servicesStatus.filter(s => s.name === params.service);
+            return { status: 200, body: output.serializeServiceStatusList(params.project, status) };
+        }
+    },
+    {
+        method: 'PATCH',
+        path: '/projects/:project/services/:service',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireService(params.project, params.service);
+            const updates = validate(body, SCHEMAS.updateService);
+            const service = services.updateService(params.project, params.service, updates);
+            scripts.generateScripts(params.project);
+            return { status: 200, body: { service } };
+        }
+    },
+    {
+        method: 'DELETE',
+        path: '/projects/:project/services/:service',
+        mutating: true,
+        handler: async ({ params }) => {
+            requireService(params.project, params.service);
+            await services.removeService(params.project, params.service);
+            scripts.generateScripts(params.project);
+            return { status: 204 };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/services/:service/start',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireService(params.project, params.service);
+            const { runSetup } = validate(body || {}, SCHEMAS.startService);
+            await services.startService(params.project, params.service, runSetup !== false);
+            return { status: 200, body: await services.getServiceStatus(params.project, params.service) };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/services/:service/stop',
+        mutating: true,
+        handler: async ({ params }) => {
+            requireService(params.project, params.service);
+            await services.stopService(params.project, params.service);
+            return { status: 200, body: await services.getServiceStatus(params.project, params.service) };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/services/:service/restart',
+        mutating: true,
+        handler: async ({ params }) => {
+            requireService(params.project, params.service);
+            await services.restartService(params.project, params.service);
+            return { status: 200, body: await services.getServiceStatus(params.project, params.service) };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/projects/:project/services/:service/scale',
+        mutating: true,
+        handler: async ({ params, body }) => {
+            requireService(params.project, params.service);
+            const { instances } = validate(body, SCHEMAS.scaleService);
+            await services.scaleService(params.project, params.service, instances);
+            scripts.generateScripts(params.project);
+            return { status: 200, body: await services.getServiceStatus(params.project, params.service) };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/projects/:project/services/:service/logs',
+        handler: async ({ params, query }) => {
+            requireService(params.project, params.service);
+            const lines = parseInt(query.get('lines') || '100', 10);
+            if (!Number.isInteger(lines) || lines < 1 || lines > 10000) {
+                throw validationError('Le paramètre lines doit être compris entre 1 et 10000', { field: 'lines' });
+            }
+            const logs = await services.getServiceLogs(params.project, params.service, lines);
+            return { status: 200, body: { project: params.project, service: params.service, lines, logs } };
+        }
+    }
+];
+
+/**
+ * Compile le chemin d'une route en expression régulière
+ * @param {string} routePath - Chemin (ex: /projects/:project)
+ * @returns {{regex: RegExp, keys: Array<string>}}
+ */
+function compilePath(routePath) {
+    const keys = [];
+    const pattern = routePath.replace(/:([a-zA-Z]+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+const COMPILED_ROUTES = ROUTES.map(route => ({ ...route, ...compilePath(route.path) }));
+
+/**
+ * Trouve la route correspondant à une requête
+ * @param {string} method - Méthode HTTP
+ * @param {string} pathname - Chemin demandé
+ * Un paramètre mal encodé lève une erreur de validation (400).
+ * @returns {{route: object|null, params: object, pathMatched: boolean}}
+ */
+export function matchRoute(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of COMPILED_ROUTES) {
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+
+        pathMatched = true;
+        if (route.method !== method) continue;
+
+        const params = {};
+        route.keys.forEach((key, i) => {
+            try {
+                params[key] = decodeURIComponent(match[i + 1]);
+            } catch {
+                // Séquence %xx invalide
+                throw validationError(`Paramètre ${key} mal encodé: ${match[i + 1]}`);
+            }
+        });
+        return { route, params, pathMatched };
+    }
+
+    return { route: null, params: {}, pathMatched };
+}
+
+export default {
+    ROUTES,
+    matchRoute
+};
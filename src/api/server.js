@@ -0,0 +1,340 @@
+/**
+ * Serveur HTTP de l'API de gestion (mode démon)
+ *
+ * Écoute sur un socket Unix réservé à root et, en option, en TCP sur
+ * localhost avec un jeton d'accès. Peut aussi servir le tableau de bord web.
+ * Le démon lance aussi le watchdog à intervalle régulier (boucles de crash).
+ * Opérations et watchdog prennent le verrou de configuration de manière
+ * asynchrone: l'attente d'un autre processus ne bloque pas le démon.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { API_CONFIG, WATCHDOG_CONFIG } from '../config/constants.js';
+import { matchRoute } from './routes.js';
+import watchdog from '../modules/watchdog.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import audit from '../utils/audit.js';
+import { ManagerError, ERROR_CODES, toErrorObject, validationError } from '../utils/errors.js';
+
+/**
+ * Statut HTTP associé à chaque code d'erreur
+ */
+const HTTP_STATUS = {
+    [ERROR_CODES.validation]: 400,
+    [ERROR_CODES.unauthorized]: 401,
+    [ERROR_CODES.forbidden]: 403,
+    [ERROR_CODES.notFound]: 404,
+    [ERROR_CODES.methodNotAllowed]: 405,
+    [ERROR_CODES.conflict]: 409,
+    [ERROR_CODES.notSupported]: 501,
+    [ERROR_CODES.commandFailed]: 502,
+    [ERROR_CODES.corrupted]: 500,
+    [ERROR_CODES.internal]: 500
+};
+
+// Fichiers statiques du tableau de bord
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+const DASHBOARD_ASSETS = {
+    '/': { file: 'dashboard.html', type: 'text/html; charset=utf-8' },
+    '/dashboard.js': { file: 'dashboard.js', type: 'text/javascript; charset=utf-8' }
+};
+
+// Les opérations modifiant le serveur sont exécutées une par une
+let mutationQueue = Promise.resolve();
+
+/**
+ * Exécute une opération après les opérations de modification en cours
+ * @param {Function} operation - Opération asynchrone
+ * @returns {Promise<*>}
+ */
+function enqueueMutation(operation) {
+    const result = mutationQueue.then(operation);
+    mutationQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Envoie une réponse JSON
+ * @param {http.ServerResponse} res - Réponse
+ * @param {number} status - Statut HTTP
+ * @param {object|undefined} body - Corps
+ */
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+
+    const payload = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+/**
+ * Envoie une erreur au format { error: { code, message, details } }
+ * @param {http.ServerResponse} res - Réponse
+ * @param {Error} error - Erreur
+ */
+function sendError(res, error) {
+    const errorObject = toErrorObject(error);
+    sendJson(res, HTTP_STATUS[errorObject.code] || 500, { error: errorObject });
+}
+
+/**
+ * Lit et analyse le corps JSON d'une requête
+ * @param {http.IncomingMessage} req - Requête
+ * @returns {Promise<object|null>}
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > API_CONFIG.maxBodySize) {
+            throw validationError('Corps de requête trop volumineux');
+        }
+        chunks.push(chunk);
+    }
+
+    if (size === 0) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw validationError('Corps de requête JSON invalide');
+    }
+}
+
+/**
+ * Sert un fichier du tableau de bord
+ * @param {http.ServerResponse} res - Réponse
+ * @param {object} asset - Fichier (DASHBOARD_ASSETS)
+ */
+function sendAsset(res, asset) {
+    const content = fs.readFileSync(path.join(PUBLIC_DIR, asset.file));
+    res.writeHead(200, {
+        'Content-Type': asset.type,
+        'Content-Length': content.length,
+        'Content-Security-Policy': "default-src 'self'; style-src 'self' 'unsafe-inline'",
+        'X-Frame-Options': 'DENY',
+        'Cache-Control': 'no-store'
+    });
+    res.end(content);
+}
+
+/**
+ * Refuse les requêtes émises par une autre origine (CSRF depuis un navigateur)
+ * @param {http.IncomingMessage} req - Requête
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+        return true;
+    }
+
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Vérifie le jeton Bearer d'une requête TCP
+ * @param {http.IncomingMessage} req - Requête
+ * @param {string} token - Jeton attendu
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+    const header = req.headers.authorization || '';
+    const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(token);
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Crée le gestionnaire de requêtes
+ * @param {object} options - Options
+ * @param {string|null} options.token - Jeton exigé (null: aucune authentification)
+ * @param {boolean} options.dashboard - Servir le tableau de bord web
+ * @returns {Function}
+ */
+function createHandler({ token, dashboard }) {
+    return async (req, res) => {
+        const startedAt = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+
+        res.on('finish', () => {
+            logger.debug(`API ${req.method} ${url.pathname} → ${res.statusCode} (${Date.now() - startedAt} ms)`);
+        });
+
+        try {
+            // Les pages du tableau de bord ne contiennent aucune donnée: pas de jeton requis
+            if (dashboard && req.method === 'GET' && DASHBOARD_ASSETS[url.pathname]) {
+                sendAsset(res, DASHBOARD_ASSETS[url.pathname]);
+                return;
+            }
+
+            if (!isSameOrigin(req)) {
+                throw new ManagerError(ERROR_CODES.forbidden, 'Requête d\'une autre origine refusée');
+            }
+
+            if (token && !isAuthorized(req, token)) {
+                throw new ManagerError(ERROR_CODES.unauthorized, 'Jeton d\'accès manquant ou invalide');
+            }
+
+            const { route, params, pathMatched } = matchRoute(req.method, url.pathname);
+
+            if (!route) {
+                if (pathMatched) {
+                    sendError(res, new ManagerError(ERROR_CODES.methodNotAllowed, `Méthode ${req.method} non autorisée`));
+                } else {
+                    sendError(res, new ManagerError(ERROR_CODES.notFound, `Route inconnue: ${url.pathname}`));
+                }
+                return;
+            }
+
+            const body = await readJsonBody(req);
+            const context = { params, query: url.searchParams, body };
+            const result = route.mutating
+                ? await enqueueMutation(() => store.withLock(() => route.handler(context)))
+                : await route.handler(context);
+
+            sendJson(res, result.status, result.body);
+        } catch (error) {
+            if (!(error instanceof ManagerError)) {
+                logger.error(`API ${req.method} ${url.pathname}: ${error.message}`);
+                logger.debug(error.stack);
+            }
+            sendError(res, error);
+        }
+    };
+}
+
+/**
+ * Démarre l'écoute sur le socket Unix (root uniquement, mode 0600)
+ * @param {http.Server} server - Serveur
+ * @param {string} socketPath - Chemin du socket
+ * @returns {Promise<void>}
+ */
+function listenOnSocket(server, socketPath) {
+    fs.mkdirSync(path.dirname(socketPath), { recursive: true, mode: 0o700 });
+
+    // Supprimer un socket résiduel d'une exécution précédente
+    if (fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+    }
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, () => {
+            fs.chmodSync(socketPath, 0o600);
+            fs.chownSync(socketPath, 0, 0);
+            process.on('exit', () => {
+                try {
+                    fs.unlinkSync(socketPath);
+                } catch {
+                    // Déjà supprimé
+                }
+            });
+            resolve();
+        });
+    });
+}
+
+/**
+ * Démarre l'écoute TCP sur localhost
+ * @param {http.Server} server - Serveur
+ * @param {number} port - Port
+ * @returns {Promise<void>}
+ */
+function listenOnTcp(server, port) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, API_CONFIG.tcpHost, resolve);
+    });
+}
+
+/**
+ * Lance le watchdog à intervalle régulier, sans chevauchement
+ * @returns {NodeJS.Timeout}
+ */
+function scheduleWatchdog() {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            await store.withLock(() => watchdog.runWatchdog());
+        } catch (error) {
+            logger.error(`Watchdog: ${error.message}`);
+        } finally {
+            running = false;
+        }
+    }, WATCHDOG_CONFIG.interval);
+
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Démarre le démon API
+ * @param {object} options - Options
+ * @param {string} options.socketPath - Chemin du socket Unix
+ * @param {number|null} options.tcpPort - Port TCP sur localhost (optionnel)
+ * @param {string|null} options.token - Jeton exigé pour le TCP
+ * @param {boolean} options.dashboard - Servir le tableau de bord web
+ * @returns {Promise<{close: Function}>}
+ */
+export async function startServer({ socketPath = API_CONFIG.socketPath, tcpPort = null, token = null, dashboard = false } = {}) {
+    const servers = [];
+
+    if (tcpPort && !token) {
+        throw validationError(`Un jeton est requis pour l'écoute TCP (variable ${API_CONFIG.tokenEnv})`);
+    }
+
+    audit.setSource('api');
+
+    const socketServer = http.createServer(createHandler({ token: null, dashboard }));
+    await listenOnSocket(socketServer, socketPath);
+    servers.push(socketServer);
+    logger.success(`API en écoute sur ${socketPath}`);
+
+    if (tcpPort) {
+        const tcpServer = http.createServer(createHandler({ token, dashboard }));
+        await listenOnTcp(tcpServer, tcpPort);
+        servers.push(tcpServer);
+        logger.success(`API en écoute sur http://${API_CONFIG.tcpHost}:${tcpPort}`);
+    }
+
+    const watchdogTimer = scheduleWatchdog();
+
+    return {
+        close: () => {
+            clearInterval(watchdogTimer);
+            return Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        }
+    };
+}
+
+export default {
+    startServer
+};
@@ -11,6 +11,9 @@ export const SFTP_USER_PREFIX = 'sftp_';
 // Groupe SFTP
 export const SFTP_GROUP = 'sftpusers';
 
+// Préfixe des utilisateurs d'exécution des services (un par projet, groupe du même nom)
+export const RUNTIME_USER_PREFIX = 'run_';
+
 // Fichier de configuration SSH
 export const SSH_CONFIG_PATH = '/etc/ssh/sshd_config';
 
@@ -18,6 +21,56 @@ export const SSH_CONFIG_PATH = '/etc/ssh/sshd_config';
 export const TOOL_CONFIG_PATH = '/etc/nodejs-project-manager';
 export const PROJECTS_CONFIG_FILE = '/etc/nodejs-project-manager/projects.json';
 
+// Commande installée de l'outil (cron, scripts générés)
+export const TOOL_COMMAND = '/usr/local/bin/project-manager';
+
+// Secrets chiffrés au repos (AES-256-GCM, clé propre à l'hôte, lisibles par root uniquement)
+export const SECRETS_CONFIG = {
+    file: '/etc/nodejs-project-manager/secrets.json',
+    keyFile: '/etc/nodejs-project-manager/secrets.key',
+    algorithm: 'aes-256-gcm'
+};
+
+// Registre des ports des services (plage d'attribution automatique modifiable)
+export const PORTS_CONFIG = {
+    file: '/etc/nodejs-project-manager/ports.json',
+    range: { start: 3000, end: 3999 }
+};
+
+// Journal d'audit (JSON Lines)
+export const AUDIT_LOG_FILE = '/var/log/nodejs-project-manager/audit.jsonl';
+
+// Sauvegardes des projets (instantanés rsync, planification cron)
+export const BACKUP_CONFIG = {
+    defaultTarget: '/var/backups/nodejs-project-manager',
+    defaultSchedule: '30 3 * * *',
+    retention: { daily: 7, weekly: 4 },
+    cronFile: '/etc/cron.d/nodejs-project-manager',
+    command: TOOL_COMMAND,
+    logFile: '/var/log/nodejs-project-manager/backup.log'
+};
+
+// Détection des boucles de crash (commande watchdog, planifiée chaque minute, et démon API)
+export const WATCHDOG_CONFIG = {
+    unstableRestarts: 5,
+    // Délai maximal de la relance exponentielle de PM2 (ms)
+    backoffDelay: 15000,
+    logLines: 20,
+    tailBytes: 64 * 1024,
+    interval: 60000,
+    schedule: '* * * * *',
+    cronFile: '/etc/cron.d/nodejs-project-manager-watchdog',
+    command: TOOL_COMMAND,
+    logFile: '/var/log/nodejs-project-manager/watchdog.log'
+};
+
+// Quotas disque (avertissement à partir de warnPercent % de la limite)
+export const QUOTA_CONFIG = {
+    warnPercent: 90,
+    // Durée de validité d'une mesure d'occupation (ms)
+    usageTtl: 60000
+};
+
 // Structure des dossiers d'un projet
 export const PROJECT_STRUCTURE = {
     sites: 'sites',
@@ -28,10 +81,11 @@ export const PROJECT_STRUCTURE = {
 // Nom des scripts générés
 export const SCRIPTS = {
     start: 'start.sh',
-    stop: 'stop.sh'
+    stop: 'stop.sh',
+    ecosystem: 'ecosystem.config.cjs'
 };
 
-// Configuration PM2
+// Configuration PM2 (logPath: fichiers de logs des services, déclarés dans l'ecosystem)
 export const PM2_CONFIG = {
     logPath: '/var/log/pm2',
     pidPath: '/var/run/pm2'
@@ -55,3 +109,11 @@ export const MESSAGES = {
     serviceAdded: 'Service ajouté avec succès !',
     operationCancelled: 'Opération annulée.'
 };
+
+// API de gestion locale (mode démon)
+export const API_CONFIG = {
+    socketPath: '/run/nodejs-project-manager/api.sock',
+    tcpHost: '127.0.0.1',
+    tokenEnv: 'PROJECT_MANAGER_API_TOKEN',
+    maxBodySize: 1024 * 1024
+};
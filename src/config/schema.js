@@ -0,0 +1,365 @@
+/**
+ * Schéma versionné des fichiers de configuration (projects.json, project.json)
+ *
+ * Chaque fichier porte un champ schemaVersion. Les fichiers plus anciens
+ * (sans version: v0) sont mis à niveau par la chaîne de MIGRATIONS, puis
+ * validés. Toute évolution du format doit incrémenter CONFIG_SCHEMA_VERSION
+ * et ajouter la migration correspondante.
+ */
+
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX } from './constants.js';
+import { validationError } from '../utils/errors.js';
+
+/**
+ * Version courante du schéma
+ */
+export const CONFIG_SCHEMA_VERSION = 2;
+
+/**
+ * Types de fichiers de configuration
+ */
+export const CONFIG_KINDS = {
+    projects: 'projects',
+    project: 'project'
+};
+
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+/**
+ * Format d'un tag de projet: "nom" ou "clé:valeur" (ex: client:acme)
+ */
+export const TAG_PATTERN = /^[a-z0-9][a-z0-9_.-]*(:[a-z0-9][a-z0-9_.-]*)?$/;
+
+/**
+ * Nom d'une variable d'environnement
+ */
+export const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Nom d'un secret (secrets.json)
+ */
+export const SECRET_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+// Variables d'environnement: { NOM: "valeur" }
+const ENV_SCHEMA = {
+    type: 'object',
+    keys: ENV_NAME_PATTERN,
+    values: { type: 'string' }
+};
+
+// Variables alimentées par un secret: { NOM: "nom-du-secret" }
+const SECRET_REFS_SCHEMA = {
+    type: 'object',
+    keys: ENV_NAME_PATTERN,
+    values: { type: 'string', pattern: SECRET_NAME_PATTERN }
+};
+
+// Options PM2 d'un service, reportées dans le fichier ecosystem du projet
+const PM2_OPTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        instances: { type: ['integer', 'string'], pattern: /^(\d+|max)$/ },
+        execMode: { type: 'string', pattern: /^(fork|cluster)$/ },
+        maxMemoryRestart: { type: 'string', pattern: /^\d+[KMG]$/ },
+        killTimeout: { type: 'integer' },
+        maxRestarts: { type: 'integer' },
+        minUptime: { type: 'integer' },
+        expBackoffRestartDelay: { type: 'integer' },
+        cronRestart: { type: 'string' }
+    }
+};
+
+// Boucle de crash détectée par le watchdog (effacée au démarrage suivant)
+const CRASH_SCHEMA = {
+    type: 'object',
+    required: ['detectedAt', 'reason'],
+    properties: {
+        detectedAt: { type: 'string' },
+        reason: { type: 'string' },
+        restarts: { type: 'integer' },
+        logPath: { type: 'string' }
+    }
+};
+
+const SERVICE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'pm2Name', 'directory', 'command', 'setupCommands'],
+    properties: {
+        name: { type: 'string', pattern: NAME_PATTERN },
+        pm2Name: { type: 'string' },
+        directory: { type: 'string' },
+        command: { type: 'string' },
+        setupCommands: { type: 'array', items: { type: 'string' } },
+        description: { type: 'string' },
+        port: { type: 'integer' },
+        dataDirs: { type: 'array', items: { type: 'string' } },
+        pm2: PM2_OPTIONS_SCHEMA,
+        crash: CRASH_SCHEMA,
+        env: ENV_SCHEMA,
+        secrets: SECRET_REFS_SCHEMA,
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+    }
+};
+
+const BACKUP_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        target: { type: 'string' },
+        schedule: { type: 'string' },
+        retention: {
+            type: 'object',
+            properties: {
+                daily: { type: 'integer' },
+                weekly: { type: 'integer' }
+            }
+        }
+    }
+};
+
+const QUOTA_SCHEMA = {
+    type: 'object',
+    required: ['limitMB'],
+    properties: {
+        limitMB: { type: 'integer' },
+        warnPercent: { type: 'integer' }
+    }
+};
+
+const SCHEMAS = {
+    [CONFIG_KINDS.projects]: {
+        type: 'object',
+        required: ['schemaVersion', 'projects'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            updatedAt: { type: 'string' },
+            projects: {
+                type: 'array',
+                unique: 'name',
+                items: {
+                    type: 'object',
+                    required: ['name', 'path', 'sftpUser'],
+                    properties: {
+                        name: { type: 'string', pattern: NAME_PATTERN },
+                        path: { type: 'string' },
+                        sftpUser: { type: 'string' },
+                        runUser: { type: 'string' },
+                        createdAt: { type: 'string' },
+                        suspended: { type: 'boolean' },
+                        suspendedAt: { type: 'string' },
+                        suspendedServices: { type: 'array', items: { type: 'string' } },
+                        tags: { type: 'array', items: { type: 'string', pattern: TAG_PATTERN } }
+                    }
+                }
+            }
+        }
+    },
+    [CONFIG_KINDS.project]: {
+        type: 'object',
+        required: ['schemaVersion', 'name', 'services'],
+        properties: {
+            schemaVersion: { type: 'integer' },
+            name: { type: 'string', pattern: NAME_PATTERN },
+            path: { type: 'string' },
+            sftpUser: { type: 'string' },
+            runUser: { type: 'string' },
+            services: { type: 'array', unique: 'name', items: SERVICE_SCHEMA },
+            env: ENV_SCHEMA,
+            secrets: SECRET_REFS_SCHEMA,
+            backup: BACKUP_SCHEMA,
+            quota: QUOTA_SCHEMA,
+            createdAt: { type: 'string' },
+            adoptedAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Migrations: MIGRATIONS[kind][n] transforme un document v<n> en v<n+1>
+ * context: { projectName } pour project.json
+ */
+const MIGRATIONS = {
+    [CONFIG_KINDS.projects]: {
+        // v0 → v1: chemins et utilisateurs SFTP explicites
+        0: (doc) => ({
+            ...doc,
+            projects: (doc.projects || []).map(project => ({
+                ...project,
+                path: project.path || path.join(BASE_PATH, project.name),
+                sftpUser: project.sftpUser || `${SFTP_USER_PREFIX}${project.name}`
+            }))
+        }),
+        // v1 → v2: champs facultatifs runUser, suspension et tags, rien à convertir
+        1: (doc) => doc
+    },
+    [CONFIG_KINDS.project]: {
+        // v0 → v1: services complets (pm2Name, setupCommands, command, directory)
+        0: (doc, { projectName }) => {
+            const name = doc.name || projectName;
+            return {
+                ...doc,
+                name,
+                path: doc.path || path.join(BASE_PATH, name),
+                sftpUser: doc.sftpUser || `${SFTP_USER_PREFIX}${name}`,
+                services: (doc.services || []).map(service => ({
+                    ...service,
+                    pm2Name: service.pm2Name || `${name}-${service.name}`,
+                    directory: service.directory || path.join(BASE_PATH, name, PROJECT_STRUCTURE.sites, service.name),
+                    command: service.command || 'npm start',
+                    setupCommands: service.setupCommands || [],
+                    description: service.description || ''
+                }))
+            };
+        },
+        // v1 → v2: champs facultatifs (env, secrets, backup, quota, runUser;
+        // services: port, dataDirs, pm2, crash, env, secrets), rien à convertir
+        1: (doc) => doc
+    }
+};
+
+/**
+ * Type JSON d'une valeur (distingue array, null et integer)
+ * @param {*} value - Valeur
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Valide récursivement une valeur et accumule les erreurs
+ * @param {*} value - Valeur
+ * @param {object} schema - Schéma
+ * @param {string} fieldPath - Chemin de la valeur (ex: services[2].pm2Name)
+ * @param {Array<{path: string, message: string}>} errors - Erreurs accumulées
+ */
+function validateValue(value, schema, fieldPath, errors) {
+    const actual = typeOf(value);
+    // Type unique ou liste de types admis (ex: ['integer', 'string'])
+    const types = [].concat(schema.type);
+    const typeMatches = types.includes(actual) || (types.includes('number') && actual === 'integer');
+
+    if (!typeMatches) {
+        errors.push({ path: fieldPath, message: `doit être de type ${types.join(' ou ')} (reçu: ${actual})` });
+        return;
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push({ path: fieldPath, message: `valeur invalide: ${JSON.stringify(value)}` });
+    }
+
+    if (schema.type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                errors.push({ path: fieldPath ? `${fieldPath}.${field}` : field, message: 'champ requis manquant' });
+            }
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) {
+                validateValue(value[field], fieldSchema, fieldPath ? `${fieldPath}.${field}` : field, errors);
+            }
+        }
+        // Dictionnaire: clés libres (format optionnel), valeurs d'un même schéma
+        if (schema.values) {
+            for (const [key, item] of Object.entries(value)) {
+                const itemPath = fieldPath ? `${fieldPath}.${key}` : key;
+                if (schema.keys && !schema.keys.test(key)) {
+                    errors.push({ path: itemPath, message: `clé invalide: ${JSON.stringify(key)}` });
+                }
+                validateValue(item, schema.values, itemPath, errors);
+            }
+        }
+    }
+
+    if (schema.type === 'array') {
+        const seen = new Set();
+        value.forEach((item, i) => {
+            validateValue(item, schema.items, `${fieldPath}[${i}]`, errors);
+            if (schema.unique && item && typeof item === 'object') {
+                if (seen.has(item[schema.unique])) {
+                    errors.push({ path: `${fieldPath}[${i}].${schema.unique}`, message: `doublon: ${item[schema.unique]}` });
+                }
+                seen.add(item[schema.unique]);
+            }
+        });
+    }
+}
+
+/**
+ * Valide un document de configuration
+ * @param {string} kind - Type (CONFIG_KINDS)
+ * @param {object} document - Document
+ * @returns {Array<{path: string, message: string}>} - Erreurs (vide si valide)
+ */
+export function validate(kind, document) {
+    const errors = [];
+    validateValue(document, SCHEMAS[kind], '', errors);
+    return errors;
+}
+
+/**
+ * Valide un document et lève une erreur détaillée s'il est invalide
+ * @param {string} kind - Type (CONFIG_KINDS)
+ * @param {object} document - Document
+ * @param {string} filePath - Fichier d'origine (pour le message)
+ */
+export function assertValid(kind, document, filePath) {
+    const errors = validate(kind, document);
+
+    if (errors.length > 0) {
+        const lines = errors.map(e => `  - ${e.path || '/'}: ${e.message}`).join('\n');
+        throw validationError(`${filePath} ne respecte pas le schéma v${CONFIG_SCHEMA_VERSION}:\n${lines}`, { file: filePath, errors });
+    }
+}
+
+/**
+ * Met un document à niveau jusqu'à la version courante
+ * @param {string} kind - Type (CONFIG_KINDS)
+ * @param {object} document - Document lu
+ * @param {object} context - Contexte des migrations ({ projectName })
+ * @param {string} filePath - Fichier d'origine (pour le message)
+ * @returns {{document: object, fromVersion: number|null}} - fromVersion null si déjà à jour
+ */
+export function migrate(kind, document, context, filePath) {
+    const fromVersion = document.schemaVersion ?? 0;
+
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw validationError(`${filePath}: schemaVersion invalide (${JSON.stringify(document.schemaVersion)})`, { file: filePath });
+    }
+
+    if (fromVersion > CONFIG_SCHEMA_VERSION) {
+        throw validationError(
+            `${filePath} utilise le schéma v${fromVersion}, plus récent que celui de cet outil (v${CONFIG_SCHEMA_VERSION}). Mettez l'outil à jour.`,
+            { file: filePath }
+        );
+    }
+
+    if (fromVersion === CONFIG_SCHEMA_VERSION) {
+        return { document, fromVersion: null };
+    }
+
+    let migrated = document;
+    for (let version = fromVersion; version < CONFIG_SCHEMA_VERSION; version++) {
+        const { schemaVersion, ...upgraded } = MIGRATIONS[kind][version](migrated, context);
+        migrated = { schemaVersion: version + 1, ...upgraded };
+    }
+
+    return { document: migrated, fromVersion };
+}
+
+export default {
+    CONFIG_SCHEMA_VERSION,
+    CONFIG_KINDS,
+    TAG_PATTERN,
+    ENV_NAME_PATTERN,
+    SECRET_NAME_PATTERN,
+    validate,
+    assertValid,
+    migrate
+};
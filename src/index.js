@@ -9,6 +9,7 @@
  * - Gestion des services via PM2
  * - Génération automatique de scripts start/stop
  * - Interface CLI interactive
+ * - Sous-commandes non interactives (voir --help)
  * 
  * @requires Node.js 20+
  * @requires Ubuntu 22.04
@@ -17,9 +18,11 @@
 
 import chalk from 'chalk';
 import menu from './ui/menu.js';
+import cli from './ui/cli.js';
 import projects from './modules/projects.js';
 import shell from './utils/shell.js';
 import logger from './utils/logger.js';
+import dryrun from './utils/dryrun.js';
 
 /**
  * Vérifie les prérequis système
@@ -94,6 +97,14 @@ async function mainLoop() {
                     await menu.createProjectForm();
                     break;
 
+                case 'import':
+                    await menu.importProjectForm();
+                    break;
+
+                case 'adopt':
+                    await menu.adoptProjectForm();
+                    break;
+
                 case 'manage':
                     const projectName = await menu.selectProject();
                     if (projectName) {
@@ -105,6 +116,10 @@ async function mainLoop() {
                     await menu.deleteProjectForm();
                     break;
 
+                case 'bulk':
+                    await menu.bulkActionForm();
+                    break;
+
                 case 'pm2status':
                     await menu.showPm2Status();
                     break;
@@ -113,6 +128,14 @@ async function mainLoop() {
                     await menu.regenerateAllScriptsAction();
                     break;
 
+                case 'doctor':
+                    await menu.doctorAction();
+                    break;
+
+                case 'audit':
+                    await menu.auditLogAction();
+                    break;
+
                 case 'exit':
                     console.log(chalk.cyan('\n👋 Au revoir !\n'));
                     process.exit(0);
@@ -166,7 +189,20 @@ function setupSignalHandlers() {
  * Point d'entrée principal
  */
 async function main() {
+    // --dry-run est global: valable pour le menu comme pour les sous-commandes
+    const argv = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+
+    if (argv.length !== process.argv.length - 2) {
+        dryrun.enable();
+    }
+
     try {
+        // L'aide ne nécessite aucun prérequis
+        if (cli.hasCommand(argv) && cli.isHelpRequest(argv)) {
+            cli.printUsage();
+            process.exit(0);
+        }
+
         // Configuration des gestionnaires de signaux
         setupSignalHandlers();
 
@@ -181,6 +217,12 @@ async function main() {
         // Initialisation
         await initialize();
 
+        // Mode non interactif si des arguments sont fournis
+        if (cli.hasCommand(argv)) {
+            const exitCode = await cli.run(argv);
+            process.exit(exitCode);
+        }
+
         // Démarrer la boucle principale
         await mainLoop();
 
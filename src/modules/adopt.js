@@ -0,0 +1,382 @@
+/**
+ * Module d'adoption de projets existants
+ *
+ * Reprend sous gestion un dossier de BASE_PATH installé à la main:
+ *   1. le dossier est enregistré comme projet (sites/ et scripts/ ajoutés
+ *      si besoin, propriétaire du chroot corrigé);
+ *   2. l'utilisateur sftp_<projet> est créé, ou rattaché s'il existe déjà;
+ *   3. les processus PM2 lancés depuis le dossier deviennent des services,
+ *      sans redémarrage: ils conservent leur nom PM2 d'origine.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, SFTP_GROUP } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import ports from './ports.js';
+import scripts from './scripts.js';
+import sftp from './sftp.js';
+import runtime from './runtime.js';
+import ecosystem from './ecosystem.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import schema from '../config/schema.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { validationError, notFoundError, conflictError } from '../utils/errors.js';
+
+// Scripts d'entrée des gestionnaires de paquets, tels que PM2 les résout
+const PACKAGE_MANAGERS = {
+    'npm-cli.js': 'npm',
+    'npx-cli.js': 'npx',
+    'yarn.js': 'yarn',
+    'yarn.cjs': 'yarn',
+    'pnpm.cjs': 'pnpm'
+};
+
+// Entrées du dossier projet gérées par l'outil
+const MANAGED_ENTRIES = [PROJECT_STRUCTURE.sites, PROJECT_STRUCTURE.scripts, PROJECT_STRUCTURE.config, '.ssh'];
+
+/**
+ * Protège un argument de commande si nécessaire
+ * @param {string} value - Argument
+ * @returns {string}
+ */
+function quoteArg(value) {
+    const text = String(value);
+    return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Reconstitue la commande de démarrage d'un processus PM2
+ * @param {object} env - pm2_env du processus
+ * @returns {string}
+ */
+export function commandFromPm2(env) {
+    const cwd = env.pm_cwd || '';
+    const execPath = env.pm_exec_path || '';
+    const args = Array.isArray(env.args) ? env.args : (env.args ? String(env.args).split(' ') : []);
+
+    const packageManager = PACKAGE_MANAGERS[path.basename(execPath)];
+    if (packageManager) {
+        return [packageManager, ...args].map(quoteArg).join(' ');
+    }
+
+    const script = execPath.startsWith(cwd + '/') ? path.relative(cwd, execPath) : execPath;
+    const interpreter = env.exec_interpreter && env.exec_interpreter !== 'none'
+        ? [path.basename(env.exec_interpreter), ...(Array.isArray(env.node_args) ? env.node_args : [])]
+        : [];
+
+    return [...interpreter, script, ...args].map(quoteArg).join(' ');
+}
+
+/**
+ * Nom de service dérivé d'un nom de processus PM2
+ * @param {string} projectName - Nom du projet
+ * @param {string} pm2Name - Nom du processus
+ * @param {Set<string>} taken - Noms déjà attribués
+ * @returns {string}
+ */
+function serviceNameFor(projectName, pm2Name, taken) {
+    let base = pm2Name.startsWith(`${projectName}-`) ? pm2Name.slice(projectName.length + 1) : pm2Name;
+    base = base.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^[^a-zA-Z]+/, '') || 'app';
+
+    let name = base;
+    for (let i = 2; taken.has(name); i++) {
+        name = `${base}-${i}`;
+    }
+
+    taken.add(name);
+    return name;
+}
+
+/**
+ * Dossiers de BASE_PATH pouvant être adoptés (non gérés, nom valide)
+ * @returns {Array<string>} - Noms des dossiers
+ */
+export function listAdoptableDirectories() {
+    if (!files.exists(BASE_PATH)) {
+        return [];
+    }
+
+    const managed = new Set(projects.loadProjects().map(p => p.name));
+
+    return fs.readdirSync(BASE_PATH, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !managed.has(entry.name) && /^[a-zA-Z][a-zA-Z0-9_-]*$/.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Analyse un dossier avant adoption
+ * Retient les processus PM2 dont le dossier de travail est dans le projet
+ * et qui ne sont déclarés dans aucun projet géré.
+ * @param {string} projectName - Nom du projet (dossier BASE_PATH/<nom>)
+ * @returns {Promise<object>} - { projectPath, userExists, services, warnings }
+ */
+export async function scanDirectory(projectName) {
+    const projectPath = path.join(BASE_PATH, projectName);
+
+    if (!files.exists(projectPath)) {
+        throw notFoundError(`Le dossier ${projectPath} n'existe pas (utilisez la création de projet)`);
+    }
+
+    const known = new Set();
+    for (const project of projects.loadProjects()) {
+        for (const service of projects.loadProjectConfig(project.name).services || []) {
+            known.add(service.pm2Name);
+        }
+    }
+
+    const taken = new Set();
+    const warnings = [];
+    const candidates = [];
+    const allocated = new Map(ports.listAllocations().map(a => [a.port, a]));
+    const processes = await shell.listPm2Processes();
+
+    for (const proc of processes) {
+        const env = proc.pm2_env || {};
+        const cwd = env.pm_cwd || '';
+
+        // Une seule entrée par nom: les instances d'un même processus forment un service
+        if (known.has(proc.name) || !(cwd === projectPath || cwd.startsWith(projectPath + '/'))) {
+            continue;
+        }
+        known.add(proc.name);
+
+        const command = commandFromPm2(env);
+        const instances = processes.filter(p => p.name === proc.name).length;
+        const pm2Options = {
+            ...ecosystem.pm2OptionsFromProcess(env),
+            ...(instances > 1 ? { instances } : {})
+        };
+
+        if (env.exec_mode === 'cluster_mode') {
+            try {
+                ecosystem.checkPm2Options({ command, pm2: { execMode: 'cluster' } });
+                pm2Options.execMode = 'cluster';
+            } catch {
+                warnings.push(`${proc.name}: mode cluster non repris (commande ${command}), le service redémarrera en mode fork`);
+            }
+        }
+
+        // Port repris seulement s'il est explicite (variable PORT du processus)
+        const declaredPort = parseInt(env.env?.PORT ?? env.PORT, 10);
+        const port = Number.isInteger(declaredPort) && declaredPort > 0 && declaredPort <= 65535 ? declaredPort : null;
+        if (port && allocated.has(port)) {
+            const owner = allocated.get(port);
+            warnings.push(`${proc.name}: le port ${port} est déjà attribué à ${owner.project}/${owner.service}`);
+        }
+
+        candidates.push({
+            name: serviceNameFor(projectName, proc.name, taken),
+            pm2Name: proc.name,
+            directory: cwd,
+            command,
+            port,
+            pm2: pm2Options,
+            status: env.status || 'stopped'
+        });
+    }
+
+    // Le chroot appartient à root: hors de sites/, rien n'est modifiable en SFTP
+    const unmanaged = fs.readdirSync(projectPath).filter(entry => !MANAGED_ENTRIES.includes(entry));
+    if (unmanaged.length > 0) {
+        warnings.push(`Hors de ${PROJECT_STRUCTURE.sites}/, non modifiables en SFTP: ${unmanaged.join(', ')}`);
+    }
+
+    return {
+        projectPath,
+        userExists: shell.userExists(`${SFTP_USER_PREFIX}${projectName}`),
+        services: candidates,
+        warnings
+    };
+}
+
+/**
+ * Lit le propriétaire et le mode d'un chemin
+ * @param {string} target - Chemin
+ * @returns {object|null} - { uid, gid, mode } ou null s'il n'existe pas
+ */
+function readOwnership(target) {
+    try {
+        const stats = fs.statSync(target);
+        return { uid: stats.uid, gid: stats.gid, mode: (stats.mode & 0o7777).toString(8) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Rétablit un propriétaire et un mode lus par readOwnership
+ * @param {string} target - Chemin
+ * @param {object|null} ownership - Propriétaire et mode d'origine
+ * @returns {Promise<void>}
+ */
+async function restoreOwnership(target, ownership) {
+    if (ownership && files.exists(target)) {
+        await shell.execCommand(`chown ${ownership.uid}:${ownership.gid} ${target}`);
+        files.chmod(target, ownership.mode);
+    }
+}
+
+/**
+ * Adopte un dossier existant de BASE_PATH comme projet
+ * @param {string} projectName - Nom du projet (dossier BASE_PATH/<nom>)
+ * @param {object} options - Options
+ * @param {string} [options.password] - Mot de passe SFTP (requis si l'utilisateur n'existe pas)
+ * @returns {Promise<object>} - { project, userCreated, services, warnings }
+ */
+export async function adoptProject(projectName, { password } = {}) {
+    return store.withLock(async () => {
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(projectName)) {
+            throw validationError('Le nom du projet doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+        }
+
+        if (projects.projectExists(projectName)) {
+            throw conflictError(`Le projet ${projectName} existe déjà`);
+        }
+
+        const scan = await scanDirectory(projectName);
+        const { projectPath } = scan;
+        const sitesPath = path.join(projectPath, PROJECT_STRUCTURE.sites);
+        const scriptsPath = path.join(projectPath, PROJECT_STRUCTURE.scripts);
+        const configPath = path.join(projectPath, PROJECT_STRUCTURE.config);
+        const username = `${SFTP_USER_PREFIX}${projectName}`;
+
+        if (files.exists(configPath)) {
+            throw conflictError(`${configPath} existe déjà: vérifiez l'état avec "project-manager doctor"`);
+        }
+
+        if (!scan.userExists && !password) {
+            throw validationError(`Mot de passe requis pour créer l'utilisateur ${username}`);
+        }
+
+        logger.info(`Adoption de ${projectPath}...`);
+
+        const createdDirectories = [sitesPath, scriptsPath].filter(dir => !files.exists(dir));
+        const previousOwnership = { project: readOwnership(projectPath), sites: readOwnership(sitesPath) };
+        const previousProjects = projects.loadProjects();
+        const projectConfig = {
+            schemaVersion: schema.CONFIG_SCHEMA_VERSION,
+            name: projectName,
+            path: projectPath,
+            sftpUser: username,
+            services: [],
+            createdAt: new Date().toISOString(),
+            adoptedAt: new Date().toISOString()
+        };
+        const newProjects = [...previousProjects, {
+            name: projectName,
+            path: projectPath,
+            sftpUser: username,
+            createdAt: projectConfig.createdAt
+        }];
+
+        let previousAccount = null;
+
+        await runTransaction('adoptProject', [
+            {
+                description: 'Création des dossiers manquants',
+                run: () => createdDirectories.forEach(dir => files.mkdir(dir)),
+                undo: () => createdDirectories.forEach(dir => files.remove(dir))
+            },
+            {
+                description: `Propriétaire du chroot ${projectPath}`,
+                run: async () => {
+                    await shell.execCommand(`chown root:root ${projectPath}`);
+                    files.chmod(projectPath, '755');
+                },
+                undo: async () => {
+                    await restoreOwnership(sitesPath, previousOwnership.sites);
+                    await restoreOwnership(projectPath, previousOwnership.project);
+                }
+            },
+            scan.userExists ? {
+                description: `Rattachement de l'utilisateur SFTP ${username}`,
+                run: async () => {
+                    previousAccount = await sftp.attachSftpUser(projectName);
+                },
+                undo: () => shell.execCommand(`usermod -g ${previousAccount.group} -d ${previousAccount.home} -s ${previousAccount.shell} ${username}`)
+            } : {
+                description: `Création de l'utilisateur SFTP ${username}`,
+                run: () => sftp.createSftpUser(projectName, password),
+                undo: () => sftp.deleteSftpUser(projectName),
+                undoOnFailure: true
+            },
+            {
+                description: 'Écriture de project.json',
+                run: () => projects.saveProjectConfig(projectName, projectConfig),
+                undo: () => {
+                    files.remove(configPath);
+                    files.remove(`${configPath}.bak`);
+                }
+            },
+            {
+                description: 'Enregistrement des processus PM2 comme services',
+                run: () => {
+                    for (const candidate of scan.services) {
+                        services.addService(projectName, {
+                            name: candidate.name,
+                            pm2Name: candidate.pm2Name,
+                            directory: candidate.directory,
+                            command: candidate.command,
+                            port: candidate.port,
+                            pm2: candidate.pm2,
+                            description: `Adopté depuis PM2 (${candidate.pm2Name})`
+                        });
+                    }
+                },
+                // Services supprimés avec project.json, ports libérés
+                undo: () => ports.releaseProjectPorts(projectName)
+            },
+            {
+                description: 'Ajout du projet à projects.json',
+                run: () => projects.saveProjects(newProjects),
+                undo: () => projects.saveProjects(previousProjects)
+            },
+            {
+                description: 'Mise à jour de la configuration SSH',
+                run: () => sftp.updateSSHConfig(newProjects),
+                undo: () => sftp.updateSSHConfig(previousProjects)
+            },
+            {
+                // Irréversible: vient en dernier
+                description: `Attribution de ${PROJECT_STRUCTURE.sites}/ à ${username}`,
+                run: async () => {
+                    await shell.execCommand(`chown -R ${username}:${SFTP_GROUP} ${sitesPath}`);
+                    runtime.applyPermissions(projectName);
+                },
+                undo: null
+            }
+        ]);
+
+        scripts.generateScripts(projectName);
+
+        for (const warning of scan.warnings) {
+            logger.warn(warning);
+        }
+
+        // Les processus repris ne sont pas interrompus: ils restent sous leur utilisateur d'origine
+        logger.warn(`Services non isolés: "project-manager project isolate ${projectName}" les relance sous ${runtime.runtimeUserName(projectName)}`);
+
+        logger.success(`Projet ${projectName} adopté (${scan.services.length} processus PM2 repris)`);
+
+        return {
+            project: projectName,
+            userCreated: !scan.userExists,
+            services: scan.services,
+            warnings: scan.warnings
+        };
+    });
+}
+
+export default {
+    commandFromPm2,
+    listAdoptableDirectories,
+    scanDirectory,
+    adoptProject: audited('adoptProject', adoptProject, ['projectName', 'options'])
+};
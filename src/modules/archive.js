@@ -0,0 +1,420 @@
+/**
+ * Module d'export / import de projets (migration entre serveurs)
+ *
+ * Une archive .tar.gz contient:
+ *   export.json   - Métadonnées (version du format, projet, chemin d'origine)
+ *   project.json  - Configuration du projet et définition des services
+ *   pm2.json      - État et réglages PM2 des services au moment de l'export
+ *   sftp.json     - Empreinte du mot de passe et clés SSH de l'utilisateur SFTP
+ *   sites/        - Code des services (node_modules exclus sur demande)
+ *
+ * L'import recrée le projet par les chemins habituels (createProject,
+ * addService), en remappant le nom et le chemin de base si besoin. Il est
+ * transactionnel: en cas d'échec, le projet à moitié importé est supprimé.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, SFTP_GROUP } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import environment from './environment.js';
+import secrets from './secrets.js';
+import runtime from './runtime.js';
+import ecosystem from './ecosystem.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { ERROR_CODES, validationError, notFoundError, conflictError } from '../utils/errors.js';
+
+/**
+ * Version du format d'archive
+ */
+export const ARCHIVE_FORMAT_VERSION = 1;
+
+// Réglages PM2 conservés dans pm2.json
+const PM2_SETTINGS = ['exec_mode', 'instances', 'max_memory_restart', 'autorestart', 'kill_timeout', 'max_restarts', 'min_uptime', 'exp_backoff_restart_delay', 'cron_restart'];
+
+/**
+ * Lit l'empreinte du mot de passe et les clés SSH d'un utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @returns {object}
+ */
+function readSftpCredentials(projectName) {
+    const username = `${SFTP_USER_PREFIX}${projectName}`;
+    let passwordHash = null;
+
+    try {
+        const shadow = shell.execSyncSafe(`getent shadow ${username}`, { readOnly: true });
+        const hash = shadow.split(':')[1];
+        // '!' ou '*': compte sans mot de passe utilisable
+        passwordHash = hash && !/^[!*]/.test(hash) ? hash : null;
+    } catch {
+        logger.warn(`Empreinte du mot de passe de ${username} introuvable`);
+    }
+
+    const keysPath = path.join(BASE_PATH, projectName, '.ssh', 'authorized_keys');
+    const authorizedKeys = files.exists(keysPath) ? files.readFile(keysPath) : null;
+
+    return { username, passwordHash, authorizedKeys };
+}
+
+/**
+ * Lit l'état et les réglages PM2 des services d'un projet
+ * @param {object} projectConfig - Configuration du projet
+ * @returns {Promise<Array<object>>}
+ */
+async function readPm2Settings(projectConfig) {
+    const processes = await shell.listPm2Processes();
+
+    return projectConfig.services.map(service => {
+        const proc = processes.find(p => p.name === service.pm2Name);
+        const env = proc?.pm2_env || {};
+
+        return {
+            service: service.name,
+            status: env.status || 'stopped',
+            settings: Object.fromEntries(PM2_SETTINGS.filter(key => env[key] !== undefined).map(key => [key, env[key]]))
+        };
+    });
+}
+
+/**
+ * Exporte un projet dans une archive
+ * @param {string} projectName - Nom du projet
+ * @param {object} options - Options
+ * @param {string} [options.output] - Chemin de l'archive (défaut: ./<projet>-<date>.tar.gz)
+ * @param {boolean} [options.includeNodeModules] - Inclure les dossiers node_modules
+ * @returns {Promise<string>} - Chemin de l'archive
+ */
+export async function exportProject(projectName, { output, includeNodeModules = true } = {}) {
+    if (!projects.projectExists(projectName)) {
+        throw notFoundError(`Le projet ${projectName} n'existe pas`);
+    }
+
+    const projectPath = path.join(BASE_PATH, projectName);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const archivePath = path.resolve(output || `${projectName}-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+
+    logger.info(`Export du projet ${projectName}...`);
+
+    const metadata = {
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sourceHost: os.hostname(),
+        project: projectName,
+        basePath: BASE_PATH,
+        includesNodeModules: includeNodeModules
+    };
+
+    // Les métadonnées sont préparées dans un dossier temporaire privé
+    const stagingPath = fs.mkdtempSync(path.join(os.tmpdir(), 'project-export-'));
+
+    try {
+        const writeJson = (name, data) => fs.writeFileSync(path.join(stagingPath, name), JSON.stringify(data, null, 2), { mode: 0o600 });
+        writeJson('export.json', metadata);
+        writeJson(PROJECT_STRUCTURE.config, projectConfig);
+        writeJson('pm2.json', await readPm2Settings(projectConfig));
+        writeJson('sftp.json', readSftpCredentials(projectName));
+
+        const exclude = includeNodeModules ? '' : '--exclude=node_modules ';
+        await shell.execCommand(
+            `tar -czf ${shell.quote(archivePath)} ${exclude}-C ${shell.quote(stagingPath)} export.json ${PROJECT_STRUCTURE.config} pm2.json sftp.json -C ${shell.quote(projectPath)} ${PROJECT_STRUCTURE.sites}`
+        );
+        files.chmod(archivePath, '600');
+    } finally {
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+    }
+
+    logger.success(`Archive créée: ${archivePath}`);
+    logger.warn('L\'archive contient l\'empreinte du mot de passe SFTP: conservez-la en lieu sûr.');
+
+    // Chiffrés avec la clé de cet hôte: seules les références sont exportées
+    const secretNames = secrets.listSecrets(projectName).map(s => s.name);
+    if (secretNames.length > 0) {
+        logger.warn(`Secrets non inclus, à recréer sur le serveur cible: ${secretNames.join(', ')}`);
+    }
+
+    return archivePath;
+}
+
+/**
+ * Lit et valide un fichier JSON extrait d'une archive
+ * @param {string} extractPath - Dossier d'extraction
+ * @param {string} name - Nom du fichier
+ * @returns {object}
+ */
+function readArchiveJson(extractPath, name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(extractPath, name), 'utf8'));
+    } catch (error) {
+        throw validationError(`Archive invalide: ${name} illisible (${error.message})`);
+    }
+}
+
+/**
+ * Remappe un chemin de l'ancien dossier projet vers le nouveau
+ * @param {string} directory - Chemin d'origine
+ * @param {string} oldProjectPath - Ancien dossier du projet
+ * @param {string} newProjectPath - Nouveau dossier du projet
+ * @returns {string|null} - null si le chemin est hors du projet
+ */
+function remapPath(directory, oldProjectPath, newProjectPath) {
+    if (directory === oldProjectPath || directory.startsWith(oldProjectPath + '/')) {
+        return newProjectPath + directory.slice(oldProjectPath.length);
+    }
+    return null;
+}
+
+/**
+ * Options PM2 d'un service (champ "pm2") à partir de ses réglages dans pm2.json
+ * Les options déclarées dans project.json priment; les valeurs que l'outil
+ * ne sait pas représenter sont ignorées.
+ * @param {object} service - Service (project.json de l'archive)
+ * @param {object} settings - Réglages PM2 du service (pm2.json)
+ * @returns {object}
+ */
+function pm2OptionsFromArchive(service, settings = {}) {
+    const options = ecosystem.pm2OptionsFromProcess(settings);
+
+    // pm2_env conserve la mémoire maximale en octets
+    const memory = typeof settings.max_memory_restart === 'number'
+        ? `${Math.max(1, Math.round(settings.max_memory_restart / 1024 ** 2))}M`
+        : settings.max_memory_restart;
+    const extra = {
+        instances: settings.instances === 'max' || settings.instances > 1 ? settings.instances : undefined,
+        maxMemoryRestart: memory,
+        execMode: settings.exec_mode === 'cluster_mode' && !service.pm2?.execMode ? 'cluster' : undefined
+    };
+
+    for (const [field, value] of Object.entries(extra).filter(([, value]) => value !== undefined)) {
+        try {
+            Object.assign(options, ecosystem.mergePm2Options({}, { [field]: value }));
+        } catch {
+            logger.warn(`Service ${service.name}: option PM2 ${field} non reprise (${value})`);
+        }
+    }
+
+    const merged = { ...options, ...service.pm2 };
+    if (options.execMode === 'cluster') {
+        try {
+            ecosystem.checkPm2Options({ command: service.command, pm2: merged });
+        } catch {
+            logger.warn(`Service ${service.name}: mode cluster non repris (commande ${service.command}), le service démarrera en mode fork`);
+            delete merged.execMode;
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Importe un projet depuis une archive
+ * @param {string} archivePath - Chemin de l'archive
+ * @param {object} options - Options
+ * @param {string} [options.name] - Nouveau nom du projet (défaut: nom d'origine)
+ * @param {boolean} [options.start] - Démarrer les services actifs lors de l'export
+ * @param {boolean} [options.allowExternalDirs] - Accepter les services dont le
+ *   dossier est hors du projet (sinon: erreur de validation, la liste figure
+ *   dans details.externalDirectories)
+ * @returns {Promise<object>} - { project, services, started }
+ */
+export async function importProject(archivePath, { name, start = false, allowExternalDirs = false } = {}) {
+    if (!fs.existsSync(archivePath)) {
+        throw notFoundError(`Archive introuvable: ${archivePath}`);
+    }
+
+    // L'extraction n'écrit que dans un dossier temporaire privé (même en simulation)
+    const extractPath = fs.mkdtempSync(path.join(os.tmpdir(), 'project-import-'));
+
+    try {
+        await shell.execCommand(`tar -xzf ${shell.quote(archivePath)} -C ${shell.quote(extractPath)}`, { readOnly: true });
+
+        const metadata = readArchiveJson(extractPath, 'export.json');
+        if (metadata.formatVersion !== ARCHIVE_FORMAT_VERSION) {
+            throw validationError(`Format d'archive non supporté: v${metadata.formatVersion} (attendu: v${ARCHIVE_FORMAT_VERSION})`);
+        }
+
+        const sourceConfig = readArchiveJson(extractPath, PROJECT_STRUCTURE.config);
+        const pm2Settings = readArchiveJson(extractPath, 'pm2.json');
+        const credentials = readArchiveJson(extractPath, 'sftp.json');
+
+        const projectName = name || metadata.project;
+        const oldProjectPath = path.join(metadata.basePath, metadata.project);
+        const newProjectPath = path.join(BASE_PATH, projectName);
+        const username = `${SFTP_USER_PREFIX}${projectName}`;
+
+        if (projects.projectExists(projectName)) {
+            throw conflictError(`Le projet ${projectName} existe déjà`);
+        }
+
+        // Dossiers hors du projet: ni remappés ni copiés, ils doivent exister
+        // sur ce serveur et ne sont acceptés que sur confirmation explicite
+        const externalDirectories = (sourceConfig.services || [])
+            .filter(service => !remapPath(service.directory, oldProjectPath, newProjectPath))
+            .map(service => ({ service: service.name, directory: service.directory }));
+
+        if (externalDirectories.length > 0 && !allowExternalDirs) {
+            throw validationError(
+                `Dossiers hors du projet: ${externalDirectories.map(d => `${d.service} (${d.directory})`).join(', ')}. `
+                + 'Confirmez l\'import avec --allow-external-dirs',
+                { externalDirectories }
+            );
+        }
+
+        logger.info(`Import de ${metadata.project} (${metadata.sourceHost}, ${metadata.exportedAt}) sous le nom ${projectName}...`);
+
+        const sitesPath = path.join(newProjectPath, PROJECT_STRUCTURE.sites);
+        const imported = [];
+        const started = [];
+        let missingSecrets = [];
+
+        await runTransaction('importProject', [
+            {
+                description: `Création du projet ${projectName}`,
+                // Mot de passe provisoire, remplacé par l'empreinte d'origine
+                run: () => projects.createProject(projectName, crypto.randomBytes(24).toString('base64url')),
+                // Supprime aussi tout ce que les étapes suivantes ont créé
+                undo: () => projects.deleteProject(projectName, true)
+            },
+            {
+                description: `Identifiants SFTP de ${username}`,
+                run: async () => {
+                    if (credentials.passwordHash) {
+                        await shell.execCommand(`usermod -p ${shell.quote(credentials.passwordHash)} ${username}`, {
+                            displayCommand: `usermod -p '********' ${username}`
+                        });
+                    } else {
+                        logger.warn(`Aucune empreinte de mot de passe dans l'archive: définissez-le avec "project password ${projectName}"`);
+                    }
+
+                    if (credentials.authorizedKeys) {
+                        const sshPath = path.join(newProjectPath, '.ssh');
+                        files.mkdir(sshPath);
+                        files.writeFile(path.join(sshPath, 'authorized_keys'), credentials.authorizedKeys);
+                        await shell.execCommand(`chown -R ${username}:${SFTP_GROUP} ${shell.quote(sshPath)}`);
+                        await shell.execCommand(`chmod 700 ${shell.quote(sshPath)}`);
+                        files.chmod(path.join(sshPath, 'authorized_keys'), '600');
+                    }
+                },
+                undo: null
+            },
+            {
+                description: 'Copie du code des services',
+                run: async () => {
+                    // Les UID diffèrent d'un serveur à l'autre
+                    await shell.execCommand(`cp -a ${shell.quote(path.join(extractPath, PROJECT_STRUCTURE.sites))}/. ${shell.quote(sitesPath)}/`);
+                    runtime.applyPermissions(projectName);
+                },
+                undo: null
+            },
+            {
+                description: 'Ajout des services',
+                run: () => {
+                    for (const service of sourceConfig.services || []) {
+                        let directory = remapPath(service.directory, oldProjectPath, newProjectPath);
+                        if (!directory) {
+                            logger.warn(`Service ${service.name}: dossier ${service.directory} hors du projet, conservé tel quel`);
+                            directory = service.directory;
+                        }
+
+                        const settings = pm2Settings.find(entry => entry.service === service.name)?.settings;
+                        const pm2 = pm2OptionsFromArchive(service, settings);
+                        const definition = {
+                            name: service.name,
+                            directory,
+                            command: service.command,
+                            setupCommands: service.setupCommands,
+                            description: service.description,
+                            port: service.port,
+                            dataDirs: service.dataDirs,
+                            pm2: Object.keys(pm2).length > 0 ? pm2 : undefined,
+                            env: service.env,
+                            secrets: service.secrets
+                        };
+
+                        // Le port d'origine est repris s'il est libre sur ce serveur
+                        try {
+                            services.addService(projectName, definition);
+                        } catch (error) {
+                            if (!service.port || error.code !== ERROR_CODES.conflict || services.getService(projectName, service.name)) {
+                                throw error;
+                            }
+                            logger.warn(`Service ${service.name}: ${error.message}, nouveau port attribué`);
+                            services.addService(projectName, { ...definition, port: undefined });
+                        }
+                        imported.push(service.name);
+                    }
+                },
+                undo: null
+            },
+            {
+                description: 'Variables d\'environnement et secrets',
+                run: () => {
+                    if (sourceConfig.env) {
+                        environment.updateEnv(projectName, null, { env: sourceConfig.env });
+                    }
+
+                    // Les secrets ne voyagent pas: les références sont conservées telles
+                    // quelles et les services concernés ne démarreront qu'une fois les
+                    // secrets recréés
+                    if (sourceConfig.secrets) {
+                        const projectConfig = projects.loadProjectConfig(projectName);
+                        projects.saveProjectConfig(projectName, { ...projectConfig, secrets: sourceConfig.secrets });
+                    }
+
+                    missingSecrets = [...new Set(secrets.listReferences(projectName).map(ref => ref.secret))]
+                        .filter(secret => !secrets.secretExists(projectName, secret));
+                    if (missingSecrets.length > 0) {
+                        logger.warn(`Secrets à recréer (project-manager secret set ${projectName} <nom>): ${missingSecrets.join(', ')}`);
+                    }
+                },
+                undo: null
+            },
+            {
+                description: 'Génération des scripts',
+                run: () => scripts.generateScripts(projectName),
+                undo: null
+            },
+            {
+                description: 'Démarrage des services',
+                run: async () => {
+                    if (!start) {
+                        return;
+                    }
+
+                    for (const { service, status } of pm2Settings) {
+                        if (status === 'online' && imported.includes(service)) {
+                            const definition = services.getService(projectName, service);
+                            if (missingSecrets.length > 0 && environment.usesSecrets(projectName, definition)) {
+                                logger.warn(`Service ${service} non démarré: secrets à recréer`);
+                                continue;
+                            }
+                            await services.startService(projectName, service, true);
+                            started.push(service);
+                        }
+                    }
+                },
+                undo: null
+            }
+        ]);
+
+        logger.success(`Projet ${projectName} importé (${imported.length} service(s))`);
+        return { project: projectName, services: imported, started };
+    } finally {
+        fs.rmSync(extractPath, { recursive: true, force: true });
+    }
+}
+
+export default {
+    ARCHIVE_FORMAT_VERSION,
+    exportProject: audited('exportProject', exportProject, ['projectName', 'options']),
+    importProject: audited('importProject', importProject, ['archivePath', 'options'], {
+        target: ({ archivePath, options }) => options?.name || path.basename(archivePath)
+    })
+};
@@ -0,0 +1,539 @@
+/**
+ * Module de sauvegarde des projets
+ *
+ * Chaque sauvegarde est un instantané complet de /var/www/<projet>
+ * (sites, project.json, scripts) dans <cible>/<projet>/<id>/files. Les
+ * fichiers inchangés depuis l'instantané précédent sont des liens physiques
+ * (rsync --link-dest): chaque instantané se restaure seul, mais seules les
+ * différences occupent de la place.
+ *
+ * La planification passe par un fichier cron.d régénéré à partir des
+ * réglages "backup" de chaque project.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, SFTP_GROUP, BACKUP_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import runtime from './runtime.js';
+import ports from './ports.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { validationError, notFoundError, commandError } from '../utils/errors.js';
+
+/**
+ * Origine d'un instantané
+ */
+export const SNAPSHOT_TRIGGERS = {
+    manual: 'manual',
+    scheduled: 'scheduled',
+    preRestore: 'pre-restore'
+};
+
+const SNAPSHOT_METADATA = 'snapshot.json';
+const PARTIAL_SUFFIX = '.partial';
+
+// Expression cron à 5 champs (minute heure jour mois jour-de-semaine),
+// séparés par une seule espace: la ligne est écrite telle quelle dans cron.d
+const CRON_PATTERN = /^[\d*/,-]+( [\d*/,-]+){4}$/;
+
+/**
+ * Indique si une planification de sauvegarde est valide
+ * @param {string} schedule - Expression cron
+ * @returns {boolean}
+ */
+export function isValidSchedule(schedule) {
+    return typeof schedule === 'string' && CRON_PATTERN.test(schedule);
+}
+
+/**
+ * Réglages de sauvegarde d'un projet (valeurs par défaut complétées)
+ * @param {string} projectName - Nom du projet
+ * @returns {object} - { enabled, target, schedule, retention: { daily, weekly } }
+ */
+export function getBackupSettings(projectName) {
+    const backup = projects.loadProjectConfig(projectName).backup || {};
+
+    return {
+        enabled: backup.enabled ?? false,
+        target: backup.target || BACKUP_CONFIG.defaultTarget,
+        schedule: backup.schedule || BACKUP_CONFIG.defaultSchedule,
+        retention: { ...BACKUP_CONFIG.retention, ...backup.retention }
+    };
+}
+
+/**
+ * Dossier des instantanés d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} settings - Réglages (getBackupSettings)
+ * @returns {string}
+ */
+function snapshotsPath(projectName, settings = getBackupSettings(projectName)) {
+    return path.join(settings.target, projectName);
+}
+
+/**
+ * Liste les instantanés complets d'un projet, du plus récent au plus ancien
+ * Les instantanés interrompus (<id>.partial) sont ignorés.
+ * @param {string} projectName - Nom du projet
+ * @returns {Array<object>} - Métadonnées + path
+ */
+export function listSnapshots(projectName) {
+    const directory = snapshotsPath(projectName);
+
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const snapshots = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.endsWith(PARTIAL_SUFFIX)) continue;
+
+        const snapshotPath = path.join(directory, entry.name);
+        try {
+            const metadata = JSON.parse(fs.readFileSync(path.join(snapshotPath, SNAPSHOT_METADATA), 'utf8'));
+            snapshots.push({ ...metadata, path: snapshotPath });
+        } catch {
+            logger.debug(`Instantané ignoré (métadonnées illisibles): ${snapshotPath}`);
+        }
+    }
+
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Recherche un instantané par identifiant
+ * @param {string} projectName - Nom du projet
+ * @param {string} snapshotId - Identifiant
+ * @returns {object}
+ */
+export function getSnapshot(projectName, snapshotId) {
+    const snapshot = listSnapshots(projectName).find(s => s.id === snapshotId);
+
+    if (!snapshot) {
+        throw notFoundError(`Sauvegarde ${snapshotId} introuvable pour ${projectName}`);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Crée un instantané du projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} options - Options
+ * @param {string} [options.trigger] - Origine (SNAPSHOT_TRIGGERS)
+ * @param {boolean} [options.prune] - Appliquer la rétention ensuite (défaut: true)
+ * @returns {Promise<object>} - Métadonnées de l'instantané
+ */
+export async function createSnapshot(projectName, { trigger = SNAPSHOT_TRIGGERS.manual, prune = true } = {}) {
+    if (!projects.projectExists(projectName)) {
+        throw notFoundError(`Le projet ${projectName} n'existe pas`);
+    }
+
+    if (!shell.commandExists('rsync')) {
+        throw commandError('rsync est requis pour les sauvegardes (apt install rsync)');
+    }
+
+    const settings = getBackupSettings(projectName);
+    checkTarget(settings.target);
+    const directory = snapshotsPath(projectName, settings);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const previous = listSnapshots(projectName)[0];
+
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-');
+    const partialPath = path.join(directory, id + PARTIAL_SUFFIX);
+    const snapshotPath = path.join(directory, id);
+
+    logger.info(`Sauvegarde de ${projectName} vers ${snapshotPath}...`);
+
+    // Services actifs au moment de la sauvegarde (relancés après restauration)
+    const processes = await shell.listPm2Processes();
+    const runningServices = projectConfig.services
+        .filter(s => processes.some(p => p.name === s.pm2Name && p.pm2_env?.status === 'online'))
+        .map(s => s.name);
+
+    files.mkdir(partialPath);
+
+    try {
+        const linkDest = previous ? `--link-dest=${shell.quote(path.join(previous.path, 'files'))} ` : '';
+        await shell.execCommand(`rsync -a --delete ${linkDest}${shell.quote(path.join(BASE_PATH, projectName) + '/')} ${shell.quote(path.join(partialPath, 'files') + '/')}`);
+
+        const metadata = {
+            id,
+            project: projectName,
+            basePath: BASE_PATH,
+            createdAt,
+            trigger,
+            incremental: Boolean(previous),
+            runningServices
+        };
+        files.writeFile(path.join(partialPath, SNAPSHOT_METADATA), JSON.stringify(metadata, null, 2));
+
+        // L'instantané n'est visible qu'une fois complet
+        files.rename(partialPath, snapshotPath);
+
+        logger.success(`Sauvegarde ${id} créée${previous ? ` (incrémentale depuis ${previous.id})` : ''}`);
+        if (prune) {
+            applyRetention(projectName);
+        }
+
+        return { ...metadata, path: snapshotPath };
+    } catch (error) {
+        files.remove(partialPath);
+        throw error;
+    }
+}
+
+/**
+ * Sélectionne les instantanés à conserver
+ * Le plus récent de chacun des N derniers jours et des N dernières
+ * semaines est conservé, ainsi que l'instantané le plus récent.
+ * @param {Array<object>} snapshots - Instantanés, du plus récent au plus ancien
+ * @param {object} retention - { daily, weekly }
+ * @returns {Set<string>} - Identifiants à conserver
+ */
+export function selectRetained(snapshots, retention) {
+    const keep = new Set(snapshots.slice(0, 1).map(s => s.id));
+
+    const keepNewestPer = (periodOf, count) => {
+        const periods = new Set();
+        for (const snapshot of snapshots) {
+            const period = periodOf(new Date(snapshot.createdAt));
+            if (periods.has(period)) continue;
+            if (periods.size >= count) break;
+            periods.add(period);
+            keep.add(snapshot.id);
+        }
+    };
+
+    keepNewestPer(date => date.toISOString().slice(0, 10), retention.daily);
+    keepNewestPer(isoWeek, retention.weekly);
+
+    return keep;
+}
+
+/**
+ * Semaine ISO 8601 d'une date (ex: 2026-W42)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function isoWeek(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Supprime les instantanés hors de la politique de rétention
+ * @param {string} projectName - Nom du projet
+ * @returns {Array<string>} - Identifiants supprimés
+ */
+export function applyRetention(projectName) {
+    const { retention } = getBackupSettings(projectName);
+    const snapshots = listSnapshots(projectName);
+    const keep = selectRetained(snapshots, retention);
+    const removed = [];
+
+    for (const snapshot of snapshots) {
+        if (keep.has(snapshot.id)) continue;
+        files.remove(snapshot.path);
+        removed.push(snapshot.id);
+    }
+
+    if (removed.length > 0) {
+        logger.info(`Rétention (${retention.daily} j / ${retention.weekly} sem.): ${removed.length} sauvegarde(s) supprimée(s)`);
+    }
+
+    return removed;
+}
+
+/**
+ * Restaure un instantané
+ * Les services sont arrêtés, une sauvegarde de l'état courant est prise
+ * (annulation possible), puis sites/ et project.json sont restaurés et
+ * les services actifs lors de l'instantané sont relancés.
+ * @param {string} projectName - Nom du projet
+ * @param {string} snapshotId - Identifiant de l'instantané
+ * @returns {Promise<object>} - { snapshot, safetySnapshot, started }
+ */
+export async function restoreSnapshot(projectName, snapshotId) {
+    return store.withLock(async () => {
+        const snapshot = getSnapshot(projectName, snapshotId);
+        const projectPath = path.join(BASE_PATH, projectName);
+        const sitesPath = path.join(projectPath, PROJECT_STRUCTURE.sites);
+        const currentConfig = projects.loadProjectConfig(projectName);
+
+        const snapshotConfig = JSON.parse(fs.readFileSync(path.join(snapshot.path, 'files', PROJECT_STRUCTURE.config), 'utf8'));
+        const restoredConfig = rebaseConfig(snapshotConfig, snapshot, currentConfig);
+
+        logger.info(`Restauration de ${projectName} à l'état du ${new Date(snapshot.createdAt).toLocaleString('fr-FR')}...`);
+
+        const processes = await shell.listPm2Processes();
+        const runningServices = currentConfig.services
+            .filter(s => processes.some(p => p.name === s.pm2Name && p.pm2_env?.status === 'online'))
+            .map(s => s.name);
+
+        let safetySnapshot = null;
+        const started = [];
+
+        const portsOf = (config) => config.services
+            .filter(s => s.port)
+            .map(s => ({ service: s.name, port: s.port }));
+
+        const restoreFrom = (source) => async () => {
+            await shell.execCommand(`rsync -a --delete ${shell.quote(path.join(source.path, 'files', PROJECT_STRUCTURE.sites) + '/')} ${shell.quote(sitesPath + '/')}`);
+            await shell.execCommand(`chown -R ${SFTP_USER_PREFIX}${projectName}:${SFTP_GROUP} ${shell.quote(sitesPath)}`);
+            // Projet isolé: groupe run_<projet> et dossiers de données
+            runtime.applyPermissions(projectName);
+        };
+
+        await runTransaction('restoreBackup', [
+            {
+                description: 'Sauvegarde de l\'état actuel',
+                run: async () => {
+                    // Sans rétention: elle pourrait supprimer l'instantané à restaurer
+                    safetySnapshot = await createSnapshot(projectName, { trigger: SNAPSHOT_TRIGGERS.preRestore, prune: false });
+                },
+                undo: null
+            },
+            {
+                description: 'Arrêt des services',
+                run: async () => {
+                    for (const service of currentConfig.services) {
+                        try {
+                            await shell.pm2Command(`delete ${service.pm2Name}`);
+                        } catch {
+                            // Ignorer si le processus n'existe pas
+                        }
+                    }
+                },
+                undo: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(projectName, serviceName, false);
+                    }
+                }
+            },
+            {
+                description: `Restauration de ${sitesPath}`,
+                run: restoreFrom(snapshot),
+                undo: () => restoreFrom(safetySnapshot)()
+            },
+            {
+                // Ports de l'instantané, sauf s'ils ont été attribués depuis à un autre projet
+                description: 'Réservation des ports',
+                run: () => {
+                    for (const { service, port } of ports.replaceProjectPorts(projectName, portsOf(restoredConfig))) {
+                        restoredConfig.services.find(s => s.name === service).port = port;
+                    }
+                },
+                undo: () => ports.replaceProjectPorts(projectName, portsOf(currentConfig))
+            },
+            {
+                description: 'Restauration de project.json',
+                run: () => projects.saveProjectConfig(projectName, restoredConfig),
+                undo: () => projects.saveProjectConfig(projectName, currentConfig)
+            },
+            {
+                // Dossiers de données de la configuration restaurée
+                description: 'Application des permissions',
+                run: () => runtime.applyPermissions(projectName),
+                undo: null
+            },
+            {
+                description: 'Régénération des scripts',
+                run: () => scripts.generateScripts(projectName),
+                undo: () => scripts.generateScripts(projectName)
+            },
+            {
+                description: 'Redémarrage des services',
+                run: async () => {
+                    for (const serviceName of snapshot.runningServices || []) {
+                        if (!restoredConfig.services.some(s => s.name === serviceName)) continue;
+                        await services.startService(projectName, serviceName, false);
+                        started.push(serviceName);
+                    }
+                },
+                undo: null
+            }
+        ]);
+
+        logger.success(`Projet ${projectName} restauré (sauvegarde ${snapshot.id})`);
+        return { snapshot, safetySnapshot, started };
+    });
+}
+
+/**
+ * Adapte la configuration d'un instantané au nom et chemin actuels du projet
+ * (instantané pris avant un renommage)
+ * @param {object} snapshotConfig - project.json de l'instantané
+ * @param {object} snapshot - Métadonnées de l'instantané
+ * @param {object} currentConfig - project.json actuel
+ * @returns {object}
+ */
+function rebaseConfig(snapshotConfig, snapshot, currentConfig) {
+    const oldPath = path.join(snapshot.basePath, snapshot.project);
+    const newPath = path.join(BASE_PATH, currentConfig.name);
+
+    return {
+        ...snapshotConfig,
+        name: currentConfig.name,
+        path: currentConfig.path,
+        sftpUser: currentConfig.sftpUser,
+        // Les réglages de sauvegarde ne remontent pas dans le temps
+        backup: currentConfig.backup,
+        services: (snapshotConfig.services || []).map(service => ({
+            ...service,
+            pm2Name: `${currentConfig.name}-${service.name}`,
+            directory: service.directory === oldPath || service.directory.startsWith(oldPath + '/')
+                ? newPath + service.directory.slice(oldPath.length)
+                : service.directory
+        }))
+    };
+}
+
+/**
+ * Vérifie une cible de sauvegarde
+ * Elle ne peut pas se trouver sous BASE_PATH: rsync recopierait les
+ * instantanés dans eux-mêmes et ils seraient exposés en SFTP.
+ * @param {string} target - Cible
+ */
+function checkTarget(target) {
+    if (!path.isAbsolute(target)) {
+        throw validationError(`La cible de sauvegarde doit être un chemin absolu: ${target}`);
+    }
+
+    const relative = path.relative(BASE_PATH, path.resolve(target));
+    if (relative !== '..' && !relative.startsWith(`..${path.sep}`)) {
+        throw validationError(`La cible de sauvegarde ne peut pas se trouver dans ${BASE_PATH}: ${target}`);
+    }
+}
+
+/**
+ * Modifie les réglages de sauvegarde d'un projet et met à jour la planification
+ * @param {string} projectName - Nom du projet
+ * @param {object} updates - { enabled, target, schedule, retention: { daily, weekly } }
+ * @returns {object} - Réglages complets
+ */
+export function configureBackup(projectName, updates) {
+    return store.withLockSync(() => {
+        if (!projects.projectExists(projectName)) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        if (updates.schedule !== undefined && !isValidSchedule(String(updates.schedule).trim())) {
+            throw validationError(`Planification invalide: "${updates.schedule}" (format cron à 5 champs, ex: "30 3 * * *")`);
+        }
+
+        if (updates.target !== undefined) {
+            checkTarget(updates.target);
+        }
+
+        for (const [key, value] of Object.entries(updates.retention || {})) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                throw validationError(`Rétention invalide (${key}): ${value}`);
+            }
+        }
+
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const backup = { ...projectConfig.backup };
+
+        if (updates.enabled !== undefined) backup.enabled = updates.enabled;
+        if (updates.target !== undefined) backup.target = updates.target;
+        if (updates.schedule !== undefined) backup.schedule = updates.schedule.trim();
+        for (const [key, value] of Object.entries(updates.retention || {})) {
+            if (value !== undefined) {
+                backup.retention = { ...backup.retention, [key]: value };
+            }
+        }
+
+        projectConfig.backup = backup;
+        projects.saveProjectConfig(projectName, projectConfig);
+        writeCronFile();
+
+        logger.success(`Sauvegardes de ${projectName} ${projectConfig.backup.enabled ? 'planifiées' : 'non planifiées'}`);
+        return getBackupSettings(projectName);
+    });
+}
+
+/**
+ * Régénère le fichier cron.d à partir des réglages de tous les projets
+ * Le fichier est supprimé si aucun projet n'a de sauvegarde planifiée.
+ */
+export function writeCronFile() {
+    const lines = projects.loadProjects()
+        .map(project => ({ name: project.name, settings: getBackupSettings(project.name) }))
+        .filter(({ settings }) => settings.enabled)
+        .filter(({ name, settings }) => {
+            // project.json modifié à la main: jamais de ligne arbitraire dans cron.d
+            if (!isValidSchedule(settings.schedule)) {
+                logger.warn(`Planification invalide ignorée pour ${name}: ${JSON.stringify(settings.schedule)}`);
+                return false;
+            }
+            return true;
+        })
+        .map(({ name, settings }) =>
+            `${settings.schedule} root ${BACKUP_CONFIG.command} backup create ${name} --scheduled >> ${BACKUP_CONFIG.logFile} 2>&1`);
+
+    if (lines.length === 0) {
+        if (files.exists(BACKUP_CONFIG.cronFile)) {
+            files.remove(BACKUP_CONFIG.cronFile);
+        }
+        return;
+    }
+
+    const content = `# Généré par nodejs-project-manager - NE PAS MODIFIER MANUELLEMENT
+# Utilisez: project-manager backup schedule <projet>
+SHELL=/bin/sh
+PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin
+
+${lines.join('\n')}
+`;
+
+    files.writeFile(BACKUP_CONFIG.cronFile, content);
+    files.chmod(BACKUP_CONFIG.cronFile, '644');
+}
+
+/**
+ * Déplace l'historique des sauvegardes après un renommage de projet
+ * @param {string} oldName - Ancien nom
+ * @param {string} newName - Nouveau nom
+ */
+export function moveSnapshots(oldName, newName) {
+    const { target } = getBackupSettings(newName);
+    const oldPath = path.join(target, oldName);
+    const newPath = path.join(target, newName);
+
+    if (files.exists(oldPath) && !files.exists(newPath)) {
+        files.rename(oldPath, newPath);
+        logger.info(`Historique des sauvegardes déplacé vers ${newPath}`);
+    }
+}
+
+export default {
+    SNAPSHOT_TRIGGERS,
+    getBackupSettings,
+    listSnapshots,
+    getSnapshot,
+    isValidSchedule,
+    createSnapshot: audited('createBackup', createSnapshot, ['projectName', 'options']),
+    selectRetained,
+    applyRetention,
+    restoreSnapshot: audited('restoreBackup', restoreSnapshot, ['projectName', 'snapshotId']),
+    configureBackup: audited('configureBackup', configureBackup, ['projectName', 'updates']),
+    writeCronFile,
+    moveSnapshots
+};
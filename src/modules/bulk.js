@@ -0,0 +1,136 @@
+/**
+ * Module d'actions groupées sur les projets sélectionnés par tags
+ *
+ * Chaque projet est traité indépendamment: une erreur n'interrompt pas le
+ * lot et le résultat détaille, projet par projet, les services traités et
+ * les échecs.
+ */
+
+import projects from './projects.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { validationError, notFoundError } from '../utils/errors.js';
+
+/**
+ * Actions disponibles
+ */
+export const BULK_ACTIONS = {
+    start: 'start',
+    stop: 'stop',
+    restart: 'restart',
+    regenerate: 'regenerate'
+};
+
+/**
+ * Résultat d'un projet
+ */
+export const BULK_STATUS = {
+    success: 'success',
+    partial: 'partial',
+    failed: 'failed',
+    skipped: 'skipped'
+};
+
+/**
+ * Applique une action aux services d'un projet
+ * @param {string} action - Action (BULK_ACTIONS)
+ * @param {string} projectName - Nom du projet
+ * @param {boolean} runSetup - Exécuter les commandes de setup au démarrage
+ * @returns {Promise<object>} - { succeeded, failed }
+ */
+async function runServices(action, projectName, runSetup) {
+    const succeeded = [];
+    const failed = [];
+
+    for (const service of services.listServices(projectName)) {
+        try {
+            if (action === BULK_ACTIONS.start) {
+                await services.startService(projectName, service.name, runSetup);
+            } else if (action === BULK_ACTIONS.stop) {
+                await services.stopService(projectName, service.name);
+            } else {
+                await services.restartService(projectName, service.name);
+            }
+            succeeded.push(service.name);
+        } catch (error) {
+            logger.error(`Erreur pour ${projectName}/${service.name}: ${error.message}`);
+            failed.push({ service: service.name, error: error.message });
+        }
+    }
+
+    return { succeeded, failed };
+}
+
+/**
+ * Exécute une action sur tous les projets correspondant à un sélecteur
+ * Les projets suspendus sont ignorés, sauf pour la régénération des scripts.
+ * @param {string} action - Action (BULK_ACTIONS)
+ * @param {string} selector - Sélecteur de tags (voir projects.parseTagSelector)
+ * @param {object} options - Options
+ * @param {boolean} [options.runSetup] - Exécuter les commandes de setup au démarrage
+ * @returns {Promise<Array<object>>} - { project, status, succeeded, failed, message }
+ */
+export async function runBulk(action, selector, { runSetup = true } = {}) {
+    if (!Object.values(BULK_ACTIONS).includes(action)) {
+        throw validationError(`Action inconnue: ${action} (${Object.values(BULK_ACTIONS).join(', ')})`);
+    }
+
+    const selected = projects.selectProjects(selector);
+
+    if (selected.length === 0) {
+        throw notFoundError(`Aucun projet ne correspond au sélecteur ${selector}`);
+    }
+
+    logger.info(`Action ${action} sur ${selected.length} projet(s) (${selector})...`);
+
+    const results = [];
+    for (const project of selected) {
+        if (project.suspended && action !== BULK_ACTIONS.regenerate) {
+            results.push({ project: project.name, status: BULK_STATUS.skipped, succeeded: [], failed: [], message: 'projet suspendu' });
+            continue;
+        }
+
+        if (action === BULK_ACTIONS.regenerate) {
+            try {
+                scripts.generateScripts(project.name);
+                results.push({ project: project.name, status: BULK_STATUS.success, succeeded: [], failed: [], message: 'scripts régénérés' });
+            } catch (error) {
+                logger.error(`Erreur pour ${project.name}: ${error.message}`);
+                results.push({ project: project.name, status: BULK_STATUS.failed, succeeded: [], failed: [], message: error.message });
+            }
+            continue;
+        }
+
+        const { succeeded, failed } = await runServices(action, project.name, runSetup);
+
+        let status = BULK_STATUS.success;
+        if (failed.length > 0) {
+            status = succeeded.length > 0 ? BULK_STATUS.partial : BULK_STATUS.failed;
+        }
+
+        const message = succeeded.length + failed.length === 0
+            ? 'aucun service'
+            : `${succeeded.length} service(s) traité(s), ${failed.length} échec(s)`;
+
+        results.push({ project: project.name, status, succeeded, failed, message });
+    }
+
+    const failures = results.filter(r => r.status === BULK_STATUS.failed || r.status === BULK_STATUS.partial).length;
+    if (failures > 0) {
+        logger.warn(`Action ${action} terminée: ${failures} projet(s) en échec sur ${results.length}`);
+    } else {
+        logger.success(`Action ${action} terminée sur ${results.length} projet(s)`);
+    }
+
+    return results;
+}
+
+export default {
+    BULK_ACTIONS,
+    BULK_STATUS,
+    runBulk: audited('runBulk', runBulk, ['action', 'selector', 'options'], {
+        target: ({ selector }) => selector
+    })
+};
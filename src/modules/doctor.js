@@ -0,0 +1,498 @@
+/**
+ * Module de diagnostic (doctor)
+ *
+ * Les mêmes informations vivent à quatre endroits: projects.json, chaque
+ * project.json, les utilisateurs Linux du groupe SFTP et la liste des
+ * processus PM2. Ce module vérifie leur cohérence et propose, pour chaque
+ * anomalie, une réparation optionnelle.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX } from '../config/constants.js';
+import projects from './projects.js';
+import sftp from './sftp.js';
+import scripts from './scripts.js';
+import secrets from './secrets.js';
+import ports from './ports.js';
+import runtime from './runtime.js';
+import services from './services.js';
+import watchdog from './watchdog.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { ManagerError, ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Gravité des anomalies
+ */
+export const SEVERITY = {
+    error: 'error',
+    warning: 'warning'
+};
+
+/**
+ * Collecte l'état des quatre sources une seule fois
+ * @returns {Promise<object>}
+ */
+async function collectState() {
+    const projectList = projects.loadProjects();
+
+    return {
+        projects: projectList,
+        configs: new Map(projectList.map(p => [p.name, projects.loadProjectConfig(p.name)])),
+        sftpUsers: sftp.listSftpUsers(),
+        pm2Processes: await shell.listPm2Processes()
+    };
+}
+
+/**
+ * Projets sans utilisateur SFTP
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkProjectsWithoutUser(state) {
+    return state.projects
+        .filter(p => !shell.userExists(`${SFTP_USER_PREFIX}${p.name}`))
+        .map(p => ({
+            check: 'projectWithoutUser',
+            severity: SEVERITY.error,
+            target: p.name,
+            message: `Le projet ${p.name} n'a pas d'utilisateur ${SFTP_USER_PREFIX}${p.name}`,
+            repair: files.exists(path.join(BASE_PATH, p.name)) ? {
+                description: `Créer l'utilisateur ${SFTP_USER_PREFIX}${p.name} (mot de passe aléatoire, à changer ensuite)`,
+                run: async () => {
+                    await sftp.createSftpUser(p.name, crypto.randomBytes(24).toString('base64url'));
+                    logger.warn(`Définissez le mot de passe avec: project-manager project password ${p.name}`);
+                }
+            } : null
+        }));
+}
+
+/**
+ * Utilisateurs sftp_* sans projet
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkUsersWithoutProject(state) {
+    const expected = new Set(state.projects.map(p => `${SFTP_USER_PREFIX}${p.name}`));
+
+    return state.sftpUsers
+        .filter(username => !expected.has(username))
+        .map(username => ({
+            check: 'userWithoutProject',
+            severity: SEVERITY.warning,
+            target: username,
+            message: `L'utilisateur ${username} ne correspond à aucun projet`,
+            repair: {
+                description: `Supprimer l'utilisateur ${username} (les fichiers sont conservés)`,
+                run: () => sftp.deleteSftpUser(username.slice(SFTP_USER_PREFIX.length))
+            }
+        }));
+}
+
+/**
+ * Processus PM2 <projet>-<service> absents de toute configuration
+ * Seuls les processus préfixés par un projet connu ou lancés depuis
+ * BASE_PATH sont considérés: les autres ne sont pas gérés par l'outil.
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkOrphanProcesses(state) {
+    const known = new Set();
+    for (const config of state.configs.values()) {
+        for (const service of config.services) {
+            known.add(service.pm2Name);
+        }
+    }
+
+    return state.pm2Processes
+        .filter(proc => !known.has(proc.name))
+        .filter(proc => state.projects.some(p => proc.name.startsWith(`${p.name}-`))
+            || (proc.pm2_env?.pm_cwd || '').startsWith(`${BASE_PATH}/`))
+        .map(proc => {
+            // Lancé depuis un dossier non géré de BASE_PATH: candidat à l'adoption
+            const cwd = proc.pm2_env?.pm_cwd || '';
+            const directory = cwd.startsWith(`${BASE_PATH}/`) ? cwd.slice(BASE_PATH.length + 1).split('/')[0] : null;
+            const hint = directory && !state.projects.some(p => p.name === directory)
+                ? ` (adoptable: project-manager project adopt ${directory})`
+                : '';
+
+            return {
+                check: 'orphanProcess',
+                severity: SEVERITY.warning,
+                target: proc.name,
+                message: `Le processus PM2 ${proc.name} (${proc.pm2_env?.status || 'inconnu'}) n'est déclaré dans aucun projet${hint}`,
+                repair: {
+                    description: `Arrêter et supprimer le processus PM2 ${proc.name}`,
+                    run: () => shell.pm2Command(`delete ${proc.name}`)
+                }
+            };
+        });
+}
+
+/**
+ * Entrées de configuration sans dossier (projets et services)
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkMissingDirectories(state) {
+    const findings = [];
+
+    for (const project of state.projects) {
+        const projectPath = path.join(BASE_PATH, project.name);
+
+        if (!files.exists(projectPath)) {
+            findings.push({
+                check: 'missingDirectory',
+                severity: SEVERITY.error,
+                target: project.name,
+                message: `Le dossier ${projectPath} du projet ${project.name} n'existe pas`,
+                repair: {
+                    description: `Recréer l'arborescence de ${projectPath}`,
+                    run: async () => {
+                        files.mkdir(path.join(projectPath, PROJECT_STRUCTURE.sites));
+                        files.mkdir(path.join(projectPath, PROJECT_STRUCTURE.scripts));
+                        projects.saveProjectConfig(project.name, state.configs.get(project.name));
+                        await fixChrootOwnership(project.name);
+                    }
+                }
+            });
+            continue;
+        }
+
+        for (const service of state.configs.get(project.name).services || []) {
+            if (files.exists(service.directory)) continue;
+
+            findings.push({
+                check: 'missingDirectory',
+                severity: SEVERITY.error,
+                target: `${project.name}/${service.name}`,
+                message: `Le dossier ${service.directory} du service ${service.name} n'existe pas`,
+                repair: {
+                    description: `Créer le dossier ${service.directory}`,
+                    run: async () => {
+                        files.mkdir(service.directory);
+                        await shell.execCommand(`chown ${SFTP_USER_PREFIX}${project.name} ${service.directory}`);
+                    }
+                }
+            });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Scripts générés manquants
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkMissingScripts(state) {
+    return state.projects
+        .filter(p => files.exists(path.join(BASE_PATH, p.name)))
+        .map(p => {
+            const { directory, ...scriptPaths } = scripts.getScriptsPaths(p.name);
+            const missing = Object.values(scriptPaths).filter(scriptPath => !files.exists(scriptPath));
+            return { project: p.name, missing };
+        })
+        .filter(({ missing }) => missing.length > 0)
+        .map(({ project, missing }) => ({
+            check: 'missingScripts',
+            severity: SEVERITY.warning,
+            target: project,
+            message: `Scripts manquants pour ${project}: ${missing.map(m => path.basename(m)).join(', ')}`,
+            repair: {
+                description: `Régénérer les scripts de ${project}`,
+                run: () => scripts.generateScripts(project)
+            }
+        }));
+}
+
+/**
+ * Propriétaire et permissions du dossier chroot (exigés par sshd)
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkChrootOwnership(state) {
+    const findings = [];
+
+    for (const project of state.projects) {
+        const projectPath = path.join(BASE_PATH, project.name);
+
+        let stats;
+        try {
+            stats = fs.statSync(projectPath);
+        } catch {
+            // Signalé par checkMissingDirectories
+            continue;
+        }
+
+        const problems = [];
+        if (stats.uid !== 0 || stats.gid !== 0) {
+            problems.push(`propriétaire ${stats.uid}:${stats.gid} au lieu de root:root`);
+        }
+        if (stats.mode & 0o022) {
+            problems.push(`mode ${(stats.mode & 0o777).toString(8)} accessible en écriture au groupe ou aux autres`);
+        }
+
+        if (problems.length === 0) continue;
+
+        findings.push({
+            check: 'chrootOwnership',
+            severity: SEVERITY.error,
+            target: project.name,
+            message: `Chroot ${projectPath} invalide (${problems.join(', ')}): la connexion SFTP sera refusée`,
+            repair: {
+                description: `chown root:root et chmod 755 sur ${projectPath}`,
+                run: () => fixChrootOwnership(project.name)
+            }
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Remet le dossier chroot d'un projet à root:root 755
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+async function fixChrootOwnership(projectName) {
+    const projectPath = path.join(BASE_PATH, projectName);
+    await shell.execCommand(`chown root:root ${projectPath}`);
+    await shell.execCommand(`chmod 755 ${projectPath}`);
+}
+
+/**
+ * Variables liées à un secret absent du coffre (le service ne démarrera pas)
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkMissingSecrets(state) {
+    const findings = [];
+
+    for (const project of state.projects) {
+        for (const ref of secrets.listReferences(project.name)) {
+            if (secrets.secretExists(project.name, ref.secret)) continue;
+
+            const target = ref.service ? `${project.name}/${ref.service}` : project.name;
+            findings.push({
+                check: 'missingSecret',
+                severity: SEVERITY.error,
+                target,
+                message: `${target}: la variable ${ref.variable} référence le secret ${ref.secret}, introuvable (project-manager secret set ${project.name} ${ref.secret})`,
+                repair: null
+            });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Concordance entre le registre des ports et les services (project.json)
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkPortRegistry(state) {
+    const findings = [];
+    const allocations = ports.listAllocations();
+
+    for (const [projectName, config] of state.configs) {
+        for (const service of config.services || []) {
+            if (!service.port) continue;
+
+            const entry = allocations.find(a => a.project === projectName && a.service === service.name);
+            if (entry && entry.port === service.port) continue;
+
+            const target = `${projectName}/${service.name}`;
+            findings.push({
+                check: 'portRegistry',
+                severity: SEVERITY.warning,
+                target,
+                message: entry
+                    ? `${target}: port ${service.port} dans project.json, ${entry.port} dans le registre`
+                    : `${target}: port ${service.port} absent du registre des ports`,
+                repair: {
+                    description: `Enregistrer le port ${service.port} de ${target} dans le registre`,
+                    run: () => ports.reservePort(projectName, service.name, service.port, { checkListening: false })
+                }
+            });
+        }
+    }
+
+    for (const entry of allocations) {
+        const service = state.configs.get(entry.project)?.services?.find(s => s.name === entry.service);
+        if (service?.port) continue;
+
+        findings.push({
+            check: 'portRegistry',
+            severity: SEVERITY.warning,
+            target: `${entry.project}/${entry.service}`,
+            message: `Port ${entry.port} attribué à ${entry.project}/${entry.service}, service inexistant ou sans port`,
+            repair: {
+                description: `Libérer le port ${entry.port}`,
+                run: () => ports.releasePort(entry.project, entry.service)
+            }
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Utilisateur d'exécution des services (run_<projet>)
+ * - projet non isolé: ses services tournent en root
+ * - utilisateur enregistré mais absent du système
+ * - processus PM2 d'un projet isolé lancé sous un autre utilisateur
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkRuntimeUser(state) {
+    const findings = [];
+
+    for (const project of state.projects) {
+        const username = runtime.runtimeUserName(project.name);
+
+        if (!project.runUser) {
+            findings.push({
+                check: 'runtimeUser',
+                severity: SEVERITY.warning,
+                target: project.name,
+                message: `Les services de ${project.name} sont exécutés en root (projet non isolé)`,
+                repair: files.exists(path.join(BASE_PATH, project.name)) ? {
+                    description: `Isoler ${project.name}: créer ${username}, appliquer les permissions et relancer les services actifs`,
+                    run: () => runtime.isolateProject(project.name)
+                } : null
+            });
+            continue;
+        }
+
+        if (!shell.userExists(project.runUser)) {
+            findings.push({
+                check: 'runtimeUser',
+                severity: SEVERITY.error,
+                target: project.name,
+                message: `L'utilisateur d'exécution ${project.runUser} n'existe pas: les services de ${project.name} ne peuvent pas démarrer`,
+                repair: {
+                    description: `Créer ${project.runUser} et appliquer les permissions`,
+                    run: async () => {
+                        await runtime.createRuntimeUser(project.name);
+                        runtime.applyPermissions(project.name);
+                    }
+                }
+            });
+            continue;
+        }
+
+        const uid = runtime.getRuntimeUid(project.runUser);
+        for (const service of state.configs.get(project.name).services || []) {
+            const proc = state.pm2Processes.find(p => p.name === service.pm2Name);
+            if (!proc || Number(proc.pm2_env?.uid) === uid || String(proc.pm2_env?.uid) === project.runUser) continue;
+
+            const target = `${project.name}/${service.name}`;
+            findings.push({
+                check: 'runtimeUser',
+                severity: SEVERITY.warning,
+                target,
+                message: `${target}: le processus ${service.pm2Name} ne tourne pas sous ${project.runUser} (uid ${proc.pm2_env?.uid ?? 0})`,
+                repair: proc.pm2_env?.status === 'online' ? {
+                    description: `Relancer ${service.pm2Name} sous ${project.runUser}`,
+                    run: () => services.startService(project.name, service.name, false)
+                } : null
+            });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Boucles de crash
+ * - service en boucle de crash non encore traité par le watchdog
+ * - service arrêté par le watchdog, en erreur jusqu'à son prochain démarrage
+ * @param {object} state - État collecté
+ * @returns {Array<object>}
+ */
+function checkCrashLoops(state) {
+    const findings = [];
+
+    for (const [projectName, config] of state.configs) {
+        for (const service of config.services || []) {
+            const target = `${projectName}/${service.name}`;
+            const instances = state.pm2Processes.filter(p => p.name === service.pm2Name);
+            const diagnosis = watchdog.detectCrashLoop(service, instances);
+
+            if (diagnosis) {
+                findings.push({
+                    check: 'crashLoop',
+                    severity: SEVERITY.error,
+                    target,
+                    message: `${target}: boucle de crash en cours (${watchdog.CRASH_REASONS[diagnosis.reason]}, ${diagnosis.restarts} redémarrage(s))`,
+                    repair: {
+                        description: `Arrêter ${service.pm2Name} et le marquer en erreur`,
+                        run: () => watchdog.stopCrashedService(projectName, service.name, diagnosis)
+                    }
+                });
+            } else if (service.crash && !instances.some(p => p.pm2_env?.status === 'online')) {
+                findings.push({
+                    check: 'crashLoop',
+                    severity: SEVERITY.warning,
+                    target,
+                    message: `${target}: arrêté après une boucle de crash le ${new Date(service.crash.detectedAt).toLocaleString('fr-FR')} (project-manager service list ${projectName} pour les logs)`,
+                    repair: null
+                });
+            }
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Liste des vérifications, dans l'ordre d'exécution
+ */
+const CHECKS = [
+    checkProjectsWithoutUser,
+    checkUsersWithoutProject,
+    checkOrphanProcesses,
+    checkMissingDirectories,
+    checkMissingScripts,
+    checkChrootOwnership,
+    checkMissingSecrets,
+    checkPortRegistry,
+    checkRuntimeUser,
+    checkCrashLoops
+];
+
+/**
+ * Exécute toutes les vérifications
+ * @returns {Promise<Array<object>>} - Anomalies { check, severity, target, message, repair }
+ */
+export async function diagnose() {
+    const state = await collectState();
+    return CHECKS.flatMap(check => check(state));
+}
+
+/**
+ * Applique la réparation proposée pour une anomalie
+ * @param {object} finding - Anomalie
+ * @returns {Promise<void>}
+ */
+export async function repair(finding) {
+    if (!finding.repair) {
+        throw new ManagerError(ERROR_CODES.notSupported, `Aucune réparation automatique pour: ${finding.message}`);
+    }
+
+    logger.info(finding.repair.description);
+    await finding.repair.run();
+}
+
+export default {
+    SEVERITY,
+    diagnose,
+    repair: audited('doctorRepair', repair, ['finding'], { target: ({ finding }) => finding?.target })
+};
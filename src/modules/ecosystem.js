@@ -0,0 +1,385 @@
+/**
+ * Module du fichier ecosystem PM2 des projets
+ *
+ * scripts/ecosystem.config.cjs décrit tous les services d'un projet tels que
+ * PM2 doit les lancer: commande, dossier, utilisateur d'exécution, variables
+ * en clair, options PM2 du service (champ "pm2") et fichiers de logs. Il est
+ * rendu depuis project.json avec les scripts, puis avant chaque lancement:
+ * startService() comme start.sh/restart.sh passent par
+ * "pm2 startOrReload <fichier> --only <processus>".
+ *
+ * Les secrets n'y sont jamais écrits: PM2 complète l'environnement du
+ * fichier par celui de la commande pm2, où startService() les déchiffre.
+ */
+
+import os from 'os';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS, PM2_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import environment from './environment.js';
+import runtime from './runtime.js';
+import files from '../utils/files.js';
+import logger from '../utils/logger.js';
+import { validationError } from '../utils/errors.js';
+
+// Valeurs par défaut de PM2 des options comparées aux processus existants
+const PM2_DEFAULTS = {
+    kill_timeout: 1600,
+    max_restarts: 16,
+    min_uptime: 1000,
+    exp_backoff_restart_delay: null,
+    cron_restart: null
+};
+
+const MEMORY_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+/**
+ * Modes d'exécution PM2: fork (un processus par instance) ou cluster
+ * (instances node partageant le port, répartition par PM2)
+ */
+export const EXEC_MODES = ['fork', 'cluster'];
+
+/**
+ * Entier supérieur ou égal à un minimum
+ * @param {number} min - Minimum
+ * @returns {Function}
+ */
+function integerOption(min) {
+    return (value, label) => {
+        const parsed = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+        if (!Number.isInteger(parsed) || parsed < min) {
+            throw validationError(`${label} invalide: ${value} (entier >= ${min})`);
+        }
+        return parsed;
+    };
+}
+
+/**
+ * Nombre d'instances: entier >= 1, ou "max" (un par cœur)
+ * @param {*} value - Valeur
+ * @param {string} label - Libellé de l'option
+ * @returns {number|string}
+ */
+function instancesOption(value, label) {
+    if (String(value).trim().toLowerCase() === 'max') {
+        return 'max';
+    }
+    return integerOption(1)(value, label);
+}
+
+/**
+ * Mode d'exécution PM2
+ * @param {*} value - Valeur
+ * @param {string} label - Libellé de l'option
+ * @returns {string}
+ */
+function execModeOption(value, label) {
+    const parsed = String(value).trim().toLowerCase();
+    if (!EXEC_MODES.includes(parsed)) {
+        throw validationError(`${label} invalide: ${value} (${EXEC_MODES.join(' ou ')})`);
+    }
+    return parsed;
+}
+
+/**
+ * Taille mémoire PM2 (ex: 300M, 1G)
+ * @param {*} value - Valeur
+ * @param {string} label - Libellé de l'option
+ * @returns {string}
+ */
+function memoryOption(value, label) {
+    const parsed = String(value).trim().toUpperCase();
+    if (!/^\d+[KMG]$/.test(parsed) || parseInt(parsed, 10) === 0) {
+        throw validationError(`${label} invalide: ${value} (ex: 300M, 1G)`);
+    }
+    return parsed;
+}
+
+/**
+ * Expression cron de redémarrage planifié (5 champs, ou 6 avec les secondes)
+ * @param {*} value - Valeur
+ * @param {string} label - Libellé de l'option
+ * @returns {string}
+ */
+function cronOption(value, label) {
+    const parsed = String(value).trim().split(/\s+/).join(' ');
+    const fields = parsed.split(' ');
+    if (fields.length < 5 || fields.length > 6 || !fields.every(field => /^[\d*/,-]+$/.test(field))) {
+        throw validationError(`${label} invalide: ${value} (ex: "0 4 * * *")`);
+    }
+    return parsed;
+}
+
+/**
+ * Options PM2 d'un service: champ de project.json → clé de l'ecosystem
+ * Politique de redémarrage: PM2 abandonne (statut errored) après
+ * maxRestarts redémarrages survenus moins de minUptime ms après le
+ * lancement; expBackoffRestartDelay espace les redémarrages (délai doublé
+ * à chaque crash, remis à zéro après 30 s de fonctionnement).
+ */
+export const PM2_OPTIONS = {
+    instances: { key: 'instances', label: "Nombre d'instances", parse: instancesOption },
+    execMode: { key: 'exec_mode', label: "Mode d'exécution", parse: execModeOption },
+    maxMemoryRestart: { key: 'max_memory_restart', label: 'Mémoire maximale avant redémarrage', parse: memoryOption },
+    killTimeout: { key: 'kill_timeout', label: "Délai d'arrêt (ms)", parse: integerOption(0) },
+    maxRestarts: { key: 'max_restarts', label: 'Redémarrages instables maximum', parse: integerOption(0) },
+    minUptime: { key: 'min_uptime', label: 'Durée minimale de fonctionnement (ms)', parse: integerOption(0) },
+    expBackoffRestartDelay: { key: 'exp_backoff_restart_delay', label: 'Délai initial de relance exponentielle (ms)', parse: integerOption(1) },
+    cronRestart: { key: 'cron_restart', label: 'Redémarrage planifié (cron)', parse: cronOption }
+};
+
+/**
+ * Applique des modifications aux options PM2 d'un service
+ * @param {object} current - Options actuelles (champ "pm2")
+ * @param {object} changes - { option: valeur }, null pour revenir au défaut de PM2
+ * @returns {object}
+ */
+export function mergePm2Options(current = {}, changes = {}) {
+    const options = { ...current };
+
+    for (const [field, value] of Object.entries(changes)) {
+        const option = PM2_OPTIONS[field];
+        if (!option) {
+            throw validationError(`Option PM2 inconnue: ${field} (${Object.keys(PM2_OPTIONS).join(', ')})`);
+        }
+
+        if (value === null) {
+            delete options[field];
+        } else {
+            options[field] = option.parse(value, option.label);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Chemin du fichier ecosystem d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getEcosystemPath(projectName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.scripts, SCRIPTS.ecosystem);
+}
+
+/**
+ * Indique si une commande est une commande shell (&&, |, redirections,
+ * variables, guillemets)
+ * @param {string} command - Commande de démarrage
+ * @returns {boolean}
+ */
+function isShellCommand(command) {
+    return /[|&;<>$`"'\\*?(){}]/.test(command);
+}
+
+/**
+ * Fichier JavaScript lancé par une commande "node <fichier> [args]" ou
+ * "<fichier> [args]", seule forme compatible avec le mode cluster
+ * @param {string} command - Commande de démarrage
+ * @returns {{script: string, args: Array<string>}|null}
+ */
+function nodeScript(command) {
+    if (isShellCommand(command)) {
+        return null;
+    }
+
+    const tokens = command.trim().split(/\s+/);
+    const [script, ...args] = tokens[0] === 'node' ? tokens.slice(1) : tokens;
+
+    return script && /\.[cm]?js$/.test(script) ? { script, args } : null;
+}
+
+/**
+ * Script et arguments PM2 d'une commande de démarrage
+ * Un fichier JavaScript est lancé par node, interpréteur par défaut de
+ * PM2; une autre commande simple (npm start) est lancée directement; une
+ * commande shell passe par sh -c.
+ * @param {string} command - Commande de démarrage
+ * @returns {object} - { script, args, interpreter? }
+ */
+function commandToScript(command) {
+    const node = nodeScript(command);
+    if (node) {
+        return node;
+    }
+
+    if (isShellCommand(command)) {
+        return { script: '/bin/sh', args: ['-c', command], interpreter: 'none' };
+    }
+
+    const [script, ...args] = command.trim().split(/\s+/);
+    return { script, args, interpreter: 'none' };
+}
+
+/**
+ * Vérifie les options PM2 d'un service au regard de sa commande
+ * @param {object} service - Service (command, pm2)
+ */
+export function checkPm2Options(service) {
+    if (service.pm2?.execMode === 'cluster' && !nodeScript(service.command)) {
+        throw validationError(`Le mode cluster exige une commande "node <fichier.js>" (commande actuelle: ${service.command})`);
+    }
+}
+
+/**
+ * Nombre de processus d'une définition ("max": un par cœur)
+ * @param {object} app - Définition (buildApp)
+ * @returns {number}
+ */
+export function instanceCount(app) {
+    return app.instances === 'max' ? os.cpus().length : (app.instances ?? 1);
+}
+
+/**
+ * Définition PM2 d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (project.json)
+ * @param {string|null} [runUser] - Utilisateur d'exécution (défaut: celui du projet)
+ * @returns {object}
+ */
+export function buildApp(projectName, service, runUser = runtime.getRuntimeUser(projectName)) {
+    const options = Object.entries(service.pm2 || {})
+        .filter(([field]) => PM2_OPTIONS[field])
+        .map(([field, value]) => [PM2_OPTIONS[field].key, value]);
+
+    return {
+        name: service.pm2Name,
+        cwd: service.directory,
+        ...commandToScript(service.command),
+        ...(runUser ? { uid: runUser, gid: runUser } : {}),
+        env: environment.resolveServiceEnv(projectName, service),
+        ...Object.fromEntries(options),
+        out_file: path.join(PM2_CONFIG.logPath, `${service.pm2Name}-out.log`),
+        error_file: path.join(PM2_CONFIG.logPath, `${service.pm2Name}-error.log`),
+        merge_logs: true
+    };
+}
+
+/**
+ * Configuration PM2 d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {{apps: Array<object>}}
+ */
+export function buildEcosystem(projectName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const runUser = runtime.getRuntimeUser(projectName);
+
+    return {
+        apps: (projectConfig.services || []).map(service => buildApp(projectName, service, runUser))
+    };
+}
+
+/**
+ * Contenu du fichier ecosystem d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function renderEcosystem(projectName) {
+    return `// ============================================
+// Configuration PM2 des services
+// Projet: ${projectName}
+// Généré automatiquement depuis project.json - Ne pas modifier
+// ============================================
+
+module.exports = ${JSON.stringify(buildEcosystem(projectName), null, 4)};
+`;
+}
+
+/**
+ * Écrit le fichier ecosystem d'un projet s'il a changé
+ * Il contient les variables en clair des services: lisible par root
+ * uniquement.
+ * @param {string} projectName - Nom du projet
+ * @returns {string} - Chemin du fichier
+ */
+export function writeEcosystem(projectName) {
+    const ecosystemPath = getEcosystemPath(projectName);
+    const content = renderEcosystem(projectName);
+
+    for (const dir of [path.dirname(ecosystemPath), PM2_CONFIG.logPath]) {
+        if (!files.exists(dir)) {
+            files.mkdir(dir);
+        }
+    }
+
+    let current = null;
+    try {
+        current = files.readFile(ecosystemPath);
+    } catch {
+        // Premier rendu
+    }
+
+    if (current !== content) {
+        files.writeFile(ecosystemPath, content, 0o600);
+        files.chmod(ecosystemPath, '600');
+        logger.debug(`Fichier ecosystem écrit: ${ecosystemPath}`);
+    }
+
+    return ecosystemPath;
+}
+
+/**
+ * Convertit une taille PM2 (300M) en octets, comme PM2 dans pm2_env
+ * @param {string} size - Taille
+ * @returns {number}
+ */
+function memoryToBytes(size) {
+    return parseInt(size, 10) * MEMORY_UNITS[size.slice(-1)];
+}
+
+/**
+ * Options d'un processus PM2 existant qui diffèrent des valeurs par défaut
+ * (délai d'arrêt et politique de redémarrage), pour les reprendre dans
+ * project.json
+ * Les valeurs que l'outil ne sait pas représenter sont ignorées.
+ * @param {object} env - pm2_env du processus (pm2 jlist)
+ * @returns {object} - { option: valeur } (champs de PM2_OPTIONS)
+ */
+export function pm2OptionsFromProcess(env) {
+    return Object.fromEntries(Object.entries(PM2_OPTIONS)
+        .filter(([, option]) => option.key in PM2_DEFAULTS)
+        .filter(([, option]) => env[option.key] !== undefined && env[option.key] !== null && env[option.key] !== PM2_DEFAULTS[option.key])
+        .flatMap(([field, option]) => {
+            try {
+                return [[field, option.parse(env[option.key], option.label)]];
+            } catch {
+                return [];
+            }
+        }));
+}
+
+/**
+ * Indique si un processus PM2 correspond à sa définition
+ * Un reload ne reprend que l'environnement: si la commande, le dossier, les
+ * logs, le mode ou les options ont changé, le processus doit être recréé.
+ * Le nombre d'instances n'est pas comparé: il s'ajuste par pm2 scale.
+ * @param {object} status - Processus (pm2 jlist)
+ * @param {object} app - Définition (buildApp)
+ * @returns {boolean}
+ */
+export function matchesApp(status, app) {
+    const env = status.pm2_env || {};
+
+    return env.pm_cwd === app.cwd
+        && path.basename(env.pm_exec_path || '') === path.basename(app.script)
+        && JSON.stringify(env.args || []) === JSON.stringify(app.args)
+        && env.pm_out_log_path === app.out_file
+        && (env.exec_mode || 'fork_mode') === `${app.exec_mode || 'fork'}_mode`
+        && Object.entries(PM2_DEFAULTS).every(([key, fallback]) => (env[key] ?? fallback) === (app[key] ?? fallback))
+        && (env.max_memory_restart ?? null) === (app.max_memory_restart ? memoryToBytes(app.max_memory_restart) : null);
+}
+
+export default {
+    PM2_OPTIONS,
+    EXEC_MODES,
+    mergePm2Options,
+    checkPm2Options,
+    instanceCount,
+    pm2OptionsFromProcess,
+    getEcosystemPath,
+    buildApp,
+    buildEcosystem,
+    renderEcosystem,
+    writeEcosystem,
+    matchesApp
+};
@@ -0,0 +1,323 @@
+/**
+ * Module des variables d'environnement des services
+ *
+ * project.json porte des variables partagées (champ "env" du projet) et,
+ * pour chaque service, ses propres variables (champ "env" du service) qui
+ * complètent ou remplacent les variables partagées. Le résultat est appliqué
+ * au lancement PM2, par startService() comme par les scripts générés.
+ *
+ * Une variable peut aussi référencer un secret chiffré (champ "secrets":
+ * { NOM: "nom-du-secret" }), déchiffré uniquement au lancement PM2.
+ *
+ * Le port attribué au service (registre des ports) est transmis dans PORT,
+ * sauf si une variable PORT est définie explicitement.
+ */
+
+import projects from './projects.js';
+import secrets from './secrets.js';
+import store from '../utils/store.js';
+import schema from '../config/schema.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { validationError, notFoundError } from '../utils/errors.js';
+
+/**
+ * Origine d'une variable dans l'environnement d'un service
+ */
+export const ENV_SOURCES = {
+    port: 'port',
+    project: 'project',
+    service: 'service',
+    override: 'override'
+};
+
+/**
+ * Masque une valeur pour l'affichage
+ * @param {string} value - Valeur
+ * @returns {string}
+ */
+export function maskValue(value) {
+    return value === '' ? '(vide)' : '•'.repeat(Math.min(String(value).length, 12));
+}
+
+/**
+ * Vérifie le nom d'une variable
+ * @param {string} name - Nom
+ */
+function assertName(name) {
+    if (!schema.ENV_NAME_PATTERN.test(name)) {
+        throw validationError(`Nom de variable invalide: ${name} (lettres, chiffres et _, sans chiffre en tête)`);
+    }
+}
+
+/**
+ * Variables partagées d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {object}
+ */
+export function getProjectEnv(projectName) {
+    return { ...(projects.loadProjectConfig(projectName).env || {}) };
+}
+
+/**
+ * Variables effectives d'un service, en clair ou référençant un secret
+ * Une variable du service remplace la variable partagée de même nom, qu'elle
+ * soit en clair ou non.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (project.json)
+ * @returns {object} - { env: { NOM: valeur }, secrets: { NOM: "nom-du-secret" } }
+ */
+export function resolveServiceVariables(projectName, service) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const env = service.port ? { PORT: String(service.port) } : {};
+    const refs = {};
+
+    for (const scope of [projectConfig, service]) {
+        for (const [name, value] of Object.entries(scope.env || {})) {
+            delete refs[name];
+            env[name] = value;
+        }
+        for (const [name, secret] of Object.entries(scope.secrets || {})) {
+            delete env[name];
+            refs[name] = secret;
+        }
+    }
+
+    return { env, secrets: refs };
+}
+
+/**
+ * Variables en clair d'un service (partagées, puis celles du service)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (project.json)
+ * @returns {object}
+ */
+export function resolveServiceEnv(projectName, service) {
+    return resolveServiceVariables(projectName, service).env;
+}
+
+/**
+ * Indique si un service utilise des secrets
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (project.json)
+ * @returns {boolean}
+ */
+export function usesSecrets(projectName, service) {
+    return Object.keys(resolveServiceVariables(projectName, service).secrets).length > 0;
+}
+
+/**
+ * Variables d'une portée (projet ou service): { NOM: { value, secret } }
+ * @param {object} scope - project.json ou service
+ * @returns {object}
+ */
+function scopeVariables(scope) {
+    return {
+        ...Object.fromEntries(Object.entries(scope.env || {}).map(([name, value]) => [name, { value, secret: null }])),
+        ...Object.fromEntries(Object.entries(scope.secrets || {}).map(([name, secret]) => [name, { value: null, secret }]))
+    };
+}
+
+/**
+ * Liste les variables d'un projet ou d'un service, avec leur origine
+ * Une variable alimentée par un secret a une valeur null et porte le nom
+ * du secret.
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Service (null: variables partagées)
+ * @returns {Array<{name: string, value: string|null, secret: string|null, source: string}>}
+ */
+export function listEnv(projectName, serviceName = null) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const shared = scopeVariables(projectConfig);
+
+    if (!serviceName) {
+        return Object.keys(shared).sort().map(name => ({ name, ...shared[name], source: ENV_SOURCES.project }));
+    }
+
+    const service = projectConfig.services.find(s => s.name === serviceName);
+    if (!service) {
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
+    }
+
+    const own = scopeVariables(service);
+    const variables = Object.keys({ ...shared, ...own }).map(name => ({
+        name,
+        ...(own[name] || shared[name]),
+        source: name in own
+            ? (name in shared ? ENV_SOURCES.override : ENV_SOURCES.service)
+            : ENV_SOURCES.project
+    }));
+
+    if (service.port && !variables.some(v => v.name === 'PORT')) {
+        variables.push({ name: 'PORT', value: String(service.port), secret: null, source: ENV_SOURCES.port });
+    }
+
+    return variables.sort((a, b) => (a.name < b.name ? -1 : 1));
+}
+
+/**
+ * Modifie les variables d'un projet ou d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Service (null: variables partagées)
+ * @param {object} changes - Modifications
+ * @param {object} [changes.env] - Variables à définir { NOM: valeur }
+ * @param {object} [changes.secrets] - Variables à lier à un secret { NOM: "nom-du-secret" }
+ * @param {Array<string>} [changes.unset] - Variables à retirer
+ * @returns {object} - Noms des variables du projet ou du service après modification
+ */
+export function updateEnv(projectName, serviceName, { env: values = {}, secrets: refs = {}, unset = [] } = {}) {
+    return store.withLockSync(() => {
+        if (!projects.projectExists(projectName)) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        for (const [name, value] of Object.entries(values)) {
+            assertName(name);
+            if (typeof value !== 'string') {
+                throw validationError(`La valeur de ${name} doit être une chaîne`);
+            }
+        }
+        for (const [name, secret] of Object.entries(refs)) {
+            assertName(name);
+            if (name in values) {
+                throw validationError(`La variable ${name} ne peut pas être à la fois en clair et liée à un secret`);
+            }
+            if (!secrets.secretExists(projectName, secret)) {
+                throw notFoundError(`Le secret ${secret} n'existe pas pour ${projectName}`);
+            }
+        }
+        unset.forEach(assertName);
+
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const target = serviceName
+            ? projectConfig.services.find(s => s.name === serviceName)
+            : projectConfig;
+
+        if (!target) {
+            throw notFoundError(`Le service ${serviceName} n'existe pas`);
+        }
+
+        // Une variable est soit en clair, soit liée à un secret
+        const env = { ...(target.env || {}), ...values };
+        const secretRefs = { ...(target.secrets || {}), ...refs };
+        for (const name of Object.keys(values)) {
+            delete secretRefs[name];
+        }
+        for (const name of Object.keys(refs)) {
+            delete env[name];
+        }
+        for (const name of unset) {
+            delete env[name];
+            delete secretRefs[name];
+        }
+
+        for (const [field, map] of [['env', env], ['secrets', secretRefs]]) {
+            if (Object.keys(map).length > 0) {
+                target[field] = map;
+            } else {
+                delete target[field];
+            }
+        }
+
+        projects.saveProjectConfig(projectName, projectConfig);
+
+        const scope = serviceName ? `${projectName}/${serviceName}` : `${projectName} (partagées)`;
+        const defined = Object.keys(values).length + Object.keys(refs).length;
+        logger.success(`Variables de ${scope} mises à jour (${defined} définie(s), ${unset.length} retirée(s))`);
+
+        return [...Object.keys(env), ...Object.keys(secretRefs)].sort();
+    });
+}
+
+/**
+ * Déplace des variables en clair vers le coffre de secrets
+ * Chaque valeur devient le secret <NOM> (variables partagées) ou
+ * <service>.<NOM>, et la variable le référence.
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Service (null: variables partagées)
+ * @param {Array<string>} names - Variables à protéger
+ * @returns {object} - { NOM: "nom-du-secret" }
+ */
+export function protectEnv(projectName, serviceName, names) {
+    return store.withLockSync(() => {
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const target = serviceName
+            ? projectConfig.services.find(s => s.name === serviceName)
+            : projectConfig;
+
+        if (!target) {
+            throw notFoundError(`Le service ${serviceName} n'existe pas`);
+        }
+
+        const missing = names.filter(name => !(name in (target.env || {})));
+        if (missing.length > 0) {
+            throw notFoundError(`Variable(s) en clair introuvable(s): ${missing.join(', ')}`);
+        }
+
+        const refs = {};
+        for (const name of names) {
+            refs[name] = serviceName ? `${serviceName}.${name}` : name;
+            secrets.setSecret(projectName, refs[name], target.env[name]);
+        }
+
+        updateEnv(projectName, serviceName, { secrets: refs });
+
+        // La copie de secours (project.json.bak) contient encore les valeurs
+        // en clair: une seconde écriture la remplace par la version protégée
+        projects.saveProjectConfig(projectName, projects.loadProjectConfig(projectName));
+
+        return refs;
+    });
+}
+
+/**
+ * Analyse un fichier .env (NOM=valeur, commentaires #, guillemets, export)
+ * @param {string} content - Contenu du fichier
+ * @returns {object} - Variables { NOM: valeur }
+ */
+export function parseDotenv(content) {
+    const env = {};
+
+    content.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            return;
+        }
+
+        const match = /^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/.exec(trimmed);
+        if (!match) {
+            throw validationError(`Ligne ${i + 1} invalide: ${trimmed}`);
+        }
+
+        const [, name, raw] = match;
+        assertName(name);
+
+        let value = raw;
+        if (/^"(.*)"$/.test(raw)) {
+            value = raw.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+        } else if (/^'(.*)'$/.test(raw)) {
+            value = raw.slice(1, -1);
+        } else {
+            // Commentaire en fin de ligne hors guillemets
+            value = raw.replace(/\s+#.*$/, '');
+        }
+
+        env[name] = value;
+    });
+
+    return env;
+}
+
+export default {
+    ENV_SOURCES,
+    ENV_NAME_PATTERN: schema.ENV_NAME_PATTERN,
+    maskValue,
+    getProjectEnv,
+    resolveServiceVariables,
+    resolveServiceEnv,
+    usesSecrets,
+    listEnv,
+    updateEnv: audited('updateEnv', updateEnv, ['projectName', 'serviceName', 'changes']),
+    protectEnv: audited('protectEnv', protectEnv, ['projectName', 'serviceName', 'names']),
+    parseDotenv
+};
@@ -0,0 +1,434 @@
+/**
+ * Module de gestion de l'état déclaratif (manifeste)
+ *
+ * Un manifeste JSON ou YAML décrit l'ensemble des projets d'un serveur,
+ * leurs services et leurs utilisateurs SFTP. plan() calcule les actions
+ * nécessaires pour converger, apply() les exécute.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { SFTP_USER_PREFIX } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import sftp from './sftp.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { validationError } from '../utils/errors.js';
+
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+const SERVICE_STATES = ['online', 'stopped'];
+
+/**
+ * Types d'actions d'un plan, dans leur ordre d'exécution pour un projet
+ */
+export const ACTION_TYPES = {
+    createProject: 'createProject',
+    createSftpUser: 'createSftpUser',
+    removeService: 'removeService',
+    updateService: 'updateService',
+    addService: 'addService',
+    startService: 'startService',
+    redeployService: 'redeployService',
+    stopService: 'stopService',
+    deleteProject: 'deleteProject'
+};
+
+/**
+ * Lève une erreur de validation du manifeste
+ * @param {string} fieldPath - Chemin du champ fautif
+ * @param {string} message - Description
+ */
+function invalid(fieldPath, message) {
+    throw validationError(`Manifeste invalide (${fieldPath}): ${message}`);
+}
+
+/**
+ * Valide un tableau de chaînes optionnel
+ * @param {*} value - Valeur
+ * @param {string} fieldPath - Chemin du champ
+ */
+function validateStringArray(value, fieldPath) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        invalid(fieldPath, 'doit être une liste de chaînes');
+    }
+}
+
+/**
+ * Valide un champ chaîne optionnel
+ * @param {*} value - Valeur
+ * @param {string} fieldPath - Chemin du champ
+ */
+function validateOptionalString(value, fieldPath) {
+    if (value !== undefined && typeof value !== 'string') {
+        invalid(fieldPath, 'doit être une chaîne');
+    }
+}
+
+/**
+ * Valide et normalise un manifeste
+ * @param {object} manifest - Manifeste brut
+ * @returns {object} - Manifeste normalisé
+ */
+export function validateManifest(manifest) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        invalid('/', 'doit être un objet');
+    }
+
+    if (!Array.isArray(manifest.projects)) {
+        invalid('projects', 'doit être une liste');
+    }
+
+    if (manifest.prune !== undefined && typeof manifest.prune !== 'boolean') {
+        invalid('prune', 'doit être un booléen');
+    }
+
+    const seenProjects = new Set();
+
+    const normalizedProjects = manifest.projects.map((project, i) => {
+        const projectPath = `projects[${i}]`;
+
+        if (!project || typeof project !== 'object') {
+            invalid(projectPath, 'doit être un objet');
+        }
+        if (typeof project.name !== 'string' || !NAME_PATTERN.test(project.name)) {
+            invalid(`${projectPath}.name`, 'doit commencer par une lettre et ne contenir que lettres, chiffres, tirets et underscores');
+        }
+        if (seenProjects.has(project.name)) {
+            invalid(`${projectPath}.name`, `projet ${project.name} déclaré plusieurs fois`);
+        }
+        seenProjects.add(project.name);
+
+        const sftpConfig = project.sftp || {};
+        validateOptionalString(sftpConfig.passwordEnv, `${projectPath}.sftp.passwordEnv`);
+        validateOptionalString(sftpConfig.passwordFile, `${projectPath}.sftp.passwordFile`);
+
+        if (project.services !== undefined && !Array.isArray(project.services)) {
+            invalid(`${projectPath}.services`, 'doit être une liste');
+        }
+
+        const seenServices = new Set();
+
+        const normalizedServices = (project.services || []).map((service, j) => {
+            const servicePath = `${projectPath}.services[${j}]`;
+
+            if (!service || typeof service !== 'object') {
+                invalid(servicePath, 'doit être un objet');
+            }
+            if (typeof service.name !== 'string' || !NAME_PATTERN.test(service.name)) {
+                invalid(`${servicePath}.name`, 'doit commencer par une lettre et ne contenir que lettres, chiffres, tirets et underscores');
+            }
+            if (seenServices.has(service.name)) {
+                invalid(`${servicePath}.name`, `service ${service.name} déclaré plusieurs fois`);
+            }
+            seenServices.add(service.name);
+
+            validateOptionalString(service.directory, `${servicePath}.directory`);
+            validateOptionalString(service.command, `${servicePath}.command`);
+            validateOptionalString(service.description, `${servicePath}.description`);
+            validateStringArray(service.setupCommands, `${servicePath}.setupCommands`);
+
+            if (service.state !== undefined && !SERVICE_STATES.includes(service.state)) {
+                invalid(`${servicePath}.state`, `doit valoir ${SERVICE_STATES.join(' ou ')}`);
+            }
+
+            return {
+                name: service.name,
+                directory: service.directory || service.name,
+                command: service.command || 'npm start',
+                setupCommands: service.setupCommands || [],
+                description: service.description || '',
+                state: service.state || null
+            };
+        });
+
+        return {
+            name: project.name,
+            sftp: {
+                passwordEnv: sftpConfig.passwordEnv || null,
+                passwordFile: sftpConfig.passwordFile || null
+            },
+            services: normalizedServices
+        };
+    });
+
+    return {
+        prune: manifest.prune === true,
+        projects: normalizedProjects
+    };
+}
+
+/**
+ * Charge un manifeste JSON ou YAML depuis un fichier
+ * @param {string} filePath - Chemin du manifeste
+ * @returns {object} - Manifeste normalisé
+ */
+export function loadManifest(filePath) {
+    let content;
+
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Impossible de lire le manifeste ${filePath}: ${error.message}`);
+    }
+
+    let manifest;
+
+    try {
+        manifest = path.extname(filePath) === '.json'
+            ? JSON.parse(content)
+            : YAML.parse(content);
+    } catch (error) {
+        throw validationError(`Manifeste illisible ${filePath}: ${error.message}`);
+    }
+
+    return validateManifest(manifest);
+}
+
+/**
+ * Liste les champs d'un service qui diffèrent du manifeste
+ * @param {string} projectName - Nom du projet
+ * @param {object} current - Service actuel (project.json)
+ * @param {object} desired - Service du manifeste
+ * @returns {object} - Changements { champ: { from, to } }
+ */
+function diffService(projectName, current, desired) {
+    const changes = {};
+    const target = {
+        directory: services.resolveServiceDirectory(projectName, desired.directory),
+        command: desired.command,
+        setupCommands: desired.setupCommands,
+        description: desired.description
+    };
+
+    for (const [field, to] of Object.entries(target)) {
+        const from = current[field] ?? (field === 'setupCommands' ? [] : field === 'description' ? '' : null);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Calcule les actions nécessaires pour faire converger le serveur vers le manifeste
+ * @param {object} manifest - Manifeste normalisé
+ * @returns {Promise<Array>} - Liste ordonnée d'actions
+ */
+export async function plan(manifest) {
+    const actions = [];
+    const existingProjects = projects.loadProjects();
+    const existingNames = new Set(existingProjects.map(p => p.name));
+
+    for (const desired of manifest.projects) {
+        const projectName = desired.name;
+        const exists = existingNames.has(projectName);
+
+        if (!exists) {
+            actions.push({ type: ACTION_TYPES.createProject, project: projectName });
+        } else if (!shell.userExists(`${SFTP_USER_PREFIX}${projectName}`)) {
+            actions.push({ type: ACTION_TYPES.createSftpUser, project: projectName });
+        }
+
+        const currentServices = exists ? services.listServices(projectName) : [];
+        const desiredNames = new Set(desired.services.map(s => s.name));
+
+        for (const current of currentServices) {
+            if (!desiredNames.has(current.name)) {
+                actions.push({ type: ACTION_TYPES.removeService, project: projectName, service: current.name });
+            }
+        }
+
+        for (const service of desired.services) {
+            const current = currentServices.find(s => s.name === service.name);
+            let running = false;
+            let changed = false;
+
+            if (!current) {
+                actions.push({ type: ACTION_TYPES.addService, project: projectName, service: service.name });
+            } else {
+                const changes = diffService(projectName, current, service);
+                changed = Object.keys(changes).length > 0;
+                if (changed) {
+                    actions.push({ type: ACTION_TYPES.updateService, project: projectName, service: service.name, changes });
+                }
+
+                const status = await services.getServiceStatus(projectName, service.name);
+                running = status.status === 'online';
+            }
+
+            if (service.state === 'online' && !running) {
+                actions.push({ type: ACTION_TYPES.startService, project: projectName, service: service.name });
+            } else if (service.state === 'stopped' && running) {
+                actions.push({ type: ACTION_TYPES.stopService, project: projectName, service: service.name });
+            } else if (running && changed && service.state !== 'stopped') {
+                // Le processus PM2 garde l'ancienne commande: il faut le recréer
+                actions.push({ type: ACTION_TYPES.redeployService, project: projectName, service: service.name });
+            }
+        }
+    }
+
+    if (manifest.prune) {
+        const desiredNames = new Set(manifest.projects.map(p => p.name));
+        for (const project of existingProjects) {
+            if (!desiredNames.has(project.name)) {
+                actions.push({ type: ACTION_TYPES.deleteProject, project: project.name });
+            }
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Récupère le mot de passe SFTP d'un projet du manifeste
+ * @param {object} desired - Projet du manifeste
+ * @returns {string}
+ */
+function resolveSftpPassword(desired) {
+    let password = null;
+
+    if (desired.sftp.passwordEnv) {
+        password = process.env[desired.sftp.passwordEnv] || null;
+    } else if (desired.sftp.passwordFile) {
+        try {
+            password = fs.readFileSync(desired.sftp.passwordFile, 'utf8').replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new Error(`Impossible de lire ${desired.sftp.passwordFile}: ${error.message}`);
+        }
+    }
+
+    if (!password || password.length < 8) {
+        throw validationError(`Mot de passe SFTP manquant ou trop court pour ${desired.name} (sftp.passwordEnv ou sftp.passwordFile)`);
+    }
+
+    return password;
+}
+
+/**
+ * Décrit une action en une ligne
+ * @param {object} action - Action du plan
+ * @returns {string}
+ */
+export function describeAction(action) {
+    const target = action.service ? `${action.project}/${action.service}` : action.project;
+    let description = `${action.type} ${target}`;
+
+    if (action.changes) {
+        description += ` (${Object.keys(action.changes).join(', ')})`;
+    }
+
+    return description;
+}
+
+/**
+ * Exécute une action du plan
+ * @param {object} manifest - Manifeste normalisé
+ * @param {object} action - Action
+ * @returns {Promise<void>}
+ */
+async function executeAction(manifest, action) {
+    const desired = manifest.projects.find(p => p.name === action.project);
+    const desiredService = desired?.services.find(s => s.name === action.service);
+
+    switch (action.type) {
+        case ACTION_TYPES.createProject:
+            await projects.createProject(action.project, resolveSftpPassword(desired));
+            break;
+
+        case ACTION_TYPES.createSftpUser:
+            await sftp.createSftpUser(action.project, resolveSftpPassword(desired));
+            break;
+
+        case ACTION_TYPES.removeService:
+            await services.removeService(action.project, action.service);
+            break;
+
+        case ACTION_TYPES.updateService:
+            services.updateService(action.project, action.service, {
+                directory: desiredService.directory,
+                command: desiredService.command,
+                setupCommands: desiredService.setupCommands,
+                description: desiredService.description
+            });
+            break;
+
+        case ACTION_TYPES.addService:
+            services.addService(action.project, desiredService);
+            break;
+
+        case ACTION_TYPES.startService:
+            await services.startService(action.project, action.service);
+            break;
+
+        case ACTION_TYPES.redeployService: {
+            const service = services.getService(action.project, action.service);
+            await shell.pm2Command(`delete ${service.pm2Name}`);
+            await services.startService(action.project, action.service);
+            break;
+        }
+
+        case ACTION_TYPES.stopService:
+            await services.stopService(action.project, action.service);
+            break;
+
+        case ACTION_TYPES.deleteProject:
+            await projects.deleteProject(action.project, false);
+            break;
+
+        default:
+            throw new Error(`Action inconnue: ${action.type}`);
+    }
+}
+
+/**
+ * Exécute un plan. S'arrête à la première erreur.
+ * @param {object} manifest - Manifeste normalisé
+ * @param {Array} actions - Actions calculées par plan()
+ * @returns {Promise<{applied: Array, failed: object|null, skipped: Array}>}
+ */
+export async function apply(manifest, actions) {
+    const applied = [];
+    const touchedProjects = new Set();
+    let failed = null;
+
+    for (const action of actions) {
+        logger.info(`→ ${describeAction(action)}`);
+
+        try {
+            await executeAction(manifest, action);
+            applied.push(action);
+            if (action.type !== ACTION_TYPES.deleteProject) {
+                touchedProjects.add(action.project);
+            }
+        } catch (error) {
+            failed = { action, error: error.message };
+            logger.error(`Échec de ${describeAction(action)}: ${error.message}`);
+            break;
+        }
+    }
+
+    // Régénérer les scripts des projets modifiés
+    for (const projectName of touchedProjects) {
+        if (projects.projectExists(projectName)) {
+            scripts.generateScripts(projectName);
+        }
+    }
+
+    const skipped = failed ? actions.slice(applied.length + 1) : [];
+    return { applied, failed, skipped };
+}
+
+export default {
+    ACTION_TYPES,
+    validateManifest,
+    loadManifest,
+    plan,
+    apply: audited('applyManifest', apply),
+    describeAction
+};
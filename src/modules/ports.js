@@ -0,0 +1,267 @@
+/**
+ * Module du registre des ports
+ *
+ * ports.json, à côté de projects.json, recense les ports attribués aux
+ * services de tous les projets du serveur. Chaque service reçoit un port
+ * libre de la plage configurée (ou le port demandé, s'il n'est ni attribué
+ * ni déjà en écoute), enregistré aussi dans son project.json et transmis
+ * au processus dans la variable PORT.
+ */
+
+import fs from 'fs';
+import { PORTS_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { ERROR_CODES, validationError, conflictError } from '../utils/errors.js';
+
+// État LISTEN dans /proc/net/tcp
+const TCP_LISTEN_STATE = '0A';
+
+/**
+ * Charge le registre
+ * @returns {object} - { range: { start, end }, allocations: [{ port, project, service, allocatedAt }] }
+ */
+function loadRegistry() {
+    const registry = store.loadJson(PORTS_CONFIG.file, {});
+    return {
+        range: registry.range || { ...PORTS_CONFIG.range },
+        allocations: registry.allocations || []
+    };
+}
+
+/**
+ * Enregistre le registre
+ * @param {object} registry - Registre
+ */
+function saveRegistry(registry) {
+    projects.initConfigDir();
+    registry.allocations.sort((a, b) => a.port - b.port);
+    store.saveJson(PORTS_CONFIG.file, registry);
+}
+
+/**
+ * Vérifie un numéro de port
+ * @param {*} port - Port
+ * @returns {number}
+ */
+function parsePort(port) {
+    const value = typeof port === 'string' && /^\d+$/.test(port) ? parseInt(port, 10) : port;
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+        throw validationError(`Port invalide: ${port} (1-65535)`);
+    }
+    return value;
+}
+
+/**
+ * Ports TCP en écoute sur le serveur (toutes adresses, IPv4 et IPv6)
+ * @returns {Set<number>}
+ */
+export function listListeningPorts() {
+    const listening = new Set();
+
+    for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+        } catch {
+            continue;
+        }
+
+        for (const line of content.split('\n').slice(1)) {
+            const fields = line.trim().split(/\s+/);
+            if (fields.length > 3 && fields[3] === TCP_LISTEN_STATE) {
+                listening.add(parseInt(fields[1].split(':')[1], 16));
+            }
+        }
+    }
+
+    return listening;
+}
+
+/**
+ * Plage d'attribution automatique
+ * @returns {{start: number, end: number}}
+ */
+export function getRange() {
+    return loadRegistry().range;
+}
+
+/**
+ * Modifie la plage d'attribution automatique
+ * Les ports déjà attribués hors de la nouvelle plage sont conservés.
+ * @param {number} start - Premier port
+ * @param {number} end - Dernier port
+ * @returns {{start: number, end: number}}
+ */
+export function setRange(start, end) {
+    return store.withLockSync(() => {
+        const range = { start: parsePort(start), end: parsePort(end) };
+        if (range.start > range.end) {
+            throw validationError(`Plage invalide: ${range.start}-${range.end}`);
+        }
+
+        const registry = loadRegistry();
+        registry.range = range;
+        saveRegistry(registry);
+
+        const outside = registry.allocations.filter(a => a.port < range.start || a.port > range.end);
+        if (outside.length > 0) {
+            logger.warn(`${outside.length} port(s) attribué(s) hors de la nouvelle plage (conservés)`);
+        }
+
+        logger.success(`Plage de ports: ${range.start}-${range.end}`);
+        return range;
+    });
+}
+
+/**
+ * Liste les ports attribués
+ * @returns {Array<{port: number, project: string, service: string, allocatedAt: string, listening: boolean}>}
+ */
+export function listAllocations() {
+    const listening = listListeningPorts();
+    return loadRegistry().allocations.map(a => ({ ...a, listening: listening.has(a.port) }));
+}
+
+/**
+ * Réserve un port pour un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number|string} [requested] - Port demandé (défaut: premier port libre de la plage)
+ * @param {object} options - Options
+ * @param {boolean} [options.checkListening] - Refuser un port déjà en écoute (faux pour un processus adopté)
+ * @returns {number}
+ */
+export function reservePort(projectName, serviceName, requested, { checkListening = true } = {}) {
+    return store.withLockSync(() => {
+        const registry = loadRegistry();
+        const listening = checkListening ? listListeningPorts() : new Set();
+        const others = registry.allocations.filter(a => a.project !== projectName || a.service !== serviceName);
+        const taken = new Map(others.map(a => [a.port, a]));
+
+        let port;
+        if (requested !== undefined && requested !== null) {
+            port = parsePort(requested);
+
+            const owner = taken.get(port);
+            if (owner) {
+                throw conflictError(`Le port ${port} est déjà attribué à ${owner.project}/${owner.service}`);
+            }
+            if (listening.has(port)) {
+                throw conflictError(`Le port ${port} est déjà en écoute sur le serveur`);
+            }
+        } else {
+            const { start, end } = registry.range;
+            for (let candidate = start; candidate <= end; candidate++) {
+                if (!taken.has(candidate) && !listening.has(candidate)) {
+                    port = candidate;
+                    break;
+                }
+            }
+
+            if (port === undefined) {
+                throw conflictError(`Aucun port libre dans la plage ${start}-${end}`);
+            }
+        }
+
+        registry.allocations = [
+            ...others,
+            { port, project: projectName, service: serviceName, allocatedAt: new Date().toISOString() }
+        ];
+        saveRegistry(registry);
+
+        logger.info(`Port ${port} attribué à ${projectName}/${serviceName}`);
+        return port;
+    });
+}
+
+/**
+ * Libère le port d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ */
+export function releasePort(projectName, serviceName) {
+    store.withLockSync(() => {
+        const registry = loadRegistry();
+        const allocations = registry.allocations.filter(a => a.project !== projectName || a.service !== serviceName);
+
+        if (allocations.length !== registry.allocations.length) {
+            registry.allocations = allocations;
+            saveRegistry(registry);
+        }
+    });
+}
+
+/**
+ * Libère tous les ports d'un projet
+ * @param {string} projectName - Nom du projet
+ */
+export function releaseProjectPorts(projectName) {
+    store.withLockSync(() => {
+        const registry = loadRegistry();
+        const allocations = registry.allocations.filter(a => a.project !== projectName);
+
+        if (allocations.length !== registry.allocations.length) {
+            registry.allocations = allocations;
+            saveRegistry(registry);
+        }
+    });
+}
+
+/**
+ * Remplace les ports d'un projet (restauration d'une sauvegarde)
+ * Un port attribué entre-temps à un autre projet est remplacé par un port
+ * libre de la plage. Les services du projet sont arrêtés: leurs ports en
+ * écoute ne sont pas vérifiés.
+ * @param {string} projectName - Nom du projet
+ * @param {Array<{service: string, port: number}>} wanted - Ports souhaités
+ * @returns {Array<{service: string, port: number}>} - Ports attribués
+ */
+export function replaceProjectPorts(projectName, wanted) {
+    return store.withLockSync(() => {
+        releaseProjectPorts(projectName);
+
+        return wanted.map(({ service, port }) => {
+            try {
+                return { service, port: reservePort(projectName, service, port, { checkListening: false }) };
+            } catch (error) {
+                if (error.code !== ERROR_CODES.conflict) {
+                    throw error;
+                }
+                logger.warn(`${projectName}/${service}: ${error.message}, nouveau port attribué`);
+                return { service, port: reservePort(projectName, service) };
+            }
+        });
+    });
+}
+
+/**
+ * Reporte les ports d'un projet renommé
+ * @param {string} oldName - Ancien nom
+ * @param {string} newName - Nouveau nom
+ */
+export function moveProjectPorts(oldName, newName) {
+    store.withLockSync(() => {
+        const registry = loadRegistry();
+        if (!registry.allocations.some(a => a.project === oldName)) {
+            return;
+        }
+
+        registry.allocations = registry.allocations.map(a => a.project === oldName ? { ...a, project: newName } : a);
+        saveRegistry(registry);
+    });
+}
+
+export default {
+    listListeningPorts,
+    getRange,
+    setRange: audited('setPortRange', setRange, ['start', 'end']),
+    listAllocations,
+    reservePort,
+    releasePort,
+    releaseProjectPorts,
+    replaceProjectPorts,
+    moveProjectPorts
+};
@@ -2,53 +2,95 @@
  * Module de gestion des projets
  */
 
-import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE } from '../config/constants.js';
+import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE, SFTP_USER_PREFIX } from '../config/constants.js';
 import sftp from './sftp.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import backups from './backups.js';
+import quotas from './quotas.js';
+import secrets from './secrets.js';
+import ports from './ports.js';
+import runtime from './runtime.js';
 import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import schema from '../config/schema.js';
 import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { validationError, notFoundError, conflictError } from '../utils/errors.js';
 
 /**
  * Initialise les dossiers de configuration de l'outil
  */
 export function initConfigDir() {
-    if (!fs.existsSync(TOOL_CONFIG_PATH)) {
-        fs.mkdirSync(TOOL_CONFIG_PATH, { recursive: true });
+    if (!files.exists(TOOL_CONFIG_PATH)) {
+        files.mkdir(TOOL_CONFIG_PATH);
         logger.debug(`Dossier de configuration créé: ${TOOL_CONFIG_PATH}`);
     }
 
-    if (!fs.existsSync(PROJECTS_CONFIG_FILE)) {
-        fs.writeFileSync(PROJECTS_CONFIG_FILE, JSON.stringify({ projects: [] }, null, 2));
+    if (!files.exists(PROJECTS_CONFIG_FILE)) {
+        store.saveJson(PROJECTS_CONFIG_FILE, { schemaVersion: schema.CONFIG_SCHEMA_VERSION, projects: [] });
         logger.debug(`Fichier de configuration créé: ${PROJECTS_CONFIG_FILE}`);
     }
 }
 
+/**
+ * Charge un fichier de configuration, le met à niveau et le valide
+ * Un fichier d'un ancien schéma est migré sur place après une copie
+ * <fichier>.v<version>.bak.
+ * @param {string} filePath - Chemin du fichier
+ * @param {string} kind - Type (schema.CONFIG_KINDS)
+ * @param {object} context - Contexte des migrations
+ * @returns {object|null} - null si le fichier n'existe pas
+ */
+function loadConfigFile(filePath, kind, context = {}) {
+    const raw = store.loadJson(filePath);
+    if (!raw) {
+        return null;
+    }
+
+    const { document, fromVersion } = schema.migrate(kind, raw, context, filePath);
+    schema.assertValid(kind, document, filePath);
+
+    if (fromVersion !== null) {
+        store.withLockSync(() => {
+            const backup = `${filePath}.v${fromVersion}.bak`;
+            files.copyFile(filePath, backup);
+            store.saveJson(filePath, document);
+            logger.info(`${filePath} migré du schéma v${fromVersion} vers v${schema.CONFIG_SCHEMA_VERSION} (copie: ${backup})`);
+        });
+    }
+
+    return document;
+}
+
 /**
  * Charge la liste des projets depuis le fichier de configuration
+ * Un fichier corrompu est restauré depuis sa dernière copie valide; sans
+ * copie valide, une erreur est levée plutôt que de renvoyer une liste vide.
  * @returns {Array} - Liste des projets
  */
 export function loadProjects() {
-    try {
-        initConfigDir();
-        const data = fs.readFileSync(PROJECTS_CONFIG_FILE, 'utf8');
-        const config = JSON.parse(data);
-        return config.projects || [];
-    } catch (error) {
-        logger.error(`Erreur lors du chargement des projets: ${error.message}`);
-        return [];
-    }
+    initConfigDir();
+    const config = loadConfigFile(PROJECTS_CONFIG_FILE, schema.CONFIG_KINDS.projects);
+    return config ? config.projects : [];
 }
 
 /**
  * Sauvegarde la liste des projets
+ * Les appelants qui modifient la liste chargée doivent détenir le verrou
+ * (store.withLock) pendant tout le cycle lecture-modification-écriture.
  * @param {Array} projects - Liste des projets
  */
 export function saveProjects(projects) {
+    const config = { schemaVersion: schema.CONFIG_SCHEMA_VERSION, projects, updatedAt: new Date().toISOString() };
+    schema.assertValid(schema.CONFIG_KINDS.projects, config, PROJECTS_CONFIG_FILE);
+
     try {
         initConfigDir();
-        const config = { projects, updatedAt: new Date().toISOString() };
-        fs.writeFileSync(PROJECTS_CONFIG_FILE, JSON.stringify(config, null, 2));
+        store.saveJson(PROJECTS_CONFIG_FILE, config);
         logger.debug('Configuration des projets sauvegardée');
     } catch (error) {
         throw new Error(`Erreur lors de la sauvegarde: ${error.message}`);
@@ -82,18 +124,18 @@ export function projectExists(projectName) {
 export function loadProjectConfig(projectName) {
     const configPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.config);
     
-    try {
-        if (fs.existsSync(configPath)) {
-            const data = fs.readFileSync(configPath, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        logger.warn(`Erreur lors du chargement de la config du projet: ${error.message}`);
+    const config = loadConfigFile(configPath, schema.CONFIG_KINDS.project, { projectName });
+    if (config) {
+        return config;
     }
 
-    // Configuration par défaut
+    // Dossier absent (projet en cours de création ou supprimé à la main)
+    logger.debug(`${configPath} absent: configuration vide utilisée`);
     return {
+        schemaVersion: schema.CONFIG_SCHEMA_VERSION,
         name: projectName,
+        path: path.join(BASE_PATH, projectName),
+        sftpUser: `${SFTP_USER_PREFIX}${projectName}`,
         services: [],
         createdAt: new Date().toISOString()
     };
@@ -107,9 +149,12 @@ export function loadProjectConfig(projectName) {
 export function saveProjectConfig(projectName, config) {
     const configPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.config);
     
+    config.schemaVersion = schema.CONFIG_SCHEMA_VERSION;
+    config.updatedAt = new Date().toISOString();
+    schema.assertValid(schema.CONFIG_KINDS.project, config, configPath);
+
     try {
-        config.updatedAt = new Date().toISOString();
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        store.saveJson(configPath, config);
         logger.debug(`Configuration du projet ${projectName} sauvegardée`);
     } catch (error) {
         throw new Error(`Erreur lors de la sauvegarde de la config: ${error.message}`);
@@ -123,126 +168,347 @@ export function saveProjectConfig(projectName, config) {
  * @returns {Promise<object>}
  */
 export async function createProject(projectName, sftpPassword) {
-    // Valider le nom du projet
-    if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(projectName)) {
-        throw new Error('Le nom du projet doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
-    }
-
-    // Vérifier si le projet existe déjà
-    if (projectExists(projectName)) {
-        throw new Error(`Le projet ${projectName} existe déjà`);
-    }
-
-    const projectPath = path.join(BASE_PATH, projectName);
-
-    // Vérifier si le dossier existe déjà
-    if (fs.existsSync(projectPath)) {
-        throw new Error(`Le dossier ${projectPath} existe déjà`);
-    }
+    return store.withLock(async () => {
+        // Valider le nom du projet
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(projectName)) {
+            throw validationError('Le nom du projet doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+        }
 
-    logger.info(`Création du projet ${projectName}...`);
+        // Vérifier si le projet existe déjà
+        if (projectExists(projectName)) {
+            throw conflictError(`Le projet ${projectName} existe déjà`);
+        }
 
-    // Créer la structure des dossiers
-    const sitesPath = path.join(projectPath, PROJECT_STRUCTURE.sites);
-    const scriptsPath = path.join(projectPath, PROJECT_STRUCTURE.scripts);
+        const projectPath = path.join(BASE_PATH, projectName);
 
-    fs.mkdirSync(projectPath, { recursive: true });
-    fs.mkdirSync(sitesPath, { recursive: true });
-    fs.mkdirSync(scriptsPath, { recursive: true });
+        // Vérifier si le dossier existe déjà
+        if (files.exists(projectPath)) {
+            throw conflictError(`Le dossier ${projectPath} existe déjà`);
+        }
 
-    logger.success(`Dossiers créés: ${projectPath}`);
+        // Vérifier l'utilisateur avant de commencer: l'annulation le supprimerait
+        const sftpUsername = `${SFTP_USER_PREFIX}${projectName}`;
+        if (shell.userExists(sftpUsername)) {
+            throw conflictError(`L'utilisateur ${sftpUsername} existe déjà`);
+        }
 
-    // Créer l'utilisateur SFTP
-    const sftpUsername = await sftp.createSftpUser(projectName, sftpPassword);
+        const runUsername = runtime.runtimeUserName(projectName);
+        if (shell.userExists(runUsername)) {
+            throw conflictError(`L'utilisateur ${runUsername} existe déjà`);
+        }
 
-    // Créer la configuration du projet
-    const projectConfig = {
-        name: projectName,
-        path: projectPath,
-        sftpUser: sftpUsername,
-        services: [],
-        createdAt: new Date().toISOString()
-    };
+        logger.info(`Création du projet ${projectName}...`);
+
+        const sitesPath = path.join(projectPath, PROJECT_STRUCTURE.sites);
+        const scriptsPath = path.join(projectPath, PROJECT_STRUCTURE.scripts);
+        const previousProjects = loadProjects();
+        const projectConfig = {
+            schemaVersion: schema.CONFIG_SCHEMA_VERSION,
+            name: projectName,
+            path: projectPath,
+            sftpUser: sftpUsername,
+            runUser: runUsername,
+            services: [],
+            createdAt: new Date().toISOString()
+        };
+        const projects = [...previousProjects, {
+            name: projectName,
+            path: projectPath,
+            sftpUser: sftpUsername,
+            runUser: runUsername,
+            createdAt: projectConfig.createdAt
+        }];
+
+        await runTransaction('createProject', [
+            {
+                description: `Création des dossiers ${projectPath}`,
+                run: () => {
+                    files.mkdir(projectPath);
+                    files.mkdir(sitesPath);
+                    files.mkdir(scriptsPath);
+                    logger.success(`Dossiers créés: ${projectPath}`);
+                },
+                undo: () => files.remove(projectPath),
+                undoOnFailure: true
+            },
+            {
+                description: `Création de l'utilisateur SFTP ${sftpUsername}`,
+                run: () => sftp.createSftpUser(projectName, sftpPassword),
+                undo: () => sftp.deleteSftpUser(projectName),
+                undoOnFailure: true
+            },
+            {
+                description: `Création de l'utilisateur d'exécution ${runUsername}`,
+                run: () => runtime.createRuntimeUser(projectName),
+                undo: () => runtime.deleteRuntimeUser(projectName),
+                undoOnFailure: true
+            },
+            {
+                description: 'Écriture de project.json',
+                run: () => saveProjectConfig(projectName, projectConfig),
+                // Supprimé avec le dossier du projet
+                undo: () => {}
+            },
+            {
+                description: 'Ajout du projet à projects.json',
+                run: () => saveProjects(projects),
+                undo: () => saveProjects(previousProjects)
+            },
+            {
+                description: `Permissions de ${sitesPath}`,
+                run: () => runtime.applyPermissions(projectName),
+                // Dossier supprimé par l'annulation de la première étape
+                undo: () => {}
+            },
+            {
+                description: 'Mise à jour de la configuration SSH',
+                run: () => sftp.updateSSHConfig(projects),
+                undo: () => sftp.updateSSHConfig(previousProjects)
+            }
+        ]);
 
-    saveProjectConfig(projectName, projectConfig);
+        logger.success(`Projet ${projectName} créé avec succès !`);
 
-    // Ajouter le projet à la liste globale
-    const projects = loadProjects();
-    projects.push({
-        name: projectName,
-        path: projectPath,
-        sftpUser: sftpUsername,
-        createdAt: projectConfig.createdAt
+        return projectConfig;
     });
-    saveProjects(projects);
-
-    // Mettre à jour la configuration SSH
-    await sftp.updateSSHConfig(projects);
-
-    logger.success(`Projet ${projectName} créé avec succès !`);
-
-    return projectConfig;
 }
 
 /**
  * Supprime un projet
+ * Les étapes réversibles sont exécutées d'abord; la suppression de
+ * l'utilisateur SFTP et des fichiers, irréversibles, viennent en dernier.
  * @param {string} projectName - Nom du projet
  * @param {boolean} deleteFiles - Supprimer les fichiers du projet
  * @returns {Promise<void>}
  */
 export async function deleteProject(projectName, deleteFiles = false) {
-    const project = getProject(projectName);
+    return store.withLock(async () => {
+        const project = getProject(projectName);
     
-    if (!project) {
-        throw new Error(`Le projet ${projectName} n'existe pas`);
-    }
+        if (!project) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
 
-    logger.info(`Suppression du projet ${projectName}...`);
+        logger.info(`Suppression du projet ${projectName}...`);
 
-    // Arrêter tous les services PM2 du projet
-    try {
+        const projectPath = path.join(BASE_PATH, projectName);
+        const previousProjects = loadProjects();
+        const projects = previousProjects.filter(p => p.name !== projectName);
         const projectConfig = loadProjectConfig(projectName);
+
+        // Mémoriser les services actifs pour pouvoir les relancer
+        const runningServices = [];
         for (const service of projectConfig.services || []) {
-            const processName = `${projectName}-${service.name}`;
-            try {
-                await shell.pm2Command(`delete ${processName}`);
-            } catch {
-                // Ignorer si le processus n'existe pas
+            const status = await shell.getPm2ProcessStatus(service.pm2Name);
+            if (status && status.pm2_env?.status === 'online') {
+                runningServices.push(service.name);
+            }
+        }
+
+        const steps = [
+            {
+                description: 'Arrêt et suppression des processus PM2',
+                run: async () => {
+                    for (const service of projectConfig.services || []) {
+                        try {
+                            await shell.pm2Command(`delete ${service.pm2Name}`);
+                        } catch {
+                            // Ignorer si le processus n'existe pas
+                        }
+                    }
+                },
+                undo: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(projectName, serviceName, false);
+                    }
+                }
+            },
+            {
+                description: 'Retrait du projet de projects.json',
+                run: () => saveProjects(projects),
+                undo: () => saveProjects(previousProjects)
+            },
+            {
+                description: 'Mise à jour de la configuration SSH',
+                run: () => sftp.updateSSHConfig(projects),
+                undo: () => sftp.updateSSHConfig(previousProjects)
+            },
+            {
+                description: `Suppression de l'utilisateur SFTP ${SFTP_USER_PREFIX}${projectName}`,
+                run: () => sftp.deleteSftpUser(projectName),
+                undo: null
+            },
+            {
+                description: `Suppression de l'utilisateur d'exécution ${runtime.runtimeUserName(projectName)}`,
+                run: () => runtime.deleteRuntimeUser(projectName),
+                undo: null
+            },
+            {
+                description: 'Suppression des secrets du projet',
+                run: () => secrets.removeProjectSecrets(projectName),
+                undo: null
+            },
+            {
+                description: 'Libération des ports du projet',
+                run: () => ports.releaseProjectPorts(projectName),
+                undo: null
             }
+        ];
+
+        if (deleteFiles && files.exists(projectPath)) {
+            steps.push({
+                description: `Suppression des fichiers ${projectPath}`,
+                run: () => {
+                    files.remove(projectPath);
+                    logger.success(`Fichiers du projet supprimés: ${projectPath}`);
+                },
+                undo: null
+            });
         }
+
+        await runTransaction('deleteProject', steps);
+        quotas.forgetUsage(projectName);
+        syncBackupSchedule();
+
+        logger.success(`Projet ${projectName} supprimé`);
+    });
+}
+
+/**
+ * Met à jour la planification des sauvegardes après un changement de projets
+ * Un échec n'annule pas l'opération: le fichier cron est dérivé de la
+ * configuration et sera réécrit au prochain réglage.
+ */
+function syncBackupSchedule() {
+    try {
+        backups.writeCronFile();
     } catch (error) {
-        logger.warn(`Erreur lors de l'arrêt des services: ${error.message}`);
+        logger.warn(`Planification des sauvegardes non mise à jour: ${error.message}`);
+    }
+}
+
+/**
+ * Normalise et valide un tag (minuscules, "nom" ou "clé:valeur")
+ * @param {string} tag - Tag saisi
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+    const normalized = String(tag).trim().toLowerCase();
+
+    if (!schema.TAG_PATTERN.test(normalized)) {
+        throw validationError(`Tag invalide: ${tag} (ex: client:acme, env:staging, critique)`);
     }
 
-    // Supprimer l'utilisateur SFTP
-    await sftp.deleteSftpUser(projectName);
+    return normalized;
+}
+
+/**
+ * Analyse un sélecteur de tags
+ * Les termes séparés par des virgules doivent tous correspondre; "clé:*"
+ * accepte toute valeur et un "!" en tête exclut les projets portant le tag.
+ * Ex: "env:staging,client:*,!tier:critical"
+ * @param {string} selector - Sélecteur
+ * @returns {Array<{tag: string, negate: boolean}>}
+ */
+export function parseTagSelector(selector) {
+    const terms = String(selector || '').split(',').map(term => term.trim()).filter(Boolean);
 
-    // Supprimer le projet de la liste
-    let projects = loadProjects();
-    projects = projects.filter(p => p.name !== projectName);
-    saveProjects(projects);
+    if (terms.length === 0) {
+        throw validationError('Sélecteur de tags vide (ex: env:staging,client:acme)');
+    }
 
-    // Mettre à jour la configuration SSH
-    await sftp.updateSSHConfig(projects);
+    return terms.map(term => {
+        const negate = term.startsWith('!');
+        const raw = negate ? term.slice(1) : term;
+        const wildcard = raw.endsWith(':*');
 
-    // Supprimer les fichiers si demandé
-    if (deleteFiles) {
-        const projectPath = path.join(BASE_PATH, projectName);
-        if (fs.existsSync(projectPath)) {
-            fs.rmSync(projectPath, { recursive: true, force: true });
-            logger.success(`Fichiers du projet supprimés: ${projectPath}`);
+        const tag = wildcard ? `${normalizeTag(raw.slice(0, -2))}:*` : normalizeTag(raw);
+        if (wildcard && tag.split(':').length !== 2) {
+            throw validationError(`Terme de sélecteur invalide: ${term}`);
         }
-    }
 
-    logger.success(`Projet ${projectName} supprimé`);
+        return { tag, negate };
+    });
+}
+
+/**
+ * Indique si une liste de tags satisfait un sélecteur
+ * @param {Array<string>} tags - Tags du projet
+ * @param {string|Array} selector - Sélecteur (texte ou parseTagSelector)
+ * @returns {boolean}
+ */
+export function matchesTagSelector(tags = [], selector) {
+    const terms = Array.isArray(selector) ? selector : parseTagSelector(selector);
+
+    return terms.every(({ tag, negate }) => {
+        const found = tag.endsWith(':*')
+            ? tags.some(t => t.startsWith(tag.slice(0, -1)))
+            : tags.includes(tag);
+        return found !== negate;
+    });
+}
+
+/**
+ * Projets correspondant à un sélecteur de tags
+ * @param {string} selector - Sélecteur (voir parseTagSelector)
+ * @returns {Array<object>} - Entrées de projects.json
+ */
+export function selectProjects(selector) {
+    const terms = parseTagSelector(selector);
+    return loadProjects().filter(project => matchesTagSelector(project.tags, terms));
+}
+
+/**
+ * Tags utilisés par l'ensemble des projets
+ * @returns {Array<string>} - Tags triés
+ */
+export function listTags() {
+    return [...new Set(loadProjects().flatMap(project => project.tags || []))].sort();
+}
+
+/**
+ * Ajoute ou retire des tags à un projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} changes - Modifications
+ * @param {Array<string>} [changes.add] - Tags à ajouter
+ * @param {Array<string>} [changes.remove] - Tags à retirer
+ * @returns {Array<string>} - Tags du projet après modification
+ */
+export function tagProject(projectName, { add = [], remove = [] } = {}) {
+    return store.withLockSync(() => {
+        const projects = loadProjects();
+        const project = projects.find(p => p.name === projectName);
+
+        if (!project) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        const added = add.map(normalizeTag);
+        const removed = remove.map(normalizeTag);
+        const tags = [...new Set([...(project.tags || []), ...added])]
+            .filter(tag => !removed.includes(tag))
+            .sort();
+
+        if (tags.length > 0) {
+            project.tags = tags;
+        } else {
+            delete project.tags;
+        }
+
+        saveProjects(projects);
+        logger.success(`Tags de ${projectName}: ${tags.length > 0 ? tags.join(', ') : 'aucun'}`);
+
+        return tags;
+    });
 }
 
 /**
  * Liste tous les projets avec leur statut
+ * @param {string|null} selector - Sélecteur de tags (null: tous les projets)
  * @returns {Promise<Array>}
  */
-export async function listProjectsWithStatus() {
-    const projects = loadProjects();
+export async function listProjectsWithStatus(selector = null) {
+    const projects = selector ? selectProjects(selector) : loadProjects();
     const result = [];
 
     for (const project of projects) {
@@ -250,13 +516,16 @@ export async function listProjectsWithStatus() {
         const sftpInfo = sftp.getSftpUserInfo(project.name);
         
         let runningServices = 0;
+        let erroredServices = 0;
         let totalServices = projectConfig.services?.length || 0;
 
         for (const service of projectConfig.services || []) {
-            const processName = `${project.name}-${service.name}`;
-            const status = await shell.getPm2ProcessStatus(processName);
+            const status = await shell.getPm2ProcessStatus(service.pm2Name);
             if (status && status.pm2_env?.status === 'online') {
                 runningServices++;
+            } else if (service.crash) {
+                // Arrêté par le watchdog après une boucle de crash
+                erroredServices++;
             }
         }
 
@@ -265,6 +534,8 @@ export async function listProjectsWithStatus() {
             sftpActive: sftpInfo !== null,
             totalServices,
             runningServices,
+            erroredServices,
+            disk: await quotas.getUsage(project.name),
             services: projectConfig.services || []
         });
     }
@@ -274,19 +545,305 @@ export async function listProjectsWithStatus() {
 
 /**
  * Renomme un projet
+ * Déplace le dossier, renomme l'utilisateur SFTP, réécrit les configurations,
+ * recrée les processus PM2 sous leurs nouveaux noms et régénère les scripts.
+ * Toute erreur annule les étapes déjà effectuées.
  * @param {string} oldName - Ancien nom
  * @param {string} newName - Nouveau nom
- * @returns {Promise<void>}
+ * @returns {Promise<object>} - Nouvelle configuration du projet
  */
 export async function renameProject(oldName, newName) {
-    // Cette fonctionnalité est complexe car elle implique:
-    // - Renommer l'utilisateur SFTP
-    // - Renommer le dossier
-    // - Mettre à jour tous les services PM2
-    // - Mettre à jour la configuration SSH
-    
-    // Pour l'instant, on recommande de supprimer et recréer
-    throw new Error('Le renommage de projet n\'est pas encore supporté. Veuillez supprimer et recréer le projet.');
+    return store.withLock(async () => {
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(newName)) {
+            throw validationError('Le nom du projet doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+        }
+
+        if (!projectExists(oldName)) {
+            throw notFoundError(`Le projet ${oldName} n'existe pas`);
+        }
+
+        if (oldName === newName) {
+            throw validationError('Le nouveau nom est identique à l\'ancien');
+        }
+
+        if (projectExists(newName)) {
+            throw conflictError(`Le projet ${newName} existe déjà`);
+        }
+
+        const oldPath = path.join(BASE_PATH, oldName);
+        const newPath = path.join(BASE_PATH, newName);
+
+        if (files.exists(newPath)) {
+            throw conflictError(`Le dossier ${newPath} existe déjà`);
+        }
+
+        const oldProjects = loadProjects();
+        const oldConfig = loadProjectConfig(oldName);
+        const oldServices = oldConfig.services || [];
+
+        // Mémoriser les services actifs pour les relancer sous leur nouveau nom
+        const runningServices = [];
+        for (const service of oldServices) {
+            const status = await shell.getPm2ProcessStatus(service.pm2Name);
+            if (status && status.pm2_env?.status === 'online') {
+                runningServices.push(service.name);
+            }
+        }
+
+        const rebase = (directory) => directory === oldPath || directory.startsWith(oldPath + '/')
+            ? newPath + directory.slice(oldPath.length)
+            : directory;
+
+        // Un projet non isolé le reste: pas de runUser ajouté
+        const isolated = Boolean(oldProjects.find(p => p.name === oldName)?.runUser);
+        const runUser = isolated ? { runUser: runtime.runtimeUserName(newName) } : {};
+
+        if (isolated && shell.userExists(runtime.runtimeUserName(newName))) {
+            throw conflictError(`L'utilisateur ${runtime.runtimeUserName(newName)} existe déjà`);
+        }
+
+        const newConfig = {
+            ...oldConfig,
+            ...runUser,
+            name: newName,
+            path: newPath,
+            sftpUser: `${SFTP_USER_PREFIX}${newName}`,
+            services: oldServices.map(service => ({
+                ...service,
+                directory: rebase(service.directory),
+                pm2Name: `${newName}-${service.name}`
+            }))
+        };
+
+        const newProjects = oldProjects.map(p => p.name === oldName
+            ? { ...p, ...runUser, name: newName, path: newPath, sftpUser: newConfig.sftpUser }
+            : p);
+
+        logger.info(`Renommage du projet ${oldName} en ${newName}...`);
+
+        await runTransaction('renameProject', [
+            {
+                description: 'Arrêt et suppression des processus PM2',
+                run: async () => {
+                    for (const service of oldServices) {
+                        try {
+                            await shell.pm2Command(`delete ${service.pm2Name}`);
+                        } catch {
+                            // Ignorer si le processus n'existe pas
+                        }
+                    }
+                },
+                undo: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(oldName, serviceName, false);
+                    }
+                }
+            },
+            {
+                description: `Renommage de l'utilisateur SFTP`,
+                run: () => sftp.renameSftpUser(oldName, newName),
+                undo: () => sftp.renameSftpUser(newName, oldName)
+            },
+            ...(isolated ? [{
+                description: `Renommage de l'utilisateur d'exécution`,
+                run: () => runtime.renameRuntimeUser(oldName, newName),
+                undo: () => runtime.renameRuntimeUser(newName, oldName)
+            }] : []),
+            {
+                description: `Déplacement de ${oldPath} vers ${newPath}`,
+                run: () => files.rename(oldPath, newPath),
+                undo: () => {
+                    files.rename(newPath, oldPath);
+                    scripts.generateScripts(oldName);
+                }
+            },
+            {
+                description: 'Mise à jour de project.json',
+                run: () => saveProjectConfig(newName, { ...newConfig }),
+                undo: () => saveProjectConfig(newName, { ...oldConfig })
+            },
+            {
+                description: 'Mise à jour de projects.json',
+                run: () => saveProjects(newProjects),
+                undo: () => saveProjects(oldProjects)
+            },
+            {
+                description: 'Transfert des secrets',
+                run: () => secrets.moveProjectSecrets(oldName, newName),
+                undo: () => secrets.moveProjectSecrets(newName, oldName)
+            },
+            {
+                description: 'Mise à jour du registre des ports',
+                run: () => ports.moveProjectPorts(oldName, newName),
+                undo: () => ports.moveProjectPorts(newName, oldName)
+            },
+            {
+                description: 'Régénération des scripts',
+                run: () => scripts.generateScripts(newName),
+                undo: null
+            },
+            {
+                description: 'Mise à jour de la configuration SSH',
+                run: () => sftp.updateSSHConfig(newProjects),
+                undo: () => sftp.updateSSHConfig(oldProjects)
+            },
+            {
+                description: 'Recréation des processus PM2',
+                run: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(newName, serviceName, false);
+                    }
+                },
+                undo: async () => {
+                    for (const service of newConfig.services) {
+                        try {
+                            await shell.pm2Command(`delete ${service.pm2Name}`);
+                        } catch {
+                            // Ignorer si le processus n'existe pas
+                        }
+                    }
+                }
+            }
+        ]);
+
+        backups.moveSnapshots(oldName, newName);
+        quotas.forgetUsage(oldName);
+        syncBackupSchedule();
+
+        logger.success(`Projet ${oldName} renommé en ${newName}`);
+        return loadProjectConfig(newName);
+    });
+}
+
+/**
+ * Suspend un projet sans le supprimer
+ * Les processus PM2 sont supprimés, l'utilisateur SFTP est verrouillé et le
+ * projet est marqué "suspended" dans projects.json avec la liste des services
+ * actifs, relancés par resumeProject. Les fichiers sont conservés.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function suspendProject(projectName) {
+    return store.withLock(async () => {
+        const project = getProject(projectName);
+
+        if (!project) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        if (project.suspended) {
+            throw conflictError(`Le projet ${projectName} est déjà suspendu`);
+        }
+
+        const previousProjects = loadProjects();
+        const projectConfig = loadProjectConfig(projectName);
+
+        const runningServices = [];
+        for (const service of projectConfig.services || []) {
+            const status = await shell.getPm2ProcessStatus(service.pm2Name);
+            if (status && status.pm2_env?.status === 'online') {
+                runningServices.push(service.name);
+            }
+        }
+
+        const suspendedProjects = previousProjects.map(p => p.name === projectName
+            ? { ...p, suspended: true, suspendedAt: new Date().toISOString(), suspendedServices: runningServices }
+            : p);
+
+        logger.info(`Suspension du projet ${projectName}...`);
+
+        await runTransaction('suspendProject', [
+            {
+                description: 'Arrêt et suppression des processus PM2',
+                run: async () => {
+                    for (const service of projectConfig.services || []) {
+                        try {
+                            await shell.pm2Command(`delete ${service.pm2Name}`);
+                        } catch {
+                            // Ignorer si le processus n'existe pas
+                        }
+                    }
+                    await shell.pm2Command('save');
+                },
+                undo: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(projectName, serviceName, false);
+                    }
+                }
+            },
+            {
+                description: `Verrouillage de l'utilisateur SFTP ${SFTP_USER_PREFIX}${projectName}`,
+                run: () => sftp.lockSftpUser(projectName),
+                undo: () => sftp.unlockSftpUser(projectName)
+            },
+            {
+                description: 'Marquage du projet dans projects.json',
+                run: () => saveProjects(suspendedProjects),
+                undo: () => saveProjects(previousProjects)
+            }
+        ]);
+
+        logger.success(`Projet ${projectName} suspendu (${runningServices.length} service(s) arrêté(s), fichiers conservés)`);
+    });
+}
+
+/**
+ * Réactive un projet suspendu
+ * L'utilisateur SFTP est déverrouillé et les services actifs lors de la
+ * suspension sont relancés.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<Array<string>>} - Services relancés
+ */
+export async function resumeProject(projectName) {
+    return store.withLock(async () => {
+        const project = getProject(projectName);
+
+        if (!project) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        if (!project.suspended) {
+            throw conflictError(`Le projet ${projectName} n'est pas suspendu`);
+        }
+
+        const previousProjects = loadProjects();
+        const { suspended, suspendedAt, suspendedServices = [], ...resumed } = project;
+        const resumedProjects = previousProjects.map(p => p.name === projectName ? resumed : p);
+        const projectServices = loadProjectConfig(projectName).services || [];
+        const started = [];
+
+        logger.info(`Réactivation du projet ${projectName}...`);
+
+        await runTransaction('resumeProject', [
+            {
+                description: `Déverrouillage de l'utilisateur SFTP ${SFTP_USER_PREFIX}${projectName}`,
+                run: () => sftp.unlockSftpUser(projectName),
+                undo: () => sftp.lockSftpUser(projectName)
+            },
+            {
+                description: 'Retrait du marquage dans projects.json',
+                run: () => saveProjects(resumedProjects),
+                undo: () => saveProjects(previousProjects)
+            },
+            {
+                description: 'Redémarrage des services',
+                run: async () => {
+                    for (const service of projectServices.filter(s => suspendedServices.includes(s.name))) {
+                        await services.startService(projectName, service.name, false);
+                        started.push(service.name);
+                    }
+                },
+                undo: async () => {
+                    for (const service of projectServices.filter(s => started.includes(s.name))) {
+                        await shell.pm2Command(`delete ${service.pm2Name}`);
+                    }
+                }
+            }
+        ]);
+
+        logger.success(`Projet ${projectName} réactivé (${started.length} service(s) relancé(s))`);
+        return started;
+    });
 }
 
 export default {
@@ -297,8 +854,15 @@ export default {
     projectExists,
     loadProjectConfig,
     saveProjectConfig,
-    createProject,
-    deleteProject,
+    createProject: audited('createProject', createProject, ['projectName', 'sftpPassword']),
+    deleteProject: audited('deleteProject', deleteProject, ['projectName', 'deleteFiles']),
+    parseTagSelector,
+    matchesTagSelector,
+    selectProjects,
+    listTags,
+    tagProject: audited('tagProject', tagProject, ['projectName', 'changes']),
     listProjectsWithStatus,
-    renameProject
+    renameProject: audited('renameProject', renameProject, ['oldName', 'newName']),
+    suspendProject: audited('suspendProject', suspendProject, ['projectName']),
+    resumeProject: audited('resumeProject', resumeProject, ['projectName'])
 };
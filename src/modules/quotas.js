@@ -0,0 +1,384 @@
+/**
+ * Module de quotas disque par projet
+ *
+ * La limite est enregistrée dans project.json (champ "quota") et appliquée,
+ * si le système de fichiers de BASE_PATH a les quotas utilisateur actifs,
+ * avec setquota à sftp_<projet> (envois SFTP) et, pour un projet isolé, à
+ * run_<projet> (fichiers écrits par les services). Chaque utilisateur reçoit
+ * la même limite; l'occupation surveillée est leur total. Les services d'un
+ * projet non isolé s'exécutent en root et ne sont pas limités. Sans quotas
+ * système, la limite sert uniquement à la surveillance (avertissements et
+ * rapport).
+ *
+ * Les mesures (df, quota, du) sont asynchrones et conservées
+ * QUOTA_CONFIG.usageTtl ms: la liste des projets, interrogée en boucle par le
+ * tableau de bord, ne relance pas un du à chaque appel.
+ */
+
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, QUOTA_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import runtime from './runtime.js';
+import shell from '../utils/shell.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { validationError, notFoundError } from '../utils/errors.js';
+
+/**
+ * État d'occupation d'un projet
+ */
+export const QUOTA_STATUS = {
+    unlimited: 'unlimited',
+    ok: 'ok',
+    warning: 'warning',
+    over: 'over'
+};
+
+const SIZE_UNITS = { K: 1 / 1024, M: 1, G: 1024, T: 1024 * 1024 };
+
+// Mesures d'occupation par projet: { limitMB, measuredAt, promise }
+const usageCache = new Map();
+
+/**
+ * Analyse une taille saisie (ex: 500M, 10G; sans unité: Mo)
+ * @param {string} value - Taille
+ * @returns {number} - Taille en Mo (entier)
+ */
+export function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([KMGT])?o?$/i.exec(String(value).trim());
+
+    if (!match) {
+        throw validationError(`Taille invalide: ${value} (ex: 500M, 10G)`);
+    }
+
+    const megabytes = Math.ceil(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'M').toUpperCase()]);
+    if (megabytes <= 0) {
+        throw validationError(`La taille doit être positive: ${value}`);
+    }
+
+    return megabytes;
+}
+
+/**
+ * Formate une taille en octets pour l'affichage
+ * @param {number|null} bytes - Taille
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) {
+        return '-';
+    }
+
+    const units = ['o', 'Ko', 'Mo', 'Go', 'To'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Résumé d'une occupation pour l'affichage (ex: 1.2 Go / 5 Go (24 %))
+ * @param {object} usage - Occupation (getUsage)
+ * @returns {string}
+ */
+export function formatUsage(usage) {
+    if (usage.limitBytes === null) {
+        return formatSize(usage.usedBytes);
+    }
+
+    const percent = usage.percent === null ? '' : ` (${usage.percent} %)`;
+    return `${formatSize(usage.usedBytes)} / ${formatSize(usage.limitBytes)}${percent}`;
+}
+
+/**
+ * Point de montage contenant un chemin
+ * @param {string} targetPath - Chemin
+ * @returns {Promise<string|null>}
+ */
+async function getMountPoint(targetPath) {
+    try {
+        const { stdout } = await shell.execCommand(`df --output=target ${shell.quote(targetPath)} | tail -1`, { readOnly: true });
+        return stdout || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Indique si les quotas utilisateur sont actifs sur un point de montage
+ * @param {string|null} mountPoint - Point de montage
+ * @returns {Promise<boolean>}
+ */
+async function isUserQuotaEnabled(mountPoint) {
+    if (!mountPoint || !shell.commandExists('setquota')) {
+        return false;
+    }
+
+    let state;
+    try {
+        ({ stdout: state } = await shell.execCommand(`quotaon -pu ${shell.quote(mountPoint)}`, { readOnly: true }));
+    } catch (error) {
+        // quotaon -p renvoie un code non nul lorsque les quotas sont actifs
+        state = String(error.stdout || '');
+    }
+
+    return /\bis on\b/.test(state);
+}
+
+/**
+ * Occupation mesurée par le quota système (Ko)
+ * @param {string} username - Utilisateur soumis au quota
+ * @param {string} mountPoint - Point de montage
+ * @returns {Promise<number|null>}
+ */
+async function readQuotaUsage(username, mountPoint) {
+    try {
+        const { stdout: report } = await shell.execCommand(`quota -w -v -u -f ${shell.quote(mountPoint)} ${username}`, { readOnly: true });
+        const columns = report.split('\n').filter(line => line.trim()).pop().trim().split(/\s+/);
+        // Un "*" suit les blocs lorsque la limite est dépassée
+        const blocks = parseInt(columns[1], 10);
+        return Number.isInteger(blocks) ? blocks : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Occupation mesurée par du (Ko)
+ * @param {string} directory - Dossier
+ * @returns {Promise<number|null>}
+ */
+async function readDuUsage(directory) {
+    try {
+        const { stdout } = await shell.execCommand(`du -sk ${shell.quote(directory)}`, { readOnly: true });
+        return parseInt(stdout.split(/\s+/)[0], 10);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Utilisateurs soumis au quota d'un projet: sftp_<projet> et, pour un
+ * projet isolé, run_<projet>
+ * @param {string} projectName - Nom du projet
+ * @returns {Array<string>}
+ */
+function quotaUsers(projectName) {
+    return [`${SFTP_USER_PREFIX}${projectName}`, runtime.getRuntimeUser(projectName)].filter(Boolean);
+}
+
+/**
+ * Occupation totale des utilisateurs d'un projet selon le quota système (Ko)
+ * @param {string} projectName - Nom du projet
+ * @param {string} mountPoint - Point de montage
+ * @returns {Promise<number|null>} - null si un utilisateur n'a pu être lu
+ */
+async function readProjectQuotaUsage(projectName, mountPoint) {
+    let total = 0;
+
+    for (const username of quotaUsers(projectName)) {
+        const blocks = await readQuotaUsage(username, mountPoint);
+        if (blocks === null) {
+            return null;
+        }
+        total += blocks;
+    }
+
+    return total;
+}
+
+/**
+ * Réglages de quota d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {{limitMB: number|null, warnPercent: number}}
+ */
+export function getQuotaSettings(projectName) {
+    const quota = projects.loadProjectConfig(projectName).quota || {};
+
+    return {
+        limitMB: quota.limitMB ?? null,
+        warnPercent: quota.warnPercent ?? QUOTA_CONFIG.warnPercent
+    };
+}
+
+/**
+ * Mesure l'occupation d'un projet (Ko), par le quota système s'il est
+ * appliqué, sinon avec du
+ * @param {string} projectName - Nom du projet
+ * @param {number|null} limitMB - Limite du projet
+ * @returns {Promise<{usedKB: number|null, enforced: boolean}>}
+ */
+async function measureUsage(projectName, limitMB) {
+    const mountPoint = await getMountPoint(path.join(BASE_PATH, projectName));
+    const enforced = limitMB !== null && await isUserQuotaEnabled(mountPoint);
+
+    const usedKB = (enforced ? await readProjectQuotaUsage(projectName, mountPoint) : null)
+        ?? await readDuUsage(path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites));
+
+    return { usedKB, enforced };
+}
+
+/**
+ * Occupation disque d'un projet et position par rapport à son quota
+ * La mesure est réutilisée pendant QUOTA_CONFIG.usageTtl ms (les appels
+ * simultanés partagent la même mesure).
+ * @param {string} projectName - Nom du projet
+ * @param {object} options - Options
+ * @param {boolean} [options.fresh=false] - Ignorer la mesure en cache
+ * @returns {Promise<object>} - { usedBytes, limitBytes, percent, status, enforced }
+ */
+export async function getUsage(projectName, { fresh = false } = {}) {
+    const { limitMB, warnPercent } = getQuotaSettings(projectName);
+    const cached = usageCache.get(projectName);
+
+    if (fresh || !cached || cached.limitMB !== limitMB || Date.now() - cached.measuredAt > QUOTA_CONFIG.usageTtl) {
+        const promise = measureUsage(projectName, limitMB);
+        usageCache.set(projectName, { limitMB, measuredAt: Date.now(), promise });
+    }
+
+    const { usedKB, enforced } = await usageCache.get(projectName).promise;
+    const usedBytes = usedKB === null ? null : usedKB * 1024;
+    const limitBytes = limitMB === null ? null : limitMB * 1024 * 1024;
+    const percent = usedBytes !== null && limitBytes ? Math.round(usedBytes / limitBytes * 100) : null;
+
+    let status = QUOTA_STATUS.unlimited;
+    if (limitBytes !== null && usedBytes !== null) {
+        status = usedBytes >= limitBytes
+            ? QUOTA_STATUS.over
+            : percent >= warnPercent ? QUOTA_STATUS.warning : QUOTA_STATUS.ok;
+    }
+
+    return { usedBytes, limitBytes, percent, status, enforced };
+}
+
+/**
+ * Oublie la mesure d'un projet (suppression, renommage)
+ * @param {string} projectName - Nom du projet
+ */
+export function forgetUsage(projectName) {
+    usageCache.delete(projectName);
+}
+
+/**
+ * Applique une limite au quota système des utilisateurs du projet
+ * @param {string} projectName - Nom du projet
+ * @param {number|null} limitMB - Limite (null: aucune)
+ * @returns {Promise<boolean>} - false si les quotas système ne sont pas disponibles
+ */
+async function applySystemQuota(projectName, limitMB) {
+    const mountPoint = await getMountPoint(path.join(BASE_PATH, projectName));
+
+    if (!(await isUserQuotaEnabled(mountPoint))) {
+        return false;
+    }
+
+    // setquota: blocs de 1 Ko, 0 = pas de limite; limites souple et stricte identiques
+    const blocks = limitMB === null ? 0 : limitMB * 1024;
+    for (const username of quotaUsers(projectName)) {
+        await shell.execCommand(`setquota -u ${username} ${blocks} ${blocks} 0 0 ${shell.quote(mountPoint)}`);
+    }
+    return true;
+}
+
+/**
+ * Réapplique la limite enregistrée d'un projet (ex: après son isolation,
+ * pour couvrir le nouvel utilisateur run_<projet>)
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<boolean>} - false sans limite ou sans quotas système
+ */
+export async function reapplyQuota(projectName) {
+    const { limitMB } = getQuotaSettings(projectName);
+    return limitMB !== null && await applySystemQuota(projectName, limitMB);
+}
+
+/**
+ * Définit ou retire le quota disque d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {number|null} limitMB - Limite en Mo (null: retirer le quota)
+ * @param {object} options - Options
+ * @param {number} [options.warnPercent] - Seuil d'avertissement (% de la limite)
+ * @returns {Promise<{limitMB: number|null, warnPercent: number, enforced: boolean}>}
+ */
+export async function setQuota(projectName, limitMB, { warnPercent } = {}) {
+    return store.withLock(async () => {
+        if (!projects.projectExists(projectName)) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        if (limitMB !== null && (!Number.isInteger(limitMB) || limitMB <= 0)) {
+            throw validationError(`Limite invalide: ${limitMB}`);
+        }
+
+        if (warnPercent !== undefined && (!Number.isInteger(warnPercent) || warnPercent < 1 || warnPercent > 100)) {
+            throw validationError(`Seuil d'avertissement invalide: ${warnPercent} (1 à 100)`);
+        }
+
+        const previousConfig = projects.loadProjectConfig(projectName);
+        const previousLimit = previousConfig.quota?.limitMB ?? null;
+        const { quota, ...rest } = previousConfig;
+        const newConfig = limitMB === null
+            ? rest
+            : { ...rest, quota: { limitMB, warnPercent: warnPercent ?? quota?.warnPercent ?? QUOTA_CONFIG.warnPercent } };
+
+        let enforced = false;
+
+        await runTransaction('setQuota', [
+            {
+                description: `Quota système de ${quotaUsers(projectName).join(', ')}`,
+                run: async () => {
+                    enforced = await applySystemQuota(projectName, limitMB);
+                },
+                undo: () => applySystemQuota(projectName, previousLimit)
+            },
+            {
+                description: 'Mise à jour de project.json',
+                run: () => projects.saveProjectConfig(projectName, newConfig),
+                undo: () => projects.saveProjectConfig(projectName, previousConfig)
+            }
+        ]);
+
+        if (limitMB === null) {
+            logger.success(`Quota de ${projectName} retiré`);
+        } else if (enforced) {
+            logger.success(`Quota de ${projectName}: ${formatSize(limitMB * 1024 * 1024)} (appliqué par le système)`);
+        } else {
+            logger.success(`Quota de ${projectName}: ${formatSize(limitMB * 1024 * 1024)}`);
+            logger.warn(`Quotas utilisateur inactifs sur ${await getMountPoint(BASE_PATH) || BASE_PATH}: la limite sert uniquement à la surveillance`);
+        }
+
+        return { ...getQuotaSettings(projectName), enforced };
+    });
+}
+
+/**
+ * Rapport d'occupation de tous les projets (mesures fraîches)
+ * @returns {Promise<Array<object>>} - { project, ...getUsage }
+ */
+export async function report() {
+    const entries = [];
+
+    for (const project of projects.loadProjects()) {
+        entries.push({ project: project.name, ...await getUsage(project.name, { fresh: true }) });
+    }
+
+    return entries;
+}
+
+export default {
+    QUOTA_STATUS,
+    parseSize,
+    formatSize,
+    formatUsage,
+    getQuotaSettings,
+    getUsage,
+    forgetUsage,
+    reapplyQuota,
+    setQuota: audited('setQuota', setQuota, ['projectName', 'limitMB', 'options']),
+    report
+};
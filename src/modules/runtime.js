@@ -0,0 +1,346 @@
+/**
+ * Module des utilisateurs d'exécution des services
+ *
+ * Les processus PM2 d'un projet ne tournent pas en root mais sous un
+ * utilisateur dédié, run_<projet>, sans shell ni mot de passe. Son groupe
+ * (run_<projet>) est partagé avec sftp_<projet>, propriétaire du code:
+ * sites/ lui est lisible, et seuls les dossiers de données déclarés par les
+ * services (champ "dataDirs") lui sont accessibles en écriture.
+ *
+ * PM2 reste lancé par root: les processus sont démarrés avec les champs
+ * uid/gid du fichier ecosystem, ce qui conserve une seule liste de
+ * processus (pm2 jlist).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, RUNTIME_USER_PREFIX } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import quotas from './quotas.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { runTransaction } from '../utils/transaction.js';
+import { validationError, notFoundError } from '../utils/errors.js';
+
+/**
+ * Nom de l'utilisateur d'exécution d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function runtimeUserName(projectName) {
+    return `${RUNTIME_USER_PREFIX}${projectName}`;
+}
+
+/**
+ * Utilisateur d'exécution d'un projet isolé
+ * @param {string} projectName - Nom du projet
+ * @returns {string|null} - null: services exécutés en root (projet non isolé)
+ */
+export function getRuntimeUser(projectName) {
+    return projects.getProject(projectName)?.runUser || null;
+}
+
+/**
+ * Identifiant numérique d'un utilisateur d'exécution
+ * @param {string} username - Utilisateur
+ * @returns {number|null}
+ */
+export function getRuntimeUid(username) {
+    try {
+        return parseInt(shell.execSyncSafe(`id -u ${username}`, { readOnly: true }), 10);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Vérifie et normalise les dossiers de données d'un service
+ * Chemins relatifs au dossier du service, sans remontée (..).
+ * @param {Array<string>} dataDirs - Dossiers
+ * @returns {Array<string>}
+ */
+export function normalizeDataDirs(dataDirs) {
+    return [...new Set(dataDirs.map(dir => {
+        const normalized = path.posix.normalize(String(dir).trim()).replace(/\/+$/, '');
+
+        if (!normalized || normalized === '.' || path.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+            throw validationError(`Dossier de données invalide: ${dir} (chemin relatif au dossier du service)`);
+        }
+
+        return normalized;
+    }))].sort();
+}
+
+/**
+ * Commande exécutée sous l'utilisateur SFTP, propriétaire du code
+ * (commandes de setup: npm install écrit dans le dossier du service).
+ * @param {string} projectName - Nom du projet
+ * @param {string} command - Commande
+ * @returns {string} - Commande inchangée pour un projet non isolé
+ */
+export function ownerCommand(projectName, command) {
+    if (!getRuntimeUser(projectName)) {
+        return command;
+    }
+
+    return `runuser -u ${SFTP_USER_PREFIX}${projectName} -- sh -c '${command.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Crée l'utilisateur d'exécution d'un projet et son groupe, partagé avec
+ * l'utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<string>} - Nom de l'utilisateur
+ */
+export async function createRuntimeUser(projectName) {
+    const username = runtimeUserName(projectName);
+    const sftpUsername = `${SFTP_USER_PREFIX}${projectName}`;
+
+    if (shell.userExists(username)) {
+        logger.debug(`Utilisateur ${username} existe déjà`);
+    } else {
+        logger.info(`Création de l'utilisateur d'exécution ${username}...`);
+        // Compte système, groupe du même nom, sans shell ni dossier personnel créé
+        await shell.execCommand(
+            `useradd --system -U -M -d ${path.join(BASE_PATH, projectName)} -s /usr/sbin/nologin ${username}`
+        );
+    }
+
+    if (shell.userExists(sftpUsername)) {
+        await shell.execCommand(`usermod -aG ${username} ${sftpUsername}`);
+    }
+
+    logger.success(`Utilisateur d'exécution ${username} prêt`);
+    return username;
+}
+
+/**
+ * Supprime l'utilisateur d'exécution d'un projet et son groupe
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function deleteRuntimeUser(projectName) {
+    const username = runtimeUserName(projectName);
+
+    if (shell.userExists(username)) {
+        await shell.execCommand(`userdel ${username}`);
+    }
+
+    // userdel conserve le groupe s'il a encore des membres (sftp_<projet>)
+    if (shell.groupExists(username)) {
+        await shell.execCommand(`groupdel ${username}`);
+    }
+
+    logger.success(`Utilisateur d'exécution ${username} supprimé`);
+}
+
+/**
+ * Renomme l'utilisateur d'exécution d'un projet et son groupe
+ * @param {string} oldProjectName - Ancien nom du projet
+ * @param {string} newProjectName - Nouveau nom du projet
+ * @returns {Promise<void>}
+ */
+export async function renameRuntimeUser(oldProjectName, newProjectName) {
+    const oldUsername = runtimeUserName(oldProjectName);
+    const newUsername = runtimeUserName(newProjectName);
+
+    if (!shell.userExists(oldUsername)) {
+        throw notFoundError(`L'utilisateur ${oldUsername} n'existe pas`);
+    }
+
+    await shell.execCommand(`usermod -l ${newUsername} -d ${path.join(BASE_PATH, newProjectName)} ${oldUsername}`);
+    await shell.execCommand(`groupmod -n ${newUsername} ${oldUsername}`);
+    logger.success(`Utilisateur ${oldUsername} renommé en ${newUsername}`);
+}
+
+/**
+ * Indique si un chemin passe par un lien symbolique à partir d'un dossier
+ * Les composants absents (dossiers à créer) arrêtent la vérification.
+ * @param {string} rootPath - Dossier de départ (non vérifié)
+ * @param {string} targetPath - Chemin à l'intérieur de rootPath
+ * @returns {boolean}
+ */
+function crossesSymlink(rootPath, targetPath) {
+    let current = rootPath;
+
+    for (const part of path.relative(rootPath, targetPath).split(path.sep).filter(p => p)) {
+        current = path.join(current, part);
+        try {
+            if (fs.lstatSync(current).isSymbolicLink()) {
+                return true;
+            }
+        } catch {
+            return false;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Applique les permissions d'un projet isolé
+ * - sites/: sftp_<projet>:run_<projet>, lecture seule pour le groupe, aucun
+ *   accès pour les autres; dossiers en setgid pour que les fichiers déposés
+ *   en SFTP héritent du groupe
+ * - dossiers de données des services: accessibles en écriture au groupe
+ * sites/ appartient au client: un dossier de données remplacé par un lien
+ * symbolique est ignoré, et les liens rencontrés ne sont jamais suivis, pour
+ * que chown/chmod (root) ne portent pas sur leur cible. Les dossiers hors de
+ * sites/, parfois partagés, ne sont pas modifiés: seul un avertissement est
+ * émis.
+ * @param {string} projectName - Nom du projet
+ */
+export function applyPermissions(projectName) {
+    const runUser = getRuntimeUser(projectName);
+    if (!runUser) {
+        return;
+    }
+
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+    const owner = `${SFTP_USER_PREFIX}${projectName}`;
+    const projectServices = projects.loadProjectConfig(projectName).services || [];
+    const isInSites = (service) => service.directory.startsWith(sitesPath + '/');
+
+    const dataPaths = projectServices
+        .filter(isInSites)
+        .flatMap(service => (service.dataDirs || []).map(dir => path.join(service.directory, dir)))
+        .filter(dataPath => {
+            if (crossesSymlink(sitesPath, dataPath)) {
+                logger.warn(`Dossier de données ignoré: ${dataPath} passe par un lien symbolique`);
+                return false;
+            }
+            return true;
+        });
+
+    // Créés avant le chown récursif, parents compris
+    for (const dataPath of dataPaths) {
+        files.mkdir(dataPath);
+    }
+
+    // chown -h et find -P: les liens symboliques eux-mêmes, jamais leur cible
+    shell.execSyncSafe(`chown -hR ${owner}:${runUser} "${sitesPath}"`);
+    shell.execSyncSafe(`find -P "${sitesPath}" ! -type l -exec chmod u+rwX,g+rX,g-w,o-rwx {} +`);
+    shell.execSyncSafe(`find -P "${sitesPath}" -type d -exec chmod g+s {} +`);
+
+    // Dossier hors de sites/ (chemin absolu): laissé tel quel
+    for (const service of projectServices.filter(s => !isInSites(s))) {
+        logger.warn(`${service.directory} est hors de ${sitesPath}: permissions non modifiées (lecture à accorder au groupe ${runUser})`);
+    }
+
+    for (const dataPath of dataPaths) {
+        shell.execSyncSafe(`chown -hR ${owner}:${runUser} "${dataPath}"`);
+        shell.execSyncSafe(`find -P "${dataPath}" ! -type l -exec chmod g+rwX {} +`);
+        shell.execSyncSafe(`find -P "${dataPath}" -type d -exec chmod g+s {} +`);
+    }
+
+    logger.success(`Permissions appliquées à ${sitesPath} (exécution: ${runUser})`);
+}
+
+/**
+ * Enregistre l'utilisateur d'exécution dans projects.json et project.json
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} runUser - Utilisateur (null: le retirer)
+ */
+function saveRuntimeUser(projectName, runUser) {
+    const setField = (entry) => {
+        if (runUser) {
+            entry.runUser = runUser;
+        } else {
+            delete entry.runUser;
+        }
+        return entry;
+    };
+
+    projects.saveProjects(projects.loadProjects().map(p => p.name === projectName ? setField({ ...p }) : p));
+    projects.saveProjectConfig(projectName, setField(projects.loadProjectConfig(projectName)));
+}
+
+/**
+ * Isole un projet existant: création de run_<projet>, permissions, puis
+ * relance des services actifs sous cet utilisateur
+ * Sans effet sur un projet déjà isolé, hormis la réapplication des
+ * permissions.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<Array<string>>} - Services relancés
+ */
+export async function isolateProject(projectName) {
+    return store.withLock(async () => {
+        if (!projects.projectExists(projectName)) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+
+        const username = runtimeUserName(projectName);
+
+        if (getRuntimeUser(projectName) && shell.userExists(username)) {
+            applyPermissions(projectName);
+            logger.info(`Le projet ${projectName} est déjà isolé (${username})`);
+            return [];
+        }
+
+        const previousRunUser = getRuntimeUser(projectName);
+        const userExisted = shell.userExists(username);
+        const restarted = [];
+
+        const runningServices = [];
+        for (const service of services.listServices(projectName)) {
+            const status = await shell.getPm2ProcessStatus(service.pm2Name);
+            if (status && status.pm2_env?.status === 'online') {
+                runningServices.push(service.name);
+            }
+        }
+
+        await runTransaction('isolateProject', [
+            {
+                description: `Création de l'utilisateur d'exécution ${username}`,
+                run: () => createRuntimeUser(projectName),
+                undo: userExisted ? null : () => deleteRuntimeUser(projectName),
+                undoOnFailure: !userExisted
+            },
+            {
+                description: 'Enregistrement dans projects.json et project.json',
+                run: () => saveRuntimeUser(projectName, username),
+                undo: () => saveRuntimeUser(projectName, previousRunUser)
+            },
+            {
+                description: 'Application des permissions',
+                run: () => applyPermissions(projectName),
+                undo: null
+            },
+            {
+                description: `Application du quota disque à ${username}`,
+                run: () => quotas.reapplyQuota(projectName),
+                undo: null
+            },
+            {
+                description: `Relance des services actifs sous ${username}`,
+                run: async () => {
+                    for (const serviceName of runningServices) {
+                        await services.startService(projectName, serviceName, false);
+                        restarted.push(serviceName);
+                    }
+                },
+                undo: null
+            }
+        ]);
+
+        logger.success(`Projet ${projectName} isolé: services exécutés sous ${username} (${restarted.length} relancé(s))`);
+        return restarted;
+    });
+}
+
+export default {
+    runtimeUserName,
+    getRuntimeUser,
+    getRuntimeUid,
+    normalizeDataDirs,
+    ownerCommand,
+    createRuntimeUser: audited('createRuntimeUser', createRuntimeUser, ['projectName']),
+    deleteRuntimeUser: audited('deleteRuntimeUser', deleteRuntimeUser, ['projectName']),
+    renameRuntimeUser: audited('renameRuntimeUser', renameRuntimeUser, ['oldName', 'newName']),
+    applyPermissions,
+    isolateProject: audited('isolateProject', isolateProject, ['projectName'])
+};
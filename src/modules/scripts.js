@@ -1,12 +1,19 @@
 /**
  * Module de génération des scripts start.sh et stop.sh
+ *
+ * start.sh et restart.sh passent par l'outil (project-manager service
+ * start|restart) et non par pm2 directement: l'environnement transmis à PM2
+ * reste limité aux variables autorisées et aux secrets du service, et un
+ * processus dont la définition ou l'utilisateur a changé est recréé.
  */
 
-import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS } from '../config/constants.js';
+import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS, TOOL_COMMAND } from '../config/constants.js';
 import projects from './projects.js';
+import ecosystem from './ecosystem.js';
+import files from '../utils/files.js';
 import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
 
 /**
  * Génère le contenu du script start.sh
@@ -43,11 +50,9 @@ fi
         script += `exit 0\n`;
     } else {
         for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
             script += `# Service: ${service.name}\n`;
             script += `echo "Démarrage de ${service.name}..."\n`;
-            script += `cd "${service.directory}"\n`;
-            script += `pm2 start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}" 2>/dev/null || pm2 restart "${pm2Name}"\n`;
+            script += `${TOOL_COMMAND} service start "${projectName}" "${service.name}" --skip-setup\n`;
             script += `echo "  ✔ ${service.name} démarré"\n`;
             script += `echo ""\n\n`;
         }
@@ -100,7 +105,7 @@ fi
         script += `exit 0\n`;
     } else {
         for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
+            const pm2Name = service.pm2Name;
             script += `# Service: ${service.name}\n`;
             script += `echo "Arrêt de ${service.name}..."\n`;
             script += `pm2 stop "${pm2Name}" 2>/dev/null || echo "  (non actif)"\n`;
@@ -153,10 +158,9 @@ fi
         script += `exit 0\n`;
     } else {
         for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
             script += `# Service: ${service.name}\n`;
             script += `echo "Redémarrage de ${service.name}..."\n`;
-            script += `pm2 restart "${pm2Name}" 2>/dev/null || echo "  (démarrage initial...)"\n`;
+            script += `${TOOL_COMMAND} service restart "${projectName}" "${service.name}"\n`;
             script += `echo "  ✔ ${service.name} redémarré"\n`;
             script += `echo ""\n\n`;
         }
@@ -203,7 +207,7 @@ fi
         script += `echo "Aucun service configuré pour ce projet"\n`;
     } else {
         script += `# Afficher le statut de tous les services du projet\n`;
-        script += `pm2 list | grep -E "(${services.map(s => `${projectName}-${s.name}`).join('|')}|Name|─)" || echo "Aucun service actif"\n`;
+        script += `pm2 list | grep -E "(${services.map(s => s.pm2Name).join('|')}|Name|─)" || echo "Aucun service actif"\n`;
     }
 
     return script;
@@ -220,36 +224,39 @@ export function generateScripts(projectName) {
     const scriptsPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.scripts);
 
     // S'assurer que le dossier scripts existe
-    if (!fs.existsSync(scriptsPath)) {
-        fs.mkdirSync(scriptsPath, { recursive: true });
+    if (!files.exists(scriptsPath)) {
+        files.mkdir(scriptsPath);
     }
 
+    // Générer ecosystem.config.cjs, lu au lancement des services
+    ecosystem.writeEcosystem(projectName);
+
     // Générer start.sh
     const startScriptPath = path.join(scriptsPath, SCRIPTS.start);
     const startContent = generateStartScript(projectName, services);
-    fs.writeFileSync(startScriptPath, startContent);
-    fs.chmodSync(startScriptPath, '755');
+    files.writeFile(startScriptPath, startContent);
+    files.chmod(startScriptPath, '755');
     logger.debug(`Script créé: ${startScriptPath}`);
 
     // Générer stop.sh
     const stopScriptPath = path.join(scriptsPath, SCRIPTS.stop);
     const stopContent = generateStopScript(projectName, services);
-    fs.writeFileSync(stopScriptPath, stopContent);
-    fs.chmodSync(stopScriptPath, '755');
+    files.writeFile(stopScriptPath, stopContent);
+    files.chmod(stopScriptPath, '755');
     logger.debug(`Script créé: ${stopScriptPath}`);
 
     // Générer restart.sh
     const restartScriptPath = path.join(scriptsPath, 'restart.sh');
     const restartContent = generateRestartScript(projectName, services);
-    fs.writeFileSync(restartScriptPath, restartContent);
-    fs.chmodSync(restartScriptPath, '755');
+    files.writeFile(restartScriptPath, restartContent);
+    files.chmod(restartScriptPath, '755');
     logger.debug(`Script créé: ${restartScriptPath}`);
 
     // Générer status.sh
     const statusScriptPath = path.join(scriptsPath, 'status.sh');
     const statusContent = generateStatusScript(projectName, services);
-    fs.writeFileSync(statusScriptPath, statusContent);
-    fs.chmodSync(statusScriptPath, '755');
+    files.writeFile(statusScriptPath, statusContent);
+    files.chmod(statusScriptPath, '755');
     logger.debug(`Script créé: ${statusScriptPath}`);
 
     logger.success(`Scripts générés pour ${projectName}`);
@@ -286,12 +293,13 @@ export function getScriptsPaths(projectName) {
         start: path.join(scriptsPath, SCRIPTS.start),
         stop: path.join(scriptsPath, SCRIPTS.stop),
         restart: path.join(scriptsPath, 'restart.sh'),
-        status: path.join(scriptsPath, 'status.sh')
+        status: path.join(scriptsPath, 'status.sh'),
+        ecosystem: ecosystem.getEcosystemPath(projectName)
     };
 }
 
 export default {
-    generateScripts,
-    regenerateAllScripts,
+    generateScripts: audited('generateScripts', generateScripts, ['projectName']),
+    regenerateAllScripts: audited('regenerateAllScripts', regenerateAllScripts),
     getScriptsPaths
 };
@@ -0,0 +1,295 @@
+/**
+ * Module des secrets chiffrés
+ *
+ * Les secrets d'un projet (mots de passe, jetons...) sont stockés dans
+ * secrets.json, sous /etc/nodejs-project-manager, chiffrés en AES-256-GCM
+ * avec une clé propre à l'hôte (secrets.key, lisible par root uniquement).
+ * project.json ne contient que des références { VARIABLE: "nom-du-secret" } ;
+ * les valeurs ne sont déchiffrées qu'au lancement du processus PM2.
+ */
+
+import crypto from 'crypto';
+import { SECRETS_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import schema from '../config/schema.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { ManagerError, ERROR_CODES, validationError, notFoundError, conflictError } from '../utils/errors.js';
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Charge la clé de l'hôte, en la générant au premier secret enregistré
+ * @param {boolean} create - Générer la clé si elle n'existe pas
+ * @returns {Buffer}
+ */
+function loadHostKey(create = false) {
+    if (!files.exists(SECRETS_CONFIG.keyFile)) {
+        if (!create) {
+            throw new ManagerError(ERROR_CODES.notFound, `Clé de chiffrement introuvable: ${SECRETS_CONFIG.keyFile}`);
+        }
+
+        projects.initConfigDir();
+        files.writeFile(SECRETS_CONFIG.keyFile, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n', 0o600);
+        logger.info(`Clé de chiffrement des secrets générée: ${SECRETS_CONFIG.keyFile}`);
+    }
+
+    const key = Buffer.from(files.readFile(SECRETS_CONFIG.keyFile).trim(), 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new ManagerError(ERROR_CODES.corrupted, `Clé de chiffrement invalide: ${SECRETS_CONFIG.keyFile}`);
+    }
+
+    return key;
+}
+
+/**
+ * Chiffre une valeur, liée au projet et au nom du secret
+ * @param {Buffer} key - Clé de l'hôte
+ * @param {string} context - "<projet>/<secret>" (données authentifiées)
+ * @param {string} value - Valeur en clair
+ * @returns {object} - { iv, tag, data } en base64
+ */
+function encrypt(key, context, value) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(SECRETS_CONFIG.algorithm, key, iv);
+    cipher.setAAD(Buffer.from(context));
+
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Déchiffre une valeur
+ * @param {Buffer} key - Clé de l'hôte
+ * @param {string} context - "<projet>/<secret>"
+ * @param {object} entry - { iv, tag, data }
+ * @returns {string}
+ */
+function decrypt(key, context, entry) {
+    try {
+        const decipher = crypto.createDecipheriv(SECRETS_CONFIG.algorithm, key, Buffer.from(entry.iv, 'base64'));
+        decipher.setAAD(Buffer.from(context));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+
+        return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+        throw new ManagerError(ERROR_CODES.corrupted, `Impossible de déchiffrer le secret ${context} (clé de l'hôte différente ou fichier altéré)`);
+    }
+}
+
+/**
+ * Charge secrets.json
+ * @returns {object} - { projects: { <projet>: { <secret>: entrée } } }
+ */
+function loadStore() {
+    return store.loadJson(SECRETS_CONFIG.file, { projects: {} });
+}
+
+/**
+ * Enregistre secrets.json (lisible par root uniquement)
+ * @param {object} data - Contenu
+ */
+function saveStore(data) {
+    projects.initConfigDir();
+    store.saveJson(SECRETS_CONFIG.file, data, 0o600);
+}
+
+/**
+ * Vérifie le nom d'un secret
+ * @param {string} name - Nom
+ */
+function assertName(name) {
+    if (typeof name !== 'string' || !schema.SECRET_NAME_PATTERN.test(name)) {
+        throw validationError(`Nom de secret invalide: ${name} (lettres, chiffres, _, . et -)`);
+    }
+}
+
+/**
+ * Variables d'un projet qui référencent ses secrets
+ * @param {string} projectName - Nom du projet
+ * @returns {Array<{secret: string, variable: string, service: string|null}>}
+ */
+export function listReferences(projectName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const references = [];
+
+    for (const [variable, secret] of Object.entries(projectConfig.secrets || {})) {
+        references.push({ secret, variable, service: null });
+    }
+    for (const service of projectConfig.services || []) {
+        for (const [variable, secret] of Object.entries(service.secrets || {})) {
+            references.push({ secret, variable, service: service.name });
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Indique si un secret existe
+ * @param {string} projectName - Nom du projet
+ * @param {string} name - Nom du secret
+ * @returns {boolean}
+ */
+export function secretExists(projectName, name) {
+    return Boolean(loadStore().projects[projectName]?.[name]);
+}
+
+/**
+ * Liste les secrets d'un projet (noms uniquement, jamais les valeurs)
+ * @param {string} projectName - Nom du projet
+ * @returns {Array<{name: string, updatedAt: string, usedBy: Array<object>}>}
+ */
+export function listSecrets(projectName) {
+    const entries = loadStore().projects[projectName] || {};
+    const references = listReferences(projectName);
+
+    return Object.keys(entries).sort().map(name => ({
+        name,
+        updatedAt: entries[name].updatedAt,
+        usedBy: references
+            .filter(ref => ref.secret === name)
+            .map(({ variable, service }) => ({ variable, service }))
+    }));
+}
+
+/**
+ * Crée ou remplace un secret
+ * @param {string} projectName - Nom du projet
+ * @param {string} name - Nom du secret
+ * @param {string} secret - Valeur en clair
+ */
+export function setSecret(projectName, name, secret) {
+    return store.withLockSync(() => {
+        if (!projects.projectExists(projectName)) {
+            throw notFoundError(`Le projet ${projectName} n'existe pas`);
+        }
+        assertName(name);
+        if (typeof secret !== 'string' || secret === '') {
+            throw validationError('La valeur du secret ne peut pas être vide');
+        }
+
+        const key = loadHostKey(true);
+        const data = loadStore();
+        const existed = Boolean(data.projects[projectName]?.[name]);
+
+        data.projects[projectName] = {
+            ...(data.projects[projectName] || {}),
+            [name]: { ...encrypt(key, `${projectName}/${name}`, secret), updatedAt: new Date().toISOString() }
+        };
+        saveStore(data);
+
+        logger.success(`Secret ${name} ${existed ? 'mis à jour' : 'enregistré'} pour ${projectName}`);
+    });
+}
+
+/**
+ * Supprime un secret qui n'est plus référencé
+ * @param {string} projectName - Nom du projet
+ * @param {string} name - Nom du secret
+ */
+export function removeSecret(projectName, name) {
+    return store.withLockSync(() => {
+        const data = loadStore();
+
+        if (!data.projects[projectName]?.[name]) {
+            throw notFoundError(`Le secret ${name} n'existe pas pour ${projectName}`);
+        }
+
+        const users = listReferences(projectName).filter(ref => ref.secret === name);
+        if (users.length > 0) {
+            const list = users.map(ref => ref.service ? `${ref.service}:${ref.variable}` : ref.variable).join(', ');
+            throw conflictError(`Le secret ${name} est utilisé par: ${list}`);
+        }
+
+        delete data.projects[projectName][name];
+        if (Object.keys(data.projects[projectName]).length === 0) {
+            delete data.projects[projectName];
+        }
+        saveStore(data);
+
+        logger.success(`Secret ${name} supprimé de ${projectName}`);
+    });
+}
+
+/**
+ * Déchiffre les secrets référencés par des variables
+ * Réservé au lancement des processus PM2: le résultat ne doit être ni
+ * journalisé ni écrit sur disque.
+ * @param {string} projectName - Nom du projet
+ * @param {object} references - { VARIABLE: "nom-du-secret" }
+ * @returns {object} - { VARIABLE: valeur }
+ */
+export function resolveSecrets(projectName, references) {
+    const names = Object.keys(references);
+    if (names.length === 0) {
+        return {};
+    }
+
+    const entries = loadStore().projects[projectName] || {};
+    const missing = names.filter(variable => !entries[references[variable]]);
+    if (missing.length > 0) {
+        throw notFoundError(`Secret(s) introuvable(s) pour ${projectName}: ${missing.map(v => `${references[v]} (${v})`).join(', ')}`);
+    }
+
+    const key = loadHostKey();
+    return Object.fromEntries(names.map(variable => {
+        const name = references[variable];
+        return [variable, decrypt(key, `${projectName}/${name}`, entries[name])];
+    }));
+}
+
+/**
+ * Transfère les secrets d'un projet renommé (rechiffrés pour le nouveau nom)
+ * @param {string} oldName - Ancien nom
+ * @param {string} newName - Nouveau nom
+ */
+export function moveProjectSecrets(oldName, newName) {
+    const data = loadStore();
+    const entries = data.projects[oldName];
+    if (!entries) {
+        return;
+    }
+
+    const key = loadHostKey();
+    data.projects[newName] = Object.fromEntries(Object.entries(entries).map(([name, entry]) => [
+        name,
+        { ...encrypt(key, `${newName}/${name}`, decrypt(key, `${oldName}/${name}`, entry)), updatedAt: entry.updatedAt }
+    ]));
+    delete data.projects[oldName];
+    saveStore(data);
+}
+
+/**
+ * Supprime tous les secrets d'un projet
+ * @param {string} projectName - Nom du projet
+ */
+export function removeProjectSecrets(projectName) {
+    const data = loadStore();
+    if (!data.projects[projectName]) {
+        return;
+    }
+
+    delete data.projects[projectName];
+    saveStore(data);
+}
+
+export default {
+    SECRET_NAME_PATTERN: schema.SECRET_NAME_PATTERN,
+    listReferences,
+    secretExists,
+    listSecrets,
+    setSecret: audited('setSecret', setSecret, ['projectName', 'name', 'secret']),
+    removeSecret: audited('removeSecret', removeSecret, ['projectName', 'name']),
+    resolveSecrets,
+    moveProjectSecrets,
+    removeProjectSecrets
+};
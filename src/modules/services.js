@@ -2,64 +2,119 @@
  * Module de gestion des services
  */
 
-import fs from 'fs';
 import path from 'path';
 import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
 import projects from './projects.js';
+import environment from './environment.js';
+import secrets from './secrets.js';
+import ports from './ports.js';
+import runtime from './runtime.js';
+import ecosystem from './ecosystem.js';
 import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
 import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { validationError, notFoundError, conflictError, commandError } from '../utils/errors.js';
+
+// Variables de l'outil transmises aux commandes des services (PM2, setup)
+const INHERITED_ENV = ['PATH', 'HOME', 'PM2_HOME', 'LANG'];
+
+/**
+ * Résout le chemin complet du dossier d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} directory - Chemin relatif à sites/ ou absolu
+ * @returns {string}
+ */
+export function resolveServiceDirectory(projectName, directory) {
+    return directory.startsWith('/')
+        ? directory
+        : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, directory);
+}
 
 /**
  * Ajoute un service à un projet
+ * serviceConfig.port: port demandé, null pour aucun port, absent pour le
+ * premier port libre de la plage du registre.
+ * serviceConfig.dataDirs: dossiers (relatifs au service) accessibles en
+ * écriture à l'utilisateur d'exécution.
+ * serviceConfig.pm2: options PM2 (instances, execMode, maxMemoryRestart, killTimeout).
  * @param {string} projectName - Nom du projet
  * @param {object} serviceConfig - Configuration du service
  * @returns {object} - Service créé
  */
 export function addService(projectName, serviceConfig) {
-    const { name, directory, command, description, setupCommands } = serviceConfig;
-
-    // Valider le nom du service
-    if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
-        throw new Error('Le nom du service doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
-    }
+    return store.withLockSync(() => {
+        const { name, directory, command, description, setupCommands, env, secrets: secretRefs } = serviceConfig;
+        const dataDirs = runtime.normalizeDataDirs(serviceConfig.dataDirs || []);
+        const pm2Options = ecosystem.mergePm2Options({}, serviceConfig.pm2 || {});
+
+        // Valider le nom du service
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+            throw validationError('Le nom du service doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+        }
 
-    // Charger la configuration du projet
-    const projectConfig = projects.loadProjectConfig(projectName);
+        // Charger la configuration du projet
+        const projectConfig = projects.loadProjectConfig(projectName);
 
-    // Vérifier si le service existe déjà
-    if (projectConfig.services.some(s => s.name === name)) {
-        throw new Error(`Le service ${name} existe déjà dans ce projet`);
-    }
+        // Vérifier si le service existe déjà
+        if (projectConfig.services.some(s => s.name === name)) {
+            throw conflictError(`Le service ${name} existe déjà dans ce projet`);
+        }
 
-    // Construire le chemin complet du service
-    const servicePath = directory.startsWith('/')
-        ? directory
-        : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, directory);
+        ecosystem.checkPm2Options({ command: command || 'npm start', pm2: pm2Options });
 
-    // Vérifier si le dossier du service existe
-    if (!fs.existsSync(servicePath)) {
-        // Créer le dossier s'il n'existe pas
-        fs.mkdirSync(servicePath, { recursive: true });
-        logger.info(`Dossier du service créé: ${servicePath}`);
-    }
+        // Un processus adopté écoute déjà sur son port: seul le registre est vérifié
+        const port = serviceConfig.port === null
+            ? null
+            : ports.reservePort(projectName, name, serviceConfig.port, { checkListening: !serviceConfig.pm2Name });
 
-    // Créer le service
-    const service = {
-        name,
-        directory: servicePath,
-        setupCommands: setupCommands || [],
-        command: command || 'npm start',
-        description: description || '',
-        pm2Name: `${projectName}-${name}`,
-        createdAt: new Date().toISOString()
-    };
+        // Une étape échouée après la réservation libère le port
+        let service;
+        try {
+            // Construire le chemin complet du service
+            const servicePath = resolveServiceDirectory(projectName, directory);
+
+            // Vérifier si le dossier du service existe
+            if (!files.exists(servicePath)) {
+                // Créer le dossier s'il n'existe pas
+                files.mkdir(servicePath);
+                logger.info(`Dossier du service créé: ${servicePath}`);
+            }
+
+            // Créer le service
+            service = {
+                name,
+                directory: servicePath,
+                setupCommands: setupCommands || [],
+                command: command || 'npm start',
+                description: description || '',
+                ...(port !== null ? { port } : {}),
+                ...(dataDirs.length > 0 ? { dataDirs } : {}),
+                ...(Object.keys(pm2Options).length > 0 ? { pm2: pm2Options } : {}),
+                ...(env && Object.keys(env).length > 0 ? { env } : {}),
+                ...(secretRefs && Object.keys(secretRefs).length > 0 ? { secrets: secretRefs } : {}),
+                // Un processus adopté conserve son nom PM2 d'origine
+                pm2Name: serviceConfig.pm2Name || `${projectName}-${name}`,
+                createdAt: new Date().toISOString()
+            };
+
+            // Ajouter le service à la configuration
+            projectConfig.services.push(service);
+            projects.saveProjectConfig(projectName, projectConfig);
+        } catch (error) {
+            if (port !== null) {
+                ports.releasePort(projectName, name);
+            }
+            throw error;
+        }
 
-    // Ajouter le service à la configuration
-    projectConfig.services.push(service);
-    projects.saveProjectConfig(projectName, projectConfig);
+        // Le dossier créé par root doit revenir au propriétaire du code
+        runtime.applyPermissions(projectName);
 
-    logger.success(`Service ${name} ajouté au projet ${projectName}`);
-    return service;
+        logger.success(`Service ${name} ajouté au projet ${projectName}`);
+        return service;
+    });
 }
 
 /**
@@ -69,34 +124,37 @@ export function addService(projectName, serviceConfig) {
  * @returns {Promise<void>}
  */
 export async function removeService(projectName, serviceName) {
-    const projectConfig = projects.loadProjectConfig(projectName);
-    const serviceIndex = projectConfig.services.findIndex(s => s.name === serviceName);
+    return store.withLock(async () => {
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const serviceIndex = projectConfig.services.findIndex(s => s.name === serviceName);
 
-    if (serviceIndex === -1) {
-        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
-    }
+        if (serviceIndex === -1) {
+            throw notFoundError(`Le service ${serviceName} n'existe pas dans ce projet`);
+        }
 
-    const service = projectConfig.services[serviceIndex];
+        const service = projectConfig.services[serviceIndex];
 
-    // Arrêter le service s'il est en cours
-    try {
-        await stopService(projectName, serviceName);
-    } catch {
-        // Ignorer si le service n'est pas en cours
-    }
+        // Arrêter le service s'il est en cours
+        try {
+            await stopService(projectName, serviceName);
+        } catch {
+            // Ignorer si le service n'est pas en cours
+        }
 
-    // Supprimer de PM2
-    try {
-        await shell.pm2Command(`delete ${service.pm2Name}`);
-    } catch {
-        // Ignorer si le processus n'existe pas
-    }
+        // Supprimer de PM2
+        try {
+            await shell.pm2Command(`delete ${service.pm2Name}`);
+        } catch {
+            // Ignorer si le processus n'existe pas
+        }
 
-    // Retirer de la configuration
-    projectConfig.services.splice(serviceIndex, 1);
-    projects.saveProjectConfig(projectName, projectConfig);
+        // Retirer de la configuration
+        projectConfig.services.splice(serviceIndex, 1);
+        projects.saveProjectConfig(projectName, projectConfig);
+        ports.releasePort(projectName, serviceName);
 
-    logger.success(`Service ${serviceName} supprimé du projet ${projectName}`);
+        logger.success(`Service ${serviceName} supprimé du projet ${projectName}`);
+    });
 }
 
 /**
@@ -107,40 +165,101 @@ export async function removeService(projectName, serviceName) {
  * @returns {object}
  */
 export function updateService(projectName, serviceName, updates) {
-    const projectConfig = projects.loadProjectConfig(projectName);
-    const serviceIndex = projectConfig.services.findIndex(s => s.name === serviceName);
+    return store.withLockSync(() => {
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const serviceIndex = projectConfig.services.findIndex(s => s.name === serviceName);
 
-    if (serviceIndex === -1) {
-        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
-    }
+        if (serviceIndex === -1) {
+            throw notFoundError(`Le service ${serviceName} n'existe pas dans ce projet`);
+        }
 
-    // Appliquer les mises à jour
-    const service = projectConfig.services[serviceIndex];
+        // Appliquer les mises à jour
+        const service = projectConfig.services[serviceIndex];
     
-    if (updates.directory) {
-        service.directory = updates.directory.startsWith('/')
-            ? updates.directory
-            : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, updates.directory);
-    }
+        if (updates.directory) {
+            service.directory = resolveServiceDirectory(projectName, updates.directory);
+        }
     
-    if (updates.command) {
-        service.command = updates.command;
-    }
+        if (updates.command) {
+            service.command = updates.command;
+        }
 
-    if (updates.setupCommands !== undefined) {
-        service.setupCommands = updates.setupCommands;
-    }
+        if (updates.setupCommands !== undefined) {
+            service.setupCommands = updates.setupCommands;
+        }
     
-    if (updates.description !== undefined) {
-        service.description = updates.description;
-    }
+        if (updates.description !== undefined) {
+            service.description = updates.description;
+        }
+
+        // Options PM2: valeurs à modifier, null pour revenir au défaut de PM2
+        if (updates.pm2 !== undefined) {
+            const pm2Options = ecosystem.mergePm2Options(service.pm2, updates.pm2);
+            if (Object.keys(pm2Options).length > 0) {
+                service.pm2 = pm2Options;
+            } else {
+                delete service.pm2;
+            }
+        }
+        ecosystem.checkPm2Options(service);
+
+        // Port: numéro demandé, 'auto' pour le premier port libre, null pour le libérer
+        if (updates.port === null) {
+            ports.releasePort(projectName, serviceName);
+            delete service.port;
+        } else if (updates.port === 'auto') {
+            if (!service.port) {
+                service.port = ports.reservePort(projectName, serviceName);
+            }
+        } else if (updates.port !== undefined && Number(updates.port) !== service.port) {
+            service.port = ports.reservePort(projectName, serviceName, updates.port);
+        }
+
+        if (updates.dataDirs !== undefined) {
+            const dataDirs = runtime.normalizeDataDirs(updates.dataDirs);
+            if (dataDirs.length > 0) {
+                service.dataDirs = dataDirs;
+            } else {
+                delete service.dataDirs;
+            }
+        }
+
+        service.updatedAt = new Date().toISOString();
 
-    service.updatedAt = new Date().toISOString();
+        projects.saveProjectConfig(projectName, projectConfig);
 
-    projects.saveProjectConfig(projectName, projectConfig);
-    logger.success(`Service ${serviceName} mis à jour`);
+        if (updates.directory || updates.dataDirs !== undefined) {
+            runtime.applyPermissions(projectName);
+        }
+        logger.success(`Service ${serviceName} mis à jour`);
+
+        return service;
+    });
+}
+
+/**
+ * Enregistre ou efface la boucle de crash détectée sur un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object|null} crash - { detectedAt, reason, restarts, logs }, null pour l'effacer
+ */
+export function setServiceCrash(projectName, serviceName, crash) {
+    store.withLockSync(() => {
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const service = (projectConfig.services || []).find(s => s.name === serviceName);
 
-    return service;
+        if (!service) {
+            throw notFoundError(`Le service ${serviceName} n'existe pas dans ce projet`);
+        }
+
+        if (crash) {
+            service.crash = crash;
+        } else {
+            delete service.crash;
+        }
+
+        projects.saveProjectConfig(projectName, projectConfig);
+    });
 }
 
 /**
@@ -164,12 +283,31 @@ export function listServices(projectName) {
     return projectConfig.services || [];
 }
 
+/**
+ * Environnement des commandes lancées pour un service
+ * Seules quelques variables de l'outil sont reprises: son environnement
+ * (root, démon API) contient notamment le jeton de l'API, qui ne doit
+ * jamais atteindre les applications des clients.
+ * @param {object} [extra] - Variables à ajouter
+ * @returns {object}
+ */
+function serviceCommandEnv(extra = {}) {
+    const inherited = INHERITED_ENV
+        .filter(name => process.env[name] !== undefined)
+        .map(name => [name, process.env[name]]);
+
+    return { ...Object.fromEntries(inherited), ...extra };
+}
+
 /**
  * Exécute les commandes de setup d'un service
+ * Dans un projet isolé, elles tournent sous l'utilisateur SFTP, propriétaire
+ * du code, et non en root (npm install exécute les scripts du paquet).
+ * @param {string} projectName - Nom du projet
  * @param {object} service - Service
  * @returns {Promise<void>}
  */
-async function runSetupCommands(service) {
+export async function runSetupCommands(projectName, service) {
     const setupCommands = service.setupCommands || [];
     
     if (setupCommands.length === 0) {
@@ -181,12 +319,113 @@ async function runSetupCommands(service) {
     for (const cmd of setupCommands) {
         logger.info(`  → ${cmd}`);
         try {
-            await shell.execCommand(cmd, { cwd: service.directory });
+            // HOME dans le dossier du service: le cache npm doit être accessible en écriture
+            const options = runtime.getRuntimeUser(projectName)
+                ? { cwd: service.directory, env: serviceCommandEnv({ HOME: service.directory }) }
+                : { cwd: service.directory, env: serviceCommandEnv() };
+            await shell.execCommand(runtime.ownerCommand(projectName, cmd), options);
             logger.success(`  ✓ ${cmd}`);
         } catch (error) {
-            throw new Error(`Erreur lors de l'exécution de "${cmd}": ${error.message}`);
+            throw commandError(`Erreur lors de l'exécution de "${cmd}": ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Options d'exécution PM2 portant les secrets d'un service
+ * Les variables en clair sont dans le fichier ecosystem; PM2 le complète par
+ * l'environnement de la commande pm2 (au démarrage, ou au reload avec
+ * --update-env): celui-ci est réduit à serviceCommandEnv() et aux secrets,
+ * déchiffrés ici seulement. Seuls leurs noms apparaissent dans les journaux
+ * et en simulation.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {string} args - Arguments PM2
+ * @returns {object}
+ */
+function pm2EnvOptions(projectName, service, args) {
+    const refs = environment.resolveServiceVariables(projectName, service).secrets;
+    const env = secrets.resolveSecrets(projectName, refs);
+    const names = Object.keys(env);
+
+    return {
+        env: serviceCommandEnv(env),
+        displayCommand: names.length > 0 ? `pm2 ${args} (secrets: ${names.join(', ')})` : undefined
+    };
+}
+
+/**
+ * Indique si un processus PM2 tourne sous l'utilisateur attendu du projet
+ * Un projet non isolé n'impose rien: ses processus sont laissés tels quels.
+ * @param {string} projectName - Nom du projet
+ * @param {object} status - Processus (pm2 jlist)
+ * @returns {boolean}
+ */
+function runsAsExpectedUser(projectName, status) {
+    const runUser = runtime.getRuntimeUser(projectName);
+    const uid = status.pm2_env?.uid;
+
+    if (!runUser) {
+        return true;
+    }
+
+    return uid !== undefined && (String(uid) === runUser || Number(uid) === runtime.getRuntimeUid(runUser));
+}
+
+/**
+ * Processus PM2 d'un service (un par instance)
+ * @param {string} pm2Name - Nom du processus
+ * @returns {Promise<Array>}
+ */
+async function listInstances(pm2Name) {
+    return (await shell.listPm2Processes()).filter(p => p.name === pm2Name);
+}
+
+/**
+ * Lance ou relance un service depuis le fichier ecosystem du projet
+ * Le fichier est d'abord régénéré depuis project.json. Un processus lancé
+ * sous un autre utilisateur ou selon une autre définition est recréé: pm2
+ * reload/restart conserve l'utilisateur, la commande et les options
+ * d'origine. Le nombre d'instances d'un processus conservé est ajusté par
+ * pm2 scale.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {string} action - startOrReload ou startOrRestart
+ * @returns {Promise<void>}
+ */
+async function launchService(projectName, service, action) {
+    const pm2Name = service.pm2Name;
+    const ecosystemPath = ecosystem.writeEcosystem(projectName);
+    const app = ecosystem.buildApp(projectName, service);
+    let status = await shell.getPm2ProcessStatus(pm2Name);
+
+    if (status && !runsAsExpectedUser(projectName, status)) {
+        logger.info(`Recréation de ${pm2Name} sous ${runtime.getRuntimeUser(projectName)}`);
+        await shell.pm2Command(`delete ${pm2Name}`);
+        status = null;
+    } else if (status && !ecosystem.matchesApp(status, app)) {
+        logger.info(`Recréation de ${pm2Name} (définition modifiée)`);
+        await shell.pm2Command(`delete ${pm2Name}`);
+        status = null;
+    }
+
+    const args = `${action} "${ecosystemPath}" --only "${pm2Name}" --update-env`;
+    await shell.pm2Command(args, pm2EnvOptions(projectName, service, args));
+
+    if (status) {
+        const count = ecosystem.instanceCount(app);
+        if ((await listInstances(pm2Name)).length !== count) {
+            await shell.pm2Command(`scale ${pm2Name} ${count}`);
         }
     }
+
+    // Sauvegarder la configuration PM2
+    await shell.pm2Command('save');
+
+    // Relancé: la boucle de crash précédente n'est plus d'actualité
+    if (service.crash) {
+        setServiceCrash(projectName, service.name, null);
+    }
 }
 
 /**
@@ -200,42 +439,33 @@ export async function startService(projectName, serviceName, runSetup = true) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
-        throw new Error(`Le service ${serviceName} n'existe pas`);
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
+    }
+
+    if (projects.getProject(projectName)?.suspended) {
+        throw conflictError(`Le projet ${projectName} est suspendu: réactivez-le avant de démarrer ses services`);
     }
 
     // Vérifier si le dossier existe
-    if (!fs.existsSync(service.directory)) {
-        throw new Error(`Le dossier du service n'existe pas: ${service.directory}`);
+    if (!files.exists(service.directory)) {
+        throw notFoundError(`Le dossier du service n'existe pas: ${service.directory}`);
     }
 
     // Exécuter les commandes de setup si demandé
     if (runSetup) {
-        await runSetupCommands(service);
+        await runSetupCommands(projectName, service);
     }
 
     logger.info(`Démarrage du service ${serviceName}...`);
 
-    // Démarrer avec PM2
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    // Démarrer avec PM2 (reload si le processus existe déjà)
+    const pm2Name = service.pm2Name;
     
     try {
-        // Vérifier si le processus existe déjà
-        const status = await shell.getPm2ProcessStatus(pm2Name);
-        
-        if (status) {
-            // Redémarrer si existe
-            await shell.pm2Command(`restart ${pm2Name}`);
-        } else {
-            // Créer un nouveau processus
-            await shell.pm2Command(`start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}"`);
-        }
-
-        // Sauvegarder la configuration PM2
-        await shell.pm2Command('save');
-        
+        await launchService(projectName, service, 'startOrReload');
         logger.success(`Service ${serviceName} démarré (${pm2Name})`);
     } catch (error) {
-        throw new Error(`Erreur lors du démarrage: ${error.message}`);
+        throw commandError(`Erreur lors du démarrage: ${error.message}`);
     }
 }
 
@@ -249,10 +479,10 @@ export async function stopService(projectName, serviceName) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
-        throw new Error(`Le service ${serviceName} n'existe pas`);
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    const pm2Name = service.pm2Name;
 
     logger.info(`Arrêt du service ${serviceName}...`);
 
@@ -261,7 +491,7 @@ export async function stopService(projectName, serviceName) {
         await shell.pm2Command('save');
         logger.success(`Service ${serviceName} arrêté`);
     } catch (error) {
-        throw new Error(`Erreur lors de l'arrêt: ${error.message}`);
+        throw commandError(`Erreur lors de l'arrêt: ${error.message}`);
     }
 }
 
@@ -275,22 +505,55 @@ export async function restartService(projectName, serviceName) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
-        throw new Error(`Le service ${serviceName} n'existe pas`);
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-
     logger.info(`Redémarrage du service ${serviceName}...`);
 
     try {
-        await shell.pm2Command(`restart ${pm2Name}`);
-        await shell.pm2Command('save');
+        await launchService(projectName, service, 'startOrRestart');
         logger.success(`Service ${serviceName} redémarré`);
     } catch (error) {
-        throw new Error(`Erreur lors du redémarrage: ${error.message}`);
+        throw commandError(`Erreur lors du redémarrage: ${error.message}`);
     }
 }
 
+/**
+ * Modifie le nombre d'instances d'un service
+ * Le nombre est enregistré dans project.json (fichier ecosystem), puis
+ * appliqué au processus en cours par pm2 scale; un service arrêté le
+ * prendra au prochain démarrage.
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number|string} instances - Nombre d'instances, ou "max" (un par cœur)
+ * @returns {Promise<number>} - Nombre de processus visé
+ */
+export async function scaleService(projectName, serviceName, instances) {
+    return store.withLock(async () => {
+        const service = updateService(projectName, serviceName, { pm2: { instances } });
+        const app = ecosystem.buildApp(projectName, service);
+        const count = ecosystem.instanceCount(app);
+
+        ecosystem.writeEcosystem(projectName);
+
+        const running = (await listInstances(service.pm2Name)).filter(p => p.pm2_env?.status === 'online');
+        if (running.length === 0) {
+            logger.info(`Service ${serviceName} arrêté: ${count} instance(s) au prochain démarrage`);
+            return count;
+        }
+
+        try {
+            await shell.pm2Command(`scale ${service.pm2Name} ${count}`);
+            await shell.pm2Command('save');
+        } catch (error) {
+            throw commandError(`Erreur lors du changement d'échelle: ${error.message}`);
+        }
+
+        logger.success(`Service ${serviceName}: ${count} instance(s) (${app.exec_mode || 'fork'})`);
+        return count;
+    });
+}
+
 /**
  * Récupère le statut d'un service
  * @param {string} projectName - Nom du projet
@@ -301,34 +564,49 @@ export async function getServiceStatus(projectName, serviceName) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
-        throw new Error(`Le service ${serviceName} n'existe pas`);
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    const pm2Status = await shell.getPm2ProcessStatus(pm2Name);
+    const pm2Name = service.pm2Name;
+    const instances = await listInstances(pm2Name);
 
-    if (!pm2Status) {
+    // Arrêté par le watchdog: en erreur jusqu'au prochain démarrage
+    const crash = service.crash || null;
+
+    if (instances.length === 0) {
         return {
             name: serviceName,
             pm2Name,
-            status: 'stopped',
+            status: crash ? 'errored' : 'stopped',
             pid: null,
             uptime: null,
             restarts: 0,
             memory: null,
-            cpu: null
+            cpu: null,
+            instances: 0,
+            onlineInstances: 0,
+            crash
         };
     }
 
+    // Plusieurs instances: CPU, mémoire et redémarrages cumulés; en ligne
+    // dès qu'une instance l'est
+    const online = instances.filter(p => p.pm2_env?.status === 'online');
+    const first = online[0] || instances[0];
+    const sum = (read) => instances.reduce((total, p) => total + (read(p) || 0), 0);
+
     return {
         name: serviceName,
         pm2Name,
-        status: pm2Status.pm2_env?.status || 'unknown',
-        pid: pm2Status.pid || null,
-        uptime: pm2Status.pm2_env?.pm_uptime || null,
-        restarts: pm2Status.pm2_env?.restart_time || 0,
-        memory: pm2Status.monit?.memory || null,
-        cpu: pm2Status.monit?.cpu || null
+        status: crash && online.length === 0 ? 'errored' : (first.pm2_env?.status || 'unknown'),
+        pid: first.pid || null,
+        uptime: first.pm2_env?.pm_uptime || null,
+        restarts: sum(p => p.pm2_env?.restart_time),
+        memory: sum(p => p.monit?.memory) || null,
+        cpu: instances.some(p => p.monit) ? sum(p => p.monit?.cpu) : null,
+        instances: instances.length,
+        onlineInstances: online.length,
+        crash
     };
 }
 
@@ -344,6 +622,7 @@ export async function getAllServicesStatus(projectName) {
     for (const service of services) {
         const status = await getServiceStatus(projectName, service.name);
         result.push({
+            port: null,
             ...service,
             ...status
         });
@@ -363,15 +642,15 @@ export async function getServiceLogs(projectName, serviceName, lines = 50) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
-        throw new Error(`Le service ${serviceName} n'existe pas`);
+        throw notFoundError(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    const pm2Name = service.pm2Name;
     
     try {
         return await shell.getPm2Logs(pm2Name, lines);
     } catch (error) {
-        throw new Error(`Erreur lors de la récupération des logs: ${error.message}`);
+        throw commandError(`Erreur lors de la récupération des logs: ${error.message}`);
     }
 }
 
@@ -385,7 +664,7 @@ export async function startAllServices(projectName, runSetup = true) {
     const services = listServices(projectName);
     
     if (services.length === 0) {
-        throw new Error('Aucun service configuré pour ce projet');
+        throw conflictError('Aucun service configuré pour ce projet');
     }
 
     logger.info(`Démarrage de tous les services de ${projectName}...`);
@@ -427,17 +706,23 @@ export async function stopAllServices(projectName) {
 }
 
 export default {
-    addService,
-    removeService,
-    updateService,
+    resolveServiceDirectory,
+    addService: audited('addService', addService, ['projectName', 'serviceConfig'], {
+        target: ({ projectName, serviceConfig }) => `${projectName}/${serviceConfig?.name}`
+    }),
+    removeService: audited('removeService', removeService, ['projectName', 'serviceName']),
+    updateService: audited('updateService', updateService, ['projectName', 'serviceName', 'updates']),
+    setServiceCrash,
     getService,
+    runSetupCommands,
     listServices,
-    startService,
-    stopService,
-    restartService,
+    startService: audited('startService', startService, ['projectName', 'serviceName', 'runSetup']),
+    stopService: audited('stopService', stopService, ['projectName', 'serviceName']),
+    restartService: audited('restartService', restartService, ['projectName', 'serviceName']),
+    scaleService: audited('scaleService', scaleService, ['projectName', 'serviceName', 'instances']),
     getServiceStatus,
     getAllServicesStatus,
     getServiceLogs,
-    startAllServices,
-    stopAllServices
+    startAllServices: audited('startAllServices', startAllServices, ['projectName', 'runSetup']),
+    stopAllServices: audited('stopAllServices', stopAllServices, ['projectName'])
 };
@@ -2,11 +2,13 @@
  * Module de gestion des utilisateurs SFTP et configuration SSH
  */
 
-import fs from 'fs';
 import path from 'path';
 import { SFTP_USER_PREFIX, SFTP_GROUP, SSH_CONFIG_PATH, BASE_PATH } from '../config/constants.js';
 import shell from '../utils/shell.js';
+import files from '../utils/files.js';
 import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { validationError, notFoundError, conflictError, commandError } from '../utils/errors.js';
 
 /**
  * Configuration SFTP à ajouter dans sshd_config
@@ -28,6 +30,32 @@ export async function ensureSftpGroup() {
     }
 }
 
+/**
+ * Vérifie qu'un mot de passe peut être transmis à chpasswd
+ * Une ligne par utilisateur: un retour à la ligne désignerait un autre compte.
+ * @param {string} password - Mot de passe
+ */
+function checkPassword(password) {
+    if (typeof password !== 'string' || password.length === 0 || /[\r\n\0]/.test(password)) {
+        throw validationError('Le mot de passe ne doit pas être vide ni contenir de retour à la ligne');
+    }
+}
+
+/**
+ * Définit le mot de passe d'un utilisateur
+ * La ligne utilisateur:mot de passe est écrite sur l'entrée standard de
+ * chpasswd, sans shell: le mot de passe n'apparaît dans aucune commande.
+ * @param {string} username - Utilisateur
+ * @param {string} password - Mot de passe
+ */
+function setPassword(username, password) {
+    checkPassword(password);
+    shell.execFileSafe('chpasswd', [], {
+        input: `${username}:${password}\n`,
+        displayCommand: `chpasswd (${username}:********)`
+    });
+}
+
 /**
  * Crée un utilisateur SFTP pour un projet
  * @param {string} projectName - Nom du projet
@@ -39,9 +67,11 @@ export async function createSftpUser(projectName, password) {
     const projectPath = path.join(BASE_PATH, projectName);
     const sitesPath = path.join(projectPath, 'sites');
 
+    checkPassword(password);
+
     // Vérifier si l'utilisateur existe déjà
     if (shell.userExists(username)) {
-        throw new Error(`L'utilisateur ${username} existe déjà`);
+        throw conflictError(`L'utilisateur ${username} existe déjà`);
     }
 
     // S'assurer que le groupe SFTP existe
@@ -55,7 +85,7 @@ export async function createSftpUser(projectName, password) {
     );
 
     // Définir le mot de passe
-    await shell.execCommand(`echo "${username}:${password}" | chpasswd`);
+    setPassword(username, password);
 
     // Configurer les permissions pour le chroot SFTP
     // Le dossier racine doit appartenir à root pour le chroot
@@ -70,6 +100,38 @@ export async function createSftpUser(projectName, password) {
     return username;
 }
 
+/**
+ * Rattache un utilisateur existant à un projet (adoption)
+ * L'utilisateur est placé dans le groupe SFTP, avec le dossier du projet
+ * comme dossier personnel et sans shell. Son mot de passe est conservé.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<object>} - Réglages précédents { group, home, shell }
+ */
+export async function attachSftpUser(projectName) {
+    const username = `${SFTP_USER_PREFIX}${projectName}`;
+    const projectPath = path.join(BASE_PATH, projectName);
+
+    if (!shell.userExists(username)) {
+        throw notFoundError(`L'utilisateur ${username} n'existe pas`);
+    }
+
+    // getent passwd: nom:x:uid:gid:gecos:home:shell
+    const fields = shell.execSyncSafe(`getent passwd ${username}`, { readOnly: true }).split(':');
+    const previous = {
+        group: shell.execSyncSafe(`id -gn ${username}`, { readOnly: true }),
+        home: fields[5],
+        shell: fields[6]
+    };
+
+    await ensureSftpGroup();
+
+    logger.info(`Rattachement de l'utilisateur ${username}...`);
+    await shell.execCommand(`usermod -g ${SFTP_GROUP} -d ${projectPath} -s /usr/sbin/nologin ${username}`);
+
+    logger.success(`Utilisateur ${username} rattaché au projet ${projectName}`);
+    return previous;
+}
+
 /**
  * Supprime un utilisateur SFTP
  * @param {string} projectName - Nom du projet
@@ -97,13 +159,112 @@ export async function deleteSftpUser(projectName) {
     logger.success(`Utilisateur ${username} supprimé`);
 }
 
+/**
+ * Renomme l'utilisateur SFTP d'un projet et son dossier personnel
+ * Le mot de passe et le groupe sont conservés.
+ * @param {string} oldProjectName - Ancien nom du projet
+ * @param {string} newProjectName - Nouveau nom du projet
+ * @returns {Promise<string>} - Nouveau nom d'utilisateur
+ */
+export async function renameSftpUser(oldProjectName, newProjectName) {
+    const oldUsername = `${SFTP_USER_PREFIX}${oldProjectName}`;
+    const newUsername = `${SFTP_USER_PREFIX}${newProjectName}`;
+    const newHome = path.join(BASE_PATH, newProjectName);
+
+    if (!shell.userExists(oldUsername)) {
+        throw notFoundError(`L'utilisateur ${oldUsername} n'existe pas`);
+    }
+
+    if (shell.userExists(newUsername)) {
+        throw conflictError(`L'utilisateur ${newUsername} existe déjà`);
+    }
+
+    // usermod refuse de renommer un utilisateur connecté
+    try {
+        await shell.execCommand(`pkill -u ${oldUsername}`);
+    } catch {
+        // Ignorer si aucun processus n'est en cours
+    }
+
+    await shell.execCommand(`usermod -l ${newUsername} -d ${newHome} ${oldUsername}`);
+    logger.success(`Utilisateur ${oldUsername} renommé en ${newUsername}`);
+
+    return newUsername;
+}
+
+/**
+ * Verrouille l'utilisateur SFTP d'un projet (projet suspendu)
+ * Le mot de passe est désactivé (usermod -L) et le compte expiré, ce qui
+ * refuse aussi l'authentification par clé. Les sessions ouvertes sont coupées.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function lockSftpUser(projectName) {
+    const username = `${SFTP_USER_PREFIX}${projectName}`;
+
+    if (!shell.userExists(username)) {
+        throw notFoundError(`L'utilisateur ${username} n'existe pas`);
+    }
+
+    // Expiration au 2 janvier 1970: compte expiré quelle que soit la méthode d'authentification
+    await shell.execCommand(`usermod -L -e 1 ${username}`);
+
+    try {
+        await shell.execCommand(`pkill -u ${username}`);
+    } catch {
+        // Ignorer si aucune session n'est ouverte
+    }
+
+    logger.success(`Utilisateur ${username} verrouillé`);
+}
+
+/**
+ * Déverrouille l'utilisateur SFTP d'un projet (fin de suspension)
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function unlockSftpUser(projectName) {
+    const username = `${SFTP_USER_PREFIX}${projectName}`;
+
+    if (!shell.userExists(username)) {
+        throw notFoundError(`L'utilisateur ${username} n'existe pas`);
+    }
+
+    await shell.execCommand(`usermod -U -e '' ${username}`);
+    logger.success(`Utilisateur ${username} déverrouillé`);
+}
+
+/**
+ * Liste les utilisateurs SFTP gérés par l'outil (préfixe et groupe SFTP)
+ * @returns {Array<string>} - Noms d'utilisateur
+ */
+export function listSftpUsers() {
+    let groupId;
+    let groupMembers;
+    try {
+        const [, , gid, members] = shell.execSyncSafe(`getent group ${SFTP_GROUP}`, { readOnly: true }).split(':');
+        groupId = gid;
+        groupMembers = members ? members.split(',') : [];
+    } catch {
+        return [];
+    }
+
+    const passwd = shell.execSyncSafe('getent passwd', { readOnly: true });
+
+    return passwd.split('\n')
+        .map(line => line.split(':'))
+        .filter(([username, , , gid]) => username.startsWith(SFTP_USER_PREFIX)
+            && (gid === groupId || groupMembers.includes(username)))
+        .map(([username]) => username);
+}
+
 /**
  * Lit la configuration SSH actuelle
  * @returns {string}
  */
 function readSSHConfig() {
     try {
-        return fs.readFileSync(SSH_CONFIG_PATH, 'utf8');
+        return files.readFile(SSH_CONFIG_PATH);
     } catch (error) {
         throw new Error(`Impossible de lire ${SSH_CONFIG_PATH}: ${error.message}`);
     }
@@ -117,10 +278,10 @@ function writeSSHConfig(content) {
     try {
         // Créer une sauvegarde
         const backupPath = `${SSH_CONFIG_PATH}.backup.${Date.now()}`;
-        fs.copyFileSync(SSH_CONFIG_PATH, backupPath);
+        files.copyFile(SSH_CONFIG_PATH, backupPath);
         logger.debug(`Backup créé: ${backupPath}`);
 
-        fs.writeFileSync(SSH_CONFIG_PATH, content);
+        files.writeFile(SSH_CONFIG_PATH, content);
     } catch (error) {
         throw new Error(`Impossible d'écrire ${SSH_CONFIG_PATH}: ${error.message}`);
     }
@@ -160,7 +321,8 @@ function generateSftpConfig(projects) {
 export async function updateSSHConfig(projects) {
     logger.info('Mise à jour de la configuration SSH...');
 
-    let sshConfig = readSSHConfig();
+    const originalConfig = readSSHConfig();
+    let sshConfig = originalConfig;
 
     // Supprimer l'ancienne configuration du projet manager
     const startIndex = sshConfig.indexOf(SFTP_CONFIG_MARKER);
@@ -181,7 +343,9 @@ export async function updateSSHConfig(projects) {
     // Tester la configuration
     const isValid = await shell.testSSHConfig();
     if (!isValid) {
-        throw new Error('La configuration SSH générée est invalide');
+        // Ne pas laisser sshd avec une configuration qu'il refuserait au redémarrage
+        files.writeFile(SSH_CONFIG_PATH, originalConfig);
+        throw commandError('La configuration SSH générée est invalide (configuration précédente restaurée)');
     }
 
     // Redémarrer SSH
@@ -208,10 +372,10 @@ export async function changeSftpPassword(projectName, newPassword) {
     const username = `${SFTP_USER_PREFIX}${projectName}`;
 
     if (!shell.userExists(username)) {
-        throw new Error(`L'utilisateur ${username} n'existe pas`);
+        throw notFoundError(`L'utilisateur ${username} n'existe pas`);
     }
 
-    await shell.execCommand(`echo "${username}:${newPassword}" | chpasswd`);
+    setPassword(username, newPassword);
     logger.success(`Mot de passe de ${username} modifié`);
 }
 
@@ -228,7 +392,7 @@ export function getSftpUserInfo(projectName) {
     }
 
     try {
-        const userInfo = shell.execSyncSafe(`id ${username}`);
+        const userInfo = shell.execSyncSafe(`id ${username}`, { readOnly: true });
         return {
             username,
             exists: true,
@@ -241,10 +405,15 @@ export function getSftpUserInfo(projectName) {
 
 export default {
     ensureSftpGroup,
-    createSftpUser,
-    deleteSftpUser,
-    updateSSHConfig,
+    createSftpUser: audited('createSftpUser', createSftpUser, ['projectName', 'password']),
+    attachSftpUser: audited('attachSftpUser', attachSftpUser, ['projectName']),
+    deleteSftpUser: audited('deleteSftpUser', deleteSftpUser, ['projectName']),
+    renameSftpUser: audited('renameSftpUser', renameSftpUser, ['oldName', 'newName']),
+    lockSftpUser: audited('lockSftpUser', lockSftpUser, ['projectName']),
+    unlockSftpUser: audited('unlockSftpUser', unlockSftpUser, ['projectName']),
+    listSftpUsers,
+    updateSSHConfig: audited('updateSSHConfig', updateSSHConfig, [], { target: () => SSH_CONFIG_PATH }),
     isSftpConfigured,
-    changeSftpPassword,
+    changeSftpPassword: audited('changeSftpPassword', changeSftpPassword, ['projectName', 'newPassword']),
     getSftpUserInfo
 };
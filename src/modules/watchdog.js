@@ -0,0 +1,207 @@
+/**
+ * Module de protection contre les boucles de crash
+ *
+ * Une application qui plante au démarrage est relancée par PM2 selon la
+ * politique de redémarrage du service (options maxRestarts, minUptime,
+ * expBackoffRestartDelay). Le watchdog repère les services qui ne s'en
+ * sortent pas, les arrête et enregistre dans project.json (champ "crash")
+ * la raison et le chemin du log d'erreur: le service apparaît en erreur
+ * jusqu'à son prochain démarrage. Les logs peuvent contenir des secrets:
+ * project.json (lisible en SFTP) n'en garde aucune ligne, elles sont lues
+ * à l'affichage (tailFile).
+ *
+ * Il est lancé par "project-manager watchdog", planifiable dans un fichier
+ * cron.d, et à intervalle régulier par le démon API.
+ */
+
+import fs from 'fs';
+import { WATCHDOG_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import shell from '../utils/shell.js';
+import files from '../utils/files.js';
+import store from '../utils/store.js';
+import logger from '../utils/logger.js';
+import { audited } from '../utils/audit.js';
+import { commandError } from '../utils/errors.js';
+
+/**
+ * Raisons d'une boucle de crash
+ */
+export const CRASH_REASONS = {
+    errored: 'PM2 a abandonné les redémarrages, max_restarts atteint',
+    unstable: 'redémarrages répétés avant la durée minimale de fonctionnement',
+    backoff: 'délai de relance exponentielle au maximum'
+};
+
+/**
+ * Dernières lignes non vides d'un fichier de logs
+ * Seule la fin du fichier est lue.
+ * @param {string} filePath - Fichier
+ * @param {number} lines - Nombre de lignes
+ * @returns {Array<string>} - Vide si le fichier est absent
+ */
+export function tailFile(filePath, lines = WATCHDOG_CONFIG.logLines) {
+    let fd = null;
+
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const { size } = fs.fstatSync(fd);
+        const length = Math.min(size, WATCHDOG_CONFIG.tailBytes);
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, size - length);
+
+        return buffer.toString('utf8').split('\n').filter(line => line.trim()).slice(-lines);
+    } catch {
+        return [];
+    } finally {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Diagnostique une boucle de crash à partir des instances PM2 d'un service
+ * - errored: PM2 a cessé de relancer le processus
+ * - unstable: redémarrages instables au-delà du seuil (maxRestarts du
+ *   service s'il est plus bas)
+ * - backoff: la relance exponentielle a atteint son délai maximal
+ * Les compteurs de PM2 ne sont pas remis à zéro quand le processus se
+ * stabilise: unstable et backoff ne concernent que les instances qui ne sont
+ * pas en ligne (en attente de relance). Les instances arrêtées ne sont pas
+ * prises en compte.
+ * @param {object} service - Service (project.json)
+ * @param {Array<object>} instances - Processus du service (pm2 jlist)
+ * @returns {{reason: string, restarts: number, logPath: string|null}|null}
+ */
+export function detectCrashLoop(service, instances) {
+    const active = instances.filter(p => p.pm2_env?.status !== 'stopped');
+    const threshold = Math.min(WATCHDOG_CONFIG.unstableRestarts, service.pm2?.maxRestarts ?? Infinity);
+
+    const restarting = p => p.pm2_env?.status !== 'online';
+
+    const checks = {
+        errored: p => p.pm2_env?.status === 'errored',
+        unstable: p => restarting(p) && (p.pm2_env?.unstable_restarts || 0) > 0 && p.pm2_env.unstable_restarts >= threshold,
+        backoff: p => restarting(p) && (p.pm2_env?.prev_restart_delay || 0) >= WATCHDOG_CONFIG.backoffDelay
+    };
+
+    for (const [reason, check] of Object.entries(checks)) {
+        const crashed = active.find(check);
+        if (crashed) {
+            return {
+                reason,
+                restarts: instances.reduce((total, p) => total + (p.pm2_env?.restart_time || 0), 0),
+                logPath: crashed.pm2_env?.pm_err_log_path || crashed.pm2_env?.pm_out_log_path || null
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Arrête un service en boucle de crash et l'enregistre en erreur
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} diagnosis - Diagnostic (detectCrashLoop)
+ * @returns {Promise<object>} - Boucle de crash enregistrée (champ "crash")
+ */
+export async function stopCrashedService(projectName, serviceName, diagnosis) {
+    const service = services.getService(projectName, serviceName);
+    const crash = {
+        detectedAt: new Date().toISOString(),
+        reason: diagnosis.reason,
+        restarts: diagnosis.restarts,
+        ...(diagnosis.logPath ? { logPath: diagnosis.logPath } : {})
+    };
+
+    try {
+        await shell.pm2Command(`stop ${service.pm2Name}`);
+        await shell.pm2Command('save');
+    } catch (error) {
+        throw commandError(`Erreur lors de l'arrêt de ${projectName}/${serviceName}: ${error.message}`);
+    }
+
+    services.setServiceCrash(projectName, serviceName, crash);
+    logger.warn(`${projectName}/${serviceName} arrêté: boucle de crash (${CRASH_REASONS[crash.reason]}, ${crash.restarts} redémarrage(s))`);
+
+    return crash;
+}
+
+const auditedStopCrashedService = audited('stopCrashedService', stopCrashedService, ['projectName', 'serviceName', 'diagnosis']);
+
+/**
+ * Recherche les boucles de crash sur tous les projets et arrête les
+ * services concernés
+ * @returns {Promise<Array<{project: string, service: string, crash: object}>>} - Services arrêtés
+ */
+export async function runWatchdog() {
+    const processes = await shell.listPm2Processes();
+    const stopped = [];
+
+    for (const project of projects.loadProjects().filter(p => !p.suspended)) {
+        for (const service of services.listServices(project.name)) {
+            const diagnosis = detectCrashLoop(service, processes.filter(p => p.name === service.pm2Name));
+            if (!diagnosis) {
+                continue;
+            }
+
+            try {
+                const crash = await auditedStopCrashedService(project.name, service.name, diagnosis);
+                stopped.push({ project: project.name, service: service.name, crash });
+            } catch (error) {
+                logger.error(error.message);
+            }
+        }
+    }
+
+    return stopped;
+}
+
+/**
+ * Indique si le watchdog est planifié (fichier cron.d présent)
+ * @returns {boolean}
+ */
+export function isScheduled() {
+    return files.exists(WATCHDOG_CONFIG.cronFile);
+}
+
+/**
+ * Active ou désactive la planification du watchdog (chaque minute)
+ * @param {boolean} enabled - Planifier
+ */
+export function setSchedule(enabled) {
+    store.withLockSync(() => {
+        if (!enabled) {
+            if (files.exists(WATCHDOG_CONFIG.cronFile)) {
+                files.remove(WATCHDOG_CONFIG.cronFile);
+            }
+            logger.success('Watchdog non planifié');
+            return;
+        }
+
+        const content = `# Généré par nodejs-project-manager - NE PAS MODIFIER MANUELLEMENT
+# Utilisez: project-manager watchdog --enable | --disable
+SHELL=/bin/sh
+PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin
+
+${WATCHDOG_CONFIG.schedule} root ${WATCHDOG_CONFIG.command} watchdog >> ${WATCHDOG_CONFIG.logFile} 2>&1
+`;
+
+        files.writeFile(WATCHDOG_CONFIG.cronFile, content);
+        files.chmod(WATCHDOG_CONFIG.cronFile, '644');
+        logger.success(`Watchdog planifié (${WATCHDOG_CONFIG.schedule})`);
+    });
+}
+
+export default {
+    CRASH_REASONS,
+    tailFile,
+    detectCrashLoop,
+    stopCrashedService: auditedStopCrashedService,
+    runWatchdog,
+    isScheduled,
+    setSchedule: audited('setWatchdogSchedule', setSchedule, ['enabled'])
+};
@@ -0,0 +1,1733 @@
+/**
+ * Interface en ligne de commande non interactive
+ * Permet de piloter l'outil depuis des scripts (Ansible, cron...)
+ */
+
+import { parseArgs } from 'util';
+import fs from 'fs';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+import projects from '../modules/projects.js';
+import services from '../modules/services.js';
+import scripts from '../modules/scripts.js';
+import sftp from '../modules/sftp.js';
+import manifest from '../modules/manifest.js';
+import doctor from '../modules/doctor.js';
+import archive from '../modules/archive.js';
+import backups from '../modules/backups.js';
+import quotas from '../modules/quotas.js';
+import bulk from '../modules/bulk.js';
+import adopt from '../modules/adopt.js';
+import environment from '../modules/environment.js';
+import secrets from '../modules/secrets.js';
+import ports from '../modules/ports.js';
+import runtime from '../modules/runtime.js';
+import watchdog from '../modules/watchdog.js';
+import output from './output.js';
+import api from '../api/server.js';
+import { API_CONFIG, BACKUP_CONFIG } from '../config/constants.js';
+import logger from '../utils/logger.js';
+import dryrun from '../utils/dryrun.js';
+import audit from '../utils/audit.js';
+import { notFoundError } from '../utils/errors.js';
+
+/**
+ * Codes de sortie
+ */
+export const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    usage: 2
+};
+
+/**
+ * Options reconnues par l'ensemble des sous-commandes
+ */
+const OPTIONS = {
+    'password-stdin': { type: 'boolean', default: false },
+    'delete-files': { type: 'boolean', default: false },
+    'skip-setup': { type: 'boolean', default: false },
+    'all': { type: 'boolean', default: false },
+    'directory': { type: 'string' },
+    'command': { type: 'string' },
+    'setup': { type: 'string', multiple: true },
+    'data-dir': { type: 'string', multiple: true },
+    'instances': { type: 'string' },
+    'exec-mode': { type: 'string' },
+    'max-memory': { type: 'string' },
+    'kill-timeout': { type: 'string' },
+    'max-restarts': { type: 'string' },
+    'min-uptime': { type: 'string' },
+    'backoff-delay': { type: 'string' },
+    'cron-restart': { type: 'string' },
+    'description': { type: 'string' },
+    'json': { type: 'boolean', default: false },
+    'format': { type: 'string' },
+    'socket': { type: 'string' },
+    'port': { type: 'string' },
+    'token-file': { type: 'string' },
+    'dashboard': { type: 'boolean', default: false },
+    'fix': { type: 'boolean', default: false },
+    'project': { type: 'string' },
+    'operator': { type: 'string' },
+    'since': { type: 'string' },
+    'until': { type: 'string' },
+    'limit': { type: 'string' },
+    'output': { type: 'string', short: 'o' },
+    'without-node-modules': { type: 'boolean', default: false },
+    'name': { type: 'string' },
+    'start': { type: 'boolean', default: false },
+    'allow-external-dirs': { type: 'boolean', default: false },
+    'scheduled': { type: 'boolean', default: false },
+    'enable': { type: 'boolean', default: false },
+    'disable': { type: 'boolean', default: false },
+    'cron': { type: 'string' },
+    'target': { type: 'string' },
+    'keep-daily': { type: 'string' },
+    'keep-weekly': { type: 'string' },
+    'warn': { type: 'string' },
+    'tag': { type: 'string' },
+    'service': { type: 'string' },
+    'show-values': { type: 'boolean', default: false },
+    'value-stdin': { type: 'boolean', default: false },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Utilisation: project-manager [commande] [options]
+
+Sans argument, le menu interactif est lancé.
+
+Commandes:
+  project list [--tag <sélecteur>]              Lister les projets (filtrés par tags)
+  project create <nom> --password-stdin         Créer un projet (mot de passe SFTP lu sur stdin)
+  project delete <nom> [--delete-files]         Supprimer un projet
+  project adopt <nom> [--password-stdin]        Reprendre un dossier /var/www/<nom> existant et ses processus PM2
+                                                (mot de passe requis si sftp_<nom> n'existe pas)
+  project show <nom>                            Détail d'un projet (SFTP, services, statut)
+  project password <nom> --password-stdin       Changer le mot de passe SFTP
+  project rename <nom> <nouveau-nom>            Renommer un projet (dossier, utilisateur SFTP, PM2)
+  project suspend <nom>                         Suspendre un projet (PM2 arrêté, SFTP verrouillé, fichiers conservés)
+  project resume <nom>                          Réactiver un projet suspendu
+  project isolate <nom>                         Exécuter les services sous run_<nom> au lieu de root
+                                                (relance les services actifs; réapplique les permissions de sites/)
+  project tag <nom> <tag>...                    Ajouter des tags (ex: client:acme env:staging)
+  project untag <nom> <tag>...                  Retirer des tags
+
+  service list <projet>                         Lister les services d'un projet
+  service add <projet> <service> [options]      Ajouter un service
+      --directory <chemin>                      Dossier (relatif à sites/ ou absolu, défaut: <service>)
+      --command <commande>                      Commande de démarrage (défaut: npm start)
+      --setup <commande>                        Commande de setup (répétable)
+      --description <texte>                     Description
+      --port <port>                             Port demandé (défaut: premier port libre de la plage, transmis dans PORT)
+      --data-dir <dossier>                      Dossier de données, relatif au service, accessible en écriture (répétable)
+      --instances, --exec-mode, --max-memory, --kill-timeout, --max-restarts,
+      --min-uptime, --backoff-delay, --cron-restart
+                                                Options PM2 (voir service options)
+  service remove <projet> <service>             Supprimer un service
+  service data-dirs <projet> <service> [<dossier>...]
+                                                Remplacer les dossiers de données (sans dossier: aucun)
+  service options <projet> <service> [options]  Afficher ou modifier les options PM2 (fichier ecosystem du projet)
+      --instances <n|max>                       Nombre d'instances (max: une par cœur)
+      --exec-mode <fork|cluster>                Mode d'exécution (cluster: commande "node <fichier.js>")
+      --max-memory <taille>                     Redémarrer au-delà de cette mémoire (ex: 300M, 1G)
+      --kill-timeout <ms>                       Délai accordé à l'arrêt avant SIGKILL
+      --max-restarts <n>                        Redémarrages instables avant abandon (statut errored)
+      --min-uptime <ms>                         En deçà, un redémarrage compte comme instable
+      --backoff-delay <ms>                      Relance exponentielle à partir de ce délai
+      --cron-restart "<expression>"             Redémarrage planifié (ex: "0 4 * * *")
+                                                ("default": valeur par défaut de PM2; appliqué au prochain démarrage)
+  service scale <projet> <service> <n|max>      Changer le nombre d'instances (pm2 scale si le service tourne)
+  service start <projet> <service|--all>        Démarrer un ou tous les services [--skip-setup]
+  service stop <projet> <service|--all>         Arrêter un ou tous les services
+  service restart <projet> <service|--all>      Redémarrer un ou tous les services
+
+  env list <projet> [--service <s>]             Variables d'environnement (valeurs masquées sauf --show-values)
+  env set <projet> NOM=valeur... [--service <s>]
+                                                Définir des variables (partagées par défaut, ou d'un service)
+  env unset <projet> NOM... [--service <s>]     Retirer des variables
+  env import <projet> <fichier.env> [--service <s>]
+                                                Importer un fichier .env
+  env link <projet> NOM=secret... [--service <s>]
+                                                Alimenter des variables par des secrets chiffrés
+  env protect <projet> NOM... [--service <s>]   Déplacer des variables en clair vers les secrets
+
+  secret list <projet>                          Secrets du projet et variables qui les utilisent (sans valeurs)
+  secret set <projet> <nom> --value-stdin       Créer ou remplacer un secret (valeur lue sur stdin)
+  secret remove <projet> <nom>                  Supprimer un secret inutilisé
+
+  port list                                     Ports attribués sur le serveur (registre) et leur état d'écoute
+  port range [<début>-<fin>]                    Afficher ou modifier la plage d'attribution automatique
+  port set <projet> <service> [<port>]          Attribuer un port à un service (défaut: premier port libre)
+  port release <projet> <service>               Libérer le port d'un service
+
+  scripts regenerate [projet]                   Régénérer les scripts (tous les projets par défaut)
+
+  status [projet] [--tag <sélecteur>]           Statut des projets ou des services d'un projet
+
+  bulk <action> --tag <sélecteur>               Action groupée sur les projets sélectionnés (résumé par projet)
+                                                start, stop, restart, regenerate [--skip-setup]
+
+  export <projet> [options]                     Exporter un projet dans une archive .tar.gz (migration)
+      -o, --output <fichier>                    Archive à créer (défaut: ./<projet>-<date>.tar.gz)
+      --without-node-modules                    Exclure les dossiers node_modules
+  import <archive> [options]                    Recréer un projet depuis une archive exportée
+      --name <nom>                              Importer sous un autre nom
+      --start                                   Démarrer les services actifs lors de l'export
+      --allow-external-dirs                     Accepter les services dont le dossier est hors du projet
+
+  backup list <projet>                          Historique des sauvegardes et réglages
+  backup create <projet>                        Créer une sauvegarde maintenant
+  backup restore <projet> <sauvegarde>          Arrêter les services, restaurer la sauvegarde, les relancer
+  backup schedule <projet> [options]            Régler la sauvegarde planifiée
+      --enable | --disable                      Activer ou désactiver la planification
+      --cron "<expression>"                     Planification cron (défaut: "${BACKUP_CONFIG.defaultSchedule}")
+      --target <dossier>                        Dossier cible, local ou monté (défaut: ${BACKUP_CONFIG.defaultTarget})
+      --keep-daily <n>                          Sauvegardes quotidiennes conservées (défaut: ${BACKUP_CONFIG.retention.daily})
+      --keep-weekly <n>                         Sauvegardes hebdomadaires conservées (défaut: ${BACKUP_CONFIG.retention.weekly})
+
+  quota set <projet> <taille> [--warn <pct>]    Limiter l'espace disque du projet (ex: 500M, 10G; avertissement à 90 % par défaut)
+  quota remove <projet>                         Retirer le quota
+  quota report [--all]                          Projets proches de leur quota ou au-delà (--all: tous; code 1 si dépassement)
+
+  plan <manifeste>                              Afficher les changements pour atteindre l'état du manifeste
+  apply <manifeste>                             Appliquer le manifeste (JSON ou YAML)
+
+  watchdog                                      Arrêter les services en boucle de crash (marqués en erreur)
+      --enable | --disable                      Lancer le watchdog chaque minute (cron.d) ou plus
+  doctor [--fix]                                Vérifier la cohérence config/système (--fix: appliquer les réparations)
+
+  audit [filtres]                               Afficher le journal d'audit
+      --project <projet>                        Actions sur ce projet
+      --operator <utilisateur>                  Actions de cet administrateur (SUDO_USER)
+      --since <date>                            Depuis cette date (AAAA-MM-JJ ou ISO 8601)
+      --until <date>                            Jusqu'à cette date incluse
+      --limit <n>                               N dernières entrées (défaut: 50, 0: toutes)
+
+  daemon                                        Lancer l'API de gestion (HTTP/JSON)
+      --socket <chemin>                         Socket Unix (défaut: ${API_CONFIG.socketPath})
+      --port <port>                             Écoute TCP supplémentaire sur 127.0.0.1
+      --token-file <fichier>                    Jeton exigé en TCP (ou variable ${API_CONFIG.tokenEnv})
+      --dashboard                               Servir aussi le tableau de bord web sur /
+
+Options globales:
+  --dry-run                                     Simuler: afficher les commandes et diffs sans rien modifier
+  --format <table|json|yaml>                    Format de sortie de list/show/status (défaut: table)
+  --json                                        Raccourci pour --format json
+
+Sélecteur de tags: termes séparés par des virgules, tous requis; "clé:*" pour
+toute valeur, "!" pour exclure (ex: --tag "env:staging,client:*,!tier:critical")
+  -h, --help                                    Afficher cette aide
+
+Codes de sortie: 0 succès, 1 erreur d'exécution, 2 erreur d'utilisation`;
+
+/**
+ * Erreur d'utilisation de la ligne de commande (arguments invalides)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Indique si des arguments de ligne de commande ont été fournis
+ * @param {Array<string>} argv - Arguments (sans node ni le script)
+ * @returns {boolean}
+ */
+export function hasCommand(argv) {
+    return argv.length > 0;
+}
+
+/**
+ * Indique si seule l'aide est demandée (ne nécessite pas les droits root)
+ * @param {Array<string>} argv - Arguments
+ * @returns {boolean}
+ */
+export function isHelpRequest(argv) {
+    return argv[0] === 'help' || argv.includes('--help') || argv.includes('-h');
+}
+
+/**
+ * Affiche l'aide
+ */
+export function printUsage() {
+    console.log(USAGE);
+}
+
+/**
+ * Lit l'intégralité de l'entrée standard
+ * @param {string} [option] - Option concernée, pour le message d'erreur
+ * @returns {Promise<string>}
+ */
+async function readStdin(option = '--password-stdin') {
+    if (process.stdin.isTTY) {
+        throw new UsageError(`${option} attend la valeur sur l'entrée standard`);
+    }
+
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Lit et valide le mot de passe SFTP depuis stdin
+ * @param {object} values - Options analysées
+ * @returns {Promise<string>}
+ */
+async function readPassword(values) {
+    if (!values['password-stdin']) {
+        throw new UsageError('Le mot de passe doit être fourni via --password-stdin');
+    }
+
+    // Retirer uniquement le retour à la ligne final (echo, printf...)
+    const password = (await readStdin()).replace(/\r?\n$/, '');
+
+    if (password.length < 8) {
+        throw new UsageError('Le mot de passe doit contenir au moins 8 caractères');
+    }
+
+    return password;
+}
+
+/**
+ * Vérifie qu'un argument positionnel est présent
+ * @param {string|undefined} value - Valeur
+ * @param {string} label - Nom de l'argument pour le message d'erreur
+ * @returns {string}
+ */
+function requireArg(value, label) {
+    if (!value) {
+        throw new UsageError(`Argument manquant: <${label}>`);
+    }
+    return value;
+}
+
+/**
+ * Vérifie qu'un projet existe
+ * @param {string} projectName - Nom du projet
+ */
+function requireProject(projectName) {
+    if (!projects.projectExists(projectName)) {
+        throw notFoundError(`Le projet ${projectName} n'existe pas`);
+    }
+}
+
+/**
+ * Détermine le format de sortie demandé
+ * @param {object} values - Options analysées
+ * @returns {string}
+ */
+function resolveFormat(values) {
+    if (values.json) {
+        if (values.format && values.format !== 'json') {
+            throw new UsageError('--json est incompatible avec --format ' + values.format);
+        }
+        return 'json';
+    }
+
+    const format = values.format || 'table';
+
+    if (!output.OUTPUT_FORMATS.includes(format)) {
+        throw new UsageError(`Format inconnu: ${format} (${output.OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    return format;
+}
+
+/**
+ * Écrit un document sérialisé sur la sortie standard
+ * @param {object} document - Document sérialisé
+ * @param {string} format - json ou yaml
+ * @returns {number}
+ */
+function printDocument(document, format) {
+    process.stdout.write(output.render(document, format).trimEnd() + '\n');
+    return EXIT_CODES.success;
+}
+
+/**
+ * Colore l'occupation disque selon sa position par rapport au quota
+ * @param {object} usage - Occupation (quotas.getUsage)
+ * @returns {string}
+ */
+function colorizeUsage(usage) {
+    const text = quotas.formatUsage(usage);
+    switch (usage.status) {
+        case quotas.QUOTA_STATUS.over:
+            return chalk.red(text);
+        case quotas.QUOTA_STATUS.warning:
+            return chalk.yellow(text);
+        default:
+            return text;
+    }
+}
+
+/**
+ * Avertit pour les projets proches de leur quota ou au-delà
+ * @param {Array<object>} entries - { project, ...usage }
+ */
+function warnQuotas(entries) {
+    for (const entry of entries) {
+        if (entry.status === quotas.QUOTA_STATUS.over) {
+            logger.error(`${entry.project}: quota dépassé (${quotas.formatUsage(entry)})`);
+        } else if (entry.status === quotas.QUOTA_STATUS.warning) {
+            logger.warn(`${entry.project}: proche du quota (${quotas.formatUsage(entry)})`);
+        }
+    }
+}
+
+/**
+ * Services actifs d'un projet, et services en erreur s'il y en a
+ * @param {object} project - Projet (listProjectsWithStatus)
+ * @returns {string}
+ */
+function formatActiveServices(project) {
+    const active = `${project.runningServices}/${project.totalServices}`;
+    return project.erroredServices ? `${active} ${chalk.red(`(${project.erroredServices} en erreur)`)}` : active;
+}
+
+/**
+ * Affiche les boucles de crash des services arrêtés par le watchdog
+ * @param {string} projectName - Nom du projet
+ * @param {Array} entries - { service, crash }
+ */
+function printCrashes(projectName, entries) {
+    for (const { service, crash } of entries) {
+        console.log('');
+        console.log(chalk.red(`✖ ${projectName}/${service}: boucle de crash le ${new Date(crash.detectedAt).toLocaleString('fr-FR')}`));
+        console.log(chalk.white('  Raison:'), `${watchdog.CRASH_REASONS[crash.reason] || crash.reason} (${crash.restarts || 0} redémarrage(s))`);
+        // Lues à l'affichage: project.json ne conserve pas les logs
+        const lines = crash.logPath ? watchdog.tailFile(crash.logPath) : [];
+        if (lines.length > 0) {
+            console.log(chalk.white(`  Dernières lignes de ${crash.logPath}:`));
+            for (const line of lines) {
+                console.log(chalk.gray(`    ${line}`));
+            }
+        }
+    }
+}
+
+/**
+ * Affiche la liste des projets avec leur statut
+ * @param {string} format - Format de sortie
+ * @param {string} [selector] - Sélecteur de tags
+ * @returns {Promise<number>}
+ */
+async function printProjects(format, selector) {
+    const projectsWithStatus = await projects.listProjectsWithStatus(selector || null);
+
+    if (format !== 'table') {
+        return printDocument(output.serializeProjectList(projectsWithStatus), format);
+    }
+
+    if (projectsWithStatus.length === 0) {
+        console.log(selector ? `Aucun projet ne correspond à ${selector}.` : 'Aucun projet configuré.');
+        return EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Projet'),
+            chalk.cyan('Utilisateur SFTP'),
+            chalk.cyan('SFTP'),
+            chalk.cyan('Actifs'),
+            chalk.cyan('Disque'),
+            chalk.cyan('Tags'),
+            chalk.cyan('Créé le')
+        ]
+    });
+
+    for (const project of projectsWithStatus) {
+        table.push([
+            project.name,
+            project.sftpUser || '-',
+            project.sftpActive ? 'oui' : 'non',
+            project.suspended ? chalk.red('suspendu') : formatActiveServices(project),
+            colorizeUsage(project.disk),
+            (project.tags || []).join(', ') || '-',
+            new Date(project.createdAt).toLocaleDateString('fr-FR')
+        ]);
+    }
+
+    console.log(table.toString());
+    warnQuotas(projectsWithStatus.map(p => ({ project: p.name, ...p.disk })));
+    return EXIT_CODES.success;
+}
+
+/**
+ * Affiche le statut des services d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {string} format - Format de sortie
+ * @returns {Promise<number>}
+ */
+async function printServices(projectName, format) {
+    requireProject(projectName);
+    const servicesStatus = await services.getAllServicesStatus(projectName);
+
+    if (format !== 'table') {
+        return printDocument(output.serializeServiceStatusList(projectName, servicesStatus), format);
+    }
+
+    if (servicesStatus.length === 0) {
+        console.log('Aucun service configuré pour ce projet.');
+        return EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Service'),
+            chalk.cyan('PM2'),
+            chalk.cyan('Statut'),
+            chalk.cyan('Port'),
+            chalk.cyan('PID'),
+            chalk.cyan('Instances'),
+            chalk.cyan('Restarts'),
+            chalk.cyan('CPU'),
+            chalk.cyan('Mémoire'),
+            chalk.cyan('Commande')
+        ]
+    });
+
+    for (const svc of servicesStatus) {
+        table.push([
+            svc.name,
+            svc.pm2Name,
+            svc.status === 'errored' ? chalk.red(svc.status) : svc.status,
+            svc.port || '-',
+            svc.pid || '-',
+            svc.instances ? `${svc.onlineInstances}/${svc.instances}` : '-',
+            svc.restarts || 0,
+            svc.cpu !== null ? `${svc.cpu}%` : '-',
+            svc.memory ? `${Math.round(svc.memory / 1024 / 1024)} MB` : '-',
+            svc.command
+        ]);
+    }
+
+    console.log(table.toString());
+
+    const crashed = servicesStatus.filter(svc => svc.status === 'errored' && svc.crash);
+    if (crashed.length > 0) {
+        printCrashes(projectName, crashed.map(svc => ({ service: svc.name, crash: svc.crash })));
+        console.log(chalk.gray(`\nCorrigez la cause puis relancez: project-manager service start ${projectName} <service>`));
+    }
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Affiche le détail d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {string} format - Format de sortie
+ * @returns {Promise<number>}
+ */
+async function printProject(projectName, format) {
+    requireProject(projectName);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const sftpInfo = sftp.getSftpUserInfo(projectName);
+
+    if (format !== 'table') {
+        const servicesStatus = await services.getAllServicesStatus(projectName);
+        return printDocument(output.serializeProject(projectConfig, sftpInfo, servicesStatus), format);
+    }
+
+    console.log(chalk.white('Projet:'), projectName);
+    console.log(chalk.white('Chemin:'), projectConfig.path || '-');
+    console.log(chalk.white('Utilisateur SFTP:'), sftpInfo ? sftpInfo.username : chalk.red('absent'));
+    if (sftpInfo) {
+        console.log(chalk.white('Identité:'), sftpInfo.info);
+    }
+    console.log(chalk.white('Exécution:'), projectConfig.runUser
+        || chalk.yellow(`root (non isolé: project-manager project isolate ${projectName})`));
+    console.log(chalk.white('Créé le:'), new Date(projectConfig.createdAt).toLocaleDateString('fr-FR'));
+    console.log('');
+
+    return printServices(projectName, format);
+}
+
+/**
+ * Applique une action (start/stop/restart) à un ou plusieurs services
+ * @param {string} action - Action à exécuter
+ * @param {string} projectName - Nom du projet
+ * @param {string|undefined} serviceName - Nom du service
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function runServiceAction(action, projectName, serviceName, values) {
+    requireProject(projectName);
+
+    if (!serviceName && !values.all) {
+        throw new UsageError('Indiquez un service ou --all');
+    }
+
+    const targets = values.all
+        ? services.listServices(projectName).map(s => s.name)
+        : [serviceName];
+
+    const runSetup = !values['skip-setup'];
+    let failures = 0;
+
+    for (const name of targets) {
+        try {
+            if (action === 'start') {
+                await services.startService(projectName, name, runSetup);
+            } else if (action === 'stop') {
+                await services.stopService(projectName, name);
+            } else {
+                await services.restartService(projectName, name);
+            }
+        } catch (error) {
+            logger.error(`${name}: ${error.message}`);
+            failures++;
+        }
+    }
+
+    return failures > 0 ? EXIT_CODES.error : EXIT_CODES.success;
+}
+
+/**
+ * Sous-commandes "project"
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function projectCommand([action, name, ...rest], values) {
+    switch (action) {
+        case 'list':
+            return printProjects(resolveFormat(values), values.tag);
+
+        case 'show':
+            return printProject(requireArg(name, 'nom'), resolveFormat(values));
+
+        case 'create': {
+            const projectName = requireArg(name, 'nom');
+            const password = await readPassword(values);
+            await projects.createProject(projectName, password);
+            scripts.generateScripts(projectName);
+            return EXIT_CODES.success;
+        }
+
+        case 'delete': {
+            const projectName = requireArg(name, 'nom');
+            await projects.deleteProject(projectName, values['delete-files']);
+            return EXIT_CODES.success;
+        }
+
+        case 'adopt': {
+            const projectName = requireArg(name, 'nom');
+            const password = values['password-stdin'] ? await readPassword(values) : undefined;
+            const result = await adopt.adoptProject(projectName, { password });
+
+            if (result.services.length > 0) {
+                const table = new Table({
+                    head: [chalk.cyan('Service'), chalk.cyan('PM2'), chalk.cyan('Port'), chalk.cyan('Dossier'), chalk.cyan('Commande')]
+                });
+                for (const svc of result.services) {
+                    table.push([svc.name, svc.pm2Name, svc.port || '-', svc.directory, svc.command]);
+                }
+                console.log(table.toString());
+            }
+            return EXIT_CODES.success;
+        }
+
+        case 'password': {
+            const projectName = requireArg(name, 'nom');
+            requireProject(projectName);
+            const password = await readPassword(values);
+            await sftp.changeSftpPassword(projectName, password);
+            return EXIT_CODES.success;
+        }
+
+        case 'rename':
+            await projects.renameProject(requireArg(name, 'nom'), requireArg(rest[0], 'nouveau-nom'));
+            return EXIT_CODES.success;
+
+        case 'suspend':
+            await projects.suspendProject(requireArg(name, 'nom'));
+            return EXIT_CODES.success;
+
+        case 'resume':
+            await projects.resumeProject(requireArg(name, 'nom'));
+            return EXIT_CODES.success;
+
+        case 'isolate':
+            await runtime.isolateProject(requireArg(name, 'nom'));
+            return EXIT_CODES.success;
+
+        case 'tag':
+        case 'untag': {
+            const projectName = requireArg(name, 'nom');
+            requireArg(rest[0], 'tag');
+            projects.tagProject(projectName, action === 'tag' ? { add: rest } : { remove: rest });
+            return EXIT_CODES.success;
+        }
+
+        default:
+            throw new UsageError(`Action inconnue pour "project": ${action || '(aucune)'}`);
+    }
+}
+
+/**
+ * Options PM2 d'un service lues sur la ligne de commande
+ * "default" revient à la valeur par défaut de PM2.
+ * @param {object} values - Options analysées
+ * @returns {object} - Options présentes (champs de PM2_OPTIONS)
+ */
+function readPm2Options(values) {
+    const flags = {
+        instances: 'instances',
+        execMode: 'exec-mode',
+        maxMemoryRestart: 'max-memory',
+        killTimeout: 'kill-timeout',
+        maxRestarts: 'max-restarts',
+        minUptime: 'min-uptime',
+        expBackoffRestartDelay: 'backoff-delay',
+        cronRestart: 'cron-restart'
+    };
+
+    return Object.fromEntries(Object.entries(flags)
+        .filter(([, flag]) => values[flag] !== undefined)
+        .map(([field, flag]) => [field, values[flag] === 'default' ? null : values[flag]]));
+}
+
+/**
+ * Sous-commandes "service"
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function serviceCommand([action, project, name, ...rest], values) {
+    switch (action) {
+        case 'list':
+            return printServices(requireArg(project, 'projet'), resolveFormat(values));
+
+        case 'add': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(name, 'service');
+            requireProject(projectName);
+            services.addService(projectName, {
+                name: serviceName,
+                directory: values.directory || serviceName,
+                command: values.command,
+                setupCommands: values.setup || [],
+                description: values.description,
+                port: values.port,
+                dataDirs: values['data-dir'] || [],
+                pm2: readPm2Options(values)
+            });
+            scripts.generateScripts(projectName);
+            return EXIT_CODES.success;
+        }
+
+        case 'data-dirs': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(name, 'service');
+            requireProject(projectName);
+            const service = services.updateService(projectName, serviceName, { dataDirs: rest });
+            console.log(`${projectName}/${serviceName}: ${(service.dataDirs || []).join(', ') || 'aucun dossier de données'}`);
+            return EXIT_CODES.success;
+        }
+
+        case 'options': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(name, 'service');
+            requireProject(projectName);
+
+            const changes = readPm2Options(values);
+            let service = services.getService(projectName, serviceName);
+            if (!service) {
+                throw notFoundError(`Le service ${serviceName} n'existe pas`);
+            }
+            if (Object.keys(changes).length > 0) {
+                service = services.updateService(projectName, serviceName, { pm2: changes });
+                scripts.generateScripts(projectName);
+            }
+
+            const options = Object.entries(service.pm2 || {}).map(([option, value]) => `${option}=${value}`);
+            console.log(`${projectName}/${serviceName}: ${options.join(', ') || 'options PM2 par défaut'}`);
+            return EXIT_CODES.success;
+        }
+
+        case 'scale': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(name, 'service');
+            const instances = requireArg(rest[0], 'n|max');
+            requireProject(projectName);
+            await services.scaleService(projectName, serviceName, instances);
+            scripts.generateScripts(projectName);
+            return EXIT_CODES.success;
+        }
+
+        case 'remove': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(name, 'service');
+            requireProject(projectName);
+            await services.removeService(projectName, serviceName);
+            scripts.generateScripts(projectName);
+            return EXIT_CODES.success;
+        }
+
+        case 'start':
+        case 'stop':
+        case 'restart':
+            return runServiceAction(action, requireArg(project, 'projet'), name, values);
+
+        default:
+            throw new UsageError(`Action inconnue pour "service": ${action || '(aucune)'}`);
+    }
+}
+
+/**
+ * Sous-commandes "scripts"
+ * @param {Array<string>} args - Arguments positionnels
+ * @returns {Promise<number>}
+ */
+async function scriptsCommand([action, project]) {
+    if (action !== 'regenerate') {
+        throw new UsageError(`Action inconnue pour "scripts": ${action || '(aucune)'}`);
+    }
+
+    if (project) {
+        requireProject(project);
+        scripts.generateScripts(project);
+    } else {
+        scripts.regenerateAllScripts();
+    }
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Affiche les actions d'un plan
+ * @param {Array} actions - Actions
+ */
+function printActions(actions) {
+    const symbols = {
+        createProject: chalk.green('+'),
+        createSftpUser: chalk.green('+'),
+        addService: chalk.green('+'),
+        updateService: chalk.yellow('~'),
+        startService: chalk.cyan('▶'),
+        redeployService: chalk.cyan('↻'),
+        stopService: chalk.cyan('■'),
+        removeService: chalk.red('-'),
+        deleteProject: chalk.red('-')
+    };
+
+    for (const action of actions) {
+        console.log(`  ${symbols[action.type] || ' '} ${manifest.describeAction(action)}`);
+
+        for (const [field, change] of Object.entries(action.changes || {})) {
+            console.log(chalk.gray(`      ${field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`));
+        }
+    }
+}
+
+/**
+ * Commandes "plan" et "apply"
+ * @param {string} command - plan ou apply
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function manifestCommand(command, [manifestPath], values) {
+    const format = resolveFormat(values);
+    const desired = manifest.loadManifest(requireArg(manifestPath, 'manifeste'));
+    const actions = await manifest.plan(desired);
+
+    if (command === 'plan') {
+        if (format !== 'table') {
+            return printDocument(output.serializePlan(manifestPath, actions), format);
+        }
+
+        if (actions.length === 0) {
+            console.log('Aucun changement: le serveur est conforme au manifeste.');
+        } else {
+            console.log(`${actions.length} action(s) à appliquer:\n`);
+            printActions(actions);
+        }
+        return EXIT_CODES.success;
+    }
+
+    if (actions.length === 0) {
+        if (format !== 'table') {
+            return printDocument(output.serializeApplyResult(manifestPath, { applied: [], failed: null, skipped: [] }), format);
+        }
+        console.log('Aucun changement: le serveur est conforme au manifeste.');
+        return EXIT_CODES.success;
+    }
+
+    const result = await manifest.apply(desired, actions);
+
+    if (format !== 'table') {
+        printDocument(output.serializeApplyResult(manifestPath, result), format);
+    } else if (result.failed) {
+        console.log(`\n${result.applied.length}/${actions.length} action(s) appliquée(s) avant l'échec.`);
+        if (result.skipped.length > 0) {
+            console.log('Actions non exécutées:');
+            printActions(result.skipped);
+        }
+    } else {
+        console.log(`\n${result.applied.length} action(s) appliquée(s).`);
+    }
+
+    return result.failed ? EXIT_CODES.error : EXIT_CODES.success;
+}
+
+/**
+ * Commande "export": archive un projet pour le migrer vers un autre serveur
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function exportCommand([project], values) {
+    requireArg(project, 'projet');
+    requireProject(project);
+
+    await archive.exportProject(project, {
+        output: values.output,
+        includeNodeModules: !values['without-node-modules']
+    });
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Commande "import": recrée un projet depuis une archive exportée
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function importCommand([archivePath], values) {
+    requireArg(archivePath, 'archive');
+
+    const result = await archive.importProject(archivePath, {
+        name: values.name,
+        start: values.start,
+        allowExternalDirs: values['allow-external-dirs']
+    });
+
+    if (result.started.length > 0) {
+        console.log(`Services démarrés: ${result.started.join(', ')}`);
+    }
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Analyse une option de rétention
+ * @param {string|undefined} value - Valeur saisie
+ * @param {string} option - Nom de l'option
+ * @returns {number|undefined}
+ */
+function parseRetention(value, option) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Valeur invalide pour --${option}: ${value}`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Affiche l'historique des sauvegardes d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {string} format - Format de sortie
+ * @returns {number}
+ */
+function printBackups(projectName, format) {
+    const settings = backups.getBackupSettings(projectName);
+    const snapshots = backups.listSnapshots(projectName);
+
+    if (format !== 'table') {
+        return printDocument(output.serializeBackupList(projectName, settings, snapshots), format);
+    }
+
+    console.log(settings.enabled
+        ? `Planifiée: ${settings.schedule} → ${settings.target} (conservation: ${settings.retention.daily} j, ${settings.retention.weekly} sem.)`
+        : chalk.gray(`Non planifiée (cible: ${settings.target})`));
+
+    if (snapshots.length === 0) {
+        console.log('Aucune sauvegarde.');
+        return EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: [chalk.cyan('Sauvegarde'), chalk.cyan('Date'), chalk.cyan('Origine'), chalk.cyan('Services actifs')]
+    });
+
+    for (const snapshot of snapshots) {
+        table.push([
+            snapshot.id,
+            new Date(snapshot.createdAt).toLocaleString('fr-FR'),
+            snapshot.trigger,
+            (snapshot.runningServices || []).join(', ') || '-'
+        ]);
+    }
+
+    console.log(table.toString());
+    return EXIT_CODES.success;
+}
+
+/**
+ * Commande "backup": sauvegardes, restauration et planification
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function backupCommand([action, project, snapshotId], values) {
+    if (!['list', 'create', 'restore', 'schedule'].includes(action)) {
+        throw new UsageError(`Action inconnue pour "backup": ${action || '(aucune)'}`);
+    }
+
+    requireArg(project, 'projet');
+    requireProject(project);
+
+    switch (action) {
+        case 'list':
+            return printBackups(project, resolveFormat(values));
+        case 'create':
+            await backups.createSnapshot(project, {
+                trigger: values.scheduled ? backups.SNAPSHOT_TRIGGERS.scheduled : backups.SNAPSHOT_TRIGGERS.manual
+            });
+            return EXIT_CODES.success;
+        case 'restore': {
+            const result = await backups.restoreSnapshot(project, requireArg(snapshotId, 'sauvegarde'));
+            console.log(`État précédent conservé dans la sauvegarde ${result.safetySnapshot.id}`);
+            return EXIT_CODES.success;
+        }
+        case 'schedule': {
+            if (values.enable && values.disable) {
+                throw new UsageError('--enable et --disable sont incompatibles');
+            }
+
+            const settings = backups.configureBackup(project, {
+                enabled: values.enable ? true : (values.disable ? false : undefined),
+                schedule: values.cron,
+                target: values.target,
+                retention: {
+                    daily: parseRetention(values['keep-daily'], 'keep-daily'),
+                    weekly: parseRetention(values['keep-weekly'], 'keep-weekly')
+                }
+            });
+
+            console.log(settings.enabled
+                ? `Sauvegarde planifiée: ${settings.schedule} → ${settings.target} (conservation: ${settings.retention.daily} j, ${settings.retention.weekly} sem.)`
+                : 'Sauvegarde planifiée désactivée');
+            return EXIT_CODES.success;
+        }
+    }
+}
+
+// Libellés des états d'occupation disque
+const QUOTA_STATUS_LABELS = {
+    unlimited: 'illimité',
+    ok: 'ok',
+    warning: 'proche',
+    over: 'dépassé'
+};
+
+/**
+ * Commande "quota": quotas disque et rapport d'occupation
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function quotaCommand([action, project, size], values) {
+    switch (action) {
+        case 'set': {
+            requireArg(project, 'projet');
+            const limitMB = quotas.parseSize(requireArg(size, 'taille'));
+
+            let warnPercent;
+            if (values.warn !== undefined) {
+                if (!/^\d+$/.test(values.warn)) {
+                    throw new UsageError(`Seuil invalide pour --warn: ${values.warn}`);
+                }
+                warnPercent = parseInt(values.warn, 10);
+            }
+
+            await quotas.setQuota(project, limitMB, { warnPercent });
+            return EXIT_CODES.success;
+        }
+
+        case 'remove':
+            await quotas.setQuota(requireArg(project, 'projet'), null);
+            return EXIT_CODES.success;
+
+        case 'report': {
+            const format = resolveFormat(values);
+            const entries = (await quotas.report())
+                .filter(entry => values.all || [quotas.QUOTA_STATUS.warning, quotas.QUOTA_STATUS.over].includes(entry.status));
+            const overQuota = entries.some(entry => entry.status === quotas.QUOTA_STATUS.over);
+
+            if (format !== 'table') {
+                printDocument(output.serializeQuotaReport(entries), format);
+                return overQuota ? EXIT_CODES.error : EXIT_CODES.success;
+            }
+
+            if (entries.length === 0) {
+                console.log(chalk.green('Aucun projet proche de son quota.'));
+                return EXIT_CODES.success;
+            }
+
+            const table = new Table({
+                head: [chalk.cyan('Projet'), chalk.cyan('Occupation'), chalk.cyan('État'), chalk.cyan('Appliqué')]
+            });
+
+            for (const entry of entries) {
+                table.push([
+                    entry.project,
+                    colorizeUsage(entry),
+                    QUOTA_STATUS_LABELS[entry.status],
+                    entry.limitBytes === null ? '-' : (entry.enforced ? 'système' : 'surveillance')
+                ]);
+            }
+
+            console.log(table.toString());
+            return overQuota ? EXIT_CODES.error : EXIT_CODES.success;
+        }
+
+        default:
+            throw new UsageError(`Action inconnue pour "quota": ${action || '(aucune)'}`);
+    }
+}
+
+/**
+ * Valeur affichée d'une variable (en clair, masquée, ou nom du secret)
+ * @param {object} variable - Variable (environment.listEnv)
+ * @param {boolean} showValues - Afficher les valeurs en clair
+ * @returns {string}
+ */
+function formatEnvValue(variable, showValues) {
+    if (variable.secret) {
+        return chalk.magenta(`🔒 secret ${variable.secret}`);
+    }
+    if (variable.source === environment.ENV_SOURCES.port) {
+        return variable.value;
+    }
+    return showValues ? variable.value : environment.maskValue(variable.value);
+}
+
+const ENV_SOURCE_LABELS = {
+    [environment.ENV_SOURCES.port]: chalk.gray('port attribué'),
+    [environment.ENV_SOURCES.project]: 'partagée',
+    [environment.ENV_SOURCES.service]: 'service',
+    [environment.ENV_SOURCES.override]: chalk.yellow('service (remplace la partagée)')
+};
+
+/**
+ * Analyse des arguments NOM=valeur
+ * @param {Array<string>} assignments - Arguments
+ * @returns {object}
+ */
+function parseAssignments(assignments) {
+    const env = {};
+
+    for (const assignment of assignments) {
+        const index = assignment.indexOf('=');
+        if (index <= 0) {
+            throw new UsageError(`Affectation invalide: ${assignment} (attendu: NOM=valeur)`);
+        }
+        env[assignment.slice(0, index)] = assignment.slice(index + 1);
+    }
+
+    return env;
+}
+
+/**
+ * Commande "env": variables d'environnement d'un projet ou d'un service
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function envCommand([action, project, ...rest], values) {
+    requireArg(project, 'projet');
+    requireProject(project);
+    const serviceName = values.service || null;
+
+    switch (action) {
+        case 'list': {
+            const format = resolveFormat(values);
+            const variables = environment.listEnv(project, serviceName);
+
+            if (format !== 'table') {
+                return printDocument(output.serializeEnvironment(project, serviceName, variables, values['show-values']), format);
+            }
+
+            if (variables.length === 0) {
+                console.log(chalk.yellow('Aucune variable d\'environnement.'));
+                return EXIT_CODES.success;
+            }
+
+            const table = new Table({
+                head: [chalk.cyan('Nom'), chalk.cyan('Valeur'), chalk.cyan('Origine')]
+            });
+
+            for (const variable of variables) {
+                table.push([variable.name, formatEnvValue(variable, values['show-values']), ENV_SOURCE_LABELS[variable.source]]);
+            }
+
+            console.log(table.toString());
+            return EXIT_CODES.success;
+        }
+
+        case 'set':
+        case 'link':
+        case 'unset':
+        case 'import': {
+            let changes;
+            if (action === 'set') {
+                changes = { env: parseAssignments(rest) };
+            } else if (action === 'link') {
+                changes = { secrets: parseAssignments(rest) };
+            } else if (action === 'unset') {
+                changes = { unset: rest };
+            } else {
+                const envFile = requireArg(rest[0], 'fichier.env');
+                if (!fs.existsSync(envFile)) {
+                    throw notFoundError(`Fichier introuvable: ${envFile}`);
+                }
+                changes = { env: environment.parseDotenv(fs.readFileSync(envFile, 'utf8')) };
+            }
+
+            if (action !== 'import' && rest.length === 0) {
+                throw new UsageError(`Argument manquant: <${{ set: 'NOM=valeur', link: 'NOM=secret' }[action] || 'NOM'}>`);
+            }
+
+            await environment.updateEnv(project, serviceName, changes);
+            logger.info('Redémarrez les services concernés pour appliquer les changements');
+            return EXIT_CODES.success;
+        }
+
+        case 'protect': {
+            if (rest.length === 0) {
+                throw new UsageError('Argument manquant: <NOM>');
+            }
+
+            const refs = await environment.protectEnv(project, serviceName, rest);
+            for (const [name, secret] of Object.entries(refs)) {
+                console.log(`${name} → secret ${secret}`);
+            }
+            logger.info('Redémarrez les services concernés pour appliquer les changements');
+            return EXIT_CODES.success;
+        }
+
+        default:
+            throw new UsageError(`Action inconnue pour "env": ${action || '(aucune)'}`);
+    }
+}
+
+/**
+ * Commande "secret": coffre de secrets chiffrés d'un projet
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function secretCommand([action, project, name], values) {
+    requireArg(project, 'projet');
+    requireProject(project);
+
+    switch (action) {
+        case 'list': {
+            const format = resolveFormat(values);
+            const entries = secrets.listSecrets(project);
+
+            if (format !== 'table') {
+                return printDocument(output.serializeSecretList(project, entries), format);
+            }
+
+            if (entries.length === 0) {
+                console.log(chalk.yellow('Aucun secret.'));
+                return EXIT_CODES.success;
+            }
+
+            const table = new Table({
+                head: [chalk.cyan('Secret'), chalk.cyan('Modifié le'), chalk.cyan('Utilisé par')]
+            });
+
+            for (const entry of entries) {
+                table.push([
+                    entry.name,
+                    new Date(entry.updatedAt).toLocaleString('fr-FR'),
+                    entry.usedBy.map(ref => ref.service ? `${ref.service}:${ref.variable}` : ref.variable).join(', ') || chalk.gray('-')
+                ]);
+            }
+
+            console.log(table.toString());
+            return EXIT_CODES.success;
+        }
+
+        case 'set': {
+            requireArg(name, 'nom');
+            if (!values['value-stdin']) {
+                throw new UsageError('La valeur doit être fournie via --value-stdin');
+            }
+
+            // Retirer uniquement le retour à la ligne final (echo, printf...)
+            const secret = (await readStdin('--value-stdin')).replace(/\r?\n$/, '');
+            await secrets.setSecret(project, name, secret);
+            return EXIT_CODES.success;
+        }
+
+        case 'remove':
+            await secrets.removeSecret(project, requireArg(name, 'nom'));
+            return EXIT_CODES.success;
+
+        default:
+            throw new UsageError(`Action inconnue pour "secret": ${action || '(aucune)'}`);
+    }
+}
+
+/**
+ * Commande "port": registre des ports du serveur
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function portCommand([action, project, service, port], values) {
+    switch (action) {
+        case 'list': {
+            const format = resolveFormat(values);
+            const allocations = ports.listAllocations();
+            const range = ports.getRange();
+
+            if (format !== 'table') {
+                return printDocument(output.serializePortList(range, allocations), format);
+            }
+
+            console.log(chalk.gray(`Plage d'attribution: ${range.start}-${range.end}`));
+
+            if (allocations.length === 0) {
+                console.log(chalk.yellow('Aucun port attribué.'));
+                return EXIT_CODES.success;
+            }
+
+            const table = new Table({
+                head: [chalk.cyan('Port'), chalk.cyan('Projet'), chalk.cyan('Service'), chalk.cyan('En écoute')]
+            });
+
+            for (const allocation of allocations) {
+                table.push([
+                    allocation.port,
+                    allocation.project,
+                    allocation.service,
+                    allocation.listening ? chalk.green('oui') : chalk.gray('non')
+                ]);
+            }
+
+            console.log(table.toString());
+            return EXIT_CODES.success;
+        }
+
+        case 'range': {
+            if (!project) {
+                const range = ports.getRange();
+                console.log(`${range.start}-${range.end}`);
+                return EXIT_CODES.success;
+            }
+
+            const match = /^(\d+)-(\d+)$/.exec(project);
+            if (!match) {
+                throw new UsageError(`Plage invalide: ${project} (attendu: <début>-<fin>, ex: 3000-3999)`);
+            }
+
+            await ports.setRange(parseInt(match[1], 10), parseInt(match[2], 10));
+            return EXIT_CODES.success;
+        }
+
+        case 'set':
+        case 'release': {
+            const projectName = requireArg(project, 'projet');
+            const serviceName = requireArg(service, 'service');
+            requireProject(projectName);
+
+            const updated = await services.updateService(projectName, serviceName, {
+                port: action === 'release' ? null : (port || 'auto')
+            });
+            scripts.generateScripts(projectName);
+
+            if (updated.port) {
+                console.log(`${projectName}/${serviceName}: port ${updated.port}`);
+            }
+            logger.info('Redémarrez le service pour appliquer le changement');
+            return EXIT_CODES.success;
+        }
+
+        default:
+            throw new UsageError(`Action inconnue pour "port": ${action || '(aucune)'}`);
+    }
+}
+
+const BULK_STATUS_LABELS = {
+    [bulk.BULK_STATUS.success]: chalk.green('succès'),
+    [bulk.BULK_STATUS.partial]: chalk.yellow('partiel'),
+    [bulk.BULK_STATUS.failed]: chalk.red('échec'),
+    [bulk.BULK_STATUS.skipped]: chalk.gray('ignoré')
+};
+
+/**
+ * Commande "bulk": action groupée sur les projets sélectionnés par tags
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function bulkCommand([action], values) {
+    requireArg(action, 'action');
+
+    if (!Object.values(bulk.BULK_ACTIONS).includes(action)) {
+        throw new UsageError(`Action inconnue pour "bulk": ${action}`);
+    }
+
+    if (!values.tag) {
+        throw new UsageError('Indiquez les projets concernés avec --tag <sélecteur>');
+    }
+
+    const format = resolveFormat(values);
+    const results = await bulk.runBulk(action, values.tag, { runSetup: !values['skip-setup'] });
+    const failed = results.some(r => r.status === bulk.BULK_STATUS.failed || r.status === bulk.BULK_STATUS.partial);
+
+    if (format !== 'table') {
+        printDocument(output.serializeBulkResult(action, values.tag, results), format);
+        return failed ? EXIT_CODES.error : EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: [chalk.cyan('Projet'), chalk.cyan('Résultat'), chalk.cyan('Détail')]
+    });
+
+    for (const result of results) {
+        const details = [result.message, ...result.failed.map(f => `${f.service}: ${f.error}`)];
+        table.push([result.project, BULK_STATUS_LABELS[result.status], details.join('\n')]);
+    }
+
+    console.log(table.toString());
+    return failed ? EXIT_CODES.error : EXIT_CODES.success;
+}
+
+/**
+ * Commande "watchdog": arrête les services en boucle de crash, ou règle sa
+ * planification
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function watchdogCommand(values) {
+    const format = resolveFormat(values);
+
+    if (values.enable && values.disable) {
+        throw new UsageError('--enable et --disable sont incompatibles');
+    }
+
+    if (values.enable || values.disable) {
+        watchdog.setSchedule(values.enable);
+    }
+
+    const stopped = await watchdog.runWatchdog();
+
+    if (format !== 'table') {
+        return printDocument(output.serializeWatchdogReport(watchdog.isScheduled(), stopped), format);
+    }
+
+    if (stopped.length === 0) {
+        console.log(chalk.green('Aucune boucle de crash détectée.'));
+    }
+
+    for (const project of [...new Set(stopped.map(entry => entry.project))]) {
+        printCrashes(project, stopped.filter(entry => entry.project === project));
+    }
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Commande "doctor": diagnostic et, avec --fix, réparation des anomalies
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function doctorCommand(values) {
+    const format = resolveFormat(values);
+    const findings = await doctor.diagnose();
+    const repairs = [];
+
+    if (values.fix) {
+        for (const finding of findings.filter(f => f.repair)) {
+            try {
+                await doctor.repair(finding);
+                repairs.push({ finding, error: null });
+            } catch (error) {
+                logger.error(`${finding.target}: ${error.message}`);
+                repairs.push({ finding, error: error.message });
+            }
+        }
+    }
+
+    const unresolved = findings.length - repairs.filter(r => !r.error).length;
+
+    if (format !== 'table') {
+        printDocument(output.serializeDoctorReport(findings, repairs), format);
+        return unresolved > 0 ? EXIT_CODES.error : EXIT_CODES.success;
+    }
+
+    if (findings.length === 0) {
+        console.log(chalk.green('Aucune anomalie: configuration et système sont cohérents.'));
+        return EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: ['', 'Vérification', 'Cible', 'Anomalie', 'Réparation'].map(h => chalk.cyan(h)),
+        wordWrap: true
+    });
+
+    for (const finding of findings) {
+        const repaired = repairs.find(r => r.finding === finding);
+        let repairLabel = finding.repair ? finding.repair.description : chalk.gray('manuelle');
+        if (repaired) {
+            repairLabel = repaired.error ? chalk.red(`échec: ${repaired.error}`) : chalk.green('effectuée');
+        }
+
+        table.push([
+            finding.severity === doctor.SEVERITY.error ? chalk.red('✖') : chalk.yellow('⚠'),
+            finding.check,
+            finding.target,
+            finding.message,
+            repairLabel
+        ]);
+    }
+
+    console.log(table.toString());
+
+    if (!values.fix && findings.some(f => f.repair)) {
+        console.log(chalk.gray('Relancez avec --fix pour appliquer les réparations proposées.'));
+    }
+
+    return unresolved > 0 ? EXIT_CODES.error : EXIT_CODES.success;
+}
+
+/**
+ * Commande "audit": affiche le journal d'audit filtré
+ * @param {object} values - Options analysées
+ * @returns {number}
+ */
+function auditCommand(values) {
+    const format = resolveFormat(values);
+    const filters = { project: values.project, operator: values.operator, limit: 50 };
+
+    for (const [option, endOfDay] of [['since', false], ['until', true]]) {
+        if (values[option] !== undefined) {
+            filters[option] = audit.parseDateBound(values[option], endOfDay);
+            if (!filters[option]) {
+                throw new UsageError(`Date invalide pour --${option}: ${values[option]}`);
+            }
+        }
+    }
+
+    if (values.limit !== undefined) {
+        filters.limit = parseInt(values.limit, 10);
+        if (!Number.isInteger(filters.limit) || filters.limit < 0) {
+            throw new UsageError(`Limite invalide: ${values.limit}`);
+        }
+    }
+
+    const entries = audit.readEntries(filters);
+
+    if (format !== 'table') {
+        return printDocument(output.serializeAuditLog(entries), format);
+    }
+
+    if (entries.length === 0) {
+        console.log('Aucune entrée ne correspond aux filtres.');
+        return EXIT_CODES.success;
+    }
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Date'),
+            chalk.cyan('Opérateur'),
+            chalk.cyan('Origine'),
+            chalk.cyan('Opération'),
+            chalk.cyan('Cible'),
+            chalk.cyan('Résultat'),
+            chalk.cyan('Durée')
+        ]
+    });
+
+    for (const entry of entries) {
+        table.push([
+            new Date(entry.timestamp).toLocaleString('fr-FR'),
+            entry.operator,
+            entry.source,
+            entry.operation,
+            entry.target || '-',
+            entry.result === 'success' ? chalk.green('succès') : chalk.red(`échec: ${entry.error?.message || ''}`),
+            `${entry.durationMs} ms`
+        ]);
+    }
+
+    console.log(table.toString());
+    return EXIT_CODES.success;
+}
+
+/**
+ * Commande "daemon": lance l'API de gestion et ne rend jamais la main
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function daemonCommand(values) {
+    if (dryrun.isEnabled()) {
+        throw new UsageError('Le mode --dry-run n\'est pas disponible pour le démon');
+    }
+
+    let tcpPort = null;
+
+    if (values.port !== undefined) {
+        tcpPort = parseInt(values.port, 10);
+        if (!Number.isInteger(tcpPort) || tcpPort < 1 || tcpPort > 65535) {
+            throw new UsageError(`Port invalide: ${values.port}`);
+        }
+    }
+
+    let token = process.env[API_CONFIG.tokenEnv] || null;
+    if (values['token-file']) {
+        token = fs.readFileSync(values['token-file'], 'utf8').trim();
+    }
+
+    await api.startServer({
+        socketPath: values.socket || API_CONFIG.socketPath,
+        tcpPort,
+        token,
+        dashboard: values.dashboard
+    });
+
+    // Le serveur maintient le processus actif jusqu'à SIGINT/SIGTERM
+    return new Promise(() => {});
+}
+
+/**
+ * Exécute une commande non interactive
+ * @param {Array<string>} argv - Arguments (sans node ni le script)
+ * @returns {Promise<number>} - Code de sortie
+ */
+export async function run(argv) {
+    let parsed;
+
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        logger.error(error.message);
+        console.error(chalk.gray('Utilisez --help pour afficher l\'aide.'));
+        return EXIT_CODES.usage;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.help || !command || command === 'help') {
+        printUsage();
+        return EXIT_CODES.success;
+    }
+
+    // Garder stdout exploitable par les outils en mode JSON/YAML
+    if (values.json || (values.format && values.format !== 'table')) {
+        logger.redirectToStderr();
+    }
+
+    audit.setSource('cli');
+
+    try {
+        return await dispatch(command, args, values);
+    } catch (error) {
+        logger.error(error.message);
+        logger.debug(error.stack);
+
+        if (error instanceof UsageError) {
+            console.error(chalk.gray('Utilisez --help pour afficher l\'aide.'));
+            return EXIT_CODES.usage;
+        }
+
+        return EXIT_CODES.error;
+    } finally {
+        if (dryrun.isEnabled()) {
+            printDryRunPlan(values);
+        }
+    }
+}
+
+/**
+ * Affiche le plan de simulation (sur stderr si stdout est réservé aux données)
+ * @param {object} values - Options analysées
+ */
+function printDryRunPlan(values) {
+    const plan = dryrun.formatPlan();
+
+    if (values.json || (values.format && values.format !== 'table')) {
+        console.error('\n' + plan);
+    } else {
+        console.log('\n' + plan);
+    }
+}
+
+/**
+ * Aiguille vers la sous-commande demandée
+ * @param {string} command - Commande
+ * @param {Array<string>} args - Arguments positionnels
+ * @param {object} values - Options analysées
+ * @returns {Promise<number>}
+ */
+async function dispatch(command, args, values) {
+    switch (command) {
+        case 'project':
+            return projectCommand(args, values);
+        case 'service':
+            return serviceCommand(args, values);
+        case 'env':
+            return envCommand(args, values);
+        case 'secret':
+            return secretCommand(args, values);
+        case 'port':
+            return portCommand(args, values);
+        case 'scripts':
+            return scriptsCommand(args);
+        case 'daemon':
+            return daemonCommand(values);
+        case 'watchdog':
+            return watchdogCommand(values);
+        case 'doctor':
+            return doctorCommand(values);
+        case 'audit':
+            return auditCommand(values);
+        case 'backup':
+            return backupCommand(args, values);
+        case 'quota':
+            return quotaCommand(args, values);
+        case 'bulk':
+            return bulkCommand(args, values);
+        case 'export':
+            return exportCommand(args, values);
+        case 'import':
+            return importCommand(args, values);
+        case 'plan':
+        case 'apply':
+            return manifestCommand(command, args, values);
+        case 'status': {
+            const format = resolveFormat(values);
+            return args[0] ? printServices(args[0], format) : printProjects(format, values.tag);
+        }
+        default:
+            throw new UsageError(`Commande inconnue: ${command}`);
+    }
+}
+
+export default {
+    EXIT_CODES,
+    hasCommand,
+    isHelpRequest,
+    printUsage,
+    run
+};
@@ -13,7 +13,22 @@ import projects from '../modules/projects.js';
 import services from '../modules/services.js';
 import scripts from '../modules/scripts.js';
 import sftp from '../modules/sftp.js';
+import doctor from '../modules/doctor.js';
+import archive from '../modules/archive.js';
+import backups from '../modules/backups.js';
+import quotas from '../modules/quotas.js';
+import bulk from '../modules/bulk.js';
+import adopt from '../modules/adopt.js';
+import environment from '../modules/environment.js';
+import secrets from '../modules/secrets.js';
+import ports from '../modules/ports.js';
+import runtime from '../modules/runtime.js';
+import ecosystem from '../modules/ecosystem.js';
+import watchdog from '../modules/watchdog.js';
+import files from '../utils/files.js';
 import logger from '../utils/logger.js';
+import dryrun from '../utils/dryrun.js';
+import audit from '../utils/audit.js';
 import { MESSAGES } from '../config/constants.js';
 
 /**
@@ -30,6 +45,10 @@ export function displayHeader() {
     console.log(chalk.cyan(title));
     console.log(chalk.gray('  Outil de gestion de projets Node.js pour Ubuntu 22.04'));
     console.log(chalk.gray('  Version 1.0.0 | PM2 + SFTP Chroot\n'));
+
+    if (dryrun.isEnabled()) {
+        console.log(chalk.bold.yellow('  MODE SIMULATION (--dry-run): aucune modification ne sera appliquée\n'));
+    }
 }
 
 /**
@@ -44,17 +63,22 @@ export async function mainMenu() {
     const choices = [
         { name: '📁  Lister les projets', value: 'list' },
         { name: '➕  Créer un nouveau projet', value: 'create' },
+        { name: '📥  Importer un projet (archive)', value: 'import' },
+        { name: '📂  Adopter un dossier existant', value: 'adopt' },
         new inquirer.Separator(),
     ];
 
     if (projectCount > 0) {
         choices.push({ name: '🔧  Gérer un projet', value: 'manage' });
         choices.push({ name: '🗑️   Supprimer un projet', value: 'delete' });
+        choices.push({ name: '🏷️   Actions groupées (par tag)', value: 'bulk' });
         choices.push(new inquirer.Separator());
     }
 
     choices.push({ name: '📊  Statut global PM2', value: 'pm2status' });
     choices.push({ name: '🔄  Régénérer tous les scripts', value: 'regenerate' });
+    choices.push({ name: '🩺  Diagnostic de cohérence (doctor)', value: 'doctor' });
+    choices.push({ name: '📜  Journal d\'audit', value: 'audit' });
     choices.push(new inquirer.Separator());
     choices.push({ name: '❌  Quitter', value: 'exit' });
 
@@ -70,6 +94,55 @@ export async function mainMenu() {
     return action;
 }
 
+/**
+ * Couleur de l'occupation disque selon sa position par rapport au quota
+ * @param {object} usage - Occupation (quotas.getUsage)
+ * @returns {Function}
+ */
+function diskColor(usage) {
+    switch (usage.status) {
+        case quotas.QUOTA_STATUS.over:
+            return chalk.red;
+        case quotas.QUOTA_STATUS.warning:
+            return chalk.yellow;
+        default:
+            return chalk.gray;
+    }
+}
+
+/**
+ * Demande un sélecteur de tags
+ * @param {string} message - Question
+ * @param {boolean} optional - Accepter une réponse vide
+ * @returns {Promise<string>}
+ */
+async function askTagSelector(message, optional = false) {
+    const knownTags = projects.listTags();
+    if (knownTags.length > 0) {
+        console.log(chalk.gray(`Tags existants: ${knownTags.join(', ')}`));
+        console.log(chalk.gray('Virgule: tous les termes requis; clé:* pour toute valeur; ! pour exclure\n'));
+    }
+
+    const { selector } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'selector',
+            message,
+            validate: (input) => {
+                if (!input.trim()) return optional || 'Sélecteur requis';
+                try {
+                    projects.parseTagSelector(input);
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        }
+    ]);
+
+    return selector.trim();
+}
+
 /**
  * Affiche la liste des projets
  */
@@ -77,14 +150,18 @@ export async function showProjectsList() {
     displayHeader();
     logger.section('Liste des projets');
 
+    const selector = projects.listTags().length > 0
+        ? await askTagSelector('Filtrer par tags (vide: tous les projets):', true)
+        : '';
+
     const spinner = ora('Chargement des projets...').start();
     
     try {
-        const projectsWithStatus = await projects.listProjectsWithStatus();
+        const projectsWithStatus = await projects.listProjectsWithStatus(selector || null);
         spinner.stop();
 
         if (projectsWithStatus.length === 0) {
-            console.log(chalk.yellow(MESSAGES.noProjects));
+            console.log(chalk.yellow(selector ? `Aucun projet ne correspond à ${selector}` : MESSAGES.noProjects));
             return;
         }
 
@@ -94,28 +171,44 @@ export async function showProjectsList() {
                 chalk.cyan('Utilisateur SFTP'),
                 chalk.cyan('Services'),
                 chalk.cyan('Actifs'),
+                chalk.cyan('Disque'),
+                chalk.cyan('Tags'),
                 chalk.cyan('Créé le')
             ],
-            colWidths: [20, 20, 12, 10, 20]
+            colWidths: [20, 20, 12, 10, 26, 24, 14],
+            wordWrap: true
         });
 
         for (const project of projectsWithStatus) {
-            const statusColor = project.runningServices === project.totalServices && project.totalServices > 0
-                ? chalk.green
-                : project.runningServices > 0
-                    ? chalk.yellow
-                    : chalk.gray;
+            const statusColor = project.erroredServices > 0
+                ? chalk.red
+                : project.runningServices === project.totalServices && project.totalServices > 0
+                    ? chalk.green
+                    : project.runningServices > 0
+                        ? chalk.yellow
+                        : chalk.gray;
+            const errored = project.erroredServices > 0 ? ` ✖${project.erroredServices}` : '';
 
             table.push([
-                chalk.white(project.name),
+                project.suspended ? chalk.red(`⏸ ${project.name}`) : chalk.white(project.name),
                 chalk.gray(project.sftpUser || '-'),
                 project.totalServices.toString(),
-                statusColor(`${project.runningServices}/${project.totalServices}`),
+                project.suspended ? chalk.red('suspendu') : statusColor(`${project.runningServices}/${project.totalServices}${errored}`),
+                diskColor(project.disk)(quotas.formatUsage(project.disk)),
+                chalk.magenta((project.tags || []).join(', ') || '-'),
                 new Date(project.createdAt).toLocaleDateString('fr-FR')
             ]);
         }
 
         console.log(table.toString());
+
+        for (const project of projectsWithStatus) {
+            if (project.disk.status === quotas.QUOTA_STATUS.over) {
+                logger.error(`${project.name}: quota dépassé (${quotas.formatUsage(project.disk)})`);
+            } else if (project.disk.status === quotas.QUOTA_STATUS.warning) {
+                logger.warn(`${project.name}: proche du quota (${quotas.formatUsage(project.disk)})`);
+            }
+        }
     } catch (error) {
         spinner.fail('Erreur lors du chargement');
         logger.error(error.message);
@@ -200,6 +293,7 @@ export async function createProjectForm() {
             `${chalk.white('Nom:')} ${answers.name}\n` +
             `${chalk.white('Chemin:')} /var/www/${answers.name}\n` +
             `${chalk.white('Utilisateur SFTP:')} sftp_${answers.name}\n` +
+            `${chalk.white('Exécution des services:')} ${runtime.runtimeUserName(answers.name)}\n` +
             `${chalk.white('Dossier sites:')} /var/www/${answers.name}/sites\n\n` +
             `${chalk.gray('Utilisez "Gérer un projet" pour ajouter des services.')}`,
             {
@@ -237,7 +331,7 @@ export async function selectProject() {
             message: 'Sélectionner un projet:',
             choices: [
                 ...projectsList.map(p => ({
-                    name: `📁 ${p.name}`,
+                    name: `📁 ${p.name}` + (p.tags?.length ? chalk.gray(` [${p.tags.join(', ')}]`) : ''),
                     value: p.name
                 })),
                 new inquirer.Separator(),
@@ -258,13 +352,17 @@ export async function projectManagementMenu(projectName) {
         
         const projectConfig = projects.loadProjectConfig(projectName);
         const servicesStatus = await services.getAllServicesStatus(projectName);
+        const project = projects.getProject(projectName);
 
         // Afficher l'en-tête du projet
         console.log(boxen(
             `${chalk.cyan.bold(projectName)}\n` +
             `${chalk.gray('Chemin:')} /var/www/${projectName}\n` +
-            `${chalk.gray('Services:')} ${servicesStatus.length}`,
-            { padding: 1, borderStyle: 'round', borderColor: 'cyan' }
+            `${chalk.gray('Services:')} ${servicesStatus.length}\n` +
+            `${chalk.gray('Exécution:')} ${project.runUser || chalk.yellow('root (projet non isolé)')}` +
+            (project.tags?.length ? `\n${chalk.gray('Tags:')} ${chalk.magenta(project.tags.join(', '))}` : '') +
+            (project.suspended ? `\n${chalk.red.bold(`⏸ Suspendu depuis le ${new Date(project.suspendedAt).toLocaleString('fr-FR')}`)}` : ''),
+            { padding: 1, borderStyle: 'round', borderColor: project.suspended ? 'red' : 'cyan' }
         ));
 
         // Afficher le statut des services
@@ -273,17 +371,22 @@ export async function projectManagementMenu(projectName) {
                 head: [
                     chalk.cyan('Service'),
                     chalk.cyan('Statut'),
+                    chalk.cyan('Port'),
                     chalk.cyan('PID'),
+                    chalk.cyan('Instances'),
                     chalk.cyan('Restarts'),
+                    chalk.cyan('CPU'),
                     chalk.cyan('Mémoire')
                 ],
-                colWidths: [20, 12, 10, 12, 15]
+                colWidths: [20, 12, 8, 10, 11, 10, 8, 12]
             });
 
             for (const svc of servicesStatus) {
                 const statusIcon = svc.status === 'online' 
                     ? chalk.green('● online') 
-                    : chalk.red('○ stopped');
+                    : svc.status === 'errored'
+                        ? chalk.red('✖ errored')
+                        : chalk.red('○ stopped');
                 
                 const memory = svc.memory 
                     ? `${Math.round(svc.memory / 1024 / 1024)} MB` 
@@ -292,13 +395,25 @@ export async function projectManagementMenu(projectName) {
                 table.push([
                     svc.name,
                     statusIcon,
+                    svc.port || '-',
                     svc.pid || '-',
+                    svc.instances ? `${svc.onlineInstances}/${svc.instances}` : '-',
                     svc.restarts || 0,
+                    svc.cpu !== null ? `${svc.cpu}%` : '-',
                     memory
                 ]);
             }
 
             console.log(table.toString());
+
+            // Services arrêtés par le watchdog: raison et dernières lignes de logs
+            for (const svc of servicesStatus.filter(s => s.status === 'errored' && s.crash)) {
+                console.log(chalk.red(`\n✖ ${svc.name}: boucle de crash le ${new Date(svc.crash.detectedAt).toLocaleString('fr-FR')}`));
+                console.log(chalk.gray(`  ${watchdog.CRASH_REASONS[svc.crash.reason] || svc.crash.reason} (${svc.crash.restarts || 0} redémarrage(s)); démarrez le service une fois la cause corrigée`));
+                for (const line of svc.crash.logPath ? watchdog.tailFile(svc.crash.logPath) : []) {
+                    console.log(chalk.gray(`    ${line}`));
+                }
+            }
         }
 
         const choices = [
@@ -310,6 +425,7 @@ export async function projectManagementMenu(projectName) {
                 { name: '▶️   Démarrer un service', value: 'start_service' },
                 { name: '⏹️   Arrêter un service', value: 'stop_service' },
                 { name: '🔄  Redémarrer un service', value: 'restart_service' },
+                { name: '📈  Changer le nombre d\'instances', value: 'scale_service' },
                 { name: '📋  Voir les logs', value: 'logs' },
                 new inquirer.Separator(),
                 { name: '▶️   Démarrer TOUS les services', value: 'start_all' },
@@ -323,8 +439,21 @@ export async function projectManagementMenu(projectName) {
         choices.push(
             new inquirer.Separator(),
             { name: '🔑  Changer mot de passe SFTP', value: 'change_password' },
+            { name: '🏷️   Renommer le projet', value: 'rename' },
             { name: '📜  Régénérer les scripts', value: 'regenerate' },
             { name: '📂  Afficher les chemins', value: 'paths' },
+            { name: '🏷️   Tags', value: 'tags' },
+            { name: '🔐  Variables d\'environnement', value: 'env' },
+            { name: '🔑  Secrets chiffrés', value: 'secrets' },
+            project.runUser
+                ? { name: '🛡️   Réappliquer les permissions', value: 'isolate' }
+                : { name: '🛡️   Isoler le projet (exécution hors root)', value: 'isolate' },
+            project.suspended
+                ? { name: '▶️   Réactiver le projet', value: 'resume' }
+                : { name: '⏸️   Suspendre le projet', value: 'suspend' },
+            { name: '📏  Quota disque', value: 'quota' },
+            { name: '💾  Sauvegardes', value: 'backups' },
+            { name: '📦  Exporter le projet', value: 'export' },
             new inquirer.Separator(),
             { name: '← Retour au menu principal', value: 'back' }
         );
@@ -352,6 +481,9 @@ export async function projectManagementMenu(projectName) {
             case 'restart_service':
                 await restartServiceAction(projectName);
                 break;
+            case 'scale_service':
+                await scaleServiceForm(projectName);
+                break;
             case 'logs':
                 await showServiceLogs(projectName);
                 break;
@@ -370,6 +502,9 @@ export async function projectManagementMenu(projectName) {
             case 'change_password':
                 await changePasswordForm(projectName);
                 break;
+            case 'rename':
+                projectName = await renameProjectForm(projectName);
+                break;
             case 'regenerate':
                 scripts.generateScripts(projectName);
                 await pressEnterToContinue();
@@ -377,6 +512,33 @@ export async function projectManagementMenu(projectName) {
             case 'paths':
                 await showProjectPaths(projectName);
                 break;
+            case 'tags':
+                await tagsForm(projectName);
+                break;
+            case 'env':
+                await envMenu(projectName);
+                break;
+            case 'secrets':
+                await secretsMenu(projectName);
+                break;
+            case 'isolate':
+                await isolateProjectForm(projectName);
+                break;
+            case 'suspend':
+                await suspendProjectForm(projectName);
+                break;
+            case 'resume':
+                await resumeProjectAction(projectName);
+                break;
+            case 'quota':
+                await quotaForm(projectName);
+                break;
+            case 'backups':
+                await backupsMenu(projectName);
+                break;
+            case 'export':
+                await exportProjectForm(projectName);
+                break;
             case 'back':
                 return;
         }
@@ -431,6 +593,23 @@ async function addServiceForm(projectName) {
             message: 'Description (optionnel):',
             default: ''
         },
+        {
+            type: 'input',
+            name: 'port',
+            message: () => {
+                const range = ports.getRange();
+                return `Port (vide: premier port libre de ${range.start}-${range.end}):`;
+            },
+            default: '',
+            validate: (input) => !input.trim() || /^\d+$/.test(input.trim()) || 'Numéro de port attendu'
+        },
+        {
+            type: 'input',
+            name: 'dataDirs',
+            message: 'Dossiers de données accessibles en écriture (séparés par ;, ex: uploads; storage):',
+            default: '',
+            filter: (input) => input ? input.split(';').map(d => d.trim()).filter(d => d) : []
+        },
         {
             type: 'confirm',
             name: 'confirm',
@@ -452,7 +631,9 @@ async function addServiceForm(projectName) {
             directory: answers.directory,
             setupCommands: answers.setupCommands,
             command: answers.command,
-            description: answers.description
+            description: answers.description,
+            port: answers.port.trim() || undefined,
+            dataDirs: answers.dataDirs
         });
 
         scripts.generateScripts(projectName);
@@ -529,16 +710,11 @@ async function startServiceAction(projectName) {
         runSetup = setupChoice === 'with_setup' || setupChoice === 'setup_only';
 
         if (setupChoice === 'setup_only') {
-            const spinner = ora(`Exécution du setup pour ${serviceName}...`).start();
             try {
-                for (const cmd of service.setupCommands) {
-                    spinner.text = `Exécution: ${cmd}`;
-                    const shell = (await import('../utils/shell.js')).default;
-                    await shell.execCommand(cmd, { cwd: service.directory });
-                }
-                spinner.succeed(`Setup terminé pour ${serviceName}`);
+                // Même utilisateur et même environnement que le setup au démarrage
+                await services.runSetupCommands(projectName, service);
+                logger.success(`Setup terminé pour ${serviceName}`);
             } catch (error) {
-                spinner.fail('Erreur');
                 logger.error(error.message);
             }
             await pressEnterToContinue();
@@ -601,6 +777,39 @@ async function restartServiceAction(projectName) {
     await pressEnterToContinue();
 }
 
+/**
+ * Changer le nombre d'instances d'un service (pm2 scale)
+ */
+async function scaleServiceForm(projectName) {
+    const serviceName = await selectService(projectName, 'Service à mettre à l\'échelle:');
+    if (!serviceName) return;
+
+    const service = services.getService(projectName, serviceName);
+
+    const { instances } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'instances',
+            message: `Nombre d'instances (max: une par cœur, mode ${service.pm2?.execMode || 'fork'}):`,
+            default: String(service.pm2?.instances || 1),
+            validate: (input) => /^(\d+|max)$/.test(input.trim()) || 'Nombre ou max'
+        }
+    ]);
+
+    const spinner = ora(`Mise à l'échelle de ${serviceName}...`).start();
+
+    try {
+        const count = await services.scaleService(projectName, serviceName, instances.trim());
+        scripts.generateScripts(projectName);
+        spinner.succeed(`${serviceName}: ${count} instance(s)`);
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
 /**
  * Afficher les logs d'un service
  */
@@ -728,6 +937,72 @@ async function editServiceForm(projectName) {
             message: 'Nouvelle description:',
             default: service.description
         },
+        {
+            type: 'input',
+            name: 'port',
+            message: 'Port (auto: premier port libre, aucun: libérer):',
+            default: service.port ? String(service.port) : 'aucun',
+            validate: (input) => ['auto', 'aucun'].includes(input.trim()) || /^\d+$/.test(input.trim()) || 'Numéro de port, auto ou aucun'
+        },
+        {
+            type: 'input',
+            name: 'dataDirs',
+            message: 'Dossiers de données accessibles en écriture (séparés par ;):',
+            default: (service.dataDirs || []).join('; '),
+            filter: (input) => input ? input.split(';').map(d => d.trim()).filter(d => d) : []
+        },
+        {
+            type: 'input',
+            name: 'instances',
+            message: "PM2 - nombre d'instances (max: une par cœur, vide: défaut):",
+            default: service.pm2?.instances ? String(service.pm2.instances) : ''
+        },
+        {
+            type: 'list',
+            name: 'execMode',
+            message: "PM2 - mode d'exécution:",
+            choices: [
+                { name: 'fork (défaut)', value: '' },
+                { name: 'cluster (commande "node <fichier.js>")', value: 'cluster' }
+            ],
+            default: service.pm2?.execMode === 'cluster' ? 'cluster' : ''
+        },
+        {
+            type: 'input',
+            name: 'maxMemoryRestart',
+            message: 'PM2 - redémarrer au-delà de (ex: 300M, vide: jamais):',
+            default: service.pm2?.maxMemoryRestart || ''
+        },
+        {
+            type: 'input',
+            name: 'killTimeout',
+            message: "PM2 - délai d'arrêt en ms (vide: défaut):",
+            default: service.pm2?.killTimeout !== undefined ? String(service.pm2.killTimeout) : ''
+        },
+        {
+            type: 'input',
+            name: 'maxRestarts',
+            message: 'PM2 - redémarrages instables avant abandon (vide: défaut):',
+            default: service.pm2?.maxRestarts !== undefined ? String(service.pm2.maxRestarts) : ''
+        },
+        {
+            type: 'input',
+            name: 'minUptime',
+            message: 'PM2 - durée minimale de fonctionnement en ms (vide: défaut):',
+            default: service.pm2?.minUptime !== undefined ? String(service.pm2.minUptime) : ''
+        },
+        {
+            type: 'input',
+            name: 'expBackoffRestartDelay',
+            message: 'PM2 - relance exponentielle, délai initial en ms (vide: désactivée):',
+            default: service.pm2?.expBackoffRestartDelay !== undefined ? String(service.pm2.expBackoffRestartDelay) : ''
+        },
+        {
+            type: 'input',
+            name: 'cronRestart',
+            message: 'PM2 - redémarrage planifié, expression cron (vide: aucun):',
+            default: service.pm2?.cronRestart || ''
+        },
         {
             type: 'confirm',
             name: 'confirm',
@@ -743,7 +1018,11 @@ async function editServiceForm(projectName) {
             directory: answers.directory,
             setupCommands: answers.setupCommands,
             command: answers.command,
-            description: answers.description
+            description: answers.description,
+            port: answers.port.trim() === 'aucun' ? null : answers.port.trim(),
+            dataDirs: answers.dataDirs,
+            pm2: Object.fromEntries(Object.keys(ecosystem.PM2_OPTIONS)
+                .map(option => [option, answers[option].trim() || null]))
         });
 
         scripts.generateScripts(projectName);
@@ -828,6 +1107,56 @@ async function changePasswordForm(projectName) {
     await pressEnterToContinue();
 }
 
+/**
+ * Formulaire de renommage de projet
+ * @returns {Promise<string>} - Nom du projet après l'opération
+ */
+async function renameProjectForm(projectName) {
+    logger.section(`Renommer ${projectName}`);
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'newName',
+            message: 'Nouveau nom du projet:',
+            validate: (input) => {
+                if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(input)) {
+                    return 'Le nom doit commencer par une lettre et ne contenir que lettres, chiffres, tirets et underscores';
+                }
+                if (input === projectName) {
+                    return 'Le nom est identique';
+                }
+                if (projects.projectExists(input)) {
+                    return 'Ce projet existe déjà';
+                }
+                return true;
+            }
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: (answers) => `Renommer "${projectName}" en "${answers.newName}" ? Les services seront redémarrés et les sessions SFTP coupées.`,
+            default: false
+        }
+    ]);
+
+    if (!answers.confirm) return projectName;
+
+    const spinner = ora('Renommage en cours...').start();
+
+    try {
+        await projects.renameProject(projectName, answers.newName);
+        spinner.succeed(`Projet renommé en ${answers.newName}`);
+        await pressEnterToContinue();
+        return answers.newName;
+    } catch (error) {
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
+        await pressEnterToContinue();
+        return projectName;
+    }
+}
+
 /**
  * Afficher les chemins du projet
  */
@@ -845,46 +1174,75 @@ async function showProjectPaths(projectName) {
     console.log(`  ${scriptPaths.stop}`);
     console.log(`  ${scriptPaths.restart}`);
     console.log(`  ${scriptPaths.status}`);
+    console.log('');
+    console.log(chalk.white('Configuration PM2:'), scriptPaths.ecosystem);
+
+    const servicePorts = services.listServices(projectName).filter(s => s.port);
+    if (servicePorts.length > 0) {
+        console.log('');
+        console.log(chalk.gray('Ports (variable PORT):'));
+        for (const service of servicePorts) {
+            console.log(`  ${service.name}: ${service.port}`);
+        }
+    }
 
     await pressEnterToContinue();
 }
 
 /**
- * Supprimer un projet
+ * Suspension du projet (sans suppression)
  */
-export async function deleteProjectForm() {
-    displayHeader();
-    logger.section('Supprimer un projet');
-
-    const projectName = await selectProject();
-    if (!projectName) return;
-
-    const { deleteFiles, confirm } = await inquirer.prompt([
+async function suspendProjectForm(projectName) {
+    const { confirm } = await inquirer.prompt([
         {
             type: 'confirm',
-            name: 'deleteFiles',
-            message: 'Supprimer également les fichiers du projet ?',
+            name: 'confirm',
+            message: `Suspendre "${projectName}" ? Les services seront arrêtés et l'accès SFTP bloqué (fichiers conservés).`,
             default: false
-        },
+        }
+    ]);
+
+    if (!confirm) return;
+
+    const spinner = ora('Suspension en cours...').start();
+
+    try {
+        await projects.suspendProject(projectName);
+        spinner.succeed(`Projet ${projectName} suspendu`);
+    } catch (error) {
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Isolation d'un projet: services exécutés sous run_<projet>
+ */
+async function isolateProjectForm(projectName) {
+    const isolated = Boolean(projects.getProject(projectName).runUser);
+
+    const { confirm } = await inquirer.prompt([
         {
             type: 'confirm',
             name: 'confirm',
-            message: `ATTENTION: Supprimer définitivement "${projectName}" ?`,
-            default: false
+            message: isolated
+                ? `Réappliquer les permissions de sites/ pour ${runtime.runtimeUserName(projectName)} ?`
+                : `Exécuter les services de "${projectName}" sous ${runtime.runtimeUserName(projectName)} ? Les services actifs seront relancés.`,
+            default: true
         }
     ]);
 
-    if (!confirm) {
-        logger.warn(MESSAGES.operationCancelled);
-        await pressEnterToContinue();
-        return;
-    }
+    if (!confirm) return;
 
-    const spinner = ora('Suppression en cours...').start();
+    const spinner = ora(isolated ? 'Application des permissions...' : 'Isolation en cours...').start();
 
     try {
-        await projects.deleteProject(projectName, deleteFiles);
-        spinner.succeed(`Projet ${projectName} supprimé`);
+        const restarted = await runtime.isolateProject(projectName);
+        spinner.succeed(isolated
+            ? 'Permissions appliquées'
+            : `Projet ${projectName} isolé (${restarted.length} service(s) relancé(s))`);
     } catch (error) {
         spinner.fail('Erreur');
         logger.error(error.message);
@@ -894,46 +1252,1127 @@ export async function deleteProjectForm() {
 }
 
 /**
- * Afficher le statut global PM2
+ * Réactivation d'un projet suspendu
  */
-export async function showPm2Status() {
-    displayHeader();
-    logger.section('Statut PM2 global');
+async function resumeProjectAction(projectName) {
+    const spinner = ora('Réactivation en cours...').start();
 
     try {
-        const { stdout } = await import('../utils/shell.js').then(m => m.default.execCommand('pm2 list'));
-        console.log(stdout);
+        const started = await projects.resumeProject(projectName);
+        spinner.succeed(`Projet ${projectName} réactivé (${started.length} service(s) relancé(s))`);
     } catch (error) {
-        logger.error(`PM2 non disponible: ${error.message}`);
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
     }
 
     await pressEnterToContinue();
 }
 
 /**
- * Régénérer tous les scripts
+ * Modification des tags du projet
  */
-export async function regenerateAllScriptsAction() {
-    displayHeader();
-    logger.section('Régénération des scripts');
+async function tagsForm(projectName) {
+    logger.section(`Tags: ${projectName}`);
 
-    const spinner = ora('Régénération...').start();
+    const currentTags = projects.getProject(projectName).tags || [];
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'keep',
+            message: 'Tags conservés:',
+            choices: currentTags.map(tag => ({ name: tag, value: tag, checked: true })),
+            when: () => currentTags.length > 0
+        },
+        {
+            type: 'input',
+            name: 'add',
+            message: 'Tags à ajouter (séparés par des espaces, ex: client:acme env:staging):'
+        }
+    ]);
+
+    const keep = answers.keep || [];
+    const add = answers.add.split(/[\s,]+/).filter(Boolean);
+    const remove = currentTags.filter(tag => !keep.includes(tag));
+
+    if (add.length === 0 && remove.length === 0) {
+        return;
+    }
 
     try {
-        scripts.regenerateAllScripts();
-        spinner.succeed('Scripts régénérés');
+        projects.tagProject(projectName, { add, remove });
     } catch (error) {
-        spinner.fail('Erreur');
         logger.error(error.message);
     }
 
     await pressEnterToContinue();
 }
 
+const ENV_SOURCE_LABELS = {
+    [environment.ENV_SOURCES.port]: chalk.gray('port attribué'),
+    [environment.ENV_SOURCES.project]: 'partagée',
+    [environment.ENV_SOURCES.service]: 'service',
+    [environment.ENV_SOURCES.override]: chalk.yellow('service (remplace la partagée)')
+};
+
 /**
- * Pause - Appuyer sur Entrée pour continuer
+ * Variables d'environnement partagées ou d'un service (valeurs masquées)
  */
-async function pressEnterToContinue() {
+async function envMenu(projectName) {
+    const serviceNames = services.listServices(projectName).map(s => s.name);
+
+    const { scope } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'scope',
+            message: 'Variables de:',
+            choices: [
+                { name: 'Tout le projet (partagées)', value: '' },
+                ...serviceNames.map(name => ({ name: `Service ${name}`, value: name }))
+            ]
+        }
+    ]);
+    const serviceName = scope || null;
+    let showValues = false;
+
+    while (true) {
+        displayHeader();
+        logger.section(`Variables d'environnement: ${serviceName ? `${projectName}/${serviceName}` : `${projectName} (partagées)`}`);
+
+        const variables = environment.listEnv(projectName, serviceName);
+
+        if (variables.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Nom'), chalk.cyan('Valeur'), chalk.cyan('Origine')]
+            });
+
+            for (const variable of variables) {
+                let value = showValues ? variable.value : environment.maskValue(variable.value);
+                if (variable.secret) {
+                    value = chalk.magenta(`🔒 secret ${variable.secret}`);
+                } else if (variable.source === environment.ENV_SOURCES.port) {
+                    value = variable.value;
+                }
+
+                table.push([
+                    variable.name,
+                    value,
+                    ENV_SOURCE_LABELS[variable.source]
+                ]);
+            }
+
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucune variable.'));
+        }
+        console.log(chalk.gray('Redémarrez les services concernés pour appliquer les changements.\n'));
+
+        // Seules les variables propres à la portée choisie peuvent être retirées
+        const ownNames = variables
+            .filter(v => !serviceName || [environment.ENV_SOURCES.service, environment.ENV_SOURCES.override].includes(v.source))
+            .map(v => v.name);
+
+        // Variables en clair de la portée, pouvant être déplacées vers les secrets
+        const plainNames = variables
+            .filter(v => !v.secret && ownNames.includes(v.name))
+            .map(v => v.name);
+        const secretNames = secrets.listSecrets(projectName).map(entry => entry.name);
+
+        const choices = [{ name: '➕  Définir une variable', value: 'set' }];
+        if (secretNames.length > 0) {
+            choices.push({ name: '🔒  Lier une variable à un secret', value: 'link' });
+        }
+        if (plainNames.length > 0) {
+            choices.push({ name: '🛡️   Chiffrer des variables (secrets)', value: 'protect' });
+        }
+        if (ownNames.length > 0) {
+            choices.push({ name: '🗑️   Retirer des variables', value: 'unset' });
+        }
+        choices.push({ name: '📄  Importer un fichier .env', value: 'import' });
+        if (variables.some(v => !v.secret)) {
+            choices.push({ name: showValues ? '🙈  Masquer les valeurs' : '👁️   Afficher les valeurs', value: 'toggle' });
+        }
+        choices.push(
+            new inquirer.Separator(),
+            { name: '← Retour', value: 'back' }
+        );
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Action:',
+                choices
+            }
+        ]);
+
+        if (action === 'back') {
+            return;
+        }
+
+        if (action === 'toggle') {
+            showValues = !showValues;
+            continue;
+        }
+
+        try {
+            if (action === 'set') {
+                const answers = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Nom:',
+                        validate: (input) => environment.ENV_NAME_PATTERN.test(input.trim()) || 'Lettres, chiffres et _, sans chiffre en tête'
+                    },
+                    {
+                        type: 'password',
+                        name: 'value',
+                        message: 'Valeur:',
+                        mask: '*'
+                    }
+                ]);
+
+                environment.updateEnv(projectName, serviceName, { env: { [answers.name.trim()]: answers.value } });
+            } else if (action === 'link') {
+                const answers = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Nom de la variable:',
+                        validate: (input) => environment.ENV_NAME_PATTERN.test(input.trim()) || 'Lettres, chiffres et _, sans chiffre en tête'
+                    },
+                    {
+                        type: 'list',
+                        name: 'secret',
+                        message: 'Secret:',
+                        choices: secretNames
+                    }
+                ]);
+
+                environment.updateEnv(projectName, serviceName, { secrets: { [answers.name.trim()]: answers.secret } });
+            } else if (action === 'protect') {
+                const { names } = await inquirer.prompt([
+                    {
+                        type: 'checkbox',
+                        name: 'names',
+                        message: 'Variables à chiffrer:',
+                        choices: plainNames
+                    }
+                ]);
+
+                if (names.length > 0) {
+                    environment.protectEnv(projectName, serviceName, names);
+                }
+            } else if (action === 'unset') {
+                const { names } = await inquirer.prompt([
+                    {
+                        type: 'checkbox',
+                        name: 'names',
+                        message: 'Variables à retirer:',
+                        choices: ownNames
+                    }
+                ]);
+
+                if (names.length > 0) {
+                    environment.updateEnv(projectName, serviceName, { unset: names });
+                }
+            } else if (action === 'import') {
+                const { envFile } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'envFile',
+                        message: 'Chemin du fichier .env:',
+                        validate: (input) => files.exists(input.trim()) || 'Fichier introuvable'
+                    }
+                ]);
+
+                const values = environment.parseDotenv(files.readFile(envFile.trim()));
+                environment.updateEnv(projectName, serviceName, { env: values });
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Coffre de secrets chiffrés d'un projet (valeurs jamais affichées)
+ */
+async function secretsMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Secrets: ${projectName}`);
+
+        const entries = secrets.listSecrets(projectName);
+
+        if (entries.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Secret'), chalk.cyan('Modifié le'), chalk.cyan('Utilisé par')]
+            });
+
+            for (const entry of entries) {
+                table.push([
+                    entry.name,
+                    new Date(entry.updatedAt).toLocaleString('fr-FR'),
+                    entry.usedBy.map(ref => ref.service ? `${ref.service}:${ref.variable}` : ref.variable).join(', ') || chalk.gray('-')
+                ]);
+            }
+
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucun secret.'));
+        }
+        console.log(chalk.gray('Liez un secret à une variable depuis « Variables d\'environnement ».\n'));
+
+        const choices = [{ name: '➕  Créer ou remplacer un secret', value: 'set' }];
+        if (entries.length > 0) {
+            choices.push({ name: '🗑️   Supprimer un secret', value: 'remove' });
+        }
+        choices.push(
+            new inquirer.Separator(),
+            { name: '← Retour', value: 'back' }
+        );
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Action:',
+                choices
+            }
+        ]);
+
+        if (action === 'back') {
+            return;
+        }
+
+        try {
+            if (action === 'set') {
+                const answers = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: 'Nom du secret:',
+                        validate: (input) => secrets.SECRET_NAME_PATTERN.test(input.trim()) || 'Lettres, chiffres, _, . et -'
+                    },
+                    {
+                        type: 'password',
+                        name: 'value',
+                        message: 'Valeur:',
+                        mask: '*',
+                        validate: (input) => input.length > 0 || 'La valeur ne peut pas être vide'
+                    }
+                ]);
+
+                secrets.setSecret(projectName, answers.name.trim(), answers.value);
+            } else if (action === 'remove') {
+                const { name } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'name',
+                        message: 'Secret à supprimer:',
+                        choices: entries.map(entry => entry.name)
+                    }
+                ]);
+
+                secrets.removeSecret(projectName, name);
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Réglage du quota disque
+ */
+async function quotaForm(projectName) {
+    logger.section(`Quota disque: ${projectName}`);
+
+    const usage = await quotas.getUsage(projectName, { fresh: true });
+    const settings = quotas.getQuotaSettings(projectName);
+
+    console.log(chalk.white('Occupation:'), diskColor(usage)(quotas.formatUsage(usage)));
+    if (settings.limitMB !== null) {
+        console.log(chalk.white('Application:'), usage.enforced ? 'quota système' : 'surveillance uniquement');
+    }
+    console.log('');
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'limit',
+            message: 'Limite (ex: 500M, 10G; vide: aucune):',
+            default: settings.limitMB === null ? '' : `${settings.limitMB}M`,
+            validate: (input) => {
+                if (!input.trim()) return true;
+                try {
+                    quotas.parseSize(input);
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        },
+        {
+            type: 'input',
+            name: 'warnPercent',
+            message: 'Avertir à partir de (% de la limite):',
+            default: String(settings.warnPercent),
+            when: (answers) => answers.limit.trim() !== '',
+            validate: (input) => (/^\d+$/.test(input) && input >= 1 && input <= 100) || 'Pourcentage entre 1 et 100'
+        }
+    ]);
+
+    const spinner = ora('Application du quota...').start();
+
+    try {
+        if (answers.limit.trim()) {
+            await quotas.setQuota(projectName, quotas.parseSize(answers.limit), { warnPercent: parseInt(answers.warnPercent, 10) });
+        } else {
+            await quotas.setQuota(projectName, null);
+        }
+        spinner.succeed('Quota mis à jour');
+    } catch (error) {
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Historique des sauvegardes, sauvegarde immédiate, restauration et planification
+ */
+async function backupsMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Sauvegardes: ${projectName}`);
+
+        const settings = backups.getBackupSettings(projectName);
+        const snapshots = backups.listSnapshots(projectName);
+
+        console.log(settings.enabled
+            ? chalk.green(`Planifiée: ${settings.schedule} → ${settings.target} (conservation: ${settings.retention.daily} j, ${settings.retention.weekly} sem.)`)
+            : chalk.gray(`Non planifiée (cible: ${settings.target})`));
+        console.log('');
+
+        if (snapshots.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Date'), chalk.cyan('Origine'), chalk.cyan('Services actifs')]
+            });
+
+            for (const snapshot of snapshots) {
+                table.push([
+                    new Date(snapshot.createdAt).toLocaleString('fr-FR'),
+                    snapshot.trigger,
+                    (snapshot.runningServices || []).join(', ') || '-'
+                ]);
+            }
+
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucune sauvegarde.'));
+        }
+        console.log('');
+
+        const choices = [{ name: '💾  Sauvegarder maintenant', value: 'create' }];
+        if (snapshots.length > 0) {
+            choices.push({ name: '⏪  Restaurer une sauvegarde', value: 'restore' });
+        }
+        choices.push(
+            { name: '🕒  Planification et rétention', value: 'schedule' },
+            new inquirer.Separator(),
+            { name: '← Retour', value: 'back' }
+        );
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Action:',
+                choices
+            }
+        ]);
+
+        switch (action) {
+            case 'create':
+                await createBackupAction(projectName);
+                break;
+            case 'restore':
+                await restoreBackupForm(projectName, snapshots);
+                break;
+            case 'schedule':
+                await backupScheduleForm(projectName, settings);
+                break;
+            case 'back':
+                return;
+        }
+    }
+}
+
+/**
+ * Sauvegarde immédiate
+ */
+async function createBackupAction(projectName) {
+    const spinner = ora('Sauvegarde en cours...').start();
+
+    try {
+        const snapshot = await backups.createSnapshot(projectName);
+        spinner.succeed(`Sauvegarde créée: ${snapshot.id}`);
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Restauration d'une sauvegarde
+ */
+async function restoreBackupForm(projectName, snapshots) {
+    const { snapshotId } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'snapshotId',
+            message: 'Sauvegarde à restaurer:',
+            choices: [
+                ...snapshots.map(s => ({
+                    name: `${new Date(s.createdAt).toLocaleString('fr-FR')} ${chalk.gray(`(${s.trigger})`)}`,
+                    value: s.id
+                })),
+                new inquirer.Separator(),
+                { name: '← Annuler', value: null }
+            ]
+        }
+    ]);
+
+    if (!snapshotId) return;
+
+    const { confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Restaurer ${projectName} ? Les services seront arrêtés et les fichiers de sites/ remplacés (l'état actuel sera sauvegardé avant).`,
+            default: false
+        }
+    ]);
+
+    if (!confirm) return;
+
+    const spinner = ora('Restauration en cours...').start();
+
+    try {
+        const result = await backups.restoreSnapshot(projectName, snapshotId);
+        spinner.succeed(`Projet restauré (état précédent: ${result.safetySnapshot.id})`);
+    } catch (error) {
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Réglage de la sauvegarde planifiée
+ */
+async function backupScheduleForm(projectName, settings) {
+    const validateCount = (input) => /^\d+$/.test(String(input)) || 'Nombre entier positif attendu';
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'enabled',
+            message: 'Activer la sauvegarde planifiée ?',
+            default: settings.enabled
+        },
+        {
+            type: 'input',
+            name: 'schedule',
+            message: 'Planification (cron: minute heure jour mois jour-semaine):',
+            default: settings.schedule,
+            when: (answers) => answers.enabled,
+            validate: (input) => backups.isValidSchedule(input.trim()) || 'Expression cron à 5 champs attendue (ex: 30 3 * * *)'
+        },
+        {
+            type: 'input',
+            name: 'target',
+            message: 'Dossier cible (local ou monté):',
+            default: settings.target,
+            validate: (input) => input.startsWith('/') || 'Chemin absolu attendu'
+        },
+        {
+            type: 'input',
+            name: 'daily',
+            message: 'Sauvegardes quotidiennes conservées:',
+            default: String(settings.retention.daily),
+            validate: validateCount
+        },
+        {
+            type: 'input',
+            name: 'weekly',
+            message: 'Sauvegardes hebdomadaires conservées:',
+            default: String(settings.retention.weekly),
+            validate: validateCount
+        }
+    ]);
+
+    try {
+        backups.configureBackup(projectName, {
+            enabled: answers.enabled,
+            schedule: answers.schedule,
+            target: answers.target,
+            retention: { daily: parseInt(answers.daily, 10), weekly: parseInt(answers.weekly, 10) }
+        });
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Formulaire d'export du projet dans une archive
+ */
+async function exportProjectForm(projectName) {
+    logger.section(`Exporter ${projectName}`);
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'output',
+            message: 'Archive à créer:',
+            default: `${projectName}-${new Date().toISOString().slice(0, 10)}.tar.gz`
+        },
+        {
+            type: 'confirm',
+            name: 'includeNodeModules',
+            message: 'Inclure les dossiers node_modules ?',
+            default: false
+        }
+    ]);
+
+    const spinner = ora('Export en cours...').start();
+
+    try {
+        const archivePath = await archive.exportProject(projectName, answers);
+        spinner.succeed(`Archive créée: ${archivePath}`);
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Importer un projet depuis une archive exportée
+ */
+export async function importProjectForm() {
+    displayHeader();
+    logger.section('Importer un projet');
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'archivePath',
+            message: 'Chemin de l\'archive (.tar.gz):',
+            validate: (input) => files.exists(input) || 'Archive introuvable'
+        },
+        {
+            type: 'input',
+            name: 'name',
+            message: 'Nom du projet (vide: nom d\'origine):',
+            validate: (input) => {
+                if (!input) return true;
+                if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(input)) {
+                    return 'Le nom doit commencer par une lettre et ne contenir que lettres, chiffres, tirets et underscores';
+                }
+                if (projects.projectExists(input)) {
+                    return 'Ce projet existe déjà';
+                }
+                return true;
+            }
+        },
+        {
+            type: 'confirm',
+            name: 'start',
+            message: 'Démarrer les services qui étaient actifs ?',
+            default: false
+        }
+    ]);
+
+    const options = { name: answers.name || undefined, start: answers.start };
+    let spinner = ora('Import en cours...').start();
+
+    try {
+        let result;
+        try {
+            result = await archive.importProject(answers.archivePath, options);
+        } catch (error) {
+            const external = error.details?.externalDirectories;
+            if (!external) {
+                throw error;
+            }
+
+            spinner.stop();
+            console.log(chalk.yellow('\nServices dont le dossier est hors du projet (ni copié ni remappé):'));
+            external.forEach(({ service, directory }) => console.log(`  - ${service}: ${directory}`));
+
+            const { confirm } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: 'Importer ces services avec leur dossier d\'origine ?',
+                default: false
+            }]);
+
+            if (!confirm) {
+                logger.info('Import annulé');
+                await pressEnterToContinue();
+                return;
+            }
+
+            spinner = ora('Import en cours...').start();
+            result = await archive.importProject(answers.archivePath, { ...options, allowExternalDirs: true });
+        }
+        spinner.succeed(`Projet ${result.project} importé (${result.services.length} service(s))`);
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Adoption d'un dossier existant et de ses processus PM2
+ */
+export async function adoptProjectForm() {
+    displayHeader();
+    logger.section('Adopter un dossier existant');
+
+    const directories = adopt.listAdoptableDirectories();
+
+    if (directories.length === 0) {
+        logger.warn('Aucun dossier non géré dans /var/www');
+        await pressEnterToContinue();
+        return;
+    }
+
+    const { projectName } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'projectName',
+            message: 'Dossier à adopter:',
+            choices: [
+                ...directories.map(name => ({ name: `📂 /var/www/${name}`, value: name })),
+                new inquirer.Separator(),
+                { name: '← Retour', value: null }
+            ]
+        }
+    ]);
+
+    if (!projectName) return;
+
+    let scan;
+    try {
+        scan = await adopt.scanDirectory(projectName);
+    } catch (error) {
+        logger.error(error.message);
+        await pressEnterToContinue();
+        return;
+    }
+
+    if (scan.services.length > 0) {
+        const table = new Table({
+            head: [chalk.cyan('Service'), chalk.cyan('PM2'), chalk.cyan('Statut'), chalk.cyan('Port'), chalk.cyan('Commande')],
+            colWidths: [18, 22, 12, 8, 40],
+            wordWrap: true
+        });
+
+        for (const svc of scan.services) {
+            table.push([svc.name, svc.pm2Name, svc.status, svc.port || '-', svc.command]);
+        }
+
+        console.log(table.toString());
+    } else {
+        console.log(chalk.gray('Aucun processus PM2 lancé depuis ce dossier.'));
+    }
+
+    for (const warning of scan.warnings) {
+        logger.warn(warning);
+    }
+
+    console.log(chalk.gray(scan.userExists
+        ? `\nL'utilisateur sftp_${projectName} existe: il sera rattaché au projet (mot de passe conservé).\n`
+        : `\nL'utilisateur sftp_${projectName} sera créé.\n`));
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'password',
+            message: 'Mot de passe SFTP:',
+            mask: '*',
+            when: () => !scan.userExists,
+            validate: (input) => {
+                if (!input || input.length < 8) {
+                    return 'Le mot de passe doit contenir au moins 8 caractères';
+                }
+                return true;
+            }
+        },
+        {
+            type: 'password',
+            name: 'confirmPassword',
+            message: 'Confirmer le mot de passe:',
+            mask: '*',
+            when: () => !scan.userExists,
+            validate: (input, answers) => {
+                if (input !== answers.password) {
+                    return 'Les mots de passe ne correspondent pas';
+                }
+                return true;
+            }
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Adopter /var/www/${projectName} (${scan.services.length} processus PM2) ?`,
+            default: true
+        }
+    ]);
+
+    if (!answers.confirm) return;
+
+    const spinner = ora('Adoption en cours...').start();
+
+    try {
+        const result = await adopt.adoptProject(projectName, { password: answers.password });
+        spinner.succeed(`Projet ${result.project} adopté (${result.services.length} service(s))`);
+    } catch (error) {
+        spinner.fail('Erreur: les modifications ont été annulées');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Supprimer un projet
+ */
+export async function deleteProjectForm() {
+    displayHeader();
+    logger.section('Supprimer un projet');
+
+    const projectName = await selectProject();
+    if (!projectName) return;
+
+    const { deleteFiles, confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'deleteFiles',
+            message: 'Supprimer également les fichiers du projet ?',
+            default: false
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `ATTENTION: Supprimer définitivement "${projectName}" ?`,
+            default: false
+        }
+    ]);
+
+    if (!confirm) {
+        logger.warn(MESSAGES.operationCancelled);
+        await pressEnterToContinue();
+        return;
+    }
+
+    const spinner = ora('Suppression en cours...').start();
+
+    try {
+        await projects.deleteProject(projectName, deleteFiles);
+        spinner.succeed(`Projet ${projectName} supprimé`);
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Afficher le statut global PM2
+ */
+export async function showPm2Status() {
+    displayHeader();
+    logger.section('Statut PM2 global');
+
+    try {
+        const { stdout } = await import('../utils/shell.js').then(m => m.default.execCommand('pm2 list', { readOnly: true }));
+        console.log(stdout);
+    } catch (error) {
+        logger.error(`PM2 non disponible: ${error.message}`);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Action groupée sur les projets sélectionnés par tags
+ */
+export async function bulkActionForm() {
+    displayHeader();
+    logger.section('Actions groupées');
+
+    const selector = await askTagSelector('Projets concernés (sélecteur de tags):');
+    const selected = projects.selectProjects(selector);
+
+    if (selected.length === 0) {
+        logger.warn(`Aucun projet ne correspond à ${selector}`);
+        await pressEnterToContinue();
+        return;
+    }
+
+    console.log(chalk.white(`\n${selected.length} projet(s):`), selected.map(p => p.name).join(', '), '\n');
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message: 'Action:',
+            choices: [
+                { name: '▶️   Démarrer tous les services', value: bulk.BULK_ACTIONS.start },
+                { name: '⏹️   Arrêter tous les services', value: bulk.BULK_ACTIONS.stop },
+                { name: '🔄  Redémarrer tous les services', value: bulk.BULK_ACTIONS.restart },
+                { name: '📜  Régénérer les scripts', value: bulk.BULK_ACTIONS.regenerate },
+                { name: '← Annuler', value: 'cancel' }
+            ]
+        },
+        {
+            type: 'confirm',
+            name: 'runSetup',
+            message: 'Exécuter les commandes de setup avant le démarrage ?',
+            default: false,
+            when: (answers) => answers.action === bulk.BULK_ACTIONS.start
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Confirmer l'action sur ${selected.length} projet(s) ?`,
+            default: false,
+            when: (answers) => answers.action !== 'cancel'
+        }
+    ]);
+
+    if (answers.action === 'cancel' || !answers.confirm) return;
+
+    try {
+        const results = await bulk.runBulk(answers.action, selector, { runSetup: answers.runSetup === true });
+
+        const labels = {
+            [bulk.BULK_STATUS.success]: chalk.green('✔ succès'),
+            [bulk.BULK_STATUS.partial]: chalk.yellow('⚠ partiel'),
+            [bulk.BULK_STATUS.failed]: chalk.red('✖ échec'),
+            [bulk.BULK_STATUS.skipped]: chalk.gray('○ ignoré')
+        };
+
+        const table = new Table({
+            head: [chalk.cyan('Projet'), chalk.cyan('Résultat'), chalk.cyan('Détail')],
+            colWidths: [20, 14, 60],
+            wordWrap: true
+        });
+
+        for (const result of results) {
+            const details = [result.message, ...result.failed.map(f => chalk.red(`${f.service}: ${f.error}`))];
+            table.push([result.project, labels[result.status], details.join('\n')]);
+        }
+
+        console.log('\n' + table.toString());
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Régénérer tous les scripts
+ */
+export async function regenerateAllScriptsAction() {
+    displayHeader();
+    logger.section('Régénération des scripts');
+
+    const spinner = ora('Régénération...').start();
+
+    try {
+        scripts.regenerateAllScripts();
+        spinner.succeed('Scripts régénérés');
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Diagnostic de cohérence avec réparation guidée
+ */
+export async function doctorAction() {
+    displayHeader();
+    logger.section('Diagnostic de cohérence');
+
+    const spinner = ora('Vérification...').start();
+    let findings;
+
+    try {
+        findings = await doctor.diagnose();
+        spinner.stop();
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+        await pressEnterToContinue();
+        return;
+    }
+
+    if (findings.length === 0) {
+        logger.success('Aucune anomalie: configuration et système sont cohérents.');
+        await pressEnterToContinue();
+        return;
+    }
+
+    for (const finding of findings) {
+        const icon = finding.severity === doctor.SEVERITY.error ? chalk.red('✖') : chalk.yellow('⚠');
+        console.log(`${icon} ${chalk.gray(`[${finding.check}]`)} ${finding.message}`);
+    }
+    console.log('');
+
+    // Proposer chaque réparation séparément
+    for (const finding of findings) {
+        if (!finding.repair) {
+            console.log(chalk.gray(`Aucune réparation automatique pour ${finding.target}: à corriger manuellement.`));
+            continue;
+        }
+
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: `${finding.message}\n  → ${finding.repair.description} ?`,
+                default: false
+            }
+        ]);
+
+        if (!confirm) continue;
+
+        try {
+            await doctor.repair(finding);
+            logger.success(`Réparé: ${finding.target}`);
+        } catch (error) {
+            logger.error(`Échec de la réparation: ${error.message}`);
+        }
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Consulter le journal d'audit avec filtres
+ */
+export async function auditLogAction() {
+    displayHeader();
+    logger.section('Journal d\'audit');
+
+    const validateDate = (endOfDay) => (input) =>
+        !input || audit.parseDateBound(input, endOfDay) !== null || 'Date invalide (AAAA-MM-JJ ou ISO 8601)';
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'project',
+            message: 'Projet:',
+            choices: [
+                { name: 'Tous les projets', value: '' },
+                ...projects.loadProjects().map(p => ({ name: p.name, value: p.name }))
+            ]
+        },
+        {
+            type: 'input',
+            name: 'operator',
+            message: 'Opérateur (vide: tous):'
+        },
+        {
+            type: 'input',
+            name: 'since',
+            message: 'Depuis (AAAA-MM-JJ, vide: début):',
+            validate: validateDate(false)
+        },
+        {
+            type: 'input',
+            name: 'until',
+            message: 'Jusqu\'au (AAAA-MM-JJ, vide: maintenant):',
+            validate: validateDate(true)
+        }
+    ]);
+
+    const entries = audit.readEntries({
+        project: answers.project || undefined,
+        operator: answers.operator.trim() || undefined,
+        since: answers.since ? audit.parseDateBound(answers.since) : undefined,
+        until: answers.until ? audit.parseDateBound(answers.until, true) : undefined,
+        limit: 50
+    });
+
+    if (entries.length === 0) {
+        console.log(chalk.yellow('\nAucune entrée ne correspond aux filtres.'));
+        await pressEnterToContinue();
+        return;
+    }
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Date'),
+            chalk.cyan('Opérateur'),
+            chalk.cyan('Opération'),
+            chalk.cyan('Cible'),
+            chalk.cyan('Résultat'),
+            chalk.cyan('Durée')
+        ]
+    });
+
+    for (const entry of entries) {
+        table.push([
+            new Date(entry.timestamp).toLocaleString('fr-FR'),
+            entry.operator,
+            `${entry.operation} ${chalk.gray(`(${entry.source})`)}`,
+            entry.target || '-',
+            entry.result === 'success' ? chalk.green('succès') : chalk.red('échec'),
+            `${entry.durationMs} ms`
+        ]);
+    }
+
+    console.log(table.toString());
+    console.log(chalk.gray(`${entries.length} dernière(s) entrée(s). Détail complet: project-manager audit --json`));
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Pause - Appuyer sur Entrée pour continuer
+ */
+async function pressEnterToContinue() {
+    // En simulation, afficher ce que l'action aurait modifié
+    if (dryrun.isEnabled()) {
+        console.log('\n' + dryrun.formatPlan() + '\n');
+        dryrun.clear();
+    }
+
     await inquirer.prompt([
         {
             type: 'input',
@@ -951,6 +2390,11 @@ export default {
     selectProject,
     projectManagementMenu,
     deleteProjectForm,
+    importProjectForm,
+    adoptProjectForm,
     showPm2Status,
-    regenerateAllScriptsAction
+    regenerateAllScriptsAction,
+    bulkActionForm,
+    doctorAction,
+    auditLogAction
 };
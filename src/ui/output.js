@@ -0,0 +1,464 @@
+/**
+ * Sérialisation des données pour les sorties machine (JSON / YAML)
+ *
+ * Le schéma est documenté dans le README (section "Sortie JSON / YAML").
+ * Toute modification incompatible doit incrémenter OUTPUT_SCHEMA_VERSION.
+ */
+
+import YAML from 'yaml';
+
+/**
+ * Version du schéma des sorties machine
+ */
+export const OUTPUT_SCHEMA_VERSION = 1;
+
+/**
+ * Formats de sortie supportés
+ */
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml'];
+
+/**
+ * Convertit un timestamp (ms) ou une date en ISO 8601
+ * @param {number|string|null|undefined} value - Valeur à convertir
+ * @returns {string|null}
+ */
+function toIsoDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Construit l'enveloppe commune à toutes les sorties
+ * @param {string} kind - Type de document
+ * @param {object} data - Contenu
+ * @returns {object}
+ */
+function envelope(kind, data) {
+    return {
+        schemaVersion: OUTPUT_SCHEMA_VERSION,
+        kind,
+        generatedAt: new Date().toISOString(),
+        ...data
+    };
+}
+
+/**
+ * Sérialise la définition d'un service (project.json)
+ * @param {object} service - Service
+ * @returns {object}
+ */
+function serializeServiceDefinition(service) {
+    return {
+        name: service.name,
+        pm2Name: service.pm2Name || null,
+        directory: service.directory || null,
+        command: service.command || null,
+        setupCommands: service.setupCommands || [],
+        description: service.description || '',
+        port: service.port || null,
+        dataDirs: service.dataDirs || [],
+        pm2: service.pm2 || {},
+        createdAt: toIsoDate(service.createdAt),
+        updatedAt: toIsoDate(service.updatedAt)
+    };
+}
+
+/**
+ * Sérialise l'occupation disque d'un projet (quotas.getUsage)
+ * @param {object} usage - Occupation
+ * @returns {object}
+ */
+function serializeDiskUsage(usage) {
+    return {
+        usedBytes: usage.usedBytes,
+        limitBytes: usage.limitBytes,
+        percent: usage.percent,
+        status: usage.status,
+        enforced: usage.enforced
+    };
+}
+
+/**
+ * Sérialise une boucle de crash détectée par le watchdog (champ "crash")
+ * @param {object|null} crash - Boucle de crash
+ * @returns {object|null}
+ */
+function serializeCrash(crash) {
+    if (!crash) {
+        return null;
+    }
+
+    return {
+        detectedAt: toIsoDate(crash.detectedAt),
+        reason: crash.reason,
+        restarts: crash.restarts || 0,
+        logPath: crash.logPath || null
+    };
+}
+
+/**
+ * Sérialise l'état d'exécution d'un service (getServiceStatus)
+ * @param {object} status - Statut PM2 du service
+ * @returns {object}
+ */
+function serializeRuntime(status) {
+    return {
+        status: status.status || 'unknown',
+        pid: status.pid || null,
+        startedAt: toIsoDate(status.uptime),
+        restarts: status.restarts || 0,
+        memoryBytes: status.memory ?? null,
+        cpuPercent: status.cpu ?? null,
+        instances: status.instances ?? 0,
+        onlineInstances: status.onlineInstances ?? 0,
+        crash: serializeCrash(status.crash)
+    };
+}
+
+/**
+ * Sérialise les informations SFTP (getSftpUserInfo)
+ * @param {object|null} sftpInfo - Informations SFTP
+ * @returns {object|null}
+ */
+function serializeSftp(sftpInfo) {
+    if (!sftpInfo) {
+        return null;
+    }
+
+    return {
+        username: sftpInfo.username,
+        exists: sftpInfo.exists === true,
+        id: sftpInfo.info || null
+    };
+}
+
+/**
+ * Sérialise la liste des projets (listProjectsWithStatus)
+ * @param {Array} projectsWithStatus - Projets avec statut
+ * @returns {object}
+ */
+export function serializeProjectList(projectsWithStatus) {
+    return envelope('ProjectList', {
+        projects: projectsWithStatus.map(project => ({
+            name: project.name,
+            path: project.path || null,
+            sftpUser: project.sftpUser || null,
+            runUser: project.runUser || null,
+            sftpActive: project.sftpActive === true,
+            suspended: project.suspended === true,
+            suspendedAt: toIsoDate(project.suspendedAt),
+            tags: project.tags || [],
+            createdAt: toIsoDate(project.createdAt),
+            totalServices: project.totalServices,
+            runningServices: project.runningServices,
+            erroredServices: project.erroredServices || 0,
+            disk: project.disk ? serializeDiskUsage(project.disk) : null,
+            services: (project.services || []).map(serializeServiceDefinition)
+        }))
+    });
+}
+
+/**
+ * Sérialise le statut des services d'un projet (getAllServicesStatus)
+ * @param {string} projectName - Nom du projet
+ * @param {Array} servicesStatus - Services avec statut
+ * @returns {object}
+ */
+export function serializeServiceStatusList(projectName, servicesStatus) {
+    return envelope('ServiceStatusList', {
+        project: projectName,
+        services: servicesStatus.map(svc => ({
+            ...serializeServiceDefinition(svc),
+            runtime: serializeRuntime(svc)
+        }))
+    });
+}
+
+/**
+ * Sérialise le détail d'un projet
+ * @param {object} projectConfig - Configuration du projet (project.json)
+ * @param {object|null} sftpInfo - Informations SFTP
+ * @param {Array} servicesStatus - Services avec statut
+ * @returns {object}
+ */
+export function serializeProject(projectConfig, sftpInfo, servicesStatus) {
+    return envelope('Project', {
+        project: {
+            name: projectConfig.name,
+            path: projectConfig.path || null,
+            createdAt: toIsoDate(projectConfig.createdAt),
+            updatedAt: toIsoDate(projectConfig.updatedAt),
+            sftp: serializeSftp(sftpInfo),
+            runUser: projectConfig.runUser || null,
+            services: servicesStatus.map(svc => ({
+                ...serializeServiceDefinition(svc),
+                runtime: serializeRuntime(svc)
+            }))
+        }
+    });
+}
+
+/**
+ * Sérialise une action de plan
+ * @param {object} action - Action
+ * @returns {object}
+ */
+function serializeAction(action) {
+    return {
+        type: action.type,
+        project: action.project,
+        service: action.service || null,
+        changes: action.changes || null
+    };
+}
+
+/**
+ * Sérialise un plan de convergence (manifest.plan)
+ * @param {string} manifestPath - Chemin du manifeste
+ * @param {Array} actions - Actions
+ * @returns {object}
+ */
+export function serializePlan(manifestPath, actions) {
+    return envelope('Plan', {
+        manifest: manifestPath,
+        actions: actions.map(serializeAction)
+    });
+}
+
+/**
+ * Sérialise le résultat d'un apply (manifest.apply)
+ * @param {string} manifestPath - Chemin du manifeste
+ * @param {object} result - Résultat { applied, failed, skipped }
+ * @returns {object}
+ */
+export function serializeApplyResult(manifestPath, result) {
+    return envelope('ApplyResult', {
+        manifest: manifestPath,
+        success: result.failed === null,
+        applied: result.applied.map(serializeAction),
+        failed: result.failed
+            ? { ...serializeAction(result.failed.action), error: result.failed.error }
+            : null,
+        skipped: result.skipped.map(serializeAction)
+    });
+}
+
+/**
+ * Sérialise un rapport de diagnostic (doctor.diagnose)
+ * @param {Array} findings - Anomalies
+ * @param {Array} repairs - Réparations tentées { finding, error }
+ * @returns {object}
+ */
+export function serializeDoctorReport(findings, repairs = []) {
+    return envelope('DoctorReport', {
+        healthy: findings.length === 0,
+        findings: findings.map(finding => ({
+            check: finding.check,
+            severity: finding.severity,
+            target: finding.target,
+            message: finding.message,
+            repair: finding.repair ? finding.repair.description : null
+        })),
+        repairs: repairs.map(({ finding, error }) => ({
+            check: finding.check,
+            target: finding.target,
+            success: !error,
+            error: error || null
+        }))
+    });
+}
+
+/**
+ * Sérialise des entrées du journal d'audit (audit.readEntries)
+ * @param {Array} entries - Entrées
+ * @returns {object}
+ */
+export function serializeAuditLog(entries) {
+    return envelope('AuditLog', {
+        entries: entries.map(entry => ({
+            timestamp: toIsoDate(entry.timestamp),
+            operator: entry.operator,
+            source: entry.source,
+            operation: entry.operation,
+            project: entry.project ?? null,
+            target: entry.target ?? null,
+            args: entry.args || {},
+            result: entry.result,
+            error: entry.error || null,
+            durationMs: entry.durationMs
+        }))
+    });
+}
+
+/**
+ * Sérialise l'historique des sauvegardes d'un projet (backups.listSnapshots)
+ * @param {string} projectName - Nom du projet
+ * @param {object} settings - Réglages (backups.getBackupSettings)
+ * @param {Array} snapshots - Instantanés
+ * @returns {object}
+ */
+export function serializeBackupList(projectName, settings, snapshots) {
+    return envelope('BackupList', {
+        project: projectName,
+        settings: {
+            enabled: settings.enabled,
+            target: settings.target,
+            schedule: settings.schedule,
+            retention: settings.retention
+        },
+        snapshots: snapshots.map(snapshot => ({
+            id: snapshot.id,
+            createdAt: toIsoDate(snapshot.createdAt),
+            trigger: snapshot.trigger,
+            incremental: snapshot.incremental,
+            runningServices: snapshot.runningServices || [],
+            path: snapshot.path
+        }))
+    });
+}
+
+/**
+ * Sérialise un rapport d'occupation disque (quotas.report)
+ * @param {Array} entries - { project, ...usage }
+ * @returns {object}
+ */
+export function serializeQuotaReport(entries) {
+    return envelope('QuotaReport', {
+        projects: entries.map(entry => ({ project: entry.project, ...serializeDiskUsage(entry) }))
+    });
+}
+
+/**
+ * Sérialise le résultat d'une action groupée (bulk.runBulk)
+ * @param {string} action - Action exécutée
+ * @param {string} selector - Sélecteur de tags
+ * @param {Array} results - Résultats par projet
+ * @returns {object}
+ */
+export function serializeBulkResult(action, selector, results) {
+    return envelope('BulkResult', {
+        action,
+        selector,
+        projects: results.map(result => ({
+            project: result.project,
+            status: result.status,
+            message: result.message,
+            succeeded: result.succeeded,
+            failed: result.failed
+        }))
+    });
+}
+
+/**
+ * Sérialise les variables d'environnement d'un projet ou d'un service
+ * Les valeurs ne sont incluses que sur demande explicite ; celles des
+ * secrets ne le sont jamais.
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Service (null: variables partagées)
+ * @param {Array} variables - Variables (environment.listEnv)
+ * @param {boolean} showValues - Inclure les valeurs
+ * @returns {object}
+ */
+export function serializeEnvironment(projectName, serviceName, variables, showValues = false) {
+    return envelope('Environment', {
+        project: projectName,
+        service: serviceName,
+        variables: variables.map(variable => ({
+            name: variable.name,
+            value: showValues ? variable.value : null,
+            secret: variable.secret,
+            source: variable.source
+        }))
+    });
+}
+
+/**
+ * Sérialise les secrets d'un projet (noms et usages, jamais les valeurs)
+ * @param {string} projectName - Nom du projet
+ * @param {Array} entries - Secrets (secrets.listSecrets)
+ * @returns {object}
+ */
+export function serializeSecretList(projectName, entries) {
+    return envelope('SecretList', {
+        project: projectName,
+        secrets: entries.map(entry => ({
+            name: entry.name,
+            updatedAt: toIsoDate(entry.updatedAt),
+            usedBy: entry.usedBy
+        }))
+    });
+}
+
+/**
+ * Sérialise le registre des ports (ports.listAllocations)
+ * @param {object} range - Plage d'attribution { start, end }
+ * @param {Array} allocations - Ports attribués
+ * @returns {object}
+ */
+export function serializePortList(range, allocations) {
+    return envelope('PortList', {
+        range: { start: range.start, end: range.end },
+        ports: allocations.map(allocation => ({
+            port: allocation.port,
+            project: allocation.project,
+            service: allocation.service,
+            listening: allocation.listening,
+            allocatedAt: toIsoDate(allocation.allocatedAt)
+        }))
+    });
+}
+
+/**
+ * Sérialise le résultat d'un passage du watchdog (watchdog.runWatchdog)
+ * @param {boolean} scheduled - Watchdog planifié (cron.d)
+ * @param {Array} stopped - Services arrêtés { project, service, crash }
+ * @returns {object}
+ */
+export function serializeWatchdogReport(scheduled, stopped) {
+    return envelope('WatchdogReport', {
+        scheduled,
+        stopped: stopped.map(entry => ({
+            project: entry.project,
+            service: entry.service,
+            crash: serializeCrash(entry.crash)
+        }))
+    });
+}
+
+/**
+ * Convertit un document sérialisé dans le format demandé
+ * @param {object} document - Document sérialisé
+ * @param {string} format - json ou yaml
+ * @returns {string}
+ */
+export function render(document, format) {
+    if (format === 'yaml') {
+        return YAML.stringify(document);
+    }
+
+    return JSON.stringify(document, null, 2);
+}
+
+export default {
+    OUTPUT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    serializeProjectList,
+    serializeServiceStatusList,
+    serializeProject,
+    serializePlan,
+    serializeApplyResult,
+    serializeDoctorReport,
+    serializeAuditLog,
+    serializeBackupList,
+    serializeQuotaReport,
+    serializeBulkResult,
+    serializeEnvironment,
+    serializeSecretList,
+    serializePortList,
+    serializeWatchdogReport,
+    render
+};
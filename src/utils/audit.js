@@ -0,0 +1,224 @@
+/**
+ * Journal d'audit des actions d'administration
+ *
+ * Chaque opération qui modifie le serveur ajoute une ligne JSON à
+ * AUDIT_LOG_FILE: qui (SUDO_USER), quoi, sur quelle cible, avec quels
+ * arguments (secrets masqués), le résultat et la durée. Ce journal est
+ * distinct de manager.log, destiné au diagnostic.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AUDIT_LOG_FILE } from '../config/constants.js';
+import dryrun from './dryrun.js';
+import logger from './logger.js';
+import { toErrorObject } from './errors.js';
+
+// Clés dont la valeur n'est jamais écrite dans le journal
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|key/i;
+const REDACTED = '[masqué]';
+
+// Origine des actions du processus courant: cli, menu ou api
+let source = 'menu';
+
+/**
+ * Définit l'origine des actions enregistrées
+ * @param {string} value - cli, menu ou api
+ */
+export function setSource(value) {
+    source = value;
+}
+
+/**
+ * Détermine l'administrateur à l'origine de l'action
+ * @returns {string}
+ */
+function getOperator() {
+    if (process.env.SUDO_USER) {
+        return process.env.SUDO_USER;
+    }
+
+    try {
+        return os.userInfo().username;
+    } catch {
+        return process.env.USER || 'inconnu';
+    }
+}
+
+/**
+ * Copie une valeur en masquant les secrets (récursivement)
+ * @param {*} value - Valeur
+ * @param {string} key - Clé de la valeur dans son parent
+ * @returns {*}
+ */
+function redact(value, key = '') {
+    if (SECRET_KEY_PATTERN.test(key) && value !== undefined && value !== null) {
+        return REDACTED;
+    }
+
+    // Variables d'environnement: noms conservés, valeurs masquées
+    if (key === 'env' && value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(Object.keys(value).map(name => [name, REDACTED]));
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([, v]) => typeof v !== 'function')
+                .map(([k, v]) => [k, redact(v, k)])
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Ajoute une entrée au journal
+ * @param {object} entry - Entrée
+ */
+export function record(entry) {
+    // En simulation, rien n'est modifié: rien à auditer
+    if (dryrun.isEnabled()) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+        fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (error) {
+        logger.warn(`Impossible d'écrire le journal d'audit: ${error.message}`);
+    }
+}
+
+/**
+ * Enveloppe une fonction pour enregistrer chaque appel dans le journal
+ * Le résultat (valeur ou promesse) et les erreurs sont transmis tels quels.
+ * @param {string} operation - Nom de l'opération (ex: createProject)
+ * @param {Function} fn - Fonction à auditer (synchrone ou asynchrone)
+ * @param {Array<string>} argNames - Noms des arguments positionnels
+ * @param {object} options - Options
+ * @param {Function} options.target - (args nommés) → cible, par défaut projet/service
+ * @returns {Function}
+ */
+export function audited(operation, fn, argNames = [], { target } = {}) {
+    return function (...args) {
+        const startedAt = Date.now();
+        const named = Object.fromEntries(
+            argNames.map((name, i) => [name, args[i]]).filter(([, value]) => value !== undefined)
+        );
+        const project = named.projectName ?? named.oldName ?? null;
+
+        const finish = (error) => {
+            record({
+                timestamp: new Date(startedAt).toISOString(),
+                operator: getOperator(),
+                source,
+                operation,
+                project,
+                target: target
+                    ? target(named)
+                    : [project, named.serviceName].filter(Boolean).join('/') || null,
+                args: redact(named),
+                result: error ? 'failure' : 'success',
+                error: error ? toErrorObject(error) : null,
+                durationMs: Date.now() - startedAt
+            });
+        };
+
+        let result;
+        try {
+            result = fn.apply(this, args);
+        } catch (error) {
+            finish(error);
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.then(
+                value => {
+                    finish(null);
+                    return value;
+                },
+                error => {
+                    finish(error);
+                    throw error;
+                }
+            );
+        }
+
+        finish(null);
+        return result;
+    };
+}
+
+/**
+ * Analyse une borne de date de filtre (AAAA-MM-JJ ou ISO 8601)
+ * Une date sans heure utilisée comme fin couvre toute la journée.
+ * @param {string} value - Valeur saisie
+ * @param {boolean} endOfDay - Borne de fin
+ * @returns {Date|null} - null si la valeur est invalide
+ */
+export function parseDateBound(value, endOfDay = false) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Lit le journal en appliquant des filtres
+ * @param {object} filters - Filtres
+ * @param {string} [filters.project] - Projet
+ * @param {string} [filters.operator] - Administrateur
+ * @param {Date} [filters.since] - Date de début (incluse)
+ * @param {Date} [filters.until] - Date de fin (incluse)
+ * @param {number} [filters.limit] - Nombre maximal d'entrées (les plus récentes)
+ * @returns {Array<object>} - Entrées, de la plus ancienne à la plus récente
+ */
+export function readEntries({ project, operator, since, until, limit } = {}) {
+    let content;
+    try {
+        content = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            // Ligne tronquée (arrêt brutal pendant l'écriture)
+            continue;
+        }
+
+        const time = new Date(entry.timestamp);
+        if (project && entry.project !== project) continue;
+        if (operator && entry.operator !== operator) continue;
+        if (since && time < since) continue;
+        if (until && time > until) continue;
+
+        entries.push(entry);
+    }
+
+    return limit ? entries.slice(-limit) : entries;
+}
+
+export default {
+    setSource,
+    record,
+    audited,
+    parseDateBound,
+    readEntries
+};
@@ -0,0 +1,238 @@
+/**
+ * Mode simulation (--dry-run)
+ *
+ * Quand il est actif, les commandes système et les écritures de fichiers
+ * sont enregistrées au lieu d'être exécutées, pour afficher ensuite un plan
+ * ordonné avec les diffs des fichiers modifiés.
+ */
+
+import chalk from 'chalk';
+
+// Contexte de diff (lignes) et taille maximale comparée ligne à ligne
+const DIFF_CONTEXT = 3;
+const DIFF_MAX_CELLS = 4000000;
+
+let enabled = false;
+let operations = [];
+
+/**
+ * Active le mode simulation
+ */
+export function enable() {
+    enabled = true;
+}
+
+/**
+ * Indique si le mode simulation est actif
+ * @returns {boolean}
+ */
+export function isEnabled() {
+    return enabled;
+}
+
+/**
+ * Enregistre une opération simulée
+ * @param {object} operation - { type: command|write|mkdir|chmod|chown|copy|remove, ... }
+ */
+export function record(operation) {
+    operations.push(operation);
+}
+
+/**
+ * Renvoie les opérations enregistrées
+ * @returns {Array}
+ */
+export function getOperations() {
+    return [...operations];
+}
+
+/**
+ * Vide la liste des opérations enregistrées
+ */
+export function clear() {
+    operations = [];
+}
+
+/**
+ * Calcule les différences ligne à ligne (plus longue sous-séquence commune)
+ * @param {Array<string>} a - Lignes d'origine
+ * @param {Array<string>} b - Nouvelles lignes
+ * @returns {Array<{type: string, text: string}>}
+ */
+function diffLines(a, b) {
+    // Fichiers trop gros: remplacement complet
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        return [
+            ...a.map(text => ({ type: '-', text })),
+            ...b.map(text => ({ type: '+', text }))
+        ];
+    }
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: ' ', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: '-', text: a[i++] });
+        } else {
+            result.push({ type: '+', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: '-', text: a[i++] });
+    while (j < b.length) result.push({ type: '+', text: b[j++] });
+
+    return result;
+}
+
+/**
+ * Génère un diff unifié entre deux contenus
+ * @param {string} filePath - Chemin du fichier
+ * @param {string|null} before - Contenu actuel (null: fichier absent)
+ * @param {string} after - Nouveau contenu
+ * @returns {string} - Diff (vide si identique)
+ */
+export function unifiedDiff(filePath, before, after) {
+    const a = before === null || before === '' ? [] : before.replace(/\n$/, '').split('\n');
+    const b = after === '' ? [] : after.replace(/\n$/, '').split('\n');
+    const ops = diffLines(a, b);
+
+    // Numérotation des lignes pour les en-têtes de blocs
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    const changed = ops.map((op, index) => op.type !== ' ' ? index : -1).filter(index => index >= 0);
+    if (changed.length === 0) {
+        return '';
+    }
+
+    const lines = [
+        `--- ${before === null ? '/dev/null' : `a${filePath}`}`,
+        `+++ b${filePath}`
+    ];
+
+    let k = 0;
+    while (k < changed.length) {
+        const start = Math.max(0, changed[k] - DIFF_CONTEXT);
+        let end = Math.min(ops.length - 1, changed[k] + DIFF_CONTEXT);
+
+        // Fusionner les changements proches dans le même bloc
+        while (k + 1 < changed.length && changed[k + 1] - DIFF_CONTEXT <= end + 1) {
+            k++;
+            end = Math.min(ops.length - 1, changed[k] + DIFF_CONTEXT);
+        }
+        k++;
+
+        const hunk = ops.slice(start, end + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+        const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const op of hunk) {
+            lines.push(`${op.type}${op.text}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Colore un diff unifié
+ * @param {string} diff - Diff
+ * @returns {string}
+ */
+function colorizeDiff(diff) {
+    return diff.split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return chalk.gray(line);
+    }).join('\n');
+}
+
+/**
+ * Décrit une opération en une ligne
+ * @param {object} operation - Opération
+ * @returns {string}
+ */
+function describeOperation(operation) {
+    switch (operation.type) {
+        case 'command':
+            return `$ ${operation.command}${operation.cwd ? chalk.gray(`  (dans ${operation.cwd})`) : ''}`;
+        case 'write':
+            return `${operation.before === null ? 'créer' : 'modifier'} ${operation.path}`;
+        case 'mkdir':
+            return `créer le dossier ${operation.path}`;
+        case 'chmod':
+            return `chmod ${operation.mode} ${operation.path}`;
+        case 'chown':
+            return `chown ${operation.owner} ${operation.path}`;
+        case 'copy':
+            return `copier ${operation.from} → ${operation.to}`;
+        case 'remove':
+            return `supprimer ${operation.path}`;
+        case 'rename':
+            return `renommer ${operation.from} → ${operation.to}`;
+        default:
+            return JSON.stringify(operation);
+    }
+}
+
+/**
+ * Met en forme le plan des opérations enregistrées
+ * @returns {string}
+ */
+export function formatPlan() {
+    if (operations.length === 0) {
+        return chalk.yellow('[simulation] Aucune modification du système.');
+    }
+
+    const lines = [chalk.bold.yellow(`[simulation] ${operations.length} opération(s) qui seraient effectuées:`), ''];
+
+    operations.forEach((operation, index) => {
+        lines.push(`${chalk.yellow(String(index + 1).padStart(3))}. ${describeOperation(operation)}`);
+
+        if (operation.type === 'write') {
+            const diff = unifiedDiff(operation.path, operation.before, operation.after);
+            if (diff) {
+                lines.push(colorizeDiff(diff).split('\n').map(line => '       ' + line).join('\n'));
+            } else {
+                lines.push(chalk.gray('       (contenu identique)'));
+            }
+        }
+    });
+
+    return lines.join('\n');
+}
+
+export default {
+    enable,
+    isEnabled,
+    record,
+    getOperations,
+    clear,
+    unifiedDiff,
+    formatPlan
+};
@@ -0,0 +1,104 @@
+/**
+ * Erreurs typées de l'outil
+ *
+ * Chaque erreur porte un code stable (exploitable par l'API et les scripts)
+ * en plus du message lisible.
+ */
+
+/**
+ * Codes d'erreur stables
+ */
+export const ERROR_CODES = {
+    validation: 'VALIDATION_ERROR',
+    notFound: 'NOT_FOUND',
+    conflict: 'CONFLICT',
+    commandFailed: 'COMMAND_FAILED',
+    unauthorized: 'UNAUTHORIZED',
+    forbidden: 'FORBIDDEN',
+    methodNotAllowed: 'METHOD_NOT_ALLOWED',
+    notSupported: 'NOT_SUPPORTED',
+    corrupted: 'CONFIG_CORRUPTED',
+    internal: 'INTERNAL_ERROR'
+};
+
+/**
+ * Erreur métier avec code
+ */
+export class ManagerError extends Error {
+    /**
+     * @param {string} code - Code d'erreur (ERROR_CODES)
+     * @param {string} message - Message lisible
+     * @param {object|null} details - Informations complémentaires
+     */
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'ManagerError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Erreur de validation d'une entrée
+ * @param {string} message - Message
+ * @param {object|null} details - Détails (ex: { field })
+ * @returns {ManagerError}
+ */
+export function validationError(message, details = null) {
+    return new ManagerError(ERROR_CODES.validation, message, details);
+}
+
+/**
+ * Ressource introuvable
+ * @param {string} message - Message
+ * @param {object|null} details - Détails
+ * @returns {ManagerError}
+ */
+export function notFoundError(message, details = null) {
+    return new ManagerError(ERROR_CODES.notFound, message, details);
+}
+
+/**
+ * Ressource déjà existante ou état incompatible
+ * @param {string} message - Message
+ * @param {object|null} details - Détails
+ * @returns {ManagerError}
+ */
+export function conflictError(message, details = null) {
+    return new ManagerError(ERROR_CODES.conflict, message, details);
+}
+
+/**
+ * Échec d'une commande système (PM2, useradd, sshd...)
+ * @param {string} message - Message
+ * @param {object|null} details - Détails
+ * @returns {ManagerError}
+ */
+export function commandError(message, details = null) {
+    return new ManagerError(ERROR_CODES.commandFailed, message, details);
+}
+
+/**
+ * Convertit n'importe quelle erreur en objet sérialisable
+ * @param {Error} error - Erreur
+ * @returns {{code: string, message: string, details: object|null}}
+ */
+export function toErrorObject(error) {
+    return {
+        code: error.code && Object.values(ERROR_CODES).includes(error.code)
+            ? error.code
+            : ERROR_CODES.internal,
+        message: error.message,
+        details: error.details || null
+    };
+}
+
+export default {
+    ERROR_CODES,
+    ManagerError,
+    validationError,
+    notFoundError,
+    conflictError,
+    commandError,
+    toErrorObject
+};
@@ -0,0 +1,191 @@
+/**
+ * Opérations sur les fichiers du système
+ *
+ * Toutes les écritures des modules passent par ici pour être simulées
+ * en mode --dry-run. En simulation, les lectures voient les fichiers
+ * « écrits » précédemment, afin que le plan reste cohérent.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dryrun from './dryrun.js';
+
+// Contenus simulés: chemin → contenu (null si supprimé)
+const overlay = new Map();
+const createdDirs = new Set();
+
+/**
+ * Lit un fichier texte
+ * @param {string} filePath - Chemin
+ * @returns {string}
+ */
+export function readFile(filePath) {
+    if (overlay.has(filePath)) {
+        const content = overlay.get(filePath);
+        if (content === null) {
+            const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return content;
+    }
+
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Indique si un chemin existe
+ * @param {string} targetPath - Chemin
+ * @returns {boolean}
+ */
+export function exists(targetPath) {
+    if (overlay.has(targetPath)) {
+        return overlay.get(targetPath) !== null;
+    }
+    if (createdDirs.has(targetPath)) {
+        return true;
+    }
+    return fs.existsSync(targetPath);
+}
+
+/**
+ * Écrit un fichier texte
+ * @param {string} filePath - Chemin
+ * @param {string} content - Contenu
+ * @param {number} [mode] - Permissions à la création (ex: 0o600)
+ */
+export function writeFile(filePath, content, mode = 0o644) {
+    if (dryrun.isEnabled()) {
+        let before = null;
+        try {
+            before = readFile(filePath);
+        } catch {
+            // Nouveau fichier
+        }
+        dryrun.record({ type: 'write', path: filePath, before, after: content });
+        overlay.set(filePath, content);
+        return;
+    }
+
+    fs.writeFileSync(filePath, content, { mode });
+}
+
+/**
+ * Écrit un fichier de manière atomique (fichier temporaire puis rename)
+ * Un lecteur voit soit l'ancien contenu, soit le nouveau, jamais un
+ * fichier tronqué, même en cas d'arrêt brutal pendant l'écriture.
+ * @param {string} filePath - Chemin
+ * @param {string} content - Contenu
+ * @param {number} [mode] - Permissions du fichier écrit (ex: 0o600)
+ */
+export function writeFileAtomic(filePath, content, mode = 0o644) {
+    if (dryrun.isEnabled()) {
+        writeFile(filePath, content, mode);
+        return;
+    }
+
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp-${process.pid}`);
+
+    try {
+        const fd = fs.openSync(tempPath, 'w', mode);
+        try {
+            fs.writeFileSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Crée un dossier (et ses parents)
+ * @param {string} dirPath - Chemin
+ */
+export function mkdir(dirPath) {
+    if (dryrun.isEnabled()) {
+        if (!exists(dirPath)) {
+            dryrun.record({ type: 'mkdir', path: dirPath });
+            createdDirs.add(dirPath);
+        }
+        return;
+    }
+
+    fs.mkdirSync(dirPath, { recursive: true });
+}
+
+/**
+ * Modifie les permissions d'un fichier
+ * @param {string} targetPath - Chemin
+ * @param {string} mode - Mode octal (ex: '755')
+ */
+export function chmod(targetPath, mode) {
+    if (dryrun.isEnabled()) {
+        dryrun.record({ type: 'chmod', path: targetPath, mode });
+        return;
+    }
+
+    fs.chmodSync(targetPath, mode);
+}
+
+/**
+ * Copie un fichier
+ * @param {string} from - Source
+ * @param {string} to - Destination
+ */
+export function copyFile(from, to) {
+    if (dryrun.isEnabled()) {
+        dryrun.record({ type: 'copy', from, to });
+        return;
+    }
+
+    fs.copyFileSync(from, to);
+}
+
+/**
+ * Renomme ou déplace un fichier ou un dossier
+ * @param {string} from - Source
+ * @param {string} to - Destination
+ */
+export function rename(from, to) {
+    if (dryrun.isEnabled()) {
+        dryrun.record({ type: 'rename', from, to });
+        if (overlay.has(from)) {
+            overlay.set(to, overlay.get(from));
+        }
+        overlay.set(from, null);
+        return;
+    }
+
+    fs.renameSync(from, to);
+}
+
+/**
+ * Supprime un fichier ou un dossier (récursivement)
+ * @param {string} targetPath - Chemin
+ */
+export function remove(targetPath) {
+    if (dryrun.isEnabled()) {
+        dryrun.record({ type: 'remove', path: targetPath });
+        overlay.set(targetPath, null);
+        createdDirs.delete(targetPath);
+        return;
+    }
+
+    fs.rmSync(targetPath, { recursive: true, force: true });
+}
+
+export default {
+    readFile,
+    exists,
+    writeFile,
+    writeFileAtomic,
+    mkdir,
+    chmod,
+    copyFile,
+    rename,
+    remove
+};
@@ -10,6 +10,29 @@ import path from 'path';
 const LOG_DIR = '/var/log/nodejs-project-manager';
 const LOG_FILE = path.join(LOG_DIR, 'manager.log');
 
+// Les messages sont écrits sur stderr quand stdout est réservé à une sortie machine
+let useStderr = false;
+
+/**
+ * Redirige l'affichage des messages vers stderr
+ * @param {boolean} enabled - Activer la redirection
+ */
+export function redirectToStderr(enabled = true) {
+    useStderr = enabled;
+}
+
+/**
+ * Affiche une ligne sur la console
+ * @param {string} line - Ligne à afficher
+ */
+function print(line) {
+    if (useStderr) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
 /**
  * Initialise le dossier de logs
  */
@@ -43,7 +66,7 @@ function writeToFile(level, message) {
  * @param {string} message - Message à afficher
  */
 export function info(message) {
-    console.log(chalk.cyan('ℹ ') + message);
+    print(chalk.cyan('ℹ ') + message);
     writeToFile('INFO', message);
 }
 
@@ -52,7 +75,7 @@ export function info(message) {
  * @param {string} message - Message à afficher
  */
 export function success(message) {
-    console.log(chalk.green('✔ ') + message);
+    print(chalk.green('✔ ') + message);
     writeToFile('INFO', message);
 }
 
@@ -61,7 +84,7 @@ export function success(message) {
  * @param {string} message - Message à afficher
  */
 export function error(message) {
-    console.log(chalk.red('✖ ') + message);
+    print(chalk.red('✖ ') + message);
     writeToFile('ERROR', message);
 }
 
@@ -70,7 +93,7 @@ export function error(message) {
  * @param {string} message - Message à afficher
  */
 export function warn(message) {
-    console.log(chalk.yellow('⚠ ') + message);
+    print(chalk.yellow('⚠ ') + message);
     writeToFile('WARN', message);
 }
 
@@ -81,7 +104,7 @@ export function warn(message) {
 export function debug(message) {
     writeToFile('DEBUG', message);
     if (process.env.DEBUG) {
-        console.log(chalk.gray('🔍 ') + message);
+        print(chalk.gray('🔍 ') + message);
     }
 }
 
@@ -90,18 +113,19 @@ export function debug(message) {
  * @param {string} title - Titre de la section
  */
 export function section(title) {
-    console.log('\n' + chalk.bold.blue('═══ ' + title + ' ═══') + '\n');
+    print('\n' + chalk.bold.blue('═══ ' + title + ' ═══') + '\n');
 }
 
 /**
  * Affiche une ligne vide
  */
 export function newline() {
-    console.log('');
+    print('');
 }
 
 export default {
     initLogDir,
+    redirectToStderr,
     info,
     success,
     error,
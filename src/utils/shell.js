@@ -2,29 +2,60 @@
  * Module d'exécution de commandes shell
  */
 
-import { exec, execSync, spawn } from 'child_process';
+import { exec, execSync, execFileSync, spawn } from 'child_process';
 import { promisify } from 'util';
 import logger from './logger.js';
+import dryrun from './dryrun.js';
+import { commandError } from './errors.js';
 
 const execAsync = promisify(exec);
 
+/**
+ * Sépare les options propres à l'outil des options de child_process
+ * - readOnly: la commande ne modifie rien et s'exécute même en simulation
+ * - displayCommand: texte affiché/loggé à la place de la commande (secrets masqués)
+ * @param {string} command - Commande
+ * @param {object} options - Options
+ * @returns {{readOnly: boolean, display: string, execOptions: object}}
+ */
+function splitOptions(command, options) {
+    const { readOnly = false, displayCommand, ...execOptions } = options;
+    return { readOnly, display: displayCommand || command, execOptions };
+}
+
+/**
+ * Protège une valeur (chemin, nom) pour l'inclure dans une commande shell
+ * @param {string} value - Valeur
+ * @returns {string} - Valeur entre apostrophes
+ */
+export function quote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
 /**
  * Exécute une commande shell de manière synchrone
  * @param {string} command - Commande à exécuter
- * @param {object} options - Options d'exécution
+ * @param {object} options - Options d'exécution (+ readOnly, displayCommand)
  * @returns {string} - Sortie de la commande
  */
 export function execSyncSafe(command, options = {}) {
+    const { readOnly, display, execOptions } = splitOptions(command, options);
+
+    if (dryrun.isEnabled() && !readOnly) {
+        dryrun.record({ type: 'command', command: display, cwd: execOptions.cwd || null });
+        return '';
+    }
+
     try {
-        logger.debug(`Executing: ${command}`);
+        logger.debug(`Executing: ${display}`);
         const result = execSync(command, {
             encoding: 'utf8',
             stdio: ['pipe', 'pipe', 'pipe'],
-            ...options
+            ...execOptions
         });
         return result.trim();
     } catch (error) {
-        logger.debug(`Command failed: ${command} - ${error.message}`);
+        logger.debug(`Command failed: ${display} - ${error.message}`);
         throw error;
     }
 }
@@ -32,19 +63,57 @@ export function execSyncSafe(command, options = {}) {
 /**
  * Exécute une commande shell de manière asynchrone
  * @param {string} command - Commande à exécuter
- * @param {object} options - Options d'exécution
+ * @param {object} options - Options d'exécution (+ readOnly, displayCommand)
  * @returns {Promise<{stdout: string, stderr: string}>}
  */
 export async function execCommand(command, options = {}) {
+    const { readOnly, display, execOptions } = splitOptions(command, options);
+
+    if (dryrun.isEnabled() && !readOnly) {
+        dryrun.record({ type: 'command', command: display, cwd: execOptions.cwd || null });
+        return { stdout: '', stderr: '' };
+    }
+
     try {
-        logger.debug(`Executing async: ${command}`);
+        logger.debug(`Executing async: ${display}`);
         const { stdout, stderr } = await execAsync(command, {
             encoding: 'utf8',
-            ...options
+            ...execOptions
         });
         return { stdout: stdout.trim(), stderr: stderr.trim() };
     } catch (error) {
-        logger.debug(`Async command failed: ${command} - ${error.message}`);
+        logger.debug(`Async command failed: ${display} - ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Exécute un programme sans passer par un shell
+ * Ni les arguments ni l'entrée standard (option input) ne sont interprétés:
+ * à utiliser pour toute valeur fournie par l'utilisateur (mots de passe).
+ * @param {string} file - Programme
+ * @param {Array<string>} args - Arguments
+ * @param {object} options - Options d'exécution (+ readOnly, displayCommand)
+ * @returns {string} - Sortie du programme
+ */
+export function execFileSafe(file, args = [], options = {}) {
+    const { readOnly, display, execOptions } = splitOptions([file, ...args].join(' '), options);
+
+    if (dryrun.isEnabled() && !readOnly) {
+        dryrun.record({ type: 'command', command: display, cwd: execOptions.cwd || null });
+        return '';
+    }
+
+    try {
+        logger.debug(`Executing: ${display}`);
+        const result = execFileSync(file, args, {
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+            ...execOptions
+        });
+        return result.trim();
+    } catch (error) {
+        logger.debug(`Command failed: ${display} - ${error.message}`);
         throw error;
     }
 }
@@ -56,7 +125,7 @@ export async function execCommand(command, options = {}) {
  */
 export function commandExists(command) {
     try {
-        execSyncSafe(`which ${command}`);
+        execSyncSafe(`which ${command}`, { readOnly: true });
         return true;
     } catch {
         return false;
@@ -69,7 +138,7 @@ export function commandExists(command) {
  */
 export function isRoot() {
     try {
-        const uid = execSyncSafe('id -u');
+        const uid = execSyncSafe('id -u', { readOnly: true });
         return uid === '0';
     } catch {
         return false;
@@ -83,7 +152,7 @@ export function isRoot() {
  */
 export function userExists(username) {
     try {
-        execSyncSafe(`id ${username}`);
+        execSyncSafe(`id ${username}`, { readOnly: true });
         return true;
     } catch {
         return false;
@@ -97,7 +166,7 @@ export function userExists(username) {
  */
 export function groupExists(groupname) {
     try {
-        execSyncSafe(`getent group ${groupname}`);
+        execSyncSafe(`getent group ${groupname}`, { readOnly: true });
         return true;
     } catch {
         return false;
@@ -118,7 +187,7 @@ export async function restartSSH() {
             await execCommand('systemctl restart ssh');
             logger.success('Service SSH redémarré');
         } catch (e) {
-            throw new Error(`Impossible de redémarrer SSH: ${e.message}`);
+            throw commandError(`Impossible de redémarrer SSH: ${e.message}`);
         }
     }
 }
@@ -140,14 +209,28 @@ export async function testSSHConfig() {
 /**
  * Exécute une commande PM2
  * @param {string} args - Arguments PM2
+ * @param {object} options - Options d'exécution (ex: env, displayCommand)
  * @returns {Promise<string>}
  */
-export async function pm2Command(args) {
+export async function pm2Command(args, options = {}) {
     try {
-        const { stdout } = await execCommand(`pm2 ${args}`);
+        const { stdout } = await execCommand(`pm2 ${args}`, options);
         return stdout;
     } catch (error) {
-        throw new Error(`Erreur PM2: ${error.message}`);
+        throw commandError(`Erreur PM2: ${error.message}`);
+    }
+}
+
+/**
+ * Liste les processus PM2 (pm2 jlist)
+ * @returns {Promise<Array>} - Liste vide si PM2 est indisponible
+ */
+export async function listPm2Processes() {
+    try {
+        const { stdout } = await execCommand('pm2 jlist', { readOnly: true });
+        return JSON.parse(stdout);
+    } catch {
+        return [];
     }
 }
 
@@ -157,13 +240,8 @@ export async function pm2Command(args) {
  * @returns {Promise<object|null>}
  */
 export async function getPm2ProcessStatus(processName) {
-    try {
-        const { stdout } = await execCommand('pm2 jlist');
-        const processes = JSON.parse(stdout);
-        return processes.find(p => p.name === processName) || null;
-    } catch {
-        return null;
-    }
+    const processes = await listPm2Processes();
+    return processes.find(p => p.name === processName) || null;
 }
 
 /**
@@ -174,16 +252,18 @@ export async function getPm2ProcessStatus(processName) {
  */
 export async function getPm2Logs(processName, lines = 50) {
     try {
-        const { stdout } = await execCommand(`pm2 logs ${processName} --nostream --lines ${lines}`);
+        const { stdout } = await execCommand(`pm2 logs ${processName} --nostream --lines ${lines}`, { readOnly: true });
         return stdout;
     } catch (error) {
-        throw new Error(`Impossible de récupérer les logs: ${error.message}`);
+        throw commandError(`Impossible de récupérer les logs: ${error.message}`);
     }
 }
 
 export default {
+    quote,
     execSyncSafe,
     execCommand,
+    execFileSafe,
     commandExists,
     isRoot,
     userExists,
@@ -191,6 +271,7 @@ export default {
     restartSSH,
     testSSHConfig,
     pm2Command,
+    listPm2Processes,
     getPm2ProcessStatus,
     getPm2Logs
 };
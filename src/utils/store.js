@@ -0,0 +1,291 @@
+/**
+ * Persistance des fichiers de configuration JSON
+ *
+ * - Écritures atomiques (fichier temporaire puis rename)
+ * - Copie de la dernière version valide (<fichier>.bak) avant chaque écriture
+ * - Détection d'un fichier corrompu et restauration depuis cette copie
+ * - Verrou consultatif autour des cycles lecture-modification-écriture
+ *
+ * Le verrou est réentrant pour le contexte asynchrone qui le détient
+ * (AsyncLocalStorage): dans le démon, une autre requête ou le watchdog attend
+ * sa libération au lieu de le traverser. withLockSync ne peut pas attendre un
+ * détenteur du même processus sans le bloquer: le démon prend donc le verrou
+ * avec withLock autour de chaque opération.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { TOOL_CONFIG_PATH } from '../config/constants.js';
+import files from './files.js';
+import dryrun from './dryrun.js';
+import logger from './logger.js';
+import { ManagerError, ERROR_CODES, conflictError } from './errors.js';
+
+// Verrou unique pour projects.json et tous les project.json
+const LOCK_PATH = path.join(TOOL_CONFIG_PATH, 'config.lock');
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_RETRY_MS = 100;
+
+// Contexte détenteur du verrou dans ce processus (null: verrou libre)
+const lockContext = new AsyncLocalStorage();
+let holder = null;
+
+/**
+ * Chemin de la copie de secours d'un fichier
+ * @param {string} filePath - Chemin du fichier
+ * @returns {string}
+ */
+function backupPath(filePath) {
+    return `${filePath}.bak`;
+}
+
+/**
+ * Lit et analyse un fichier JSON sans gérer la corruption
+ * @param {string} filePath - Chemin
+ * @returns {object}
+ */
+function parseJsonFile(filePath) {
+    const data = files.readFile(filePath);
+    const parsed = JSON.parse(data);
+
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new SyntaxError('le contenu n\'est pas un objet JSON');
+    }
+
+    return parsed;
+}
+
+/**
+ * Charge un fichier JSON, en restaurant la dernière copie valide s'il est corrompu
+ * @param {string} filePath - Chemin
+ * @param {object|null} fallback - Valeur si le fichier n'existe pas
+ * @returns {object|null}
+ */
+export function loadJson(filePath, fallback = null) {
+    if (!files.exists(filePath)) {
+        return fallback;
+    }
+
+    try {
+        return parseJsonFile(filePath);
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+            // Erreur de lecture (droits...), pas une corruption
+            throw error;
+        }
+        logger.error(`Fichier corrompu: ${filePath} (${error.message})`);
+    }
+
+    const backup = backupPath(filePath);
+    let recovered;
+
+    try {
+        recovered = parseJsonFile(backup);
+    } catch (error) {
+        throw new ManagerError(
+            ERROR_CODES.corrupted,
+            `${filePath} est corrompu et aucune copie valide n'est disponible (${backup})`,
+            { file: filePath, backup }
+        );
+    }
+
+    // Conserver le fichier corrompu pour analyse, puis restaurer la copie
+    const corruptedPath = `${filePath}.corrupted-${Date.now()}`;
+    files.copyFile(filePath, corruptedPath);
+    files.writeFileAtomic(filePath, files.readFile(backup));
+
+    logger.warn(`${filePath} restauré depuis ${backup} (fichier corrompu conservé: ${corruptedPath})`);
+    return recovered;
+}
+
+/**
+ * Sauvegarde un objet en JSON de manière atomique
+ * La version actuelle, si elle est valide, devient la copie de secours.
+ * @param {string} filePath - Chemin
+ * @param {object} data - Données
+ * @param {number} [mode] - Permissions du fichier (la copie de secours conserve celles de l'original)
+ */
+export function saveJson(filePath, data, mode = 0o644) {
+    if (files.exists(filePath)) {
+        try {
+            parseJsonFile(filePath);
+            files.copyFile(filePath, backupPath(filePath));
+        } catch {
+            // Ne jamais écraser une copie valide par un fichier corrompu
+            logger.warn(`${filePath} invalide: copie de secours non mise à jour`);
+        }
+    }
+
+    files.writeFileAtomic(filePath, JSON.stringify(data, null, 2), mode);
+}
+
+/**
+ * Attend de manière synchrone
+ * @param {number} ms - Durée en millisecondes
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Indique si le verrou est détenu par un processus disparu
+ * @returns {boolean}
+ */
+function isLockStale() {
+    let pid;
+    try {
+        pid = parseInt(fs.readFileSync(LOCK_PATH, 'utf8'), 10);
+    } catch {
+        // Verrou supprimé entre-temps, ou en cours d'écriture
+        return false;
+    }
+
+    if (!Number.isInteger(pid)) {
+        return false;
+    }
+
+    // Verrou à notre nom mais plus détenu: reste d'une exécution interrompue
+    if (pid === process.pid) {
+        return holder === null;
+    }
+
+    try {
+        process.kill(pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+/**
+ * Tente de prendre le verrou
+ * @returns {boolean}
+ */
+function tryAcquire() {
+    try {
+        fs.mkdirSync(TOOL_CONFIG_PATH, { recursive: true });
+        fs.writeFileSync(LOCK_PATH, String(process.pid), { flag: 'wx' });
+        return true;
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+    }
+
+    if (isLockStale()) {
+        logger.warn(`Verrou abandonné supprimé: ${LOCK_PATH}`);
+        fs.rmSync(LOCK_PATH, { force: true });
+    }
+
+    return false;
+}
+
+/**
+ * Erreur levée quand le verrou n'a pas pu être obtenu
+ * @returns {ManagerError}
+ */
+function lockTimeoutError() {
+    let holder = 'inconnu';
+    try {
+        holder = fs.readFileSync(LOCK_PATH, 'utf8').trim();
+    } catch {
+        // Ignorer
+    }
+
+    return conflictError(
+        `La configuration est verrouillée par un autre processus (PID ${holder}). Réessayez plus tard.`,
+        { lock: LOCK_PATH, pid: holder }
+    );
+}
+
+/**
+ * Indique si le contexte asynchrone courant détient le verrou
+ * @returns {boolean}
+ */
+function ownsLock() {
+    return holder !== null && lockContext.getStore() === holder;
+}
+
+/**
+ * Libère le verrou
+ */
+function release() {
+    holder = null;
+    fs.rmSync(LOCK_PATH, { force: true });
+}
+
+// Ne pas laisser de verrou derrière un process.exit()
+process.on('exit', () => {
+    if (holder !== null) {
+        fs.rmSync(LOCK_PATH, { force: true });
+    }
+});
+
+/**
+ * Exécute une fonction synchrone sous le verrou de configuration
+ * Un verrou détenu par un autre processus est attendu de manière bloquante
+ * (outil en ligne de commande); détenu par un autre contexte de ce
+ * processus, il ne peut pas se libérer pendant l'attente: conflit immédiat.
+ * @param {Function} fn - Fonction (cycle lecture-modification-écriture)
+ * @returns {*} - Résultat de fn
+ */
+export function withLockSync(fn) {
+    // En simulation, rien n'est écrit: inutile de verrouiller
+    if (dryrun.isEnabled() || ownsLock()) {
+        return fn();
+    }
+
+    if (holder !== null) {
+        throw conflictError('La configuration est en cours de modification. Réessayez plus tard.', { lock: LOCK_PATH });
+    }
+
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (!tryAcquire()) {
+        if (Date.now() > deadline) {
+            throw lockTimeoutError();
+        }
+        sleepSync(LOCK_RETRY_MS);
+    }
+
+    holder = {};
+    try {
+        return lockContext.run(holder, fn);
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Exécute une fonction asynchrone sous le verrou de configuration
+ * @param {Function} fn - Fonction asynchrone (cycle lecture-modification-écriture)
+ * @returns {Promise<*>} - Résultat de fn
+ */
+export async function withLock(fn) {
+    if (dryrun.isEnabled() || ownsLock()) {
+        return fn();
+    }
+
+    // Attente sans bloquer: libération par un autre contexte ou un autre processus
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (holder !== null || !tryAcquire()) {
+        if (Date.now() > deadline) {
+            throw lockTimeoutError();
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    holder = {};
+    try {
+        return await lockContext.run(holder, fn);
+    } finally {
+        release();
+    }
+}
+
+export default {
+    loadJson,
+    saveJson,
+    withLockSync,
+    withLock
+};
@@ -0,0 +1,111 @@
+/**
+ * Exécution transactionnelle d'une suite d'étapes
+ *
+ * Chaque étape déclare une action de compensation. En cas d'échec, les
+ * étapes déjà terminées sont annulées dans l'ordre inverse et un rapport
+ * indique précisément ce qui a été annulé ou non.
+ */
+
+import logger from './logger.js';
+import { ManagerError, toErrorObject } from './errors.js';
+
+/**
+ * Erreur levée quand une transaction échoue
+ * details: { operation, failedStep, reverted, notReverted }
+ */
+export class TransactionError extends ManagerError {
+    constructor(cause, details) {
+        super(toErrorObject(cause).code, cause.message, details);
+        this.name = 'TransactionError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Exécute des étapes et les compense en cas d'échec
+ * @param {string} operation - Nom de l'opération (pour les logs et le rapport)
+ * @param {Array<object>} steps - Étapes:
+ *   - description {string}
+ *   - run {Function} - Action (peut être asynchrone)
+ *   - undo {Function|null} - Compensation (null: irréversible)
+ *   - undoOnFailure {boolean} - Compenser aussi si l'étape elle-même échoue
+ *     (étapes composées de plusieurs commandes, potentiellement à moitié appliquées)
+ * @returns {Promise<void>}
+ */
+export async function runTransaction(operation, steps) {
+    const completed = [];
+
+    for (const step of steps) {
+        try {
+            logger.debug(`[${operation}] ${step.description}`);
+            await step.run();
+            completed.push(step);
+        } catch (error) {
+            logger.error(`Échec de l'étape "${step.description}": ${error.message}`);
+
+            const toRevert = step.undoOnFailure ? [...completed, step] : completed;
+            const report = await rollback(toRevert.reverse());
+
+            logRollbackReport(report);
+
+            throw new TransactionError(error, {
+                operation,
+                failedStep: step.description,
+                reverted: report.reverted,
+                notReverted: report.notReverted
+            });
+        }
+    }
+}
+
+/**
+ * Annule des étapes (déjà dans l'ordre inverse)
+ * @param {Array<object>} steps - Étapes à annuler
+ * @returns {Promise<{reverted: Array<string>, notReverted: Array<{step: string, reason: string}>}>}
+ */
+async function rollback(steps) {
+    const reverted = [];
+    const notReverted = [];
+
+    for (const step of steps) {
+        if (!step.undo) {
+            notReverted.push({ step: step.description, reason: 'étape irréversible' });
+            continue;
+        }
+
+        try {
+            await step.undo();
+            reverted.push(step.description);
+        } catch (error) {
+            notReverted.push({ step: step.description, reason: error.message });
+        }
+    }
+
+    return { reverted, notReverted };
+}
+
+/**
+ * Affiche le rapport d'annulation
+ * @param {object} report - Rapport { reverted, notReverted }
+ */
+function logRollbackReport({ reverted, notReverted }) {
+    if (reverted.length === 0 && notReverted.length === 0) {
+        logger.info('Aucune étape à annuler');
+        return;
+    }
+
+    logger.warn('Annulation des étapes effectuées:');
+
+    for (const description of reverted) {
+        logger.info(`  ↺ annulé: ${description}`);
+    }
+
+    for (const { step, reason } of notReverted) {
+        logger.error(`  ✖ NON annulé: ${step} (${reason})`);
+    }
+}
+
+export default {
+    TransactionError,
+    runTransaction
+};
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { commandFromPm2 } from '../src/modules/adopt.js';
+
+test('commandFromPm2: script node relatif au dossier de travail', () => {
+    assert.equal(commandFromPm2({
+        pm_cwd: '/var/www/Vita/sites/api',
+        pm_exec_path: '/var/www/Vita/sites/api/server.js',
+        exec_interpreter: 'node',
+        args: ['--port', '3000']
+    }), 'node server.js --port 3000');
+});
+
+test('commandFromPm2: options de node conservées', () => {
+    assert.equal(commandFromPm2({
+        pm_cwd: '/var/www/Vita/sites/api',
+        pm_exec_path: '/var/www/Vita/sites/api/dist/main.js',
+        exec_interpreter: '/usr/bin/node',
+        node_args: ['--max-old-space-size=512']
+    }), 'node --max-old-space-size=512 dist/main.js');
+});
+
+test('commandFromPm2: gestionnaire de paquets reconnu', () => {
+    assert.equal(commandFromPm2({
+        pm_cwd: '/var/www/Vita/sites/worker',
+        pm_exec_path: '/usr/lib/node_modules/npm/bin/npm-cli.js',
+        exec_interpreter: 'node',
+        args: 'run worker'
+    }), 'npm run worker');
+});
+
+test('commandFromPm2: binaire hors du projet et arguments protégés', () => {
+    assert.equal(commandFromPm2({
+        pm_cwd: '/var/www/Vita/sites/bot',
+        pm_exec_path: '/usr/local/bin/bot',
+        exec_interpreter: 'none',
+        args: ['--name', "l'assistant"]
+    }), "/usr/local/bin/bot --name 'l'\\''assistant'");
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectRetained, isValidSchedule } from '../src/modules/backups.js';
+
+// Du plus récent au plus ancien (ordre de listSnapshots)
+const SNAPSHOTS = [
+    { id: 'a', createdAt: '2026-10-18T03:00:00.000Z' }, // dimanche, semaine 42
+    { id: 'b', createdAt: '2026-10-18T01:00:00.000Z' },
+    { id: 'c', createdAt: '2026-10-17T03:00:00.000Z' },
+    { id: 'd', createdAt: '2026-10-16T03:00:00.000Z' },
+    { id: 'e', createdAt: '2026-10-10T03:00:00.000Z' }, // semaine 41
+    { id: 'f', createdAt: '2026-10-03T03:00:00.000Z' }, // semaine 40
+    { id: 'g', createdAt: '2026-09-20T03:00:00.000Z' } // semaine 38
+];
+
+test('selectRetained: le plus récent de chaque jour et de chaque semaine', () => {
+    const kept = selectRetained(SNAPSHOTS, { daily: 2, weekly: 3 });
+    assert.deepEqual([...kept].sort(), ['a', 'c', 'e', 'f']);
+});
+
+test('selectRetained: les jours et semaines se recouvrent', () => {
+    const kept = selectRetained(SNAPSHOTS, { daily: 7, weekly: 1 });
+    assert.deepEqual([...kept].sort(), ['a', 'c', 'd', 'e', 'f', 'g']);
+});
+
+test('selectRetained: le dernier instantané est toujours conservé', () => {
+    assert.deepEqual([...selectRetained(SNAPSHOTS, { daily: 0, weekly: 0 })], ['a']);
+    assert.deepEqual([...selectRetained([], { daily: 7, weekly: 4 })], []);
+});
+
+test('isValidSchedule: cinq champs cron séparés par une espace', () => {
+    assert.equal(isValidSchedule('30 3 * * *'), true);
+    assert.equal(isValidSchedule('*/15 1-5 1,15 * 0'), true);
+});
+
+test('isValidSchedule: aucune autre ligne ni caractère ne peut atteindre cron.d', () => {
+    for (const schedule of [
+        '* * * *\n* * * * * root sh -c id',
+        '30 3 * * * root id',
+        '30  3 * * *',
+        '30\t3 * * *',
+        '@daily',
+        '30 3 * * mon',
+        '30 3 * * $(id)',
+        undefined
+    ]) {
+        assert.equal(isValidSchedule(schedule), false, JSON.stringify(schedule));
+    }
+});
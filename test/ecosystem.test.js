@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesApp } from '../src/modules/ecosystem.js';
+
+const APP = {
+    name: 'Vita-api',
+    cwd: '/var/www/Vita/sites/api',
+    script: 'server.js',
+    args: ['--port', '3000'],
+    out_file: '/var/log/pm2/Vita-api-out.log',
+    max_memory_restart: '300M',
+    kill_timeout: 5000
+};
+
+// Processus tel que décrit par pm2 jlist (valeurs par défaut de PM2 explicites)
+const pm2Process = (changes = {}) => ({
+    name: 'Vita-api',
+    pm2_env: {
+        pm_cwd: '/var/www/Vita/sites/api',
+        pm_exec_path: '/var/www/Vita/sites/api/server.js',
+        args: ['--port', '3000'],
+        pm_out_log_path: '/var/log/pm2/Vita-api-out.log',
+        exec_mode: 'fork_mode',
+        kill_timeout: 5000,
+        max_restarts: 16,
+        min_uptime: 1000,
+        max_memory_restart: 300 * 1024 * 1024,
+        ...changes
+    }
+});
+
+test('matchesApp: processus conforme à sa définition', () => {
+    assert.equal(matchesApp(pm2Process(), APP), true);
+});
+
+test('matchesApp: une option absente de la définition vaut le défaut de PM2', () => {
+    const { kill_timeout: _killTimeout, ...app } = APP;
+    assert.equal(matchesApp(pm2Process({ kill_timeout: 1600 }), app), true);
+    assert.equal(matchesApp(pm2Process({ kill_timeout: 3000 }), app), false);
+});
+
+test('matchesApp: un changement de commande, de mode ou d\'option impose de recréer le processus', () => {
+    assert.equal(matchesApp(pm2Process({ args: ['--port', '3001'] }), APP), false);
+    assert.equal(matchesApp(pm2Process({ pm_cwd: '/var/www/Vita/sites/admin' }), APP), false);
+    assert.equal(matchesApp(pm2Process({ exec_mode: 'cluster_mode' }), APP), false);
+    assert.equal(matchesApp(pm2Process({ max_memory_restart: undefined }), APP), false);
+    assert.equal(matchesApp(pm2Process({ pm_out_log_path: '/root/.pm2/logs/Vita-api-out.log' }), APP), false);
+});
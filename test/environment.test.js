@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDotenv } from '../src/modules/environment.js';
+
+test('parseDotenv: commentaires, export et lignes vides', () => {
+    const content = [
+        '# Configuration',
+        '',
+        'NODE_ENV=production',
+        'export API_URL = https://api.example.com',
+        'PORT=3000 # commentaire de fin de ligne',
+        'EMPTY='
+    ].join('\r\n');
+
+    assert.deepEqual(parseDotenv(content), {
+        NODE_ENV: 'production',
+        API_URL: 'https://api.example.com',
+        PORT: '3000',
+        EMPTY: ''
+    });
+});
+
+test('parseDotenv: valeurs entre guillemets', () => {
+    const content = [
+        'GREETING="Bonjour # pas un commentaire"',
+        'MULTILINE="ligne 1\\nligne 2"',
+        'ESCAPED="dit \\"oui\\""',
+        "RAW='$HOME\\n'"
+    ].join('\n');
+
+    assert.deepEqual(parseDotenv(content), {
+        GREETING: 'Bonjour # pas un commentaire',
+        MULTILINE: 'ligne 1\nligne 2',
+        ESCAPED: 'dit "oui"',
+        RAW: '$HOME\\n'
+    });
+});
+
+test('parseDotenv: ligne ou nom invalide refusé avec son numéro', () => {
+    assert.throws(() => parseDotenv('A=1\nnot a variable'), { code: 'VALIDATION_ERROR', message: /Ligne 2/ });
+    assert.throws(() => parseDotenv('1ST=value'), { code: 'VALIDATION_ERROR', message: /Nom de variable invalide/ });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import schema from '../src/config/schema.js';
+
+const { CONFIG_KINDS, CONFIG_SCHEMA_VERSION } = schema;
+
+test('migrate: un project.json v0 est complété puis validé', () => {
+    const { document, fromVersion } = schema.migrate(CONFIG_KINDS.project, {
+        services: [{ name: 'api' }]
+    }, { projectName: 'Vita' }, 'project.json');
+
+    assert.equal(fromVersion, 0);
+    assert.equal(document.schemaVersion, CONFIG_SCHEMA_VERSION);
+    assert.equal(document.name, 'Vita');
+    assert.equal(document.sftpUser, 'sftp_Vita');
+    assert.deepEqual(document.services[0], {
+        name: 'api',
+        pm2Name: 'Vita-api',
+        directory: '/var/www/Vita/sites/api',
+        command: 'npm start',
+        setupCommands: [],
+        description: ''
+    });
+    assert.deepEqual(schema.validate(CONFIG_KINDS.project, document), []);
+});
+
+test('migrate: un projects.json v1 passe à la version courante sans autre changement', () => {
+    const projects = [{ name: 'Vita', path: '/var/www/Vita', sftpUser: 'sftp_Vita', tags: ['env:prod'] }];
+    const { document, fromVersion } = schema.migrate(CONFIG_KINDS.projects, { schemaVersion: 1, projects }, {}, 'projects.json');
+
+    assert.equal(fromVersion, 1);
+    assert.deepEqual(document, { schemaVersion: CONFIG_SCHEMA_VERSION, projects });
+});
+
+test('migrate: un document à jour est rendu tel quel', () => {
+    const original = { schemaVersion: CONFIG_SCHEMA_VERSION, projects: [] };
+    const { document, fromVersion } = schema.migrate(CONFIG_KINDS.projects, original, {}, 'projects.json');
+
+    assert.equal(fromVersion, null);
+    assert.equal(document, original);
+});
+
+test('migrate: une version plus récente ou invalide est refusée', () => {
+    assert.throws(
+        () => schema.migrate(CONFIG_KINDS.projects, { schemaVersion: CONFIG_SCHEMA_VERSION + 1, projects: [] }, {}, 'projects.json'),
+        { code: 'VALIDATION_ERROR', message: /plus récent/ }
+    );
+    assert.throws(
+        () => schema.migrate(CONFIG_KINDS.projects, { schemaVersion: 'v1', projects: [] }, {}, 'projects.json'),
+        { code: 'VALIDATION_ERROR', message: /schemaVersion invalide/ }
+    );
+});
+
+test('validate: indique le chemin des champs fautifs', () => {
+    const errors = schema.validate(CONFIG_KINDS.project, {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
+        name: 'Vita',
+        services: [
+            { name: 'api', pm2Name: 'Vita-api', directory: '/var/www/Vita/sites/api', command: 'npm start', setupCommands: [] },
+            { name: 'api', pm2Name: 'Vita-api2', directory: '/var/www/Vita/sites/api', setupCommands: [], port: '3000' }
+        ]
+    });
+
+    assert.deepEqual(errors.map(error => error.path).sort(), [
+        'services[1].command',
+        'services[1].name',
+        'services[1].port'
+    ]);
+});
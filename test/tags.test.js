@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTagSelector, matchesTagSelector } from '../src/modules/projects.js';
+
+test('parseTagSelector: termes normalisés, négation et joker', () => {
+    assert.deepEqual(parseTagSelector(' Env:Staging , client:*,!tier:critical '), [
+        { tag: 'env:staging', negate: false },
+        { tag: 'client:*', negate: false },
+        { tag: 'tier:critical', negate: true }
+    ]);
+});
+
+test('parseTagSelector: sélecteur vide ou terme invalide refusé', () => {
+    for (const selector of ['', ' , ', 'env staging', 'client:a:*', '*']) {
+        assert.throws(() => parseTagSelector(selector), { code: 'VALIDATION_ERROR' }, selector);
+    }
+});
+
+test('matchesTagSelector: tous les termes doivent correspondre', () => {
+    const tags = ['env:staging', 'client:acme'];
+
+    assert.equal(matchesTagSelector(tags, 'env:staging,client:*'), true);
+    assert.equal(matchesTagSelector(tags, 'env:staging,!tier:critical'), true);
+    assert.equal(matchesTagSelector(tags, 'env:staging,!client:*'), false);
+    assert.equal(matchesTagSelector(tags, 'env:prod'), false);
+    // "client:*" n'accepte pas le tag "client" seul
+    assert.equal(matchesTagSelector(['client'], 'client:*'), false);
+    assert.equal(matchesTagSelector(undefined, '!env:prod'), true);
+});
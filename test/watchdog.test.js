@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCrashLoop } from '../src/modules/watchdog.js';
+import { WATCHDOG_CONFIG } from '../src/config/constants.js';
+
+const instance = (env) => ({ name: 'Vita-api', pm2_env: { restart_time: 0, ...env } });
+
+test('detectCrashLoop: processus abandonné par PM2', () => {
+    const diagnosis = detectCrashLoop({}, [
+        instance({ status: 'online', restart_time: 1 }),
+        instance({ status: 'errored', restart_time: 16, pm_err_log_path: '/var/log/pm2/Vita-api-error.log' })
+    ]);
+
+    assert.deepEqual(diagnosis, { reason: 'errored', restarts: 17, logPath: '/var/log/pm2/Vita-api-error.log' });
+});
+
+test('detectCrashLoop: redémarrages instables au-delà du seuil', () => {
+    const unstable = instance({ status: 'waiting restart', unstable_restarts: WATCHDOG_CONFIG.unstableRestarts });
+    assert.equal(detectCrashLoop({}, [unstable]).reason, 'unstable');
+
+    // maxRestarts du service plus bas que le seuil
+    const below = instance({ status: 'launching', unstable_restarts: 2 });
+    assert.equal(detectCrashLoop({}, [below]), null);
+    assert.equal(detectCrashLoop({ pm2: { maxRestarts: 2 } }, [below]).reason, 'unstable');
+});
+
+test('detectCrashLoop: relance exponentielle à son délai maximal', () => {
+    const waiting = instance({ status: 'waiting restart', prev_restart_delay: WATCHDOG_CONFIG.backoffDelay });
+    assert.equal(detectCrashLoop({}, [waiting]).reason, 'backoff');
+});
+
+test('detectCrashLoop: les compteurs d\'une instance repartie ou arrêtée sont ignorés', () => {
+    const counters = { unstable_restarts: 50, prev_restart_delay: WATCHDOG_CONFIG.backoffDelay };
+
+    assert.equal(detectCrashLoop({}, [instance({ status: 'online', ...counters })]), null);
+    assert.equal(detectCrashLoop({}, [instance({ status: 'stopped', ...counters })]), null);
+    assert.equal(detectCrashLoop({}, []), null);
+});